@@ -8,6 +8,7 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "./interfaces/IRON.sol";
+import "./interfaces/IRONCheckpoints.sol";
 
 /**
  * @title RiddlenAirdrop
@@ -82,6 +83,9 @@ contract RiddlenAirdrop is
     // Social proof tracking
     mapping(address => SocialProof) public socialProofs;
 
+    // Phase 2 RON snapshot (IRONCheckpoints timepoint; 0 = live balances)
+    uint256 public phase2Snapshot;
+
     struct SocialProof {
         bool twitterVerified;
         bool telegramVerified;
@@ -123,6 +127,8 @@ contract RiddlenAirdrop is
 
     event PhaseActivated(uint8 phase, bool active);
 
+    event Phase2SnapshotSet(uint256 timepoint);
+
     // =============================================================
     //                        ERRORS
     // =============================================================
@@ -284,11 +290,19 @@ contract RiddlenAirdrop is
         }
     }
 
+    /**
+     * @dev RON balance used for Phase 2: at the snapshot when set, otherwise live
+     */
+    function _phase2RONBalance(address _user) internal view returns (uint256) {
+        if (phase2Snapshot == 0) return ronToken.balanceOf(_user);
+        return IRONCheckpoints(address(ronToken)).getPastRON(_user, phase2Snapshot);
+    }
+
     /**
      * @dev Claim Phase 2 merit-based airdrop
      * Requirements:
      * - Phase 2 must be active
-     * - Must have minimum 1,000 RON
+     * - Must have minimum 1,000 RON (at the Phase 2 snapshot, when set)
      * - One claim per wallet
      * - Reward based on RON tier
      */
@@ -297,7 +311,7 @@ contract RiddlenAirdrop is
         if (phase2Claimed[msg.sender]) revert AlreadyClaimed();
 
         // Get user's RON balance
-        uint256 ronBalance = ronToken.balanceOf(msg.sender);
+        uint256 ronBalance = _phase2RONBalance(msg.sender);
         if (ronBalance < RON_MINIMUM_THRESHOLD) revert InsufficientRON();
 
         // Calculate reward and tier
@@ -343,6 +357,20 @@ contract RiddlenAirdrop is
         emit PhaseActivated(_phase, _active);
     }
 
+    /**
+     * @dev Fix Phase 2 rewards to RON balances at a past timepoint so RON earned just before
+     * claiming does not count. Requires a RON contract implementing IRONCheckpoints
+     * @param _timepoint Past timepoint on the RON clock, or 0 to use live balances
+     */
+    function setPhase2Snapshot(uint256 _timepoint) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_timepoint != 0) {
+            require(_timepoint < IRONCheckpoints(address(ronToken)).clock(), "Snapshot must be in the past");
+        }
+        phase2Snapshot = _timepoint;
+
+        emit Phase2SnapshotSet(_timepoint);
+    }
+
     /**
      * @dev Emergency withdrawal of remaining tokens
      * @param _to Recipient address
@@ -398,7 +426,7 @@ contract RiddlenAirdrop is
      * @param _user User address to check
      * @return eligible Whether user is eligible
      * @return claimed Whether user has already claimed
-     * @return ronBalance User's current RON balance
+     * @return ronBalance User's RON balance at the Phase 2 snapshot (current balance if unset)
      * @return reward Potential RDLN reward
      * @return tier RON tier level
      */
@@ -414,7 +442,7 @@ contract RiddlenAirdrop is
         )
     {
         claimed = phase2Claimed[_user];
-        ronBalance = ronToken.balanceOf(_user);
+        ronBalance = _phase2RONBalance(_user);
         (reward, tier) = calculatePhase2Reward(ronBalance);
 
         eligible = phase2Active &&
@@ -0,0 +1,359 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "../interfaces/IRON.sol";
+import "../interfaces/IRiddleSolveHook.sol";
+
+/**
+ * @title AchievementBadges - Soulbound ERC-1155 badges minted automatically on player milestones
+ * @dev Each badge ID is an entry in an admin-extendable registry of definitions: a milestone type plus a
+ * threshold (solve count, streak length or RON tier). Solve milestones are tracked from IRiddleSolveHook
+ * notifications; streak and tier milestones are read from RON, and `syncBadges` catches up reputation earned
+ * outside a solve. Badges cannot be transferred, and metadata is generated on-chain
+ * @notice Grant GAME_ROLE to RiddleNFT_v2 / RiddleNFTAdvanced and add this contract as one of their solve hooks
+ */
+contract AchievementBadges is ERC1155, AccessControl, IRiddleSolveHook {
+    using Strings for uint256;
+
+    // ============ CONSTANTS ============
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant GAME_ROLE = keccak256("GAME_ROLE");
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE"); // Awards MANUAL badges
+
+    uint256 public constant MAX_BADGES_PER_MILESTONE = 20; // Bounds the per-solve milestone checks
+    uint256 public constant MAX_TEXT_LENGTH = 200;
+
+    // ============ ENUMS ============
+
+    enum Milestone {
+        MANUAL,           // Awarded by ISSUER_ROLE
+        SOLVES,           // Total winning solves
+        FIRST_SOLVES,     // Solves as a riddle's (or session's) first solver
+        LEGENDARY_SOLVES, // Solves of LEGENDARY riddles
+        STREAK,           // Best RON answer streak
+        TIER              // RON access tier reached (threshold = IRON.AccessTier index)
+    }
+
+    // ============ STRUCTS ============
+
+    struct BadgeDefinition {
+        string name;
+        string description;
+        string color;        // SVG background, "#rrggbb"
+        Milestone milestone;
+        uint256 threshold;
+        bool active;         // Inactive badges are no longer awarded; existing holders keep them
+        uint256 holders;
+    }
+
+    struct PlayerProgress {
+        uint256 solves;
+        uint256 firstSolves;
+        uint256 legendarySolves;
+    }
+
+    // ============ STATE VARIABLES ============
+
+    IRON public immutable ronToken;
+
+    uint256 public badgeCount; // Badge IDs run 1..badgeCount
+    mapping(uint256 => BadgeDefinition) public badges;
+    mapping(Milestone => uint256[]) internal milestoneBadges;
+    mapping(address => PlayerProgress) public playerProgress;
+    mapping(address => mapping(uint256 => uint256)) public badgeEarnedAt;
+
+    // ============ EVENTS ============
+
+    event BadgeDefined(uint256 indexed badgeId, string name, Milestone indexed milestone, uint256 threshold);
+    event BadgeUpdated(uint256 indexed badgeId);
+    event BadgeActiveUpdated(uint256 indexed badgeId, bool active);
+    event BadgeAwarded(address indexed player, uint256 indexed badgeId, Milestone indexed milestone);
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(address _ronToken, address _admin) ERC1155("") {
+        require(_ronToken != address(0), "Invalid RON address");
+        require(_admin != address(0), "Invalid admin address");
+
+        ronToken = IRON(_ronToken);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(ADMIN_ROLE, _admin);
+        _grantRole(ISSUER_ROLE, _admin);
+
+        _defineBadge("First Solve", "Solved a first riddle.", "#2ea043", Milestone.SOLVES, 1);
+        _defineBadge("First Solver", "First to solve a riddle.", "#1f6feb", Milestone.FIRST_SOLVES, 1);
+        _defineBadge("On a Roll", "Answered 5 riddles correctly in a row.", "#f0883e", Milestone.STREAK, 5);
+        _defineBadge("Solver", "Reached the Solver RON tier.", "#8b949e", Milestone.TIER, uint256(IRON.AccessTier.SOLVER));
+        _defineBadge("Expert", "Reached the Expert RON tier.", "#a371f7", Milestone.TIER, uint256(IRON.AccessTier.EXPERT));
+        _defineBadge("Oracle", "Reached the Oracle RON tier.", "#db61a2", Milestone.TIER, uint256(IRON.AccessTier.ORACLE));
+        _defineBadge("Legend", "Solved a legendary riddle.", "#d29922", Milestone.LEGENDARY_SOLVES, 1);
+    }
+
+    // ============ BADGE REGISTRY ============
+
+    /**
+     * @dev Add a badge definition; players who already meet an automatic milestone receive it on their
+     * next solve or `syncBadges`
+     * @param threshold Count or streak length (> 0), or the IRON.AccessTier index for TIER; ignored for MANUAL
+     */
+    function defineBadge(
+        string calldata name,
+        string calldata description,
+        string calldata color,
+        Milestone milestone,
+        uint256 threshold
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        return _defineBadge(name, description, color, milestone, threshold);
+    }
+
+    /**
+     * @dev Change a badge's display text; the milestone and threshold are fixed once defined
+     */
+    function updateBadge(
+        uint256 badgeId,
+        string calldata name,
+        string calldata description,
+        string calldata color
+    ) external onlyRole(ADMIN_ROLE) {
+        require(badgeId > 0 && badgeId <= badgeCount, "Badge does not exist");
+        _validateText(name, description, color);
+
+        BadgeDefinition storage badge = badges[badgeId];
+        badge.name = name;
+        badge.description = description;
+        badge.color = color;
+
+        emit BadgeUpdated(badgeId);
+        emit URI(uri(badgeId), badgeId);
+    }
+
+    function setBadgeActive(uint256 badgeId, bool active) external onlyRole(ADMIN_ROLE) {
+        require(badgeId > 0 && badgeId <= badgeCount, "Badge does not exist");
+        badges[badgeId].active = active;
+        emit BadgeActiveUpdated(badgeId, active);
+    }
+
+    function _defineBadge(
+        string memory name,
+        string memory description,
+        string memory color,
+        Milestone milestone,
+        uint256 threshold
+    ) internal returns (uint256 badgeId) {
+        _validateText(name, description, color);
+        if (milestone == Milestone.TIER) {
+            require(threshold > 0 && threshold <= uint256(IRON.AccessTier.ORACLE), "Invalid threshold");
+        } else if (milestone != Milestone.MANUAL) {
+            require(threshold > 0, "Invalid threshold");
+        }
+        require(milestoneBadges[milestone].length < MAX_BADGES_PER_MILESTONE, "Too many badges for milestone");
+
+        badgeId = ++badgeCount;
+        badges[badgeId] = BadgeDefinition({
+            name: name,
+            description: description,
+            color: color,
+            milestone: milestone,
+            threshold: milestone == Milestone.MANUAL ? 0 : threshold,
+            active: true,
+            holders: 0
+        });
+        milestoneBadges[milestone].push(badgeId);
+
+        emit BadgeDefined(badgeId, name, milestone, threshold);
+    }
+
+    /**
+     * @dev Badge text is embedded in JSON and SVG metadata as-is, so quotes, markup and control
+     * characters are rejected rather than escaped
+     */
+    function _validateText(string memory name, string memory description, string memory color) internal pure {
+        bytes memory rawName = bytes(name);
+        require(rawName.length > 0 && rawName.length <= MAX_TEXT_LENGTH, "Invalid badge name");
+        require(bytes(description).length <= MAX_TEXT_LENGTH, "Invalid badge description");
+        require(_isPlainText(rawName) && _isPlainText(bytes(description)), "Invalid badge text");
+
+        bytes memory rawColor = bytes(color);
+        require(rawColor.length == 7 && rawColor[0] == "#", "Invalid badge color");
+        for (uint256 i = 1; i < 7; i++) {
+            bytes1 c = rawColor[i];
+            require((c >= "0" && c <= "9") || (c >= "a" && c <= "f") || (c >= "A" && c <= "F"), "Invalid badge color");
+        }
+    }
+
+    function _isPlainText(bytes memory raw) internal pure returns (bool) {
+        for (uint256 i = 0; i < raw.length; i++) {
+            bytes1 c = raw[i];
+            if (uint8(c) < 0x20 || c == '"' || c == "\\" || c == "<" || c == ">" || c == "&") return false;
+        }
+        return true;
+    }
+
+    // ============ AWARDING ============
+
+    /**
+     * @dev Counts a winning solve and awards every milestone badge the solver now qualifies for
+     */
+    function onRiddleSolved(
+        address solver,
+        uint256,
+        uint8 difficulty,
+        bool isFirstSolver,
+        bool
+    ) external override onlyRole(GAME_ROLE) {
+        PlayerProgress storage progress = playerProgress[solver];
+        progress.solves++;
+        _checkMilestone(solver, Milestone.SOLVES, progress.solves);
+
+        if (isFirstSolver) {
+            progress.firstSolves++;
+            _checkMilestone(solver, Milestone.FIRST_SOLVES, progress.firstSolves);
+        }
+        if (difficulty == uint8(IRON.RiddleDifficulty.LEGENDARY)) {
+            progress.legendarySolves++;
+            _checkMilestone(solver, Milestone.LEGENDARY_SOLVES, progress.legendarySolves);
+        }
+
+        _checkReputation(solver);
+    }
+
+    /**
+     * @dev Award every badge the player qualifies for, including streak and tier badges for reputation
+     * earned outside a solve (validation, season rewards) and badges defined after the milestone was reached.
+     * Callable by anyone
+     */
+    function syncBadges(address player) external {
+        PlayerProgress storage progress = playerProgress[player];
+        _checkMilestone(player, Milestone.SOLVES, progress.solves);
+        _checkMilestone(player, Milestone.FIRST_SOLVES, progress.firstSolves);
+        _checkMilestone(player, Milestone.LEGENDARY_SOLVES, progress.legendarySolves);
+        _checkReputation(player);
+    }
+
+    function awardBadge(address player, uint256 badgeId) external onlyRole(ISSUER_ROLE) {
+        require(player != address(0), "Invalid player address");
+        require(badgeId > 0 && badgeId <= badgeCount, "Badge does not exist");
+        require(badges[badgeId].milestone == Milestone.MANUAL, "Badge is awarded automatically");
+        require(badges[badgeId].active, "Badge not active");
+        require(balanceOf(player, badgeId) == 0, "Badge already awarded");
+
+        _award(player, badgeId);
+    }
+
+    function _checkReputation(address player) internal {
+        (, IRON.AccessTier tier, , , , , uint256 maxStreak) = ronToken.getUserStats(player);
+        _checkMilestone(player, Milestone.STREAK, maxStreak);
+        _checkMilestone(player, Milestone.TIER, uint256(tier));
+    }
+
+    function _checkMilestone(address player, Milestone milestone, uint256 value) internal {
+        uint256[] storage ids = milestoneBadges[milestone];
+        for (uint256 i = 0; i < ids.length; i++) {
+            uint256 badgeId = ids[i];
+            BadgeDefinition storage badge = badges[badgeId];
+            if (badge.active && value >= badge.threshold && balanceOf(player, badgeId) == 0) {
+                _award(player, badgeId);
+            }
+        }
+    }
+
+    function _award(address player, uint256 badgeId) internal {
+        badges[badgeId].holders++;
+        badgeEarnedAt[player][badgeId] = block.timestamp;
+
+        // Minted without the ERC-1155 receiver check so a contract solver can never block a solve
+        uint256[] memory ids = new uint256[](1);
+        uint256[] memory values = new uint256[](1);
+        ids[0] = badgeId;
+        values[0] = 1;
+        _update(address(0), player, ids, values);
+
+        emit BadgeAwarded(player, badgeId, badges[badgeId].milestone);
+    }
+
+    // ============ SOULBOUND ============
+
+    function _update(address from, address to, uint256[] memory ids, uint256[] memory values) internal override {
+        require(from == address(0), "Badges are soulbound");
+        super._update(from, to, ids, values);
+    }
+
+    function setApprovalForAll(address, bool) public pure override {
+        revert("Badges are soulbound");
+    }
+
+    // ============ METADATA ============
+
+    /**
+     * @dev Fully on-chain `data:application/json;base64` metadata with an embedded SVG image
+     */
+    function uri(uint256 badgeId) public view override returns (string memory) {
+        require(badgeId > 0 && badgeId <= badgeCount, "Badge does not exist");
+        BadgeDefinition storage badge = badges[badgeId];
+
+        string memory json = string(abi.encodePacked(
+            '{"name":"', badge.name,
+            '","description":"', badge.description,
+            '","image":"data:image/svg+xml;base64,', Base64.encode(bytes(_svg(badgeId, badge))),
+            '","attributes":[{"trait_type":"Milestone","value":"', _milestoneName(badge.milestone),
+            '"},{"trait_type":"Threshold","display_type":"number","value":', badge.threshold.toString(),
+            '},{"trait_type":"Holders","display_type":"number","value":', badge.holders.toString(),
+            '},{"trait_type":"Soulbound","value":"Yes"}]}'
+        ));
+
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(bytes(json))));
+    }
+
+    function _svg(uint256 badgeId, BadgeDefinition storage badge) internal view returns (string memory) {
+        return string(abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400" font-family="monospace">',
+            '<rect width="400" height="400" fill="', badge.color, '"/>',
+            '<circle cx="200" cy="170" r="110" fill="#0d1117" fill-opacity="0.85"/>',
+            '<text x="200" y="160" font-size="22" fill="#ffffff" text-anchor="middle">', badge.name, '</text>',
+            '<text x="200" y="200" font-size="14" fill="#c9d1d9" text-anchor="middle">', _milestoneName(badge.milestone), '</text>',
+            '<text x="200" y="340" font-size="16" fill="#ffffff" text-anchor="middle">Riddlen Badge #', badgeId.toString(), '</text>',
+            '</svg>'
+        ));
+    }
+
+    function _milestoneName(Milestone milestone) internal pure returns (string memory) {
+        if (milestone == Milestone.SOLVES) return "Solves";
+        if (milestone == Milestone.FIRST_SOLVES) return "First Solves";
+        if (milestone == Milestone.LEGENDARY_SOLVES) return "Legendary Solves";
+        if (milestone == Milestone.STREAK) return "Streak";
+        if (milestone == Milestone.TIER) return "Tier";
+        return "Special";
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    function getMilestoneBadges(Milestone milestone) external view returns (uint256[] memory) {
+        return milestoneBadges[milestone];
+    }
+
+    /**
+     * @dev Badge IDs held by the player, in ID order
+     */
+    function getBadgesOf(address player) external view returns (uint256[] memory held) {
+        uint256 count;
+        for (uint256 id = 1; id <= badgeCount; id++) {
+            if (balanceOf(player, id) > 0) count++;
+        }
+
+        held = new uint256[](count);
+        uint256 index;
+        for (uint256 id = 1; id <= badgeCount; id++) {
+            if (balanceOf(player, id) > 0) held[index++] = id;
+        }
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC1155, AccessControl) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
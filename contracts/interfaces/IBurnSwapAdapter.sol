@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IBurnSwapAdapter - Native currency to RDLN swap used by the burn protocol
+ * @dev Implementations wrap a DEX router; swapped RDLN is sent to the caller, which burns it
+ */
+interface IBurnSwapAdapter {
+    function swapNativeForRDLN(uint256 minRDLNOut) external payable returns (uint256 rdlnOut);
+}
@@ -58,6 +58,25 @@ interface IRON {
         uint256 maxStreak
     );
 
+    event QuestionContributionRecorded(
+        address indexed creator,
+        uint256 indexed questionId,
+        uint256 contributionScore
+    );
+
+    event ReputationDecayed(
+        address indexed user,
+        uint256 oldRON,
+        uint256 newRON
+    );
+
+    event TierDemoted(
+        address indexed user,
+        AccessTier indexed oldTier,
+        AccessTier indexed newTier,
+        uint256 totalRON
+    );
+
     // ============ CORE FUNCTIONS ============
 
     function awardRON(
@@ -68,6 +87,19 @@ interface IRON {
         string calldata reason
     ) external returns (uint256 ronAwarded);
 
+    function awardTeamRON(
+        address user,
+        RiddleDifficulty difficulty,
+        uint256 amount,
+        string calldata reason
+    ) external;
+
+    function awardBonusRON(
+        address user,
+        uint256 amount,
+        string calldata reason
+    ) external;
+
     function updateAccuracy(
         address user,
         bool correct
@@ -79,6 +111,11 @@ interface IRON {
         string calldata validationType
     ) external;
 
+    function recordQuestionContribution(
+        address creator,
+        uint256 questionId
+    ) external;
+
     // ============ VIEW FUNCTIONS ============
 
     function balanceOf(address user) external view returns (uint256);
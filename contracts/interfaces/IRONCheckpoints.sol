@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/interfaces/IERC6372.sol";
+
+/**
+ * @title IRONCheckpoints - Historical RON balances for snapshot-based voting and airdrops
+ * @dev Implemented by RONUpgradeable and RONAdvanced on the same timestamp clock as RDLN
+ * ("mode=timestamp"). Lookups must be strictly in the past
+ */
+interface IRONCheckpoints is IERC6372 {
+    error ERC5805FutureLookup(uint256 timepoint, uint48 clock);
+
+    function getPastRON(address user, uint256 timepoint) external view returns (uint256);
+
+    function getPastTotalRON(uint256 timepoint) external view returns (uint256);
+}
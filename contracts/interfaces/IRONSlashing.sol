@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IRONSlashing - Appealable removal of RON for confirmed misbehaviour
+ * @dev Implemented by RONAdvanced only; RON and RONUpgradeable have no slashing. Callers need SLASHER_ROLE
+ */
+interface IRONSlashing {
+    enum SlashReason {
+        CHEATING,           // Confirmed cheating in riddle sessions
+        BAD_ORACLE_ANSWER,  // Lost a cross-validation round
+        SYBIL,              // Sybil or multi-account farming
+        OTHER
+    }
+
+    function slashRON(
+        address user,
+        uint256 amount,
+        SlashReason reasonCode,
+        bytes32 evidenceHash
+    ) external returns (uint256 slashId);
+}
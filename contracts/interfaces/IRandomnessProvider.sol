@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IRandomnessProvider - Pluggable randomness source for riddle parameters
+ * @dev Request/fulfil flow modelled on Chainlink VRF v2: consumers request random words
+ * and receive them later through IRandomnessConsumer.fulfillRandomness
+ */
+interface IRandomnessProvider {
+
+    // ============ EVENTS ============
+
+    event RandomnessRequested(
+        uint256 indexed requestId,
+        address indexed consumer,
+        uint32 numWords
+    );
+
+    event RandomnessFulfilled(
+        uint256 indexed requestId,
+        address indexed consumer
+    );
+
+    // ============ CORE FUNCTIONS ============
+
+    function requestRandomness(uint32 numWords) external returns (uint256 requestId);
+}
+
+/**
+ * @title IRandomnessConsumer - Callback implemented by contracts using IRandomnessProvider
+ */
+interface IRandomnessConsumer {
+    function fulfillRandomness(uint256 requestId, uint256[] calldata randomWords) external;
+}
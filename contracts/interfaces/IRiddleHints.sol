@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IRiddleHints - Hint marketplace for Riddlen weekly riddles
+ * @dev Ordered hints per riddle, bought per token at escalating RDLN prices. RiddleNFT reads
+ * hintsPurchased on solve to reduce the RON bonuses of solvers who bought hints
+ */
+interface IRiddleHints {
+
+    // ============ EVENTS ============
+
+    event HintsAdded(
+        uint256 indexed riddleId,
+        uint256 totalHints
+    );
+
+    event HintPurchased(
+        uint256 indexed tokenId,
+        uint256 indexed riddleId,
+        address indexed buyer,
+        uint256 hintIndex,
+        uint256 price
+    );
+
+    // ============ HINTS ============
+
+    function addRiddleHints(uint256 riddleId, string[] calldata hints) external;
+
+    function purchaseHint(uint256 tokenId) external returns (string memory hint);
+
+    function hintsPurchased(uint256 tokenId) external view returns (uint256);
+
+    function getHintPrice(uint256 tokenId) external view returns (uint256);
+
+    function getHintCount(uint256 riddleId) external view returns (uint256);
+
+    function getPurchasedHint(uint256 tokenId, uint256 hintIndex) external view returns (string memory);
+
+    // ============ ADMIN FUNCTIONS ============
+
+    function updateHintBasePrice(uint256 hintBasePrice) external;
+}
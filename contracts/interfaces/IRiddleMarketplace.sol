@@ -0,0 +1,160 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IRiddleMarketplace - Secondary market for Riddlen Weekly NFTs
+ * @dev Fixed-price listings, RDLN auctions and standing offers. Sales pay the token's ERC-2981 royalty,
+ * then split the remainder by RiddleNFT's burn protocol rates
+ */
+interface IRiddleMarketplace {
+
+    // ============ STRUCTS ============
+
+    struct Listing {
+        address seller;         // Owner at listing time; the listing lapses if the token changes hands
+        uint256 price;
+        bool native;            // Priced in native currency instead of RDLN
+    }
+
+    struct Auction {
+        address seller;         // Holder who listed the token (token is escrowed)
+        uint256 reservePrice;   // Minimum RDLN bid
+        uint256 endTime;        // Extended by late bids (anti-sniping)
+        address highestBidder;
+        uint256 highestBid;     // Escrowed RDLN
+        bool active;
+    }
+
+    struct Offer {
+        uint256 amount;         // Escrowed RDLN
+        uint256 expiresAt;
+    }
+
+    struct SaleProceeds {
+        address royaltyReceiver; // Token's RoyaltySplitter clone
+        uint256 royaltyAmount;
+        uint256 burnAmount;
+        uint256 grandPrizeAmount;
+        uint256 devOpsAmount;
+        uint256 sellerAmount;
+    }
+
+    // ============ EVENTS ============
+
+    event NFTResold(
+        uint256 indexed tokenId,
+        address indexed from,
+        address indexed to,
+        uint256 salePrice,
+        uint256 commission
+    );
+
+    // Amounts are denominated in the listing currency (RDLN or native)
+    event CommissionDistributed(
+        uint256 totalCommission,
+        uint256 burned,
+        uint256 toGrandPrize,
+        uint256 toDevOps
+    );
+
+    event NativeBurnSwapped(
+        uint256 indexed tokenId,
+        uint256 nativeAmount,
+        uint256 rdlnBurned
+    );
+
+    event RoyaltyPaid(
+        uint256 indexed tokenId,
+        address indexed receiver,
+        uint256 amount
+    );
+
+    event AuctionCreated(
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 reservePrice,
+        uint256 endTime
+    );
+
+    event BidPlaced(
+        uint256 indexed tokenId,
+        address indexed bidder,
+        uint256 amount
+    );
+
+    event AuctionExtended(
+        uint256 indexed tokenId,
+        uint256 newEndTime
+    );
+
+    event AuctionSettled(
+        uint256 indexed tokenId,
+        address indexed seller,
+        address indexed winner,
+        uint256 amount
+    );
+
+    event AuctionCancelled(
+        uint256 indexed tokenId,
+        address indexed seller
+    );
+
+    event OfferMade(
+        uint256 indexed tokenId,
+        address indexed bidder,
+        uint256 amount,
+        uint256 expiresAt
+    );
+
+    event OfferCancelled(
+        uint256 indexed tokenId,
+        address indexed bidder
+    );
+
+    event OfferAccepted(
+        uint256 indexed tokenId,
+        address indexed seller,
+        address indexed bidder,
+        uint256 amount
+    );
+
+    // ============ LISTINGS ============
+
+    function setResalePrice(uint256 tokenId, uint256 price) external;
+
+    function setNativeResalePrice(uint256 tokenId, uint256 price) external;
+
+    function buyNFT(uint256 tokenId) external;
+
+    function buyNFTWithNative(uint256 tokenId, uint256 minRDLNBurned) external payable;
+
+    function getResaleInfo(uint256 tokenId) external view returns (
+        bool forSale,
+        uint256 price,
+        address seller
+    );
+
+    // ============ AUCTIONS AND OFFERS ============
+
+    function createAuction(uint256 tokenId, uint256 reservePrice, uint256 duration) external;
+
+    function placeBid(uint256 tokenId, uint256 amount) external;
+
+    function settleAuction(uint256 tokenId) external;
+
+    function cancelAuction(uint256 tokenId) external;
+
+    function makeOffer(uint256 tokenId, uint256 amount, uint256 duration) external;
+
+    function cancelOffer(uint256 tokenId) external;
+
+    function acceptOffer(uint256 tokenId, address bidder) external;
+
+    function acceptCollectionOffer(uint256 tokenId, address bidder) external;
+
+    // ============ ADMIN FUNCTIONS ============
+
+    function setBurnSwapAdapter(address adapter) external;
+
+    function updateAuctionSettings(uint256 auctionExtensionWindow, uint256 minBidIncrementBps) external;
+}
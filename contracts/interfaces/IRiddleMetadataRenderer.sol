@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IRiddleMetadataRenderer - Swappable tokenURI renderer for riddle NFTs
+ * @dev NFT contracts collect the display fields and delegate JSON/SVG generation to the renderer
+ */
+interface IRiddleMetadataRenderer {
+    struct TokenMetadata {
+        uint256 tokenId;
+        string collection;      // Collection display name
+        string editionLabel;    // "Week" (weekly riddles) or "Session" (riddle sessions)
+        uint256 edition;        // Week number or session ID
+        string category;
+        uint8 difficulty;       // EASY, MEDIUM, HARD, LEGENDARY
+        bool solved;
+        address solver;
+        uint256 failedAttempts;
+        uint256 prizeAmount;    // RDLN (18 decimals)
+        bool prizeClaimed;
+    }
+
+    function tokenURI(TokenMetadata calldata data) external view returns (string memory);
+}
@@ -14,7 +14,9 @@ interface IRiddleNFT is IERC721 {
     enum RiddleStatus {
         ACTIVE,     // Currently solvable
         SOLVED,     // All winner slots filled
-        EXPIRED     // Admin expired (rare)
+        EXPIRED,    // Solve window lapsed before all winner slots filled
+        PENDING_RANDOMNESS, // Released, awaiting randomness for its parameters
+        PENDING_FUNDING     // Random word stored, awaiting prize pool funding
     }
 
     enum Difficulty {
@@ -46,6 +48,12 @@ interface IRiddleNFT is IERC721 {
         RiddleParameters params;
         uint256 totalMinted;    // How many NFTs minted so far
         uint256 solverCount;    // How many have solved it
+
+        // Expiry and sweep accounting
+        uint256 solveWindow;    // Solvable until releaseTime + solveWindow
+        uint256 claimDeadline;  // Set when the riddle closes; unclaimed prizes are swept after it
+        uint256 prizesClaimed;  // RDLN claimed by winners so far
+        bool prizesSwept;       // Unclaimed prizes already returned
     }
 
     struct NFTSolveData {
@@ -71,6 +79,12 @@ interface IRiddleNFT is IERC721 {
         uint256 ronEarned;      // RON reputation earned
     }
 
+    struct AnswerCommitment {
+        bytes32 commitment;     // keccak256(tokenId, committer, answer, salt)
+        address committer;      // Token owner at commit time
+        uint256 commitBlock;    // Block the commitment was recorded in
+    }
+
     // ============ EVENTS ============
 
     event WeeklyRiddleReleased(
@@ -80,6 +94,22 @@ interface IRiddleNFT is IERC721 {
         RiddleParameters params
     );
 
+    event RiddleRandomnessRequested(
+        uint256 indexed riddleId,
+        uint256 indexed requestId
+    );
+
+    event RiddleFundingPending(
+        uint256 indexed riddleId,
+        uint256 indexed requestId
+    );
+
+    event RiddleParametersFinalized(
+        uint256 indexed riddleId,
+        uint256 indexed requestId,
+        RiddleParameters params
+    );
+
     event RiddleNFTMinted(
         uint256 indexed tokenId,
         uint256 indexed riddleId,
@@ -96,6 +126,13 @@ interface IRiddleNFT is IERC721 {
         bool successful
     );
 
+    event AnswerCommitted(
+        uint256 indexed tokenId,
+        uint256 indexed riddleId,
+        address indexed committer,
+        uint256 commitBlock
+    );
+
     event RiddleSolved(
         uint256 indexed tokenId,
         uint256 indexed riddleId,
@@ -106,19 +143,47 @@ interface IRiddleNFT is IERC721 {
         bool wasSpeedSolver
     );
 
-    event NFTResold(
+    event AcceptedAnswersUpdated(
+        uint256 indexed riddleId,
+        uint256 answerCount,
+        bytes32 merkleRoot
+    );
+
+    event PrizeEscrowFunded(
+        uint256 indexed riddleId,
+        uint256 amount
+    );
+
+    event RiddleExpired(
+        uint256 indexed riddleId,
+        uint256 unallocatedPrize
+    );
+
+    event UnclaimedPrizesSwept(
+        uint256 indexed riddleId,
+        uint256 amount
+    );
+
+    // Returned to the grand-prize wallet, or rolled into the next riddle's prize pool
+    event PrizeFundsReturned(
+        uint256 indexed riddleId,
+        uint256 amount,
+        bool rolledOver
+    );
+
+    event RoyaltySplitterDeployed(
         uint256 indexed tokenId,
-        address indexed from,
-        address indexed to,
-        uint256 salePrice,
-        uint256 commission
+        address indexed splitter,
+        address creator,
+        address minter
     );
 
-    event CommissionDistributed(
-        uint256 totalCommission,
-        uint256 burned,
-        uint256 toLiquidity,
-        uint256 toDevOps
+    event TeamShareClaimed(
+        uint256 indexed tokenId,
+        uint256 indexed teamId,
+        address indexed member,
+        uint256 prizeShare,
+        uint256 ronShare
     );
 
     event PrizeClaimed(
@@ -144,24 +209,57 @@ interface IRiddleNFT is IERC721 {
 
     function mintRiddleNFT(uint256 riddleId) external returns (uint256 tokenId);
 
-    function attemptSolution(
+    function commitAnswer(uint256 tokenId, bytes32 commitment) external;
+
+    function revealAnswer(
         uint256 tokenId,
-        string memory answer
+        string memory answer,
+        bytes32 salt
+    ) external;
+
+    function computeCommitment(
+        uint256 tokenId,
+        address committer,
+        string memory answer,
+        bytes32 salt
+    ) external pure returns (bytes32);
+
+    function revealAnswerWithProof(
+        uint256 tokenId,
+        string memory answer,
+        bytes32 salt,
+        bytes32[] calldata proof
     ) external;
 
     function claimPrize(uint256 tokenId) external;
 
-    // ============ RESALE SYSTEM ============
+    // ============ ANSWERS ============
 
-    function setResalePrice(uint256 tokenId, uint256 price) external;
+    function normalizeAnswer(string memory answer) external pure returns (string memory);
 
-    function buyNFT(uint256 tokenId) external payable;
+    function hashAnswer(string memory answer) external pure returns (bytes32);
 
-    function getResaleInfo(uint256 tokenId) external view returns (
-        bool forSale,
-        uint256 price,
-        address seller
-    );
+    function setAcceptedAnswers(uint256 riddleId, bytes32[] calldata answerHashes, bytes32 merkleRoot) external;
+
+    function getAcceptedAnswerHashes(uint256 riddleId) external view returns (bytes32[] memory);
+
+    // ============ TEAMS ============
+
+    // Teams are registered on the RiddleTeams contract set with setTeamRegistry
+
+    function canPlay(uint256 tokenId, address account) external view returns (bool);
+
+    // ============ EXPIRY ============
+
+    function expireRiddle(uint256 riddleId) external;
+
+    function sweepUnclaimedPrizes(uint256 riddleId) external;
+
+    // ============ ROYALTIES ============
+
+    function royaltySplitterFor(uint256 tokenId) external view returns (address);
+
+    function deployRoyaltySplitter(uint256 tokenId) external returns (address splitter);
 
     // ============ VIEW FUNCTIONS ============
 
@@ -169,6 +267,8 @@ interface IRiddleNFT is IERC721 {
 
     function getNFTSolveData(uint256 tokenId) external view returns (NFTSolveData memory);
 
+    function hasUserSolvedRiddle(uint256 riddleId, address user) external view returns (bool);
+
     function getCurrentMintCost() external view returns (uint256);
 
     function getBiennialPeriod() external view returns (uint256 period, uint256 cost);
@@ -184,6 +284,12 @@ interface IRiddleNFT is IERC721 {
 
     function getNextAttemptCost(uint256 tokenId) external view returns (uint256);
 
+    function getRiddleSolvency(uint256 riddleId) external view returns (
+        uint256 escrowed,
+        uint256 liabilities,
+        bool solvent
+    );
+
     // ============ STATISTICS ============
 
     function getGlobalStats() external view returns (
@@ -202,6 +308,15 @@ interface IRiddleNFT is IERC721 {
         uint256 prizePoolRemaining
     );
 
+    // ============ COMMISSIONS ============
+
+    // Burn protocol split (basis points) and wallets, also applied by RiddleMarketplace sales
+    function burnPercent() external view returns (uint256);
+    function grandPrizePercent() external view returns (uint256);
+    function devOpsPercent() external view returns (uint256);
+    function grandPrizeWallet() external view returns (address);
+    function devOpsWallet() external view returns (address);
+
     // ============ ADMIN FUNCTIONS ============
 
     function updateCommissionRates(
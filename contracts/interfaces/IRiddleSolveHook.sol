@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IRiddleSolveHook - Notified by the riddle NFT contracts on every winning solve
+ * @dev Implemented by SeasonLeaderboard and AchievementBadges; the NFT contract must hold the hook's GAME_ROLE.
+ * Flags are the ones RON was awarded with (bonuses forfeited to hints are already cleared)
+ */
+interface IRiddleSolveHook {
+    function onRiddleSolved(
+        address solver,
+        uint256 riddleId,       // Riddle ID (RiddleNFT_v2) or session ID (RiddleNFTAdvanced)
+        uint8 difficulty,       // EASY, MEDIUM, HARD, LEGENDARY
+        bool isFirstSolver,
+        bool isSpeedSolver
+    ) external;
+}
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IRiddleTeams - Team registry for Riddlen weekly riddles
+ * @dev Members agree to basis-point shares and play one shared NFT. RiddleNFT reads the registry to let
+ * teammates play the token and splits the prize and RON by share when it is claimed
+ */
+interface IRiddleTeams {
+
+    // ============ STRUCTS ============
+
+    struct Team {
+        uint256 riddleId;
+        address captain;        // Registers the team; always members[0]
+        address[] members;
+        uint256[] sharesBps;    // Prize / RON share per member, totals 10000
+        uint256 acceptedCount;  // Members who agreed to the shares (captain included)
+        uint256 tokenId;        // Shared NFT the team plays on (0 = none yet)
+        bool formed;            // Every member has accepted
+    }
+
+    // ============ EVENTS ============
+
+    event TeamRegistered(
+        uint256 indexed teamId,
+        uint256 indexed riddleId,
+        address indexed captain,
+        address[] members,
+        uint256[] sharesBps
+    );
+
+    event TeamInviteAccepted(
+        uint256 indexed teamId,
+        address indexed member
+    );
+
+    event TeamFormed(
+        uint256 indexed teamId,
+        uint256 indexed riddleId
+    );
+
+    event TeamDisbanded(
+        uint256 indexed teamId
+    );
+
+    event TokenAssignedToTeam(
+        uint256 indexed tokenId,
+        uint256 indexed teamId
+    );
+
+    // ============ TEAMS ============
+
+    function registerTeam(
+        uint256 riddleId,
+        address[] calldata members,
+        uint256[] calldata sharesBps
+    ) external returns (uint256 teamId);
+
+    function acceptTeamInvite(uint256 teamId) external;
+
+    function disbandTeam(uint256 teamId) external;
+
+    function assignTokenToTeam(uint256 tokenId, uint256 teamId) external;
+
+    function getTeam(uint256 teamId) external view returns (Team memory);
+
+    function teamOf(uint256 riddleId, address member) external view returns (uint256);
+
+    function tokenTeam(uint256 tokenId) external view returns (uint256);
+
+    // ============ RIDDLE NFT ============
+
+    function releaseToken(uint256 tokenId) external;
+
+    // ============ ADMIN FUNCTIONS ============
+
+    function updateMaxTeamSize(uint256 maxTeamSize) external;
+}
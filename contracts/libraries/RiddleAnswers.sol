@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "../interfaces/IRiddleNFT_v2.sol";
+import "./RiddleExpiry.sol";
+
+/**
+ * @title RiddleAnswers - Answer normalization and accepted-answer checks for RiddleNFT_v2
+ * @dev Linked library. Every hash is of the normalized answer; Merkle leaves over larger alternate
+ * sets are keccak256(abi.encodePacked(answerHash))
+ */
+library RiddleAnswers {
+
+    uint256 public constant MAX_ACCEPTED_ANSWERS = 10;
+
+    /**
+     * @dev Canonical form answers are hashed in: ASCII lowercased, leading/trailing whitespace
+     * trimmed and inner whitespace runs collapsed to one space. Non-ASCII bytes are kept as-is.
+     */
+    function normalize(string memory answer) external pure returns (string memory) {
+        bytes memory raw = bytes(answer);
+        bytes memory out = new bytes(raw.length);
+        uint256 length;
+        bool pendingSpace;
+
+        for (uint256 i = 0; i < raw.length; i++) {
+            bytes1 c = raw[i];
+            if (c == 0x20 || (c >= 0x09 && c <= 0x0D)) {
+                pendingSpace = length > 0;
+                continue;
+            }
+            if (pendingSpace) {
+                out[length++] = 0x20;
+                pendingSpace = false;
+            }
+            if (c >= 0x41 && c <= 0x5A) {
+                c = bytes1(uint8(c) + 32);
+            }
+            out[length++] = c;
+        }
+
+        bytes memory normalized = new bytes(length);
+        for (uint256 i = 0; i < length; i++) {
+            normalized[i] = out[i];
+        }
+        return string(normalized);
+    }
+
+    /**
+     * @dev Whether `answerHash` is the riddle's answer, one of its alternates, or proven against its root
+     */
+    function isAccepted(
+        bytes32 riddleAnswerHash,
+        bytes32[] storage alternates,
+        bytes32 root,
+        bytes32 answerHash,
+        bytes32[] memory proof
+    ) external view returns (bool) {
+        if (answerHash == riddleAnswerHash) return true;
+
+        for (uint256 i = 0; i < alternates.length; i++) {
+            if (alternates[i] == answerHash) return true;
+        }
+
+        return root != bytes32(0) && MerkleProof.verify(proof, root, keccak256(abi.encodePacked(answerHash)));
+    }
+
+    /**
+     * @dev Replaces a riddle's alternates; only while it is open and before anyone has solved it
+     */
+    function setAccepted(
+        IRiddleNFT.RiddleData storage riddle,
+        mapping(uint256 => bytes32[]) storage acceptedAnswerHashes,
+        mapping(uint256 => bytes32) storage acceptedAnswersRoot,
+        bytes32[] calldata answerHashes,
+        bytes32 merkleRoot
+    ) external {
+        require(RiddleExpiry.isOpen(riddle.status), "Riddle not active");
+        require(riddle.solverCount == 0, "Riddle already solved");
+        require(answerHashes.length <= MAX_ACCEPTED_ANSWERS, "Too many answers");
+
+        acceptedAnswerHashes[riddle.riddleId] = answerHashes;
+        acceptedAnswersRoot[riddle.riddleId] = merkleRoot;
+
+        emit IRiddleNFT.AcceptedAnswersUpdated(riddle.riddleId, answerHashes.length, merkleRoot);
+    }
+}
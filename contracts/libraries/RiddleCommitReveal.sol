@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "../interfaces/IRiddleNFT_v2.sol";
+
+/**
+ * @title RiddleCommitReveal - Answer commitments for RiddleNFT_v2
+ * @dev Linked library. A commitment binds the answer to both the token and the committing wallet, so a
+ * commitment copied from the mempool is useless to anyone else
+ */
+library RiddleCommitReveal {
+
+    /**
+     * @dev Records msg.sender's commitment on `tokenId`
+     * @param pendingFromPlayer Whether the stored commitment was made by someone who can still play the
+     * token; it must be revealed or expire first, while one left behind by a previous owner is replaced
+     */
+    function commit(
+        IRiddleNFT.AnswerCommitment storage slot,
+        uint256 tokenId,
+        uint256 riddleId,
+        bytes32 commitment,
+        bool pendingFromPlayer,
+        uint256 commitExpiryBlocks
+    ) external {
+        if (pendingFromPlayer) {
+            require(block.number > slot.commitBlock + commitExpiryBlocks, "Pending commitment");
+        }
+
+        slot.commitment = commitment;
+        slot.committer = msg.sender;
+        slot.commitBlock = block.number;
+
+        emit IRiddleNFT.AnswerCommitted(tokenId, riddleId, msg.sender, block.number);
+    }
+
+    /**
+     * @dev Checks msg.sender's reveal against their pending commitment and clears it
+     */
+    function consume(
+        IRiddleNFT.AnswerCommitment storage pending,
+        uint256 tokenId,
+        string memory answer,
+        bytes32 salt,
+        uint256 revealDelayBlocks,
+        uint256 commitExpiryBlocks
+    ) external {
+        require(pending.commitment != bytes32(0), "No commitment");
+        require(pending.committer == msg.sender, "Not committer");
+        require(block.number >= pending.commitBlock + revealDelayBlocks, "Reveal too early");
+        require(block.number <= pending.commitBlock + commitExpiryBlocks, "Commitment expired");
+        require(
+            computeCommitment(tokenId, msg.sender, answer, salt) == pending.commitment,
+            "Commitment mismatch"
+        );
+
+        delete pending.commitment;
+        delete pending.committer;
+        delete pending.commitBlock;
+    }
+
+    function computeCommitment(
+        uint256 tokenId,
+        address committer,
+        string memory answer,
+        bytes32 salt
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(tokenId, committer, answer, salt));
+    }
+}
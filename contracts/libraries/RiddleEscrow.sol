@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "../interfaces/IRDLN.sol";
+
+/**
+ * @title RiddleEscrow - Prize pool funding for RiddleNFT_v2
+ * @dev Linked library. Pools are pulled from the prize vault when one is set (it must approve RiddleNFT),
+ * otherwise minted from the RDLN prize allocation, which requires MINTER_ROLE on RDLN
+ */
+library RiddleEscrow {
+
+    /**
+     * @dev Moves `amount` of prize funding into RiddleNFT
+     */
+    function pull(IRDLN rdlnToken, address prizeVault, uint256 amount) external {
+        require(fundingAvailable(rdlnToken, prizeVault, amount), "Insufficient prize funding");
+        if (prizeVault != address(0)) {
+            require(rdlnToken.transferFrom(prizeVault, address(this), amount), "Prize funding failed");
+        } else {
+            rdlnToken.mintPrizePool(address(this), amount);
+        }
+    }
+
+    function fundingAvailable(IRDLN rdlnToken, address prizeVault, uint256 amount) public view returns (bool) {
+        if (prizeVault != address(0)) {
+            return rdlnToken.balanceOf(prizeVault) >= amount && rdlnToken.allowance(prizeVault, address(this)) >= amount;
+        }
+        (uint256 prizePoolRemaining, , , ) = rdlnToken.getRemainingAllocations();
+        return prizePoolRemaining >= amount;
+    }
+}
@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "../interfaces/IRiddleNFT_v2.sol";
+
+/**
+ * @title RiddleExpiry - Riddle expiry and prize sweep rules for RiddleNFT_v2
+ * @dev Linked library: validates and applies the status changes, emits the riddle's events and returns
+ * the amount RiddleNFT should hand back out of escrow. Deploy it and link it before deploying RiddleNFT
+ */
+library RiddleExpiry {
+
+    /**
+     * @dev Closes a riddle whose solve window has lapsed and starts its claim period
+     * @return unallocated Prize pool not allocated to a winner
+     */
+    function expire(
+        IRiddleNFT.RiddleData storage riddle,
+        uint256 claimPeriod
+    ) external returns (uint256 unallocated) {
+        require(isOpen(riddle.status), "Riddle not active");
+        require(block.timestamp >= riddle.releaseTime + riddle.solveWindow, "Solve window open");
+
+        riddle.status = IRiddleNFT.RiddleStatus.EXPIRED;
+        riddle.claimDeadline = block.timestamp + claimPeriod;
+
+        unallocated = riddle.params.prizePool - allocatedPrizes(riddle);
+        emit IRiddleNFT.RiddleExpired(riddle.riddleId, unallocated);
+    }
+
+    /**
+     * @dev Marks a closed riddle's escrow as swept once its claim deadline has passed
+     * @param unclaimed What is left in the riddle's escrow
+     */
+    function sweep(IRiddleNFT.RiddleData storage riddle, uint256 unclaimed) external {
+        require(riddle.claimDeadline != 0, "Riddle not closed");
+        require(block.timestamp > riddle.claimDeadline, "Claim period open");
+        require(!riddle.prizesSwept, "Already swept");
+
+        riddle.prizesSwept = true;
+        emit IRiddleNFT.UnclaimedPrizesSwept(riddle.riddleId, unclaimed);
+    }
+
+    function setSolveWindow(IRiddleNFT.RiddleData storage riddle, uint256 solveWindow) external {
+        require(isOpen(riddle.status), "Riddle closed");
+        require(solveWindow > 0, "Invalid window");
+        riddle.solveWindow = solveWindow;
+    }
+
+    /**
+     * @dev Whether a player can still attempt the riddle, and why not
+     * @param solved Whether the player has already solved it
+     */
+    function canAttempt(
+        IRiddleNFT.RiddleData storage riddle,
+        bool solved
+    ) external view returns (bool, string memory) {
+        if (riddle.status != IRiddleNFT.RiddleStatus.ACTIVE) {
+            return (false, "Riddle not active");
+        }
+
+        if (block.timestamp >= riddle.releaseTime + riddle.solveWindow) {
+            return (false, "Solve window closed");
+        }
+
+        if (solved) {
+            return (false, "User already solved this riddle");
+        }
+
+        return (true, "");
+    }
+
+    /**
+     * @dev What the riddle still owes: unclaimed prizes, plus the unallocated pool while it is active
+     */
+    function liabilities(IRiddleNFT.RiddleData storage riddle) external view returns (uint256) {
+        if (riddle.status == IRiddleNFT.RiddleStatus.ACTIVE) {
+            return riddle.params.prizePool - riddle.prizesClaimed;
+        }
+        if (isOpen(riddle.status) || riddle.prizesSwept) {
+            return 0;
+        }
+        return allocatedPrizes(riddle) - riddle.prizesClaimed;
+    }
+
+    function allocatedPrizes(IRiddleNFT.RiddleData storage riddle) internal view returns (uint256) {
+        // No winner slots until randomness has been fulfilled
+        if (riddle.params.winnerSlots == 0) return 0;
+        return riddle.solverCount * (riddle.params.prizePool / riddle.params.winnerSlots);
+    }
+
+    // Active, or released and still waiting for randomness or prize funding
+    function isOpen(IRiddleNFT.RiddleStatus status) internal pure returns (bool) {
+        return status == IRiddleNFT.RiddleStatus.ACTIVE ||
+            status == IRiddleNFT.RiddleStatus.PENDING_RANDOMNESS ||
+            status == IRiddleNFT.RiddleStatus.PENDING_FUNDING;
+    }
+}
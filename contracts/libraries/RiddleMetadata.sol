@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "../interfaces/IRiddleNFT_v2.sol";
+import "../interfaces/IRiddleMetadataRenderer.sol";
+
+/**
+ * @title RiddleMetadata - tokenURI display fields for RiddleNFT_v2
+ * @dev Linked library: collects a token's display fields and hands them to the metadata renderer
+ */
+library RiddleMetadata {
+
+    function tokenURI(
+        IRiddleMetadataRenderer renderer,
+        uint256 tokenId,
+        IRiddleNFT.NFTSolveData storage nft,
+        IRiddleNFT.RiddleData storage riddle
+    ) external view returns (string memory) {
+        return renderer.tokenURI(IRiddleMetadataRenderer.TokenMetadata({
+            tokenId: tokenId,
+            collection: "Riddlen Weekly",
+            editionLabel: "Week",
+            edition: riddle.weekNumber,
+            category: riddle.category,
+            difficulty: uint8(riddle.difficulty),
+            solved: nft.solved,
+            solver: nft.solver,
+            // The solving attempt is counted in failedAttempts as well
+            failedAttempts: nft.solved ? nft.failedAttempts - 1 : nft.failedAttempts,
+            prizeAmount: nft.prizeAmount,
+            prizeClaimed: nft.prizeClaimed
+        }));
+    }
+}
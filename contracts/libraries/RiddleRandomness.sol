@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "../interfaces/IRiddleNFT_v2.sol";
+
+/**
+ * @title RiddleRandomness - Riddle parameters derived from a random word
+ * @dev Linked library for RiddleNFT_v2. Each parameter reads different bits of the seed
+ */
+library RiddleRandomness {
+
+    function parameters(
+        IRiddleNFT.Difficulty difficulty,
+        uint256 seed,
+        uint256 mintCost
+    ) external pure returns (IRiddleNFT.RiddleParameters memory) {
+        // Randomize mint rate (10-1000)
+        uint256 maxMintRate = 10 + (seed % 991);
+
+        // Randomize prize pool based on difficulty (100K-10M RDLN)
+        uint256 minPrize = difficulty == IRiddleNFT.Difficulty.LEGENDARY ? 5_000_000e18 :
+                          difficulty == IRiddleNFT.Difficulty.HARD ? 1_000_000e18 :
+                          difficulty == IRiddleNFT.Difficulty.MEDIUM ? 500_000e18 : 100_000e18;
+        uint256 maxPrize = difficulty == IRiddleNFT.Difficulty.LEGENDARY ? 10_000_000e18 :
+                          difficulty == IRiddleNFT.Difficulty.HARD ? 5_000_000e18 :
+                          difficulty == IRiddleNFT.Difficulty.MEDIUM ? 2_000_000e18 : 1_000_000e18;
+        uint256 prizePool = minPrize + ((seed >> 8) % (maxPrize - minPrize));
+
+        // Randomize winner slots (1-100)
+        uint256 winnerSlots = 1 + ((seed >> 16) % 100);
+
+        return IRiddleNFT.RiddleParameters({
+            maxMintRate: maxMintRate,
+            prizePool: prizePool,
+            winnerSlots: winnerSlots,
+            mintCost: mintCost
+        });
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "../interfaces/IRiddleNFT_v2.sol";
+import "../royalties/RoyaltySplitter.sol";
+
+/**
+ * @title RiddleRoyalties - Per-token RoyaltySplitter clones for RiddleNFT_v2
+ * @dev Linked library. Clones are deployed by RiddleNFT with the token ID as salt, so each splitter's
+ * address is known (and can receive royalties) before it is deployed
+ */
+library RiddleRoyalties {
+
+    function splitterFor(address implementation, uint256 tokenId) public view returns (address) {
+        require(implementation != address(0), "Royalties not enabled");
+        return Clones.predictDeterministicAddress(implementation, bytes32(tokenId));
+    }
+
+    /**
+     * @dev Deploys the token's splitter with a fixed creator / minter split
+     */
+    function deploySplitter(
+        address implementation,
+        uint256 tokenId,
+        address creator,
+        address minter,
+        uint256 creatorShareBps
+    ) external returns (address splitter) {
+        require(implementation != address(0), "Royalties not enabled");
+        require(minter != address(0), "Nonexistent token");
+
+        splitter = splitterFor(implementation, tokenId);
+        require(splitter.code.length == 0, "Splitter already deployed");
+
+        Clones.cloneDeterministic(implementation, bytes32(tokenId));
+        RoyaltySplitter(payable(splitter)).initialize(creator, minter, creatorShareBps);
+
+        emit IRiddleNFT.RoyaltySplitterDeployed(tokenId, splitter, creator, minter);
+    }
+}
@@ -0,0 +1,236 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "../interfaces/IRiddleNFT_v2.sol";
+import "../interfaces/IRDLN.sol";
+import "../interfaces/IRON.sol";
+import "../interfaces/IRiddleHints.sol";
+import "../interfaces/IRiddleTeams.sol";
+import "../interfaces/IRiddleSolveHook.sol";
+
+/**
+ * @title RiddleSolving - Solve bookkeeping, RON awards and team prize splits for RiddleNFT_v2
+ * @dev Linked library, called by RiddleNFT with its own storage; token and RON calls are made as RiddleNFT
+ */
+library RiddleSolving {
+
+    uint256 public constant MAX_SOLVE_HOOKS = 5;
+
+    /**
+     * @dev Records a correct answer from msg.sender on `nft`, awards RON (held back for team tokens until
+     * the prize is claimed), notifies the solve hooks and closes the riddle once every winner slot is filled
+     * @param solvedBy hasUserSolvedRiddle entry for the riddle; a team solve counts for every member
+     */
+    function recordSolve(
+        uint256 tokenId,
+        IRiddleNFT.NFTSolveData storage nft,
+        IRiddleNFT.RiddleData storage riddle,
+        mapping(address => bool) storage solvedBy,
+        uint256 teamId,
+        IRiddleTeams teamRegistry,
+        IRiddleHints hintMarket,
+        IRON ronToken,
+        IRiddleSolveHook[] storage solveHooks,
+        uint256 claimPeriod
+    ) external {
+        require(riddle.solverCount < riddle.params.winnerSlots, "All winner slots filled");
+
+        nft.solved = true;
+        nft.solver = msg.sender;
+        nft.solveTime = block.timestamp;
+        riddle.solverCount++;
+
+        if (teamId == 0) {
+            solvedBy[msg.sender] = true;
+        } else {
+            address[] memory members = teamRegistry.getTeam(teamId).members;
+            for (uint256 i = 0; i < members.length; i++) {
+                solvedBy[members[i]] = true;
+            }
+        }
+
+        // Determine bonuses
+        bool isFirstSolver = (riddle.solverCount == 1);
+        uint256 solveTimeDiff = block.timestamp - riddle.releaseTime;
+        bool isSpeedSolver = solveTimeDiff <= 1 hours; // Top speed threshold
+
+        nft.wasFirstSolver = isFirstSolver;
+        nft.wasSpeedSolver = isSpeedSolver;
+
+        // Calculate prize amount (equal distribution among winners)
+        uint256 prizePerWinner = riddle.params.prizePool / riddle.params.winnerSlots;
+        nft.prizeAmount = prizePerWinner;
+
+        // Award RON reputation; each hint bought forfeits a bonus (speed first, then first-solver)
+        uint256 hintsUsed = address(hintMarket) == address(0) ? 0 : hintMarket.hintsPurchased(tokenId);
+        bool firstSolverBonus = isFirstSolver && hintsUsed < 2;
+        bool speedSolverBonus = isSpeedSolver && hintsUsed < 1;
+        uint256 ronEarned;
+        if (teamId == 0) {
+            ronEarned = ronToken.awardRON(
+                msg.sender,
+                IRON.RiddleDifficulty(uint256(riddle.difficulty)),
+                firstSolverBonus,
+                speedSolverBonus,
+                string(abi.encodePacked("Solved riddle ", toString(nft.riddleId)))
+            );
+        } else {
+            // Team RON is split across members by share when the prize is claimed
+            (uint256 baseReward, uint256 bonusReward) = ronToken.calculateRONReward(
+                IRON.RiddleDifficulty(uint256(riddle.difficulty)),
+                firstSolverBonus,
+                speedSolverBonus,
+                0
+            );
+            ronEarned = baseReward + bonusReward;
+        }
+        nft.ronEarned = ronEarned;
+
+        for (uint256 i = 0; i < solveHooks.length; i++) {
+            solveHooks[i].onRiddleSolved(msg.sender, nft.riddleId, uint8(riddle.difficulty), firstSolverBonus, speedSolverBonus);
+        }
+
+        emit IRiddleNFT.RiddleSolved(
+            tokenId,
+            nft.riddleId,
+            msg.sender,
+            nft.prizeAmount,
+            ronEarned,
+            isFirstSolver,
+            isSpeedSolver
+        );
+
+        // Check if riddle is complete
+        if (riddle.solverCount >= riddle.params.winnerSlots) {
+            riddle.status = IRiddleNFT.RiddleStatus.SOLVED;
+            riddle.claimDeadline = block.timestamp + claimPeriod;
+        }
+    }
+
+    /**
+     * @dev Pays a solved token's prize out of the riddle's escrow: to msg.sender, or for a team token
+     * split across the members by share
+     * @return amount Prize paid, for RiddleNFT's escrow and distribution totals
+     */
+    function claimPrize(
+        uint256 tokenId,
+        IRiddleNFT.NFTSolveData storage nft,
+        IRiddleNFT.RiddleData storage riddle,
+        mapping(uint256 => uint256) storage riddlePrizeEscrow,
+        uint256 teamId,
+        IRiddleTeams teamRegistry,
+        IRDLN rdlnToken,
+        IRON ronToken
+    ) external returns (uint256 amount) {
+        amount = nft.prizeAmount;
+        require(nft.solved, "NFT not solved");
+        require(!nft.prizeClaimed, "Prize already claimed");
+        require(amount > 0, "No prize to claim");
+        require(riddle.claimDeadline == 0 || block.timestamp <= riddle.claimDeadline, "Claim deadline passed");
+        require(riddlePrizeEscrow[nft.riddleId] >= amount, "Insufficient prize escrow");
+
+        nft.prizeClaimed = true;
+        riddle.prizesClaimed += amount;
+        riddlePrizeEscrow[nft.riddleId] -= amount;
+
+        if (teamId == 0) {
+            require(rdlnToken.transfer(msg.sender, amount), "Prize transfer failed");
+        } else {
+            payTeamShares(tokenId, teamId, nft, riddle.difficulty, teamRegistry, rdlnToken, ronToken);
+        }
+
+        emit IRiddleNFT.PrizeClaimed(tokenId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Called by RiddleNFT before a team token moves
+     */
+    function releaseTeamToken(
+        uint256 tokenId,
+        IRiddleNFT.NFTSolveData storage nft,
+        uint256 claimDeadline,
+        IRiddleTeams teamRegistry
+    ) external {
+        if (!nft.solved) {
+            // Leaving the owner's hands ends team play on this token
+            teamRegistry.releaseToken(tokenId);
+        } else if (!nft.prizeClaimed) {
+            // Members' shares must be paid out (or the claim period lapse) before the token moves
+            require(claimDeadline != 0 && block.timestamp > claimDeadline, "Team prize unclaimed");
+        }
+    }
+
+    /**
+     * @dev Splits a claimed team token's prize and RON across the members by share
+     */
+    function payTeamShares(
+        uint256 tokenId,
+        uint256 teamId,
+        IRiddleNFT.NFTSolveData storage nft,
+        IRiddleNFT.Difficulty difficulty,
+        IRiddleTeams teamRegistry,
+        IRDLN rdlnToken,
+        IRON ronToken
+    ) internal {
+        IRiddleTeams.Team memory team = teamRegistry.getTeam(teamId);
+        uint256 prizeRemaining = nft.prizeAmount;
+        uint256 ronRemaining = nft.ronEarned;
+        uint256 last = team.members.length - 1;
+        string memory reason = string(abi.encodePacked("Team solved riddle ", toString(nft.riddleId)));
+
+        for (uint256 i = 0; i <= last; i++) {
+            // Last member takes the rounding remainder
+            uint256 prizeShare = i == last ? prizeRemaining : (nft.prizeAmount * team.sharesBps[i]) / 10000;
+            uint256 ronShare = i == last ? ronRemaining : (nft.ronEarned * team.sharesBps[i]) / 10000;
+            prizeRemaining -= prizeShare;
+            ronRemaining -= ronShare;
+
+            address member = team.members[i];
+            require(rdlnToken.transfer(member, prizeShare), "Prize transfer failed");
+            if (ronShare > 0) {
+                ronToken.awardTeamRON(member, IRON.RiddleDifficulty(uint256(difficulty)), ronShare, reason);
+            }
+
+            emit IRiddleNFT.TeamShareClaimed(tokenId, teamId, member, prizeShare, ronShare);
+        }
+    }
+
+    function addSolveHook(IRiddleSolveHook[] storage solveHooks, address hook) external {
+        require(hook != address(0), "Invalid hook address");
+        require(solveHooks.length < MAX_SOLVE_HOOKS, "Too many solve hooks");
+        for (uint256 i = 0; i < solveHooks.length; i++) {
+            require(address(solveHooks[i]) != hook, "Hook already added");
+        }
+        solveHooks.push(IRiddleSolveHook(hook));
+    }
+
+    function removeSolveHook(IRiddleSolveHook[] storage solveHooks, address hook) external {
+        for (uint256 i = 0; i < solveHooks.length; i++) {
+            if (address(solveHooks[i]) == hook) {
+                solveHooks[i] = solveHooks[solveHooks.length - 1];
+                solveHooks.pop();
+                return;
+            }
+        }
+        revert("Hook not found");
+    }
+
+    function toString(uint256 value) internal pure returns (string memory) {
+        if (value == 0) {
+            return "0";
+        }
+        uint256 temp = value;
+        uint256 digits;
+        while (temp != 0) {
+            digits++;
+            temp /= 10;
+        }
+        bytes memory buffer = new bytes(digits);
+        while (value != 0) {
+            digits -= 1;
+            buffer[digits] = bytes1(uint8(48 + uint256(value % 10)));
+            value /= 10;
+        }
+        return string(buffer);
+    }
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "../interfaces/IRiddleMetadataRenderer.sol";
+
+/**
+ * @title RiddleMetadataRenderer - Fully on-chain JSON + SVG metadata for riddle NFTs
+ * @dev Stateless; returns a base64 data URI so wallets and marketplaces need no off-chain server.
+ * The NFT contracts hold a swappable reference and emit ERC-4906 events when the state it renders changes.
+ */
+contract RiddleMetadataRenderer is IRiddleMetadataRenderer {
+    using Strings for uint256;
+    using Strings for address;
+
+    function tokenURI(TokenMetadata calldata data) external pure returns (string memory) {
+        string memory json = string(abi.encodePacked(
+            '{"name":"', _escape(data.collection, false), ' #', data.tokenId.toString(),
+            '","description":"', _escape(data.collection, false), ' riddle NFT. Metadata is generated on-chain and updates as the riddle is solved.',
+            '","image":"data:image/svg+xml;base64,', Base64.encode(bytes(_svg(data))),
+            '","attributes":', _attributes(data),
+            '}'
+        ));
+
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(bytes(json))));
+    }
+
+    function _attributes(TokenMetadata calldata data) internal pure returns (string memory) {
+        return string(abi.encodePacked(
+            '[{"trait_type":"', data.editionLabel, '","display_type":"number","value":', data.edition.toString(),
+            '},{"trait_type":"Category","value":"', _escape(data.category, false),
+            '"},{"trait_type":"Difficulty","value":"', _difficultyName(data.difficulty),
+            '"},{"trait_type":"Status","value":"', _status(data),
+            '"},{"trait_type":"Solver","value":"', data.solved ? data.solver.toHexString() : "None",
+            '"},{"trait_type":"Failed Attempts","display_type":"number","value":', data.failedAttempts.toString(),
+            '},{"trait_type":"Prize (RDLN)","display_type":"number","value":', (data.prizeAmount / 1e18).toString(),
+            '}]'
+        ));
+    }
+
+    function _svg(TokenMetadata calldata data) internal pure returns (string memory) {
+        return string(abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400" font-family="monospace">',
+            '<rect width="400" height="400" fill="', _difficultyColor(data.difficulty), '"/>',
+            '<rect x="16" y="16" width="368" height="368" rx="12" fill="#0d1117" fill-opacity="0.85"/>',
+            '<text x="32" y="56" font-size="18" fill="#ffffff">', _escape(data.collection, true), '</text>',
+            '<text x="32" y="92" font-size="28" fill="#ffffff">', data.editionLabel, ' ', data.edition.toString(), '</text>',
+            _svgDetails(data),
+            '</svg>'
+        ));
+    }
+
+    function _svgDetails(TokenMetadata calldata data) internal pure returns (string memory) {
+        return string(abi.encodePacked(
+            '<text x="32" y="140" font-size="16" fill="#c9d1d9">', _escape(data.category, true), ' / ', _difficultyName(data.difficulty), '</text>',
+            '<text x="32" y="200" font-size="32" fill="', data.solved ? "#3fb950" : "#f0883e", '">', _status(data), '</text>',
+            '<text x="32" y="250" font-size="12" fill="#c9d1d9">Solver: ', data.solved ? data.solver.toHexString() : "-", '</text>',
+            '<text x="32" y="290" font-size="16" fill="#c9d1d9">Failed attempts: ', data.failedAttempts.toString(), '</text>',
+            '<text x="32" y="330" font-size="16" fill="#c9d1d9">Prize: ', (data.prizeAmount / 1e18).toString(), ' RDLN</text>'
+        ));
+    }
+
+    function _status(TokenMetadata calldata data) internal pure returns (string memory) {
+        if (!data.solved) return "UNSOLVED";
+        return data.prizeClaimed ? "PRIZE CLAIMED" : "SOLVED";
+    }
+
+    function _difficultyName(uint8 difficulty) internal pure returns (string memory) {
+        if (difficulty == 0) return "Easy";
+        if (difficulty == 1) return "Medium";
+        if (difficulty == 2) return "Hard";
+        return "Legendary";
+    }
+
+    function _difficultyColor(uint8 difficulty) internal pure returns (string memory) {
+        if (difficulty == 0) return "#2ea043";
+        if (difficulty == 1) return "#1f6feb";
+        if (difficulty == 2) return "#a371f7";
+        return "#d29922";
+    }
+
+    /**
+     * @dev Escapes creator-supplied text for a JSON string (forXML = false) or SVG text node (forXML = true)
+     */
+    function _escape(string memory input, bool forXML) internal pure returns (string memory) {
+        bytes memory raw = bytes(input);
+        bytes memory out;
+
+        for (uint256 i = 0; i < raw.length; i++) {
+            bytes1 c = raw[i];
+            if (forXML && c == "&") {
+                out = abi.encodePacked(out, "&amp;");
+            } else if (forXML && c == "<") {
+                out = abi.encodePacked(out, "&lt;");
+            } else if (forXML && c == ">") {
+                out = abi.encodePacked(out, "&gt;");
+            } else if (!forXML && (c == '"' || c == "\\")) {
+                out = abi.encodePacked(out, "\\", c);
+            } else if (!forXML && uint8(c) < 0x20) {
+                out = abi.encodePacked(out, " "); // Control characters are not valid in JSON strings
+            } else {
+                out = abi.encodePacked(out, c);
+            }
+        }
+
+        return string(out);
+    }
+}
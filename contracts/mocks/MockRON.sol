@@ -1,13 +1,18 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 
 /**
  * @title MockRON
  * @dev Mock RON (Riddlen Oracle Network) token for testing
- * Simulates soul-bound reputation tokens with settable balances
+ * Simulates soul-bound reputation tokens with settable, checkpointed balances
  */
 contract MockRON {
+    using Checkpoints for Checkpoints.Trace208;
+
     mapping(address => uint256) private _balances;
+    mapping(address => Checkpoints.Trace208) private _checkpoints;
 
     event BalanceSet(address indexed account, uint256 balance);
 
@@ -27,6 +32,7 @@ contract MockRON {
      */
     function setBalance(address account, uint256 balance) external {
         _balances[account] = balance;
+        _checkpoints[account].push(clock(), uint208(balance));
         emit BalanceSet(account, balance);
     }
 
@@ -43,6 +49,7 @@ contract MockRON {
 
         for (uint256 i = 0; i < accounts.length; i++) {
             _balances[accounts[i]] = balances[i];
+            _checkpoints[accounts[i]].push(clock(), uint208(balances[i]));
             emit BalanceSet(accounts[i], balances[i]);
         }
     }
@@ -54,6 +61,7 @@ contract MockRON {
      */
     function increaseBalance(address account, uint256 amount) external {
         _balances[account] += amount;
+        _checkpoints[account].push(clock(), uint208(_balances[account]));
         emit BalanceSet(account, _balances[account]);
     }
 
@@ -64,7 +72,20 @@ contract MockRON {
     function resetBalances(address[] calldata accounts) external {
         for (uint256 i = 0; i < accounts.length; i++) {
             _balances[accounts[i]] = 0;
+            _checkpoints[accounts[i]].push(clock(), 0);
             emit BalanceSet(accounts[i], 0);
         }
     }
-}
\ No newline at end of file
+
+    function clock() public view returns (uint48) {
+        return uint48(block.timestamp);
+    }
+
+    /**
+     * @dev Balance at the end of a past timepoint (IRONCheckpoints)
+     */
+    function getPastRON(address account, uint256 timepoint) external view returns (uint256) {
+        require(timepoint < clock(), "Future lookup");
+        return _checkpoints[account].upperLookupRecent(uint48(timepoint));
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../interfaces/IBurnSwapAdapter.sol";
+
+/**
+ * @title MockSwapAdapter
+ * @dev Fixed-rate native to RDLN swap for testing the native resale burn path
+ * Must be pre-funded with RDLN
+ */
+contract MockSwapAdapter is IBurnSwapAdapter {
+    IERC20 public immutable rdlnToken;
+    uint256 public rate; // RDLN (wei) received per 1e18 native wei
+
+    event Swapped(address indexed caller, uint256 nativeIn, uint256 rdlnOut);
+
+    constructor(address _rdlnToken, uint256 _rate) {
+        rdlnToken = IERC20(_rdlnToken);
+        rate = _rate;
+    }
+
+    /**
+     * @dev Set the fixed swap rate
+     * @param _rate RDLN per 1e18 native wei
+     */
+    function setRate(uint256 _rate) external {
+        rate = _rate;
+    }
+
+    function swapNativeForRDLN(uint256 minRDLNOut) external payable returns (uint256 rdlnOut) {
+        rdlnOut = (msg.value * rate) / 1e18;
+        require(rdlnOut >= minRDLNOut, "Insufficient output amount");
+        require(rdlnToken.transfer(msg.sender, rdlnOut), "RDLN transfer failed");
+
+        emit Swapped(msg.sender, msg.value, rdlnOut);
+    }
+}
@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@chainlink/contracts/src/v0.8/vrf/VRFConsumerBaseV2.sol";
+
+/**
+ * @title MockVRFCoordinatorV2
+ * @dev Minimal Chainlink VRF v2 coordinator for local testing
+ * Requests are queued and fulfilled on demand with deterministic or caller-supplied words
+ */
+contract MockVRFCoordinatorV2 {
+    struct Request {
+        address consumer;
+        uint32 numWords;
+        bool fulfilled;
+    }
+
+    uint256 public nextRequestId = 1;
+    mapping(uint256 => Request) public requests;
+
+    event RandomWordsRequested(
+        uint256 indexed requestId,
+        address indexed consumer,
+        bytes32 keyHash,
+        uint64 subId,
+        uint32 numWords
+    );
+
+    event RandomWordsFulfilled(uint256 indexed requestId, bool success);
+
+    /**
+     * @dev Same signature as VRFCoordinatorV2Interface.requestRandomWords
+     */
+    function requestRandomWords(
+        bytes32 keyHash,
+        uint64 subId,
+        uint16,
+        uint32,
+        uint32 numWords
+    ) external returns (uint256 requestId) {
+        requestId = nextRequestId++;
+        requests[requestId] = Request({
+            consumer: msg.sender,
+            numWords: numWords,
+            fulfilled: false
+        });
+
+        emit RandomWordsRequested(requestId, msg.sender, keyHash, subId, numWords);
+    }
+
+    /**
+     * @dev Fulfil a request with words derived from the request ID
+     * @param requestId Request to fulfil
+     */
+    function fulfillRandomWords(uint256 requestId) external {
+        Request memory request = requests[requestId];
+        uint256[] memory words = new uint256[](request.numWords);
+        for (uint256 i = 0; i < words.length; i++) {
+            words[i] = uint256(keccak256(abi.encode(requestId, i)));
+        }
+        fulfillRandomWordsWithOverride(requestId, words);
+    }
+
+    /**
+     * @dev Fulfil a request with caller-supplied words
+     * @param requestId Request to fulfil
+     * @param words Random words to deliver
+     */
+    function fulfillRandomWordsWithOverride(uint256 requestId, uint256[] memory words) public {
+        Request storage request = requests[requestId];
+        require(request.consumer != address(0), "Nonexistent request");
+        require(!request.fulfilled, "Already fulfilled");
+        require(words.length == request.numWords, "Wrong word count");
+
+        request.fulfilled = true;
+
+        // Like the real coordinator, a reverting consumer does not revert the fulfilment
+        (bool success, ) = request.consumer.call(
+            abi.encodeWithSelector(VRFConsumerBaseV2.rawFulfillRandomWords.selector, requestId, words)
+        );
+
+        emit RandomWordsFulfilled(requestId, success);
+    }
+}
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "../interfaces/IRiddleHints.sol";
+import "../interfaces/IRiddleNFT_v2.sol";
+import "../interfaces/IRDLN.sol";
+
+/**
+ * @title RiddleHints - Hint marketplace for Riddlen Weekly NFTs
+ * @dev Riddle creators append hints; players of a token buy them in order for n * hintBasePrice RDLN.
+ * Proceeds follow RiddleNFT's burn protocol split and any remainder goes to the riddle creator.
+ * @notice Registered on RiddleNFT with setHintMarket. Needs no roles on RiddleNFT or RDLN
+ */
+contract RiddleHints is AccessControl, ReentrancyGuard, Pausable, IRiddleHints {
+
+    // ============ CONSTANTS ============
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    // ============ STATE VARIABLES ============
+
+    IRiddleNFT public immutable riddleNFT;
+    IRDLN public immutable rdlnToken;
+
+    uint256 public hintBasePrice = 10e18; // Hint n (1-based) costs n * hintBasePrice
+    mapping(uint256 => string[]) private riddleHints; // riddleId => encrypted / IPFS hint URIs
+    mapping(uint256 => uint256) public hintsPurchased; // tokenId => hints bought (follows the NFT on resale)
+
+    uint256 public totalBurned; // RDLN burned from hint sales
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(address _riddleNFT, address _rdlnToken, address _admin) {
+        require(_riddleNFT != address(0), "Invalid RiddleNFT address");
+        require(_rdlnToken != address(0), "Invalid RDLN address");
+        require(_admin != address(0), "Invalid admin address");
+
+        riddleNFT = IRiddleNFT(_riddleNFT);
+        rdlnToken = IRDLN(_rdlnToken);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(ADMIN_ROLE, _admin);
+    }
+
+    // ============ HINTS ============
+
+    /**
+     * @dev Appends hints to a riddle; hints are sold in the order they were added
+     * @param hints Encrypted or IPFS hint URIs
+     */
+    function addRiddleHints(uint256 riddleId, string[] calldata hints) external {
+        IRiddleNFT.RiddleData memory riddle = riddleNFT.getRiddle(riddleId);
+        require(riddle.riddleId > 0, "Invalid riddle");
+        require(msg.sender == riddle.creator || hasRole(ADMIN_ROLE, msg.sender), "Not riddle creator");
+        require(
+            riddle.status == IRiddleNFT.RiddleStatus.ACTIVE ||
+            riddle.status == IRiddleNFT.RiddleStatus.PENDING_RANDOMNESS ||
+            riddle.status == IRiddleNFT.RiddleStatus.PENDING_FUNDING,
+            "Riddle not active"
+        );
+        require(hints.length > 0, "No hints");
+
+        for (uint256 i = 0; i < hints.length; i++) {
+            require(bytes(hints[i]).length > 0, "Empty hint");
+            riddleHints[riddleId].push(hints[i]);
+        }
+
+        emit HintsAdded(riddleId, riddleHints[riddleId].length);
+    }
+
+    /**
+     * @dev Buys the token's next hint. Callable by anyone who can play the token (owner or team member).
+     * Buying hints reduces the RON bonuses awarded on solve.
+     */
+    function purchaseHint(uint256 tokenId) external nonReentrant whenNotPaused returns (string memory hint) {
+        require(riddleNFT.canPlay(tokenId, msg.sender), "Not token owner");
+
+        IRiddleNFT.NFTSolveData memory nft = riddleNFT.getNFTSolveData(tokenId);
+        IRiddleNFT.RiddleData memory riddle = riddleNFT.getRiddle(nft.riddleId);
+
+        require(riddle.status == IRiddleNFT.RiddleStatus.ACTIVE, "Riddle not active");
+        require(block.timestamp < riddle.releaseTime + riddle.solveWindow, "Solve window closed");
+        require(!nft.solved, "Already solved");
+
+        uint256 hintIndex = hintsPurchased[tokenId];
+        require(hintIndex < riddleHints[nft.riddleId].length, "No hints remaining");
+
+        uint256 price = getHintPrice(tokenId);
+        require(rdlnToken.transferFrom(msg.sender, address(this), price), "RDLN transfer failed");
+
+        hintsPurchased[tokenId] = hintIndex + 1;
+        _distributeHintProceeds(price, riddle.creator);
+
+        emit HintPurchased(tokenId, nft.riddleId, msg.sender, hintIndex, price);
+
+        return riddleHints[nft.riddleId][hintIndex];
+    }
+
+    function _distributeHintProceeds(uint256 price, address creator) internal {
+        uint256 burnAmount = (price * riddleNFT.burnPercent()) / 10000;
+        uint256 grandPrizeAmount = (price * riddleNFT.grandPrizePercent()) / 10000;
+        uint256 devOpsAmount = (price * riddleNFT.devOpsPercent()) / 10000;
+        uint256 creatorAmount = price - burnAmount - grandPrizeAmount - devOpsAmount;
+
+        ERC20Burnable(address(rdlnToken)).burn(burnAmount);
+        totalBurned += burnAmount;
+
+        require(rdlnToken.transfer(riddleNFT.grandPrizeWallet(), grandPrizeAmount), "Grand Prize payment failed");
+        require(rdlnToken.transfer(riddleNFT.devOpsWallet(), devOpsAmount), "DevOps payment failed");
+        if (creatorAmount > 0) {
+            require(rdlnToken.transfer(creator, creatorAmount), "Creator payment failed");
+        }
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    /**
+     * @dev Price of the token's next hint
+     */
+    function getHintPrice(uint256 tokenId) public view returns (uint256) {
+        return (hintsPurchased[tokenId] + 1) * hintBasePrice;
+    }
+
+    function getHintCount(uint256 riddleId) external view returns (uint256) {
+        return riddleHints[riddleId].length;
+    }
+
+    /**
+     * @dev Hint content for a hint the token has already bought
+     */
+    function getPurchasedHint(uint256 tokenId, uint256 hintIndex) external view returns (string memory) {
+        require(hintIndex < hintsPurchased[tokenId], "Hint not purchased");
+        return riddleHints[riddleNFT.getNFTSolveData(tokenId).riddleId][hintIndex];
+    }
+
+    // ============ ADMIN FUNCTIONS ============
+
+    function updateHintBasePrice(uint256 _hintBasePrice) external onlyRole(ADMIN_ROLE) {
+        require(_hintBasePrice > 0, "Invalid hint price");
+        hintBasePrice = _hintBasePrice;
+    }
+
+    function pause() external onlyRole(ADMIN_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(ADMIN_ROLE) {
+        _unpause();
+    }
+}
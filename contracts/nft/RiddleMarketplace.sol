@@ -0,0 +1,396 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "../interfaces/IRiddleMarketplace.sol";
+import "../interfaces/IRiddleNFT_v2.sol";
+import "../interfaces/IRDLN.sol";
+import "../interfaces/IBurnSwapAdapter.sol";
+
+/**
+ * @title RiddleMarketplace - Secondary market for Riddlen Weekly NFTs
+ * @dev Fixed-price listings in RDLN or native currency, RDLN English auctions and standing offers
+ * (per token or collection-wide). Each sale pays the token's ERC-2981 royalty off
+ * the top and splits the rest by RiddleNFT's commission rates: the burn share is burned (native sales swap
+ * it into RDLN first) and the grand-prize and dev/ops shares go to RiddleNFT's wallets.
+ * @notice Sellers approve this contract on RiddleNFT before listing, auctioning or accepting offers. Needs no roles on RiddleNFT or RDLN
+ */
+contract RiddleMarketplace is AccessControl, ReentrancyGuard, Pausable, IRiddleMarketplace {
+
+    // ============ CONSTANTS ============
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    // ============ STATE VARIABLES ============
+
+    IRiddleNFT public immutable riddleNFT;
+    IRDLN public immutable rdlnToken;
+
+    // Swaps the burn share of native-currency sales into RDLN so it can be burned
+    IBurnSwapAdapter public burnSwapAdapter;
+
+    mapping(uint256 => Listing) public listings;
+
+    // Auctions and standing offers (RDLN, escrowed by this contract)
+    uint256 public constant MIN_AUCTION_DURATION = 1 hours;
+    uint256 public constant MAX_AUCTION_DURATION = 30 days;
+    uint256 public constant MAX_OFFER_DURATION = 90 days;
+    uint256 public constant COLLECTION_OFFER = 0; // Offer key for collection-wide offers
+
+    uint256 public auctionExtensionWindow = 10 minutes; // Anti-sniping extension
+    uint256 public minBidIncrementBps = 500;            // 5% over the current highest bid
+
+    mapping(uint256 => Auction) public auctions;
+    mapping(uint256 => mapping(address => Offer)) public offers; // tokenId (0 = collection) => bidder => offer
+
+    uint256 public totalBurned; // RDLN burned from sale commissions
+
+    // ============ MODIFIERS ============
+
+    modifier onlyTokenOwner(uint256 tokenId) {
+        require(riddleNFT.ownerOf(tokenId) == msg.sender, "Not token owner");
+        _;
+    }
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(address _riddleNFT, address _rdlnToken, address _admin) {
+        require(_riddleNFT != address(0), "Invalid RiddleNFT address");
+        require(_rdlnToken != address(0), "Invalid RDLN address");
+        require(_admin != address(0), "Invalid admin address");
+
+        riddleNFT = IRiddleNFT(_riddleNFT);
+        rdlnToken = IRDLN(_rdlnToken);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(ADMIN_ROLE, _admin);
+    }
+
+    // ============ LISTINGS ============
+
+    function setResalePrice(uint256 tokenId, uint256 price) external onlyTokenOwner(tokenId) {
+        _setListing(tokenId, price, false);
+    }
+
+    function setNativeResalePrice(uint256 tokenId, uint256 price) external onlyTokenOwner(tokenId) {
+        _setListing(tokenId, price, true);
+    }
+
+    /**
+     * @dev A zero price delists the token
+     */
+    function _setListing(uint256 tokenId, uint256 price, bool native) internal {
+        if (price == 0) {
+            delete listings[tokenId];
+            return;
+        }
+
+        require(
+            riddleNFT.isApprovedForAll(msg.sender, address(this)) || riddleNFT.getApproved(tokenId) == address(this),
+            "Marketplace not approved"
+        );
+        listings[tokenId] = Listing({seller: msg.sender, price: price, native: native});
+    }
+
+    function buyNFT(uint256 tokenId) external nonReentrant whenNotPaused {
+        Listing memory listing = _activeListing(tokenId);
+        require(!listing.native, "Listed in native currency");
+
+        require(rdlnToken.transferFrom(msg.sender, address(this), listing.price), "RDLN transfer failed");
+
+        _settleRDLNSale(tokenId, listing.seller, msg.sender, listing.price);
+    }
+
+    function buyNFTWithNative(
+        uint256 tokenId,
+        uint256 minRDLNBurned
+    ) external payable nonReentrant whenNotPaused {
+        Listing memory listing = _activeListing(tokenId);
+        require(listing.native, "Listed in RDLN");
+        require(address(burnSwapAdapter) != address(0), "Swap adapter not set");
+        require(msg.value >= listing.price, "Insufficient payment");
+
+        SaleProceeds memory proceeds = _settleSale(tokenId, listing.seller, msg.sender, listing.price);
+
+        // Swap the burn share into RDLN and burn what comes back
+        if (proceeds.burnAmount > 0) {
+            uint256 rdlnBurned = burnSwapAdapter.swapNativeForRDLN{value: proceeds.burnAmount}(minRDLNBurned);
+            ERC20Burnable(address(rdlnToken)).burn(rdlnBurned);
+            totalBurned += rdlnBurned;
+
+            emit NativeBurnSwapped(tokenId, proceeds.burnAmount, rdlnBurned);
+        }
+
+        // Distribute payments with call: splitter clones and contract wallets need more than 2300 gas
+        if (proceeds.royaltyAmount > 0) {
+            _sendNative(proceeds.royaltyReceiver, proceeds.royaltyAmount, "Royalty payment failed");
+        }
+        _sendNative(listing.seller, proceeds.sellerAmount, "Seller payment failed");
+        _sendNative(riddleNFT.grandPrizeWallet(), proceeds.grandPrizeAmount, "Grand Prize payment failed");
+        _sendNative(riddleNFT.devOpsWallet(), proceeds.devOpsAmount, "DevOps payment failed");
+
+        // Refund excess payment
+        if (msg.value > listing.price) {
+            _sendNative(msg.sender, msg.value - listing.price, "Refund failed");
+        }
+    }
+
+    function getResaleInfo(uint256 tokenId) external view returns (
+        bool forSale,
+        uint256 price,
+        address seller
+    ) {
+        Listing memory listing = listings[tokenId];
+        if (_isLive(tokenId, listing)) {
+            return (true, listing.price, listing.seller);
+        }
+    }
+
+    function _activeListing(uint256 tokenId) internal view returns (Listing memory listing) {
+        listing = listings[tokenId];
+        require(_isLive(tokenId, listing), "NFT not for sale");
+    }
+
+    // Listings by a previous owner stay on record but can no longer be bought
+    function _isLive(uint256 tokenId, Listing memory listing) internal view returns (bool) {
+        return listing.price > 0 && riddleNFT.ownerOf(tokenId) == listing.seller;
+    }
+
+    // ============ AUCTIONS AND OFFERS ============
+
+    function createAuction(
+        uint256 tokenId,
+        uint256 reservePrice,
+        uint256 duration
+    ) external nonReentrant whenNotPaused onlyTokenOwner(tokenId) {
+        require(reservePrice > 0, "Invalid reserve price");
+        require(duration >= MIN_AUCTION_DURATION && duration <= MAX_AUCTION_DURATION, "Invalid auction duration");
+
+        // Token is held by the marketplace until the auction settles or is cancelled
+        delete listings[tokenId];
+        riddleNFT.transferFrom(msg.sender, address(this), tokenId);
+
+        auctions[tokenId] = Auction({
+            seller: msg.sender,
+            reservePrice: reservePrice,
+            endTime: block.timestamp + duration,
+            highestBidder: address(0),
+            highestBid: 0,
+            active: true
+        });
+
+        emit AuctionCreated(tokenId, msg.sender, reservePrice, block.timestamp + duration);
+    }
+
+    function placeBid(uint256 tokenId, uint256 amount) external nonReentrant whenNotPaused {
+        Auction storage auction = auctions[tokenId];
+        require(auction.active, "No active auction");
+        require(block.timestamp < auction.endTime, "Auction ended");
+        require(msg.sender != auction.seller, "Seller cannot bid");
+        require(amount >= auction.reservePrice, "Bid below reserve");
+        require(
+            amount >= auction.highestBid + (auction.highestBid * minBidIncrementBps) / 10000 &&
+            amount > auction.highestBid,
+            "Bid increment too low"
+        );
+
+        require(rdlnToken.transferFrom(msg.sender, address(this), amount), "RDLN transfer failed");
+
+        // Refund the previous highest bidder
+        address previousBidder = auction.highestBidder;
+        uint256 previousBid = auction.highestBid;
+
+        auction.highestBidder = msg.sender;
+        auction.highestBid = amount;
+
+        if (previousBidder != address(0)) {
+            require(rdlnToken.transfer(previousBidder, previousBid), "Bid refund failed");
+        }
+
+        emit BidPlaced(tokenId, msg.sender, amount);
+
+        // Anti-sniping: late bids push the end time out
+        if (auction.endTime - block.timestamp < auctionExtensionWindow) {
+            auction.endTime = block.timestamp + auctionExtensionWindow;
+            emit AuctionExtended(tokenId, auction.endTime);
+        }
+    }
+
+    function settleAuction(uint256 tokenId) external nonReentrant whenNotPaused {
+        Auction memory auction = auctions[tokenId];
+        require(auction.active, "No active auction");
+        require(block.timestamp >= auction.endTime, "Auction not ended");
+
+        delete auctions[tokenId];
+
+        if (auction.highestBidder == address(0)) {
+            // Reserve never met: return the token
+            riddleNFT.transferFrom(address(this), auction.seller, tokenId);
+        } else {
+            _settleRDLNSale(tokenId, auction.seller, auction.highestBidder, auction.highestBid);
+        }
+
+        emit AuctionSettled(tokenId, auction.seller, auction.highestBidder, auction.highestBid);
+    }
+
+    function cancelAuction(uint256 tokenId) external nonReentrant {
+        Auction memory auction = auctions[tokenId];
+        require(auction.active, "No active auction");
+        require(auction.seller == msg.sender, "Not auction seller");
+        require(auction.highestBidder == address(0), "Auction has bids");
+
+        delete auctions[tokenId];
+        riddleNFT.transferFrom(address(this), auction.seller, tokenId);
+
+        emit AuctionCancelled(tokenId, auction.seller);
+    }
+
+    /**
+     * @dev Escrow an RDLN offer for a token; tokenId 0 makes a collection-wide offer
+     * accepted by any holder. Replaces (and refunds) the caller's previous offer.
+     */
+    function makeOffer(
+        uint256 tokenId,
+        uint256 amount,
+        uint256 duration
+    ) external nonReentrant whenNotPaused {
+        require(amount > 0, "Invalid offer amount");
+        require(duration > 0 && duration <= MAX_OFFER_DURATION, "Invalid offer duration");
+        if (tokenId != COLLECTION_OFFER) {
+            require(riddleNFT.ownerOf(tokenId) != msg.sender, "Cannot offer on own token");
+        }
+
+        require(rdlnToken.transferFrom(msg.sender, address(this), amount), "RDLN transfer failed");
+
+        uint256 previousAmount = offers[tokenId][msg.sender].amount;
+        offers[tokenId][msg.sender] = Offer({
+            amount: amount,
+            expiresAt: block.timestamp + duration
+        });
+
+        if (previousAmount > 0) {
+            require(rdlnToken.transfer(msg.sender, previousAmount), "Offer refund failed");
+        }
+
+        emit OfferMade(tokenId, msg.sender, amount, block.timestamp + duration);
+    }
+
+    function cancelOffer(uint256 tokenId) external nonReentrant {
+        uint256 amount = offers[tokenId][msg.sender].amount;
+        require(amount > 0, "No offer");
+
+        delete offers[tokenId][msg.sender];
+        require(rdlnToken.transfer(msg.sender, amount), "Offer refund failed");
+
+        emit OfferCancelled(tokenId, msg.sender);
+    }
+
+    function acceptOffer(uint256 tokenId, address bidder) external nonReentrant whenNotPaused onlyTokenOwner(tokenId) {
+        _acceptOffer(tokenId, tokenId, bidder);
+    }
+
+    function acceptCollectionOffer(
+        uint256 tokenId,
+        address bidder
+    ) external nonReentrant whenNotPaused onlyTokenOwner(tokenId) {
+        _acceptOffer(COLLECTION_OFFER, tokenId, bidder);
+    }
+
+    function _acceptOffer(uint256 offerKey, uint256 tokenId, address bidder) internal {
+        Offer memory offer = offers[offerKey][bidder];
+        require(offer.amount > 0, "No offer");
+        require(block.timestamp <= offer.expiresAt, "Offer expired");
+        require(bidder != msg.sender, "Cannot accept own offer");
+
+        delete offers[offerKey][bidder];
+        _settleRDLNSale(tokenId, msg.sender, bidder, offer.amount);
+
+        emit OfferAccepted(tokenId, msg.sender, bidder, offer.amount);
+    }
+
+    // ============ SETTLEMENT ============
+
+    /**
+     * @dev Settles a sale whose RDLN proceeds are already held by this contract
+     */
+    function _settleRDLNSale(uint256 tokenId, address seller, address buyer, uint256 salePrice) internal {
+        SaleProceeds memory proceeds = _settleSale(tokenId, seller, buyer, salePrice);
+
+        // Burn share is destroyed outright; the rest is paid out in RDLN
+        ERC20Burnable(address(rdlnToken)).burn(proceeds.burnAmount);
+        totalBurned += proceeds.burnAmount;
+
+        if (proceeds.royaltyAmount > 0) {
+            require(rdlnToken.transfer(proceeds.royaltyReceiver, proceeds.royaltyAmount), "Royalty payment failed");
+        }
+        require(rdlnToken.transfer(seller, proceeds.sellerAmount), "Seller payment failed");
+        require(rdlnToken.transfer(riddleNFT.grandPrizeWallet(), proceeds.grandPrizeAmount), "Grand Prize payment failed");
+        require(rdlnToken.transfer(riddleNFT.devOpsWallet(), proceeds.devOpsAmount), "DevOps payment failed");
+    }
+
+    /**
+     * @dev Transfers the NFT to the buyer, clears the listing and computes the royalty and commission split.
+     * The royalty comes off the top; commissions apply to the remainder.
+     */
+    function _settleSale(
+        uint256 tokenId,
+        address seller,
+        address buyer,
+        uint256 salePrice
+    ) internal returns (SaleProceeds memory proceeds) {
+        // Royalty to the token's splitter (zero while royalties are disabled)
+        (proceeds.royaltyReceiver, proceeds.royaltyAmount) = IERC2981(address(riddleNFT)).royaltyInfo(tokenId, salePrice);
+        uint256 netPrice = salePrice - proceeds.royaltyAmount;
+
+        // Calculate commissions
+        proceeds.burnAmount = (netPrice * riddleNFT.burnPercent()) / 10000;
+        proceeds.grandPrizeAmount = (netPrice * riddleNFT.grandPrizePercent()) / 10000;
+        proceeds.devOpsAmount = (netPrice * riddleNFT.devOpsPercent()) / 10000;
+        uint256 totalCommission = proceeds.burnAmount + proceeds.grandPrizeAmount + proceeds.devOpsAmount;
+        proceeds.sellerAmount = netPrice - totalCommission;
+
+        // Escrowed auction tokens are sent from the marketplace itself
+        delete listings[tokenId];
+        riddleNFT.transferFrom(riddleNFT.ownerOf(tokenId), buyer, tokenId);
+
+        emit NFTResold(tokenId, seller, buyer, salePrice, totalCommission);
+        emit CommissionDistributed(totalCommission, proceeds.burnAmount, proceeds.grandPrizeAmount, proceeds.devOpsAmount);
+        if (proceeds.royaltyAmount > 0) {
+            emit RoyaltyPaid(tokenId, proceeds.royaltyReceiver, proceeds.royaltyAmount);
+        }
+    }
+
+    function _sendNative(address to, uint256 amount, string memory errorMessage) private {
+        (bool sent, ) = payable(to).call{value: amount}("");
+        require(sent, errorMessage);
+    }
+
+    // ============ ADMIN FUNCTIONS ============
+
+    function setBurnSwapAdapter(address adapter) external onlyRole(ADMIN_ROLE) {
+        // address(0) disables native-currency purchases
+        burnSwapAdapter = IBurnSwapAdapter(adapter);
+    }
+
+    function updateAuctionSettings(
+        uint256 _auctionExtensionWindow,
+        uint256 _minBidIncrementBps
+    ) external onlyRole(ADMIN_ROLE) {
+        require(_auctionExtensionWindow <= 1 days, "Extension too long");
+        require(_minBidIncrementBps <= 10000, "Increment exceeds 100%");
+        auctionExtensionWindow = _auctionExtensionWindow;
+        minBidIncrementBps = _minBidIncrementBps;
+    }
+
+    function pause() external onlyRole(ADMIN_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(ADMIN_ROLE) {
+        _unpause();
+    }
+}
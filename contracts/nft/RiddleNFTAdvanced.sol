@@ -9,8 +9,15 @@ import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol
 import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
 import "../interfaces/IRDLN.sol";
 import "../interfaces/IRON.sol";
+import "../interfaces/IRandomnessProvider.sol";
+import "../interfaces/IRiddleMetadataRenderer.sol";
+import "../interfaces/IRiddleSolveHook.sol";
+import {RoyaltySplitter} from "../royalties/RoyaltySplitter.sol";
 
 /**
  * @title RiddleNFTAdvanced - Revolutionary NFT-as-Game System
@@ -40,7 +47,9 @@ contract RiddleNFTAdvanced is
     AccessControlUpgradeable,
     ReentrancyGuardUpgradeable,
     PausableUpgradeable,
-    UUPSUpgradeable
+    UUPSUpgradeable,
+    IRandomnessConsumer,
+    IERC2981
 {
     // ============ CONSTANTS ============
 
@@ -63,6 +72,10 @@ contract RiddleNFTAdvanced is
     uint256 public constant HALVING_PERIOD = 730 days; // 2 years
     uint256 public constant MIN_MINT_COST = 15 * 10**17; // 1.5 RDLN (minimum)
 
+    // Dynamic Difficulty
+    uint256 public constant SOLVE_RATE_WINDOW = 10; // Recent completed sessions sampled
+    uint256 public constant MAX_DIFFICULTY_ADJUSTMENT_BPS = 40000; // 4x
+
     // Anti-Cheating Constants
     uint256 public constant MIN_SOLVE_TIME = 30; // 30 seconds minimum
     uint256 public constant MAX_ATTEMPTS_PER_SESSION = 10;
@@ -72,6 +85,19 @@ contract RiddleNFTAdvanced is
     uint256 public constant MAX_QUESTIONS_PER_RIDDLE = 5;
     uint256 public constant MIN_VALIDATORS_PER_QUESTION = 3;
     uint256 public constant VALIDATION_CONSENSUS_THRESHOLD = 67; // 67%
+    uint256 public constant MAX_VALIDATORS_PER_QUESTION = 15;
+    uint256 public constant MAX_VALIDATOR_WEIGHT = 10;
+    uint256 public constant MAX_VALIDATION_SLASH_BPS = 5000; // 50% cap
+    uint256 public constant VALIDATION_RON_REWARD = 25; // Per unit of vote weight
+
+    // Royalties
+    uint256 public constant MAX_ROYALTY_BPS = 1000; // 10% cap
+
+    // Question creators
+    uint256 public constant MAX_CREATOR_REVENUE_BPS = 5000; // 50% cap
+
+    // Solve hooks
+    uint256 public constant MAX_SOLVE_HOOKS = 5; // Bounds the per-solve notification loop
 
     // ============ ENUMS ============
 
@@ -80,7 +106,9 @@ contract RiddleNFTAdvanced is
         ACTIVE,       // Currently accepting participants
         IN_PROGRESS,  // Game session running
         COMPLETED,    // Finished, rewards distributed
-        EMERGENCY_STOPPED // Emergency pause
+        EMERGENCY_STOPPED, // Emergency pause
+        PENDING_RANDOMNESS, // Created, awaiting randomness for its parameters
+        PENDING_FUNDING     // Parameters applied, awaiting prize escrow funding
     }
 
     enum QuestionType {
@@ -107,6 +135,12 @@ contract RiddleNFTAdvanced is
         COMPLETED_FAILURE
     }
 
+    enum ProgressMode {
+        ALL_REQUIRED,  // Every question must be solved, in any order
+        ORDERED,       // Every question must be solved, in index order
+        PARTIAL_CREDIT // Any order; unfinished participants earn RON for the share solved once the session closes
+    }
+
     // ============ ADVANCED STRUCTS ============
 
     /**
@@ -169,8 +203,8 @@ contract RiddleNFTAdvanced is
         bool validated;
         uint256 validatorCount;
         mapping(address => bool) validatedBy;
-        uint256 positiveVotes;
-        uint256 negativeVotes;
+        uint256 positiveVotes; // Vote weight
+        uint256 negativeVotes; // Vote weight
 
         // Usage & Rewards
         uint256 timesUsed;
@@ -218,6 +252,12 @@ contract RiddleNFTAdvanced is
         string achievementLevel; // "Legendary", "Elite", "Standard"
     }
 
+    struct ValidationVote {
+        bool approved;
+        uint256 weight;
+        uint256 stake; // Staked RDLN when the vote was cast; slashes are taken from this
+    }
+
     // ============ STATE VARIABLES ============
 
     // Core contracts
@@ -255,11 +295,76 @@ contract RiddleNFTAdvanced is
     uint256 private randomNonce;
 
     // Configuration
-    uint256 public targetSolveRate; // Target 15-25% success rate
+    uint256 public targetSolveRate; // Target 15-25% success rate (percent)
     bool public emergencyMode;
 
-    // Storage gap for upgradeability
-    uint256[50] private __gap;
+    // Verifiable randomness (unset = block-based fallback for local use)
+    IRandomnessProvider public randomnessProvider;
+    mapping(uint256 => uint256) public randomnessRequestToSession;
+
+    // ERC-2981 royalties, paid to a per-token RoyaltySplitter clone (session creator / original minter)
+    uint256 public royaltyBps;                       // Share of the sale price
+    uint256 public creatorRoyaltyShareBps;           // Creator's share of the royalty, rest to the minter
+    address public royaltySplitterImplementation;    // Unset = royalties disabled
+    mapping(uint256 => address) public sessionCreators;
+
+    // On-chain tokenURI renderer (swappable; unset = URI storage)
+    IRiddleMetadataRenderer public metadataRenderer;
+
+    // Prize escrow: each session's maximum payout is funded when its parameters are set, from the
+    // vault if set, otherwise minted from the RDLN prize allocation (requires MINTER_ROLE on RDLN)
+    address public prizeVault;
+    mapping(uint256 => uint256) public sessionPrizeEscrow;
+    mapping(uint256 => uint256) public sessionPrizesClaimed;
+    uint256 public totalPrizeEscrow;
+
+    // Access refunds: mint payments held by the contract are repaid to token holders
+    // if their session is emergency stopped
+    mapping(uint256 => uint256) public accessMintCost;       // tokenId => RDLN paid at mint
+    mapping(uint256 => bool) public accessRefunded;
+    mapping(uint256 => uint256) public sessionMintPayments;  // sessionId => unrefunded mint payments
+
+    // Per-question progress: bit i set once question i is answered correctly
+    mapping(uint256 => ProgressMode) public sessionProgressModes;
+    mapping(uint256 => uint256) public questionProgress;     // tokenId => solved bitmap
+    mapping(uint256 => uint256) public questionsSolved;      // tokenId => solved count
+    mapping(uint256 => bool) public partialCreditAwarded;    // tokenId => partial-credit RON paid
+
+    // Participant token index; while a session runs its access tokens carry the participant slot
+    // to the new holder, or cannot be transferred when locked
+    mapping(uint256 => mapping(address => uint256)) public sessionTokenOf; // sessionId => holder => tokenId
+    bool public accessTransfersLocked;
+
+    // Question creators: submission fees are held as a deposit (returned on acceptance, burned on
+    // rejection) and creators share the mint revenue of completed sessions that use their questions
+    uint256 public creatorRevenueShareBps;
+    mapping(uint256 => uint256) public questionFees;     // questionId => fee held
+    mapping(address => uint256) public creatorEarnings;  // creator => claimable RDLN
+
+    // Validator staking: validators qualify through the validator role or RON tier and vote with weight
+    // from staked RDLN (at least 1); stakes on the losing side of consensus are slashed to the winning side
+    uint256 public minValidatorStake;
+    uint256 public validationSlashBps;
+    uint256 public validationTimeout;
+    IRON.AccessTier public minValidatorTier;
+    uint256 public minValidationWeight; // Total vote weight needed before consensus is checked
+    mapping(address => uint256) public validatorStakes;
+    mapping(address => uint256) public validatorOpenVotes; // Stake is locked while > 0
+    mapping(uint256 => mapping(address => ValidationVote)) public validationVotes;
+    mapping(uint256 => uint256) public questionSubmittedAt;
+
+    // Dynamic difficulty: new sessions are scaled toward targetSolveRate by the realised solve rate
+    // of the last SOLVE_RATE_WINDOW completed sessions, within admin-set bounds (10000 = unchanged)
+    uint256 public minDifficultyAdjustmentBps;
+    uint256 public maxDifficultyAdjustmentBps;
+    mapping(uint256 => uint256) public recentCompletedSessions; // ring slot => sessionId
+    uint256 public completedSessionCount;
+
+    // Notified of every winning solve, e.g. the season leaderboard and achievement badges
+    IRiddleSolveHook[] internal solveHooks;
+
+    // Storage gap for upgradeability: the 36 slots added above since v1 plus the gap keep the original 50
+    uint256[14] private __gap;
 
     // ============ EVENTS ============
 
@@ -307,6 +412,88 @@ contract RiddleNFTAdvanced is
         uint256 submissionCost
     );
 
+    event QuestionSolved(
+        uint256 indexed sessionId,
+        uint256 indexed tokenId,
+        uint256 questionIndex,
+        uint256 solvedCount
+    );
+
+    event SessionProgressModeSet(
+        uint256 indexed sessionId,
+        ProgressMode mode
+    );
+
+    event PartialCreditAwarded(
+        uint256 indexed sessionId,
+        uint256 indexed tokenId,
+        address indexed user,
+        uint256 solvedCount,
+        uint256 ronAmount
+    );
+
+    event ParticipantTransferred(
+        uint256 indexed sessionId,
+        uint256 indexed tokenId,
+        address indexed from,
+        address to
+    );
+
+    event AccessTransfersLockUpdated(bool locked);
+
+    event QuestionAccepted(
+        uint256 indexed questionId,
+        address indexed creator,
+        uint256 depositReturned
+    );
+
+    event QuestionRejected(
+        uint256 indexed questionId,
+        address indexed creator,
+        uint256 feeBurned
+    );
+
+    event CreatorRevenueAccrued(
+        uint256 indexed sessionId,
+        uint256 indexed questionId,
+        address indexed creator,
+        uint256 amount
+    );
+
+    event CreatorEarningsClaimed(
+        address indexed creator,
+        uint256 amount
+    );
+
+    event CreatorRevenueShareUpdated(uint256 creatorRevenueShareBps);
+
+    event ValidatorStaked(address indexed validator, uint256 amount, uint256 totalStake);
+    event ValidatorUnstaked(address indexed validator, uint256 amount, uint256 totalStake);
+
+    event ValidatorSlashed(
+        uint256 indexed questionId,
+        address indexed validator,
+        uint256 amount
+    );
+
+    event ValidatorRewarded(
+        uint256 indexed questionId,
+        address indexed validator,
+        uint256 stakeReward,
+        uint256 ronReward
+    );
+
+    event QuestionValidationExpired(uint256 indexed questionId, uint256 depositReturned);
+
+    event ValidationQuorumUpdated(uint256 minValidationWeight);
+
+    event ValidationSettingsUpdated(
+        uint256 minValidatorStake,
+        uint256 validationSlashBps,
+        uint256 validationTimeout,
+        IRON.AccessTier minValidatorTier
+    );
+
     event QuestionValidated(
         uint256 indexed questionId,
         address indexed validator,
@@ -343,12 +530,35 @@ contract RiddleNFTAdvanced is
         bytes32 randomSeed
     );
 
+    event SessionRandomnessRequested(
+        uint256 indexed sessionId,
+        uint256 indexed requestId
+    );
+
+    event SessionFundingPending(
+        uint256 indexed sessionId,
+        uint256 indexed requestId
+    );
+
     event DifficultyAdjusted(
         uint256 oldTargetRate,
         uint256 newTargetRate,
         uint256 recentSolveRate
     );
 
+    // Inputs are the recent solve rate and target (basis points) and the ParametersRandomized values
+    event SessionDifficultyAdjusted(
+        uint256 indexed sessionId,
+        uint256 recentSolveRateBps,
+        uint256 targetSolveRateBps,
+        uint256 adjustmentBps,
+        uint256 winnerSlots,
+        uint256 prizePool,
+        uint256 mintCost
+    );
+
+    event DifficultyAdjustmentBoundsUpdated(uint256 minAdjustmentBps, uint256 maxAdjustmentBps);
+
     event EmergencyModeToggled(
         bool enabled,
         address indexed admin,
@@ -362,6 +572,43 @@ contract RiddleNFTAdvanced is
         uint256 devOpsAmount
     );
 
+    event PrizeEscrowFunded(
+        uint256 indexed sessionId,
+        uint256 amount
+    );
+
+    event PrizeEscrowReleased(
+        uint256 indexed sessionId,
+        address indexed recipient,
+        uint256 amount
+    );
+
+    event SessionFinalized(
+        uint256 indexed sessionId,
+        uint256 successfulSolvers,
+        uint256 releasedEscrow
+    );
+
+    event SessionEmergencyStopped(
+        uint256 indexed sessionId,
+        RiddleState previousState,
+        uint256 releasedEscrow
+    );
+
+    event AccessRefunded(
+        uint256 indexed sessionId,
+        uint256 indexed tokenId,
+        address indexed holder,
+        uint256 amount
+    );
+
+    event RoyaltySplitterDeployed(
+        uint256 indexed tokenId,
+        address indexed splitter,
+        address creator,
+        address minter
+    );
+
     // ============ MODIFIERS ============
 
     modifier onlyActiveSession(uint256 sessionId) {
@@ -430,10 +677,32 @@ contract RiddleNFTAdvanced is
         currentQuestionId = 1;
         targetSolveRate = 20; // 20% target solve rate
         totalPrizePool = MIN_PRIZE_POOL * 100; // Initial allocation
+        _setV2Defaults();
 
         randomNonce = uint256(keccak256(abi.encodePacked(block.timestamp, block.difficulty, _admin)));
     }
 
+    /**
+     * @dev Sets the royalty, creator revenue, validation and difficulty defaults on proxies initialized
+     * before those settings existed
+     */
+    function initializeV2() external reinitializer(2) onlyRole(UPGRADER_ROLE) {
+        _setV2Defaults();
+    }
+
+    function _setV2Defaults() internal {
+        royaltyBps = 500; // 5% royalty
+        creatorRoyaltyShareBps = 5000; // Split evenly between creator and minter
+        creatorRevenueShareBps = 1000; // 10% of session mint revenue to question creators
+        minValidatorStake = 100 * 10**18; // 100 RDLN per unit of vote weight
+        validationSlashBps = 1000; // 10% of stake for voting against consensus
+        validationTimeout = 7 days;
+        minValidatorTier = IRON.AccessTier.ORACLE;
+        minValidationWeight = MIN_VALIDATORS_PER_QUESTION; // Raise as staked validators join
+        minDifficultyAdjustmentBps = 5000; // Halve to double
+        maxDifficultyAdjustmentBps = 20000;
+    }
+
     // ============ REVOLUTIONARY NFT-AS-GAME SYSTEM ============
 
     /**
@@ -450,13 +719,7 @@ contract RiddleNFTAdvanced is
     ) external onlyRole(GAME_MASTER_ROLE) notEmergencyMode returns (uint256) {
         uint256 sessionId = currentSessionId++;
 
-        // Generate randomized parameters
-        (uint256 maxMints, uint256 prizePool, uint256 winnerSlots) = _generateRandomizedParameters(difficulty);
-
         RiddleSession storage session = riddleSessions[sessionId];
-        session.maxMints = maxMints;
-        session.prizePool = prizePool;
-        session.winnerSlots = winnerSlots;
         session.currentMintCost = getCurrentMintCost();
         session.state = RiddleState.INACTIVE;
         session.difficulty = difficulty;
@@ -465,20 +728,125 @@ contract RiddleNFTAdvanced is
         session.title = title;
         session.description = description;
         session.category = category;
+        sessionCreators[sessionId] = msg.sender;
 
         // Validate questions
         require(questionIds.length <= MAX_QUESTIONS_PER_RIDDLE, "Too many questions");
         for (uint256 i = 0; i < questionIds.length; i++) {
-            require(questions[questionIds[i]].validated, "Question not validated");
-            require(questions[questionIds[i]].difficulty == difficulty, "Question difficulty mismatch");
+            Question storage question = questions[questionIds[i]];
+            require(question.validated, "Question not validated");
+            require(question.difficulty == difficulty, "Question difficulty mismatch");
+            session.correctAnswerHashes.push(question.correctAnswerHash);
+            question.timesUsed++;
+        }
+
+        // Randomized parameters are applied on fulfilment when a provider is configured
+        if (address(randomnessProvider) != address(0)) {
+            session.state = RiddleState.PENDING_RANDOMNESS;
+            _requestSessionRandomness(sessionId);
+        } else {
+            randomNonce++;
+            _applyRandomizedParameters(
+                sessionId,
+                keccak256(abi.encodePacked(block.timestamp, block.difficulty, randomNonce, msg.sender))
+            );
+            _escrowSessionPrizePool(sessionId, _maxSessionPayout(session));
         }
 
-        emit RiddleSessionCreated(sessionId, maxMints, prizePool, winnerSlots, difficulty, category);
-        emit ParametersRandomized(sessionId, maxMints, prizePool, winnerSlots, bytes32(randomNonce));
+        emit RiddleSessionCreated(sessionId, session.maxMints, session.prizePool, session.winnerSlots, difficulty, category);
 
         return sessionId;
     }
 
+    /**
+     * @dev Randomness provider callback; applies parameters to a pending session and escrows its prize pool if funded
+     */
+    function fulfillRandomness(uint256 requestId, uint256[] calldata randomWords) external {
+        require(msg.sender == address(randomnessProvider), "Only randomness provider");
+
+        uint256 sessionId = randomnessRequestToSession[requestId];
+        require(sessionId != 0, "Unknown randomness request");
+        delete randomnessRequestToSession[requestId];
+
+        RiddleSession storage session = riddleSessions[sessionId];
+        require(session.state == RiddleState.PENDING_RANDOMNESS, "Session not pending randomness");
+
+        // Apply the word before funding: a revert here would lose it, since the provider never redelivers
+        _applyRandomizedParameters(sessionId, bytes32(randomWords[0]));
+        uint256 maxPayout = _maxSessionPayout(session);
+        if (_prizeFundingAvailable(maxPayout)) {
+            _escrowSessionPrizePool(sessionId, maxPayout);
+            session.state = RiddleState.INACTIVE;
+        } else {
+            session.state = RiddleState.PENDING_FUNDING;
+            emit SessionFundingPending(sessionId, requestId); // Top up, then fundSessionPrizePool
+        }
+    }
+
+    /**
+     * @dev Escrow the prize pool of a session whose randomness arrived while funding was short
+     */
+    function fundSessionPrizePool(uint256 sessionId) external onlyRole(ADMIN_ROLE) {
+        RiddleSession storage session = riddleSessions[sessionId];
+        require(session.state == RiddleState.PENDING_FUNDING, "Session not pending funding");
+
+        _escrowSessionPrizePool(sessionId, _maxSessionPayout(session));
+        session.state = RiddleState.INACTIVE;
+    }
+
+    function _requestSessionRandomness(uint256 sessionId) internal {
+        uint256 requestId = randomnessProvider.requestRandomness(1);
+        randomnessRequestToSession[requestId] = sessionId;
+
+        emit SessionRandomnessRequested(sessionId, requestId);
+    }
+
+    function _applyRandomizedParameters(uint256 sessionId, bytes32 seed) internal {
+        RiddleSession storage session = riddleSessions[sessionId];
+        (uint256 maxMints, uint256 prizePool, uint256 winnerSlots) =
+            _generateRandomizedParameters(session.difficulty, seed);
+
+        emit ParametersRandomized(sessionId, maxMints, prizePool, winnerSlots, seed);
+
+        (winnerSlots, prizePool) = _adjustDifficulty(sessionId, winnerSlots, prizePool);
+
+        session.maxMints = maxMints;
+        session.prizePool = prizePool;
+        session.winnerSlots = winnerSlots;
+    }
+
+    /**
+     * @dev Funds a session's prize escrow; reverts if the vault or prize allocation cannot cover it
+     */
+    function _escrowSessionPrizePool(uint256 sessionId, uint256 amount) internal {
+        require(_prizeFundingAvailable(amount), "Insufficient prize funding");
+        if (prizeVault != address(0)) {
+            require(rdlnToken.transferFrom(prizeVault, address(this), amount), "Prize funding failed");
+        } else {
+            rdlnToken.mintPrizePool(address(this), amount);
+        }
+
+        sessionPrizeEscrow[sessionId] = amount;
+        totalPrizeEscrow += amount;
+
+        emit PrizeEscrowFunded(sessionId, amount);
+    }
+
+    function _prizeFundingAvailable(uint256 amount) internal view returns (bool) {
+        if (prizeVault != address(0)) {
+            return rdlnToken.balanceOf(prizeVault) >= amount && rdlnToken.allowance(prizeVault, address(this)) >= amount;
+        }
+        (uint256 prizePoolRemaining, , , ) = rdlnToken.getRemainingAllocations();
+        return prizePoolRemaining >= amount;
+    }
+
+    /**
+     * @dev Every winner slot at the base prize, plus the first solver's 1.5x bonus
+     */
+    function _maxSessionPayout(RiddleSession storage session) internal view returns (uint256) {
+        return session.prizePool + (session.prizePool / session.winnerSlots) / 2;
+    }
+
     /**
      * @dev Start a riddle session for participant access
      */
@@ -488,10 +856,29 @@ contract RiddleNFTAdvanced is
 
         session.state = RiddleState.ACTIVE;
         session.startTime = block.timestamp;
+        session.endTime = block.timestamp + session.sessionDuration;
 
         emit RiddleSessionStarted(sessionId, session.startTime, session.endTime);
     }
 
+    /**
+     * @dev Choose whether a session's questions must be answered in order; fixed once it starts
+     */
+    function setSessionProgressMode(uint256 sessionId, ProgressMode mode) external onlyRole(GAME_MASTER_ROLE) {
+        require(sessionId > 0 && sessionId < currentSessionId, "Session does not exist");
+        RiddleState state = riddleSessions[sessionId].state;
+        require(
+            state == RiddleState.INACTIVE ||
+            state == RiddleState.PENDING_RANDOMNESS ||
+            state == RiddleState.PENDING_FUNDING,
+            "Session already started"
+        );
+
+        sessionProgressModes[sessionId] = mode;
+
+        emit SessionProgressModeSet(sessionId, mode);
+    }
+
     /**
      * @dev Mint NFT game access token (Revolutionary: NFT grants game access, not just ownership)
      */
@@ -506,6 +893,7 @@ contract RiddleNFTAdvanced is
     {
         RiddleSession storage session = riddleSessions[sessionId];
 
+        require(block.timestamp <= session.endTime, "Session expired");
         require(session.totalMinted < session.maxMints, "Max mints reached");
         require(session.participants[msg.sender] == ParticipantStatus.NOT_PARTICIPATING, "Already participating");
 
@@ -523,11 +911,19 @@ contract RiddleNFTAdvanced is
         // Mint access NFT
         uint256 tokenId = _mintAccessToken(sessionId, msg.sender);
 
-        // Update session state
+        // Update session state; a sold-out session stops accepting participants and plays on
         session.totalMinted++;
         session.participants[msg.sender] = ParticipantStatus.MINTED_ACCESS;
+        if (session.totalMinted == session.maxMints) {
+            session.state = RiddleState.IN_PROGRESS;
+        }
+
+        // Refundable if the session is emergency stopped
+        accessMintCost[tokenId] = mintCost;
+        sessionMintPayments[sessionId] += mintCost;
 
         // Initialize participant data
+        sessionTokenOf[sessionId][msg.sender] = tokenId;
         ParticipantData storage participant = participantData[tokenId];
         participant.user = msg.sender;
         participant.sessionId = sessionId;
@@ -550,11 +946,17 @@ contract RiddleNFTAdvanced is
     ) external onlyParticipant(sessionId) antiCheat(sessionId) {
         RiddleSession storage session = riddleSessions[sessionId];
         require(session.state == RiddleState.ACTIVE || session.state == RiddleState.IN_PROGRESS, "Invalid session state");
+        require(block.timestamp <= session.endTime, "Session expired");
 
-        ParticipantData storage participant = participantData[_getTokenIdForUser(sessionId, msg.sender)];
+        uint256 tokenId = _getTokenIdForUser(sessionId, msg.sender);
+        ParticipantData storage participant = participantData[tokenId];
         require(!participant.completed, "Already completed");
         require(participant.attemptCount < MAX_ATTEMPTS_PER_SESSION, "Max attempts reached");
         require(questionIndex < session.questionIds.length, "Invalid question index");
+        require(questionProgress[tokenId] & (1 << questionIndex) == 0, "Question already solved");
+        if (sessionProgressModes[sessionId] == ProgressMode.ORDERED) {
+            require(questionIndex == questionsSolved[tokenId], "Answer questions in order");
+        }
 
         // Time validation
         uint256 timeElapsed = block.timestamp - participant.startTime;
@@ -570,8 +972,12 @@ contract RiddleNFTAdvanced is
         bool isCorrect = (answerHash == session.correctAnswerHashes[questionIndex]);
 
         if (isCorrect) {
-            // Advance to next question or complete if all answered
-            if (questionIndex == session.questionIds.length - 1) {
+            // Record the question and complete once every question is solved
+            questionProgress[tokenId] |= 1 << questionIndex;
+            uint256 solved = ++questionsSolved[tokenId];
+            emit QuestionSolved(sessionId, tokenId, questionIndex, solved);
+
+            if (solved == session.questionIds.length) {
                 _completeRiddle(sessionId, msg.sender, timeElapsed);
             }
         } else {
@@ -581,6 +987,7 @@ contract RiddleNFTAdvanced is
         }
 
         emit RiddleAttemptSubmitted(sessionId, msg.sender, participant.attemptCount, session.sessionDuration - timeElapsed);
+        emit MetadataUpdate(participant.tokenId);
     }
 
     /**
@@ -615,8 +1022,11 @@ contract RiddleNFTAdvanced is
             participant.prizeAmount = prizeAmount;
             session.totalPrizesDistributed += prizeAmount;
 
-            // Award RON reputation
+            // Award RON reputation (sessions have no speed bonus)
             _awardRONReward(solver, session.difficulty, wasFirstSolver, false);
+            for (uint256 i = 0; i < solveHooks.length; i++) {
+                solveHooks[i].onRiddleSolved(solver, sessionId, uint8(session.difficulty), wasFirstSolver, false);
+            }
 
             emit RiddleCompleted(sessionId, solver, solveTime, prizeAmount, wasFirstSolver);
         }
@@ -624,17 +1034,135 @@ contract RiddleNFTAdvanced is
         // Update total completed
         session.totalCompleted++;
 
-        // Check if session should close
-        if (session.successfulSolvers >= session.winnerSlots || session.totalMinted >= session.maxMints) {
-            session.state = RiddleState.COMPLETED;
+        // Close once every winner slot is filled; otherwise play continues until finalizeSession
+        if (session.successfulSolvers >= session.winnerSlots) {
+            _closeSession(sessionId);
+        }
+    }
+
+    /**
+     * @dev Award partial-credit RON to a participant of a closed PARTIAL_CREDIT session who solved some but
+     * not all of its questions: the difficulty's base RON scaled by the share solved. Callable by anyone
+     */
+    function awardPartialCredit(uint256 tokenId) external nonReentrant {
+        ParticipantData storage participant = participantData[tokenId];
+        require(participant.user != address(0), "Token not found");
+        uint256 sessionId = participant.sessionId;
+        RiddleSession storage session = riddleSessions[sessionId];
+        require(session.state == RiddleState.COMPLETED, "Session not completed");
+        require(sessionProgressModes[sessionId] == ProgressMode.PARTIAL_CREDIT, "No partial credit");
+        require(!participant.completed, "Already completed");
+        uint256 solved = questionsSolved[tokenId];
+        require(solved > 0, "No questions solved");
+        require(!partialCreditAwarded[tokenId], "Partial credit awarded");
+
+        partialCreditAwarded[tokenId] = true;
+
+        (uint256 baseReward, ) = ronToken.calculateRONReward(_toRONDifficulty(session.difficulty), false, false, 0);
+        uint256 ronAmount = (baseReward * solved) / session.questionIds.length;
+        ronToken.awardBonusRON(participant.user, ronAmount, "Partial credit");
+
+        emit PartialCreditAwarded(sessionId, tokenId, participant.user, solved, ronAmount);
+    }
+
+    // ============ SESSION LIFECYCLE ============
+
+    /**
+     * @dev Close a running session once its end time has passed; callable by anyone.
+     * Winners keep their allocated prizes, the rest of the escrow is released.
+     */
+    function finalizeSession(uint256 sessionId) external nonReentrant {
+        RiddleSession storage session = riddleSessions[sessionId];
+        require(
+            session.state == RiddleState.ACTIVE || session.state == RiddleState.IN_PROGRESS,
+            "Session not running"
+        );
+        require(block.timestamp > session.endTime, "Session not expired");
+
+        uint256 released = _closeSession(sessionId);
+
+        emit SessionFinalized(sessionId, session.successfulSolvers, released);
+    }
+
+    /**
+     * @dev Refund an access token's mint cost to its current holder after the session was emergency
+     * stopped. Tokens that won a prize claim the prize instead.
+     */
+    function claimRefund(uint256 tokenId) external nonReentrant {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        require(ownerOf(tokenId) == msg.sender, "Not token owner");
+
+        ParticipantData storage participant = participantData[tokenId];
+        uint256 sessionId = participant.sessionId;
+        require(riddleSessions[sessionId].state == RiddleState.EMERGENCY_STOPPED, "Session not stopped");
+        require(participant.prizeAmount == 0, "Prize allocated");
+        require(!accessRefunded[tokenId], "Already refunded");
+
+        uint256 amount = accessMintCost[tokenId];
+        require(amount > 0, "Nothing to refund");
+
+        accessRefunded[tokenId] = true;
+        sessionMintPayments[sessionId] -= amount;
+
+        require(rdlnToken.transfer(msg.sender, amount), "Refund transfer failed");
+
+        emit AccessRefunded(sessionId, tokenId, msg.sender, amount);
+        emit MetadataUpdate(tokenId);
+    }
+
+    /**
+     * @dev Completes a session: question creators earn their share of its mint revenue and the
+     * unused prize escrow is released
+     */
+    function _closeSession(uint256 sessionId) internal returns (uint256 released) {
+        riddleSessions[sessionId].state = RiddleState.COMPLETED;
+        _recordCompletedSession(sessionId);
+        _accrueCreatorRevenue(sessionId);
+        released = _releaseUnusedEscrow(sessionId);
+    }
+
+    /**
+     * @dev Splits creatorRevenueShareBps of the session's mint payments evenly across its questions
+     */
+    function _accrueCreatorRevenue(uint256 sessionId) internal {
+        uint256[] storage questionIds = riddleSessions[sessionId].questionIds;
+        if (questionIds.length == 0 || creatorRevenueShareBps == 0) return;
+
+        uint256 share = (sessionMintPayments[sessionId] * creatorRevenueShareBps) / 10000 / questionIds.length;
+        if (share == 0) return;
+
+        for (uint256 i = 0; i < questionIds.length; i++) {
+            address creator = questions[questionIds[i]].creator;
+            creatorEarnings[creator] += share;
+            emit CreatorRevenueAccrued(sessionId, questionIds[i], creator, share);
         }
+        sessionMintPayments[sessionId] -= share * questionIds.length;
+    }
+
+    /**
+     * @dev Returns escrow not owed to winners (unfilled slots, unearned first-solver bonus) to the
+     * prize vault, or to the grand prize wallet when the escrow was minted from the prize allocation
+     */
+    function _releaseUnusedEscrow(uint256 sessionId) internal returns (uint256 amount) {
+        uint256 owed = riddleSessions[sessionId].totalPrizesDistributed - sessionPrizesClaimed[sessionId];
+        uint256 escrowed = sessionPrizeEscrow[sessionId];
+        if (escrowed <= owed) return 0;
+
+        amount = escrowed - owed;
+        sessionPrizeEscrow[sessionId] = owed;
+        totalPrizeEscrow -= amount;
+
+        address recipient = prizeVault != address(0) ? prizeVault : grandPrizeWallet;
+        require(rdlnToken.transfer(recipient, amount), "Escrow release failed");
+
+        emit PrizeEscrowReleased(sessionId, recipient, amount);
     }
 
     // ============ QUESTION GENERATION SYSTEM ============
 
     /**
      * @dev Submit question for community validation
-     * Progressive pricing: 1st question = 1 RDLN, Nth question = N RDLN
+     * Progressive pricing: 1st question = 1 RDLN, Nth question = N RDLN; the fee is held until validation
      */
     function submitQuestion(
         string calldata content,
@@ -661,6 +1189,8 @@ contract RiddleNFTAdvanced is
         question.options = options;
         question.difficulty = difficulty;
         question.active = true;
+        questionFees[questionId] = cost;
+        questionSubmittedAt[questionId] = block.timestamp;
 
         emit QuestionSubmitted(questionId, msg.sender, difficulty, cost);
 
@@ -668,52 +1198,210 @@ contract RiddleNFTAdvanced is
     }
 
     /**
-     * @dev Validate submitted question
+     * @dev Vote on a submitted question with the caller's validator weight. Once MIN_VALIDATORS_PER_QUESTION
+     * have voted with at least minValidationWeight in total, a weighted consensus accepts or rejects it and
+     * settles every vote
      */
-    function validateQuestion(uint256 questionId, bool approved)
-        external
-        onlyRole(QUESTION_VALIDATOR_ROLE)
-    {
+    function validateQuestion(uint256 questionId, bool approved) external nonReentrant {
         Question storage question = questions[questionId];
         require(question.active, "Question not active");
+        require(!question.validated, "Question already validated");
+        require(block.timestamp <= questionSubmittedAt[questionId] + validationTimeout, "Validation period ended");
+        require(msg.sender != question.creator, "Cannot validate own question");
         require(!question.validatedBy[msg.sender], "Already validated");
+        require(questionValidators[questionId].length < MAX_VALIDATORS_PER_QUESTION, "Too many validators");
+
+        uint256 weight = getValidatorWeight(msg.sender);
+        require(weight > 0, "Not an eligible validator");
 
-        question.validatedBy[msg.sender] = approved;
+        question.validatedBy[msg.sender] = true;
         question.validatorCount++;
+        questionValidators[questionId].push(msg.sender);
+        validationVotes[questionId][msg.sender] = ValidationVote(approved, weight, validatorStakes[msg.sender]);
+        validatorOpenVotes[msg.sender]++;
 
         if (approved) {
-            question.positiveVotes++;
+            question.positiveVotes += weight;
         } else {
-            question.negativeVotes++;
+            question.negativeVotes += weight;
         }
 
         // Check if consensus reached
-        if (question.validatorCount >= MIN_VALIDATORS_PER_QUESTION) {
-            uint256 approvalRate = (question.positiveVotes * 100) / question.validatorCount;
+        uint256 totalWeight = question.positiveVotes + question.negativeVotes;
+        if (question.validatorCount >= MIN_VALIDATORS_PER_QUESTION && totalWeight >= minValidationWeight) {
+            uint256 approvalRate = (question.positiveVotes * 100) / totalWeight;
 
             if (approvalRate >= VALIDATION_CONSENSUS_THRESHOLD) {
                 question.validated = true;
+                _acceptQuestion(questionId, question.creator);
+                _settleValidators(questionId, true);
             } else if (approvalRate < (100 - VALIDATION_CONSENSUS_THRESHOLD)) {
                 question.active = false; // Rejected
+                _rejectQuestion(questionId, question.creator);
+                _settleValidators(questionId, false);
             }
         }
 
         emit QuestionValidated(questionId, msg.sender, approved, question.validatorCount);
     }
 
+    /**
+     * @dev Close a question that reached no consensus within validationTimeout. The creator's deposit is
+     * returned and no votes are slashed or rewarded
+     */
+    function finalizeQuestionValidation(uint256 questionId) external nonReentrant {
+        Question storage question = questions[questionId];
+        require(question.active && !question.validated, "Question not pending");
+        require(block.timestamp > questionSubmittedAt[questionId] + validationTimeout, "Validation still open");
+
+        question.active = false;
+
+        address[] storage voters = questionValidators[questionId];
+        for (uint256 i = 0; i < voters.length; i++) {
+            validatorOpenVotes[voters[i]]--;
+        }
+
+        uint256 deposit = questionFees[questionId];
+        delete questionFees[questionId];
+        creatorEarnings[question.creator] += deposit;
+
+        emit QuestionValidationExpired(questionId, deposit);
+    }
+
+    /**
+     * @dev Returns the submission deposit to the creator's earnings and bumps their RON contribution score
+     */
+    function _acceptQuestion(uint256 questionId, address creator) internal {
+        uint256 deposit = questionFees[questionId];
+        delete questionFees[questionId];
+        creatorEarnings[creator] += deposit;
+
+        ronToken.recordQuestionContribution(creator, questionId);
+
+        emit QuestionAccepted(questionId, creator, deposit);
+    }
+
+    function _rejectQuestion(uint256 questionId, address creator) internal {
+        uint256 fee = questionFees[questionId];
+        delete questionFees[questionId];
+        if (fee > 0) {
+            _applyBurnProtocol(fee);
+        }
+
+        emit QuestionRejected(questionId, creator, fee);
+    }
+
+    /**
+     * @dev Claim question deposits and session revenue shares
+     */
+    function claimCreatorEarnings() external nonReentrant {
+        uint256 amount = creatorEarnings[msg.sender];
+        require(amount > 0, "No earnings to claim");
+
+        creatorEarnings[msg.sender] = 0;
+        require(rdlnToken.transfer(msg.sender, amount), "Earnings transfer failed");
+
+        emit CreatorEarningsClaimed(msg.sender, amount);
+    }
+
+    // ============ VALIDATOR STAKING ============
+
+    function stakeAsValidator(uint256 amount) external nonReentrant {
+        require(amount > 0, "Invalid amount");
+        require(rdlnToken.transferFrom(msg.sender, address(this), amount), "Stake transfer failed");
+
+        validatorStakes[msg.sender] += amount;
+
+        emit ValidatorStaked(msg.sender, amount, validatorStakes[msg.sender]);
+    }
+
+    function unstakeValidator(uint256 amount) external nonReentrant {
+        require(amount > 0 && amount <= validatorStakes[msg.sender], "Invalid amount");
+        require(validatorOpenVotes[msg.sender] == 0, "Stake locked by open votes");
+
+        validatorStakes[msg.sender] -= amount;
+        require(rdlnToken.transfer(msg.sender, amount), "Unstake transfer failed");
+
+        emit ValidatorUnstaked(msg.sender, amount, validatorStakes[msg.sender]);
+    }
+
+    /**
+     * @dev Validators must hold QUESTION_VALIDATOR_ROLE or reach minValidatorTier, so stake alone cannot buy
+     * votes. Eligible validators get one unit of weight per minValidatorStake staked (capped), and at least 1
+     */
+    function getValidatorWeight(address validator) public view returns (uint256) {
+        if (!hasRole(QUESTION_VALIDATOR_ROLE, validator) && ronToken.getUserTier(validator) < minValidatorTier) {
+            return 0;
+        }
+        uint256 stakeWeight = validatorStakes[validator] / minValidatorStake;
+        if (stakeWeight == 0) return 1;
+        return stakeWeight > MAX_VALIDATOR_WEIGHT ? MAX_VALIDATOR_WEIGHT : stakeWeight;
+    }
+
+    /**
+     * @dev Slashes voters against the outcome and splits their slashed stake between the voters who matched
+     * it by weight; matching voters also earn validation RON
+     */
+    function _settleValidators(uint256 questionId, bool outcome) internal {
+        address[] storage voters = questionValidators[questionId];
+        uint256 slashed;
+        uint256 matchingWeight;
+
+        for (uint256 i = 0; i < voters.length; i++) {
+            address validator = voters[i];
+            ValidationVote storage vote = validationVotes[questionId][validator];
+            validatorOpenVotes[validator]--;
+
+            if (vote.approved == outcome) {
+                matchingWeight += vote.weight;
+            } else {
+                // Stake added after voting is not at risk; earlier slashes may have left less than recorded
+                uint256 penalty = (vote.stake * validationSlashBps) / 10000;
+                if (penalty > validatorStakes[validator]) penalty = validatorStakes[validator];
+                if (penalty > 0) {
+                    validatorStakes[validator] -= penalty;
+                    slashed += penalty;
+                    emit ValidatorSlashed(questionId, validator, penalty);
+                }
+            }
+        }
+
+        for (uint256 i = 0; i < voters.length; i++) {
+            address validator = voters[i];
+            ValidationVote storage vote = validationVotes[questionId][validator];
+            if (vote.approved != outcome) continue;
+
+            // The last matching voter takes the rounding remainder
+            uint256 share = (slashed * vote.weight) / matchingWeight;
+            slashed -= share;
+            matchingWeight -= vote.weight;
+            validatorStakes[validator] += share;
+
+            uint256 ronReward = VALIDATION_RON_REWARD * vote.weight;
+            ronToken.awardValidationRON(validator, ronReward, "QUESTION_VALIDATION");
+
+            emit ValidatorRewarded(questionId, validator, share, ronReward);
+        }
+    }
+
+    /**
+     * @dev Validators of a question in vote order
+     */
+    function getQuestionValidators(uint256 questionId) external view returns (address[] memory) {
+        return questionValidators[questionId];
+    }
+
     // ============ RANDOMIZED PARAMETER SYSTEM ============
 
     /**
      * @dev Generate randomized parameters for riddle session
      * Creates unique market dynamics for each riddle
      */
-    function _generateRandomizedParameters(RiddleDifficulty difficulty)
+    function _generateRandomizedParameters(RiddleDifficulty difficulty, bytes32 seed)
         internal
+        pure
         returns (uint256 maxMints, uint256 prizePool, uint256 winnerSlots)
     {
-        randomNonce++;
-        bytes32 seed = keccak256(abi.encodePacked(block.timestamp, block.difficulty, randomNonce, msg.sender));
-
         // Generate maxMints (10-1,000 range)
         maxMints = MIN_MAX_MINTS + (uint256(seed) % (MAX_MAX_MINTS - MIN_MAX_MINTS + 1));
 
@@ -745,6 +1433,69 @@ contract RiddleNFTAdvanced is
         return 5; // Legendary
     }
 
+    // ============ DYNAMIC DIFFICULTY ============
+
+    /**
+     * @dev Solve rate (successfulSolvers / totalMinted, in basis points) across the last SOLVE_RATE_WINDOW
+     * completed sessions that minted at least one access token
+     */
+    function getRecentSolveRate() public view returns (uint256 solveRateBps, uint256 sampledSessions) {
+        sampledSessions = completedSessionCount < SOLVE_RATE_WINDOW ? completedSessionCount : SOLVE_RATE_WINDOW;
+
+        uint256 solvers;
+        uint256 minted;
+        for (uint256 i = 0; i < sampledSessions; i++) {
+            RiddleSession storage session = riddleSessions[recentCompletedSessions[i]];
+            solvers += session.successfulSolvers;
+            minted += session.totalMinted;
+        }
+
+        if (minted > 0) solveRateBps = (solvers * 10000) / minted;
+    }
+
+    function _recordCompletedSession(uint256 sessionId) internal {
+        if (riddleSessions[sessionId].totalMinted == 0) return; // No signal
+
+        recentCompletedSessions[completedSessionCount % SOLVE_RATE_WINDOW] = sessionId;
+        completedSessionCount++;
+    }
+
+    /**
+     * @dev Scales a new session toward the target solve rate by target / recent rate, clamped to the
+     * admin bounds: sessions that were solved too often get fewer winner slots, a smaller prize pool and a
+     * dearer mint, and sessions that were rarely solved the reverse
+     */
+    function _adjustDifficulty(uint256 sessionId, uint256 winnerSlots, uint256 prizePool)
+        internal
+        returns (uint256, uint256)
+    {
+        (uint256 recentRate, uint256 sampledSessions) = getRecentSolveRate();
+        if (sampledSessions == 0) return (winnerSlots, prizePool);
+
+        RiddleSession storage session = riddleSessions[sessionId];
+        uint256 targetRate = targetSolveRate * 100;
+        uint256 adjustment = recentRate == 0 ? maxDifficultyAdjustmentBps : (targetRate * 10000) / recentRate;
+        if (adjustment < minDifficultyAdjustmentBps) adjustment = minDifficultyAdjustmentBps;
+        if (adjustment > maxDifficultyAdjustmentBps) adjustment = maxDifficultyAdjustmentBps;
+
+        winnerSlots = (winnerSlots * adjustment) / 10000;
+        uint256 maxSlots = _getMaxWinnerSlots(session.difficulty);
+        if (winnerSlots < MIN_WINNER_SLOTS) winnerSlots = MIN_WINNER_SLOTS;
+        if (winnerSlots > maxSlots) winnerSlots = maxSlots;
+
+        prizePool = (prizePool * adjustment) / 10000;
+        if (prizePool < MIN_PRIZE_POOL) prizePool = MIN_PRIZE_POOL;
+        if (prizePool > MAX_PRIZE_POOL) prizePool = MAX_PRIZE_POOL;
+
+        uint256 mintCost = (session.currentMintCost * 10000) / adjustment;
+        if (mintCost < MIN_MINT_COST) mintCost = MIN_MINT_COST;
+        session.currentMintCost = mintCost;
+
+        emit SessionDifficultyAdjusted(sessionId, recentRate, targetRate, adjustment, winnerSlots, prizePool, mintCost);
+
+        return (winnerSlots, prizePool);
+    }
+
     // ============ PROGRESSIVE ECONOMICS MODEL ============
 
     /**
@@ -781,10 +1532,27 @@ contract RiddleNFTAdvanced is
         emit BurnDistribution(amount, burnAmount, grandPrizeAmount, devOpsAmount);
     }
 
+    /**
+     * @dev Applies the burn protocol to RDLN held by this contract
+     */
+    function _applyBurnProtocol(uint256 amount) internal {
+        uint256 burnAmount = (amount * 50) / 100;
+        uint256 grandPrizeAmount = (amount * 25) / 100;
+        uint256 devOpsAmount = amount - burnAmount - grandPrizeAmount;
+
+        ERC20Burnable(address(rdlnToken)).burn(burnAmount);
+        require(rdlnToken.transfer(grandPrizeWallet, grandPrizeAmount), "Grand prize transfer failed");
+        require(rdlnToken.transfer(devOpsWallet, devOpsAmount), "Dev/ops transfer failed");
+        totalBurned += burnAmount;
+
+        emit BurnDistribution(amount, burnAmount, grandPrizeAmount, devOpsAmount);
+    }
+
     // ============ ANTI-CHEATING MECHANISMS ============
 
     /**
-     * @dev Comprehensive anti-cheating validation
+     * @dev Comprehensive anti-cheating validation. Reverts once the user is flagged; this heuristic never
+     * slashes, confirmed cheating is slashed with evidence by a SLASHER_ROLE holder on RONAdvanced
      */
     function _checkAntiCheat(address user, uint256 sessionId) internal {
         // Check minimum time between actions
@@ -850,13 +1618,18 @@ contract RiddleNFTAdvanced is
         require(participant.successful, "Not a successful solver");
         require(!participant.prizeClaimed, "Prize already claimed");
         require(participant.prizeAmount > 0, "No prize to claim");
+        require(sessionPrizeEscrow[participant.sessionId] >= participant.prizeAmount, "Insufficient prize escrow");
 
         participant.prizeClaimed = true;
+        sessionPrizeEscrow[participant.sessionId] -= participant.prizeAmount;
+        sessionPrizesClaimed[participant.sessionId] += participant.prizeAmount;
+        totalPrizeEscrow -= participant.prizeAmount;
 
         // Transfer prize
         require(rdlnToken.transfer(msg.sender, participant.prizeAmount), "Prize transfer failed");
 
         emit PrizeDistributed(participant.sessionId, msg.sender, participant.prizeAmount, riddleSessions[participant.sessionId].winners.length);
+        emit MetadataUpdate(tokenId);
     }
 
     // ============ ORACLE INTEGRATION ============
@@ -865,14 +1638,14 @@ contract RiddleNFTAdvanced is
      * @dev Award RON reputation for successful solving
      */
     function _awardRONReward(address solver, RiddleDifficulty difficulty, bool isFirstSolver, bool isSpeedSolver) internal {
-        // Convert difficulty to RON enum
-        IRON.RiddleDifficulty ronDifficulty;
-        if (difficulty == RiddleDifficulty.EASY) ronDifficulty = IRON.RiddleDifficulty.EASY;
-        else if (difficulty == RiddleDifficulty.MEDIUM) ronDifficulty = IRON.RiddleDifficulty.MEDIUM;
-        else if (difficulty == RiddleDifficulty.HARD) ronDifficulty = IRON.RiddleDifficulty.HARD;
-        else ronDifficulty = IRON.RiddleDifficulty.LEGENDARY;
+        ronToken.awardRON(solver, _toRONDifficulty(difficulty), isFirstSolver, isSpeedSolver, "Riddle completion");
+    }
 
-        ronToken.awardRON(solver, ronDifficulty, isFirstSolver, isSpeedSolver, "Riddle completion");
+    function _toRONDifficulty(RiddleDifficulty difficulty) internal pure returns (IRON.RiddleDifficulty) {
+        if (difficulty == RiddleDifficulty.EASY) return IRON.RiddleDifficulty.EASY;
+        if (difficulty == RiddleDifficulty.MEDIUM) return IRON.RiddleDifficulty.MEDIUM;
+        if (difficulty == RiddleDifficulty.HARD) return IRON.RiddleDifficulty.HARD;
+        return IRON.RiddleDifficulty.LEGENDARY;
     }
 
     // ============ UTILITY FUNCTIONS ============
@@ -885,13 +1658,34 @@ contract RiddleNFTAdvanced is
     }
 
     function _getTokenIdForUser(uint256 sessionId, address user) internal view returns (uint256) {
-        // Simplified lookup - in production would use more efficient mapping
-        for (uint256 i = 1; i <= totalSupply(); i++) {
-            if (participantData[i].user == user && participantData[i].sessionId == sessionId) {
-                return i;
-            }
+        uint256 tokenId = sessionTokenOf[sessionId][user];
+        require(tokenId != 0, "Token not found");
+        return tokenId;
+    }
+
+    /**
+     * @dev Hands a running session's participant slot to the new holder of its access token
+     */
+    function _transferParticipant(uint256 tokenId, address from, address to) internal {
+        ParticipantData storage participant = participantData[tokenId];
+        RiddleSession storage session = riddleSessions[participant.sessionId];
+        if (
+            participant.user == address(0) ||
+            (session.state != RiddleState.ACTIVE && session.state != RiddleState.IN_PROGRESS)
+        ) {
+            return;
         }
-        revert("Token not found");
+
+        require(!accessTransfersLocked, "Access token locked during session");
+        require(sessionTokenOf[participant.sessionId][to] == 0, "Recipient already participating");
+
+        session.participants[to] = session.participants[from];
+        session.participants[from] = ParticipantStatus.NOT_PARTICIPATING;
+        delete sessionTokenOf[participant.sessionId][from];
+        sessionTokenOf[participant.sessionId][to] = tokenId;
+        participant.user = to;
+
+        emit ParticipantTransferred(participant.sessionId, tokenId, from, to);
     }
 
     function _applyBurnPenalty(address user, uint256 amount) internal {
@@ -908,13 +1702,148 @@ contract RiddleNFTAdvanced is
     }
 
     function adjustTargetSolveRate(uint256 newRate) external onlyRole(ADMIN_ROLE) {
+        require(newRate > 0 && newRate <= 100, "Invalid solve rate");
         uint256 oldRate = targetSolveRate;
         targetSolveRate = newRate;
-        emit DifficultyAdjusted(oldRate, newRate, 0);
+        (uint256 recentRate, ) = getRecentSolveRate();
+        emit DifficultyAdjusted(oldRate, newRate, recentRate);
+    }
+
+    /**
+     * @dev Bounds for the dynamic difficulty multiplier; 10000 / 10000 disables the adjustment
+     */
+    function setDifficultyAdjustmentBounds(uint256 minBps, uint256 maxBps) external onlyRole(ADMIN_ROLE) {
+        require(minBps > 0 && minBps <= 10000, "Invalid minimum adjustment");
+        require(maxBps >= 10000 && maxBps <= MAX_DIFFICULTY_ADJUSTMENT_BPS, "Invalid maximum adjustment");
+
+        minDifficultyAdjustmentBps = minBps;
+        maxDifficultyAdjustmentBps = maxBps;
+
+        emit DifficultyAdjustmentBoundsUpdated(minBps, maxBps);
+    }
+
+    function setRandomnessProvider(address provider) external onlyRole(ADMIN_ROLE) {
+        // address(0) falls back to block-based parameters (local development only)
+        randomnessProvider = IRandomnessProvider(provider);
+    }
+
+    /**
+     * @dev Re-request randomness for a session whose fulfilment never arrived or failed
+     */
+    function retrySessionRandomness(uint256 sessionId) external onlyRole(ADMIN_ROLE) {
+        require(riddleSessions[sessionId].state == RiddleState.PENDING_RANDOMNESS, "Session not pending randomness");
+        require(address(randomnessProvider) != address(0), "No randomness provider");
+        _requestSessionRandomness(sessionId);
     }
 
+    function updateRoyaltySettings(
+        uint256 _royaltyBps,
+        uint256 _creatorRoyaltyShareBps
+    ) external onlyRole(ADMIN_ROLE) {
+        require(_royaltyBps <= MAX_ROYALTY_BPS, "Royalty too high");
+        require(_creatorRoyaltyShareBps <= 10000, "Share exceeds 100%");
+        royaltyBps = _royaltyBps;
+        creatorRoyaltyShareBps = _creatorRoyaltyShareBps;
+    }
+
+    function setRoyaltySplitterImplementation(address implementation) external onlyRole(ADMIN_ROLE) {
+        require(implementation != address(0), "Invalid implementation");
+        // Splitter addresses derive from the implementation, so it can only be set once
+        require(royaltySplitterImplementation == address(0), "Already set");
+        royaltySplitterImplementation = implementation;
+    }
+
+    function setPrizeVault(address vault) external onlyRole(ADMIN_ROLE) {
+        // address(0) mints new session pools from the RDLN prize allocation instead
+        prizeVault = vault;
+    }
+
+    function setMetadataRenderer(address renderer) external onlyRole(ADMIN_ROLE) {
+        metadataRenderer = IRiddleMetadataRenderer(renderer);
+        if (totalSupply() > 0) {
+            emit BatchMetadataUpdate(1, totalSupply());
+        }
+    }
+
+    function addSolveHook(address hook) external onlyRole(ADMIN_ROLE) {
+        require(hook != address(0), "Invalid hook address");
+        require(solveHooks.length < MAX_SOLVE_HOOKS, "Too many solve hooks");
+        for (uint256 i = 0; i < solveHooks.length; i++) {
+            require(address(solveHooks[i]) != hook, "Hook already added");
+        }
+        solveHooks.push(IRiddleSolveHook(hook));
+    }
+
+    function removeSolveHook(address hook) external onlyRole(ADMIN_ROLE) {
+        for (uint256 i = 0; i < solveHooks.length; i++) {
+            if (address(solveHooks[i]) == hook) {
+                solveHooks[i] = solveHooks[solveHooks.length - 1];
+                solveHooks.pop();
+                return;
+            }
+        }
+        revert("Hook not found");
+    }
+
+    function getSolveHooks() external view returns (IRiddleSolveHook[] memory) {
+        return solveHooks;
+    }
+
+    function updateCreatorRevenueShare(uint256 _creatorRevenueShareBps) external onlyRole(ADMIN_ROLE) {
+        require(_creatorRevenueShareBps <= MAX_CREATOR_REVENUE_BPS, "Share too high");
+        creatorRevenueShareBps = _creatorRevenueShareBps;
+        emit CreatorRevenueShareUpdated(_creatorRevenueShareBps);
+    }
+
+    function updateValidationSettings(
+        uint256 _minValidatorStake,
+        uint256 _validationSlashBps,
+        uint256 _validationTimeout,
+        IRON.AccessTier _minValidatorTier
+    ) external onlyRole(ADMIN_ROLE) {
+        require(_minValidatorStake > 0, "Invalid minimum stake");
+        require(_validationSlashBps <= MAX_VALIDATION_SLASH_BPS, "Slash too high");
+        require(_validationTimeout > 0, "Invalid timeout");
+
+        minValidatorStake = _minValidatorStake;
+        validationSlashBps = _validationSlashBps;
+        validationTimeout = _validationTimeout;
+        minValidatorTier = _minValidatorTier;
+
+        emit ValidationSettingsUpdated(_minValidatorStake, _validationSlashBps, _validationTimeout, _minValidatorTier);
+    }
+
+    /**
+     * @dev Sets the total vote weight a question needs before consensus is checked
+     */
+    function updateValidationQuorum(uint256 _minValidationWeight) external onlyRole(ADMIN_ROLE) {
+        require(_minValidationWeight > 0, "Invalid quorum");
+        minValidationWeight = _minValidationWeight;
+        emit ValidationQuorumUpdated(_minValidationWeight);
+    }
+
+    function setAccessTransfersLocked(bool locked) external onlyRole(ADMIN_ROLE) {
+        accessTransfersLocked = locked;
+        emit AccessTransfersLockUpdated(locked);
+    }
+
+    /**
+     * @dev Stop a session that has not closed; prizes already won stay claimable, the rest of the
+     * escrow is released and access holders can claim refunds
+     */
     function emergencyPauseSession(uint256 sessionId) external onlyRole(ADMIN_ROLE) {
-        riddleSessions[sessionId].state = RiddleState.EMERGENCY_STOPPED;
+        require(sessionId > 0 && sessionId < currentSessionId, "Session does not exist");
+        RiddleSession storage session = riddleSessions[sessionId];
+        require(
+            session.state != RiddleState.COMPLETED && session.state != RiddleState.EMERGENCY_STOPPED,
+            "Session already closed"
+        );
+
+        RiddleState previousState = session.state;
+        session.state = RiddleState.EMERGENCY_STOPPED;
+        uint256 released = _releaseUnusedEscrow(sessionId);
+
+        emit SessionEmergencyStopped(sessionId, previousState, released);
     }
 
     // ============ VIEW FUNCTIONS ============
@@ -940,6 +1869,32 @@ contract RiddleNFTAdvanced is
         );
     }
 
+    /**
+     * @dev Escrowed RDLN against what the session still owes: the maximum remaining payout while
+     * winners can still be added, otherwise the allocated but unclaimed prizes
+     */
+    function getRiddleSolvency(uint256 sessionId) external view returns (
+        uint256 escrowed,
+        uint256 liabilities,
+        bool solvent
+    ) {
+        RiddleSession storage session = riddleSessions[sessionId];
+        escrowed = sessionPrizeEscrow[sessionId];
+        uint256 claimed = sessionPrizesClaimed[sessionId];
+
+        if (
+            session.state == RiddleState.INACTIVE ||
+            session.state == RiddleState.ACTIVE ||
+            session.state == RiddleState.IN_PROGRESS
+        ) {
+            liabilities = session.winnerSlots == 0 ? 0 : _maxSessionPayout(session) - claimed;
+        } else if (session.state != RiddleState.PENDING_RANDOMNESS && session.state != RiddleState.PENDING_FUNDING) {
+            liabilities = session.totalPrizesDistributed - claimed;
+        }
+
+        solvent = escrowed >= liabilities;
+    }
+
     function getParticipantData(uint256 tokenId) external view returns (
         address user,
         uint256 sessionId,
@@ -959,6 +1914,37 @@ contract RiddleNFTAdvanced is
         );
     }
 
+    /**
+     * @dev Per-question progress for a session access token. progressBps is the share of the session's
+     * questions solved; in PARTIAL_CREDIT sessions it scales the RON paid by awardPartialCredit.
+     * nextQuestion is the first unsolved index, or the question count once all are solved.
+     */
+    function getParticipantProgress(uint256 tokenId) external view returns (
+        uint256 solvedBitmap,
+        uint256 solvedCount,
+        uint256 totalQuestions,
+        uint256 nextQuestion,
+        uint256 progressBps,
+        ProgressMode mode,
+        bool completed
+    ) {
+        ParticipantData storage participant = participantData[tokenId];
+        require(participant.user != address(0), "Token not found");
+
+        solvedBitmap = questionProgress[tokenId];
+        solvedCount = questionsSolved[tokenId];
+        totalQuestions = riddleSessions[participant.sessionId].questionIds.length;
+        mode = sessionProgressModes[participant.sessionId];
+        completed = participant.completed;
+
+        while (nextQuestion < totalQuestions && solvedBitmap & (1 << nextQuestion) != 0) {
+            nextQuestion++;
+        }
+        if (totalQuestions > 0) {
+            progressBps = (solvedCount * 10000) / totalQuestions;
+        }
+    }
+
     function getQuestionData(uint256 questionId) external view returns (
         address creator,
         string memory content,
@@ -978,10 +1964,69 @@ contract RiddleNFTAdvanced is
         );
     }
 
+    // ============ ROYALTIES ============
+
+    /**
+     * @dev ERC-2981 royalty for `tokenId`, paid to the token's deterministic RoyaltySplitter clone
+     */
+    function royaltyInfo(
+        uint256 tokenId,
+        uint256 salePrice
+    ) external view override returns (address receiver, uint256 royaltyAmount) {
+        if (royaltySplitterImplementation == address(0)) {
+            return (address(0), 0);
+        }
+        return (royaltySplitterFor(tokenId), (salePrice * royaltyBps) / 10000);
+    }
+
+    function royaltySplitterFor(uint256 tokenId) public view returns (address) {
+        require(royaltySplitterImplementation != address(0), "Royalties not enabled");
+        return Clones.predictDeterministicAddress(royaltySplitterImplementation, bytes32(tokenId));
+    }
+
+    /**
+     * @dev Deploy the splitter for `tokenId` so accrued royalties can be released (callable by anyone)
+     */
+    function deployRoyaltySplitter(uint256 tokenId) external returns (address splitter) {
+        require(royaltySplitterImplementation != address(0), "Royalties not enabled");
+        NFTMetadata storage metadata = nftMetadata[tokenId];
+        require(metadata.originalMinter != address(0), "Token does not exist");
+
+        splitter = royaltySplitterFor(tokenId);
+        require(splitter.code.length == 0, "Splitter already deployed");
+
+        address creator = sessionCreators[metadata.sessionId];
+        Clones.cloneDeterministic(royaltySplitterImplementation, bytes32(tokenId));
+        RoyaltySplitter(payable(splitter)).initialize(creator, metadata.originalMinter, creatorRoyaltyShareBps);
+
+        emit RoyaltySplitterDeployed(tokenId, splitter, creator, metadata.originalMinter);
+    }
+
     // ============ ERC721 OVERRIDES ============
 
     function tokenURI(uint256 tokenId) public view override(ERC721Upgradeable, ERC721URIStorageUpgradeable) returns (string memory) {
-        return super.tokenURI(tokenId);
+        if (address(metadataRenderer) == address(0)) {
+            return super.tokenURI(tokenId);
+        }
+        _requireOwned(tokenId);
+
+        NFTMetadata storage metadata = nftMetadata[tokenId];
+        ParticipantData storage participant = participantData[tokenId];
+
+        return metadataRenderer.tokenURI(IRiddleMetadataRenderer.TokenMetadata({
+            tokenId: tokenId,
+            collection: "Riddlen Achievement",
+            editionLabel: "Session",
+            edition: metadata.sessionId,
+            category: metadata.category,
+            difficulty: uint8(metadata.difficulty),
+            solved: participant.successful,
+            solver: participant.successful ? participant.user : address(0),
+            // Every correct answer is counted in attemptCount as well
+            failedAttempts: participant.attemptCount - questionsSolved[tokenId],
+            prizeAmount: participant.prizeAmount,
+            prizeClaimed: participant.prizeClaimed
+        }));
     }
 
     function _update(address to, uint256 tokenId, address auth)
@@ -989,7 +2034,11 @@ contract RiddleNFTAdvanced is
         override(ERC721Upgradeable, ERC721EnumerableUpgradeable)
         returns (address)
     {
-        return super._update(to, tokenId, auth);
+        address from = super._update(to, tokenId, auth);
+        if (from != address(0) && to != address(0)) {
+            _transferParticipant(tokenId, from, to);
+        }
+        return from;
     }
 
     function _increaseBalance(address account, uint128 value)
@@ -1002,10 +2051,10 @@ contract RiddleNFTAdvanced is
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721Upgradeable, ERC721EnumerableUpgradeable, ERC721URIStorageUpgradeable, AccessControlUpgradeable)
+        override(ERC721Upgradeable, ERC721EnumerableUpgradeable, ERC721URIStorageUpgradeable, AccessControlUpgradeable, IERC165)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        return interfaceId == type(IERC2981).interfaceId || super.supportsInterface(interfaceId);
     }
 
     // ============ UPGRADEABILITY ============
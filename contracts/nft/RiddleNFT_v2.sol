@@ -7,9 +7,24 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/interfaces/IERC4906.sol";
 import "../interfaces/IRiddleNFT_v2.sol";
 import "../interfaces/IRDLN.sol";
 import "../interfaces/IRON.sol";
+import "../interfaces/IRandomnessProvider.sol";
+import "../interfaces/IRiddleMetadataRenderer.sol";
+import "../interfaces/IRiddleSolveHook.sol";
+import "../interfaces/IRiddleHints.sol";
+import "../interfaces/IRiddleTeams.sol";
+import "../libraries/RiddleAnswers.sol";
+import "../libraries/RiddleCommitReveal.sol";
+import "../libraries/RiddleEscrow.sol";
+import "../libraries/RiddleExpiry.sol";
+import "../libraries/RiddleMetadata.sol";
+import "../libraries/RiddleRandomness.sol";
+import "../libraries/RiddleRoyalties.sol";
+import "../libraries/RiddleSolving.sol";
 
 contract RiddleNFT is
     ERC721,
@@ -17,7 +32,10 @@ contract RiddleNFT is
     AccessControl,
     ReentrancyGuard,
     Pausable,
-    IRiddleNFT
+    IRiddleNFT,
+    IRandomnessConsumer,
+    IERC2981,
+    IERC4906
 {
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant CREATOR_ROLE = keccak256("CREATOR_ROLE");
@@ -50,9 +68,53 @@ contract RiddleNFT is
     mapping(uint256 => NFTSolveData) public nftData;
     mapping(uint256 => mapping(address => bool)) public hasUserSolvedRiddle;
 
-    // Resale system
-    mapping(uint256 => bool) public tokenForSale;
-    mapping(uint256 => uint256) public tokenResalePrice;
+    // ERC-2981 royalties, paid to a per-token RoyaltySplitter clone (riddle creator / original minter)
+    uint256 public constant MAX_ROYALTY_BPS = 1000;  // 10% cap
+    uint256 public royaltyBps = 500;                 // 5% of the sale price
+    uint256 public creatorRoyaltyShareBps = 5000;    // Creator's share of the royalty, rest to the minter
+    address public royaltySplitterImplementation;    // Unset = royalties disabled
+
+    // Commit-reveal answer submission (keeps plaintext answers out of the mempool)
+    uint256 public revealDelayBlocks = 2;      // Minimum blocks between commit and reveal
+    uint256 public commitExpiryBlocks = 1800;  // ~1 hour on Polygon
+    mapping(uint256 => AnswerCommitment) public answerCommitments;
+
+    // Alternate accepted answers per riddle, on top of riddle.answerHash. All hashes are of the
+    // normalized answer (see hashAnswer); Merkle leaves are keccak256(abi.encodePacked(answerHash))
+    uint256 public constant MAX_ACCEPTED_ANSWERS = RiddleAnswers.MAX_ACCEPTED_ANSWERS;
+    mapping(uint256 => bytes32[]) private acceptedAnswerHashes;
+    mapping(uint256 => bytes32) public acceptedAnswersRoot;
+
+    // Verifiable randomness for riddle parameters (unset = block-based fallback for local use)
+    IRandomnessProvider public randomnessProvider;
+    mapping(uint256 => uint256) public randomnessRequestToRiddle;
+    mapping(uint256 => uint256) public riddleRandomWords; // Kept for riddles awaiting prize funding
+    mapping(uint256 => uint256) public riddleRandomnessRequests; // Request that delivered the kept word
+
+    // On-chain tokenURI renderer (swappable; unset = no metadata)
+    IRiddleMetadataRenderer public metadataRenderer;
+
+    // Notified of every solve, e.g. the season leaderboard and achievement badges
+    uint256 public constant MAX_SOLVE_HOOKS = RiddleSolving.MAX_SOLVE_HOOKS; // Bounds the per-solve notification loop
+    IRiddleSolveHook[] internal solveHooks;
+
+    // Hint marketplace (unset = no hints); hints bought for a token reduce its solve bonuses
+    IRiddleHints public hintMarket;
+
+    // Prize escrow: each riddle's pool is funded at release, from the vault if set, otherwise
+    // minted from the RDLN prize allocation (requires MINTER_ROLE on RDLN)
+    address public prizeVault;
+    mapping(uint256 => uint256) public riddlePrizeEscrow;
+    uint256 public totalPrizeEscrow;
+
+    // Riddle expiry and prize sweeps
+    uint256 public defaultSolveWindow = 7 days; // Applied to riddles at release
+    uint256 public claimPeriod = 30 days;       // Time winners have to claim once a riddle closes
+    bool public rollOverUnusedPrizes;           // false = return to the grand-prize wallet
+    uint256 public rolloverPrizePool;           // Added to the next riddle's prize pool
+
+    // Team solving (unset = solo play only): members of a team share one NFT and split its prize and RON
+    IRiddleTeams public teamRegistry;
 
     // Statistics
     mapping(uint256 => uint256) public riddleTotalBurned;
@@ -64,8 +126,14 @@ contract RiddleNFT is
         _;
     }
 
+    // Token owner, or a member of the team the token is assigned to
+    modifier onlyTokenPlayer(uint256 tokenId) {
+        _checkTokenPlayer(tokenId);
+        _;
+    }
+
     modifier validRiddle(uint256 riddleId) {
-        require(riddles[riddleId].riddleId > 0, "Invalid riddle");
+        _checkValidRiddle(riddleId);
         _;
     }
 
@@ -92,6 +160,14 @@ contract RiddleNFT is
         _grantRole(CREATOR_ROLE, _admin);
     }
 
+    function _checkTokenPlayer(uint256 tokenId) internal view {
+        require(_canPlay(tokenId, msg.sender), "Not token owner");
+    }
+
+    function _checkValidRiddle(uint256 riddleId) internal view {
+        require(riddles[riddleId].riddleId > 0, "Invalid riddle");
+    }
+
     function releaseWeeklyRiddle(
         string memory category,
         Difficulty difficulty,
@@ -109,34 +185,117 @@ contract RiddleNFT is
             difficulty
         )));
 
-        // Generate randomized parameters
-        RiddleParameters memory params = _generateRandomParameters(difficulty);
-
-        riddles[riddleId] = RiddleData({
-            riddleId: riddleId,
-            weekNumber: weekNumber,
-            category: category,
-            difficulty: difficulty,
-            answerHash: answerHash,
-            ipfsHash: ipfsHash,
-            creator: msg.sender,
-            releaseTime: block.timestamp,
-            status: RiddleStatus.ACTIVE,
-            params: params,
-            totalMinted: 0,
-            solverCount: 0
-        });
+        // Parameters stay empty until the randomness provider fulfils the request
+        bool awaitingRandomness = address(randomnessProvider) != address(0);
+        RiddleParameters memory params;
+        if (!awaitingRandomness) {
+            params = _generateRandomParameters(
+                difficulty,
+                uint256(keccak256(abi.encodePacked(block.timestamp, block.prevrandao, difficulty)))
+            );
+            params.prizePool = _escrowPrizePool(riddleId, params.prizePool);
+        }
+
+        // Counters, claim deadline and sweep state start zeroed
+        RiddleData storage riddle = riddles[riddleId];
+        riddle.riddleId = riddleId;
+        riddle.weekNumber = weekNumber;
+        riddle.category = category;
+        riddle.difficulty = difficulty;
+        riddle.answerHash = answerHash;
+        riddle.ipfsHash = ipfsHash;
+        riddle.creator = msg.sender;
+        riddle.releaseTime = block.timestamp;
+        riddle.status = awaitingRandomness ? RiddleStatus.PENDING_RANDOMNESS : RiddleStatus.ACTIVE;
+        riddle.params = params;
+        riddle.solveWindow = defaultSolveWindow;
 
         weekToRiddleId[weekNumber] = riddleId;
 
         emit WeeklyRiddleReleased(riddleId, weekNumber, difficulty, params);
 
+        if (awaitingRandomness) {
+            _requestRiddleRandomness(riddleId);
+        }
+
         return riddleId;
     }
 
+    /**
+     * @dev Randomness provider callback; keeps the word and opens the riddle once its prize pool is funded
+     */
+    function fulfillRandomness(uint256 requestId, uint256[] calldata randomWords) external {
+        require(msg.sender == address(randomnessProvider), "Only randomness provider");
+
+        uint256 riddleId = randomnessRequestToRiddle[requestId];
+        require(riddleId != 0, "Unknown randomness request");
+        delete randomnessRequestToRiddle[requestId];
+
+        RiddleData storage riddle = riddles[riddleId];
+        require(riddle.status == RiddleStatus.PENDING_RANDOMNESS, "Riddle not pending randomness");
+
+        // Keep the word first: a revert here would lose it, since the provider never redelivers
+        riddleRandomWords[riddleId] = randomWords[0];
+        riddleRandomnessRequests[riddleId] = requestId;
+        riddle.status = RiddleStatus.PENDING_FUNDING;
+
+        uint256 basePrizePool = _generateRandomParameters(riddle.difficulty, randomWords[0]).prizePool;
+        if (RiddleEscrow.fundingAvailable(rdlnToken, prizeVault, basePrizePool)) {
+            _activateRiddle(riddleId);
+        } else {
+            emit RiddleFundingPending(riddleId, requestId); // Top up, then fundRiddlePrizePool
+        }
+    }
+
+    /**
+     * @dev Escrow the prize pool of a riddle whose random word arrived while funding was short, and open it
+     */
+    function fundRiddlePrizePool(uint256 riddleId) external onlyRole(ADMIN_ROLE) validRiddle(riddleId) {
+        require(riddles[riddleId].status == RiddleStatus.PENDING_FUNDING, "Riddle not pending funding");
+        _activateRiddle(riddleId);
+    }
+
+    function _activateRiddle(uint256 riddleId) internal {
+        RiddleData storage riddle = riddles[riddleId];
+        riddle.params = _generateRandomParameters(riddle.difficulty, riddleRandomWords[riddleId]);
+        riddle.params.prizePool = _escrowPrizePool(riddleId, riddle.params.prizePool);
+        riddle.status = RiddleStatus.ACTIVE;
+        riddle.releaseTime = block.timestamp; // Solvable (and speed bonus clock starts) from now
+
+        emit RiddleParametersFinalized(riddleId, riddleRandomnessRequests[riddleId], riddle.params);
+    }
+
+    function _awaitingActivation(RiddleStatus status) internal pure returns (bool) {
+        return status == RiddleStatus.PENDING_RANDOMNESS || status == RiddleStatus.PENDING_FUNDING;
+    }
+
+    function _requestRiddleRandomness(uint256 riddleId) internal {
+        uint256 requestId = randomnessProvider.requestRandomness(1);
+        randomnessRequestToRiddle[requestId] = riddleId;
+
+        emit RiddleRandomnessRequested(riddleId, requestId);
+    }
+
+    /**
+     * @dev Funds a riddle's prize pool into its escrow; rolled-over funds are already held here
+     * @return prizePool The escrowed pool including any rollover
+     */
+    function _escrowPrizePool(uint256 riddleId, uint256 basePrizePool) internal returns (uint256 prizePool) {
+        RiddleEscrow.pull(rdlnToken, prizeVault, basePrizePool);
+
+        prizePool = basePrizePool + rolloverPrizePool;
+        rolloverPrizePool = 0;
+
+        riddlePrizeEscrow[riddleId] = prizePool;
+        totalPrizeEscrow += prizePool;
+
+        emit PrizeEscrowFunded(riddleId, prizePool);
+    }
+
     function mintRiddleNFT(uint256 riddleId) external nonReentrant whenNotPaused validRiddle(riddleId) returns (uint256 tokenId) {
         RiddleData storage riddle = riddles[riddleId];
         require(riddle.status == RiddleStatus.ACTIVE, "Riddle not active");
+        require(block.timestamp < riddle.releaseTime + riddle.solveWindow, "Solve window closed");
         require(riddle.totalMinted < riddle.params.maxMintRate, "Max mint reached");
 
         uint256 mintCost = getCurrentMintCost();
@@ -145,22 +304,13 @@ contract RiddleNFT is
         tokenId = nextTokenId++;
         riddle.totalMinted++;
 
-        nftData[tokenId] = NFTSolveData({
-            tokenId: tokenId,
-            riddleId: riddleId,
-            currentOwner: msg.sender,
-            originalMinter: msg.sender,
-            mintedAt: block.timestamp,
-            failedAttempts: 0,
-            solved: false,
-            solver: address(0),
-            solveTime: 0,
-            prizeAmount: 0,
-            prizeClaimed: false,
-            wasFirstSolver: false,
-            wasSpeedSolver: false,
-            ronEarned: 0
-        });
+        // Solve and claim fields start zeroed
+        NFTSolveData storage nft = nftData[tokenId];
+        nft.tokenId = tokenId;
+        nft.riddleId = riddleId;
+        nft.currentOwner = msg.sender;
+        nft.originalMinter = msg.sender;
+        nft.mintedAt = block.timestamp;
 
         _mint(msg.sender, tokenId);
 
@@ -169,16 +319,65 @@ contract RiddleNFT is
         return tokenId;
     }
 
-    function attemptSolution(
+    function commitAnswer(
+        uint256 tokenId,
+        bytes32 commitment
+    ) external whenNotPaused onlyTokenPlayer(tokenId) {
+        require(commitment != bytes32(0), "Invalid commitment");
+
+        NFTSolveData storage nft = nftData[tokenId];
+        _requirePlayable(tokenId, nft, riddles[nft.riddleId]);
+
+        AnswerCommitment storage existing = answerCommitments[tokenId];
+        RiddleCommitReveal.commit(
+            existing,
+            tokenId,
+            nft.riddleId,
+            commitment,
+            existing.committer != address(0) && _canPlay(tokenId, existing.committer),
+            commitExpiryBlocks
+        );
+    }
+
+    function revealAnswer(
+        uint256 tokenId,
+        string memory answer,
+        bytes32 salt
+    ) external nonReentrant whenNotPaused onlyTokenPlayer(tokenId) {
+        _revealAnswer(tokenId, answer, salt, new bytes32[](0));
+    }
+
+    /**
+     * @dev Reveal for answers only accepted through the riddle's Merkle root of alternates
+     * @param proof Proof for keccak256(abi.encodePacked(hashAnswer(answer)))
+     */
+    function revealAnswerWithProof(
         uint256 tokenId,
-        string memory answer
-    ) external nonReentrant whenNotPaused onlyTokenOwner(tokenId) {
+        string memory answer,
+        bytes32 salt,
+        bytes32[] calldata proof
+    ) external nonReentrant whenNotPaused onlyTokenPlayer(tokenId) {
+        _revealAnswer(tokenId, answer, salt, proof);
+    }
+
+    function _revealAnswer(
+        uint256 tokenId,
+        string memory answer,
+        bytes32 salt,
+        bytes32[] memory proof
+    ) internal {
+        RiddleCommitReveal.consume(
+            answerCommitments[tokenId],
+            tokenId,
+            answer,
+            salt,
+            revealDelayBlocks,
+            commitExpiryBlocks
+        );
+
         NFTSolveData storage nft = nftData[tokenId];
         RiddleData storage riddle = riddles[nft.riddleId];
-
-        require(riddle.status == RiddleStatus.ACTIVE, "Riddle not active");
-        require(!nft.solved, "Already solved");
-        require(!hasUserSolvedRiddle[nft.riddleId][msg.sender], "User already solved this riddle");
+        _requirePlayable(tokenId, nft, riddle);
 
         // Burn RDLN tokens for attempt (progressive burn handled by RDLN contract)
         uint256 burnAmount = rdlnToken.burnFailedAttempt(msg.sender);
@@ -187,133 +386,208 @@ contract RiddleNFT is
         globalTotalBurned += burnAmount;
         riddleTotalBurned[nft.riddleId] += burnAmount;
 
-        // Check if answer is correct
-        bytes32 submittedHash = keccak256(abi.encodePacked(answer));
-        bool isCorrect = submittedHash == riddle.answerHash;
+        // Check if answer is correct (after normalization, against the main and alternate answers)
+        bool isCorrect = _isAcceptedAnswer(nft.riddleId, hashAnswer(answer), proof);
 
         emit AttemptMade(tokenId, nft.riddleId, msg.sender, nft.failedAttempts, burnAmount, isCorrect);
 
         if (isCorrect) {
-            _handleCorrectSolution(tokenId, nft, riddle);
+            RiddleSolving.recordSolve(
+                tokenId,
+                nft,
+                riddle,
+                hasUserSolvedRiddle[nft.riddleId],
+                _tokenTeam(tokenId),
+                teamRegistry,
+                hintMarket,
+                ronToken,
+                solveHooks,
+                claimPeriod
+            );
         }
+
+        emit MetadataUpdate(tokenId);
     }
 
-    function _handleCorrectSolution(
+    /**
+     * @dev Commitment players submit for a later reveal (see RiddleCommitReveal.computeCommitment)
+     */
+    function computeCommitment(
         uint256 tokenId,
-        NFTSolveData storage nft,
-        RiddleData storage riddle
-    ) internal {
-        require(riddle.solverCount < riddle.params.winnerSlots, "All winner slots filled");
-
-        nft.solved = true;
-        nft.solver = msg.sender;
-        nft.solveTime = block.timestamp;
-        hasUserSolvedRiddle[nft.riddleId][msg.sender] = true;
-        riddle.solverCount++;
-
-        // Determine bonuses
-        bool isFirstSolver = (riddle.solverCount == 1);
-        uint256 solveTimeDiff = block.timestamp - riddle.releaseTime;
-        bool isSpeedSolver = solveTimeDiff <= 1 hours; // Top speed threshold
-
-        nft.wasFirstSolver = isFirstSolver;
-        nft.wasSpeedSolver = isSpeedSolver;
-
-        // Calculate prize amount (equal distribution among winners)
-        uint256 prizePerWinner = riddle.params.prizePool / riddle.params.winnerSlots;
-        nft.prizeAmount = prizePerWinner;
-
-        // Award RON reputation
-        uint256 ronEarned = ronToken.awardRON(
-            msg.sender,
-            IRON.RiddleDifficulty(uint256(riddle.difficulty)),
-            isFirstSolver,
-            isSpeedSolver,
-            string(abi.encodePacked("Solved riddle ", _toString(nft.riddleId)))
+        address committer,
+        string memory answer,
+        bytes32 salt
+    ) public pure returns (bytes32) {
+        return RiddleCommitReveal.computeCommitment(tokenId, committer, answer, salt);
+    }
+
+    // The token's riddle is open and the caller (or their team) has not solved it yet
+    function _requirePlayable(uint256 tokenId, NFTSolveData storage nft, RiddleData storage riddle) internal view {
+        require(riddle.status == RiddleStatus.ACTIVE, "Riddle not active");
+        require(block.timestamp < riddle.releaseTime + riddle.solveWindow, "Solve window closed");
+        require(!nft.solved, "Already solved");
+        require(!hasUserSolvedRiddle[nft.riddleId][msg.sender], "User already solved this riddle");
+        require(_teamOf(nft.riddleId, msg.sender) == _tokenTeam(tokenId), "Team members must use team token");
+    }
+
+    /**
+     * @dev Canonical form answers are hashed in (see RiddleAnswers.normalize)
+     */
+    function normalizeAnswer(string memory answer) public pure returns (string memory) {
+        return RiddleAnswers.normalize(answer);
+    }
+
+    /**
+     * @dev Hash creators must use for answerHash and accepted alternates
+     */
+    function hashAnswer(string memory answer) public pure returns (bytes32) {
+        return keccak256(bytes(normalizeAnswer(answer)));
+    }
+
+    function _isAcceptedAnswer(uint256 riddleId, bytes32 answerHash, bytes32[] memory proof) internal view returns (bool) {
+        return RiddleAnswers.isAccepted(
+            riddles[riddleId].answerHash,
+            acceptedAnswerHashes[riddleId],
+            acceptedAnswersRoot[riddleId],
+            answerHash,
+            proof
         );
-        nft.ronEarned = ronEarned;
+    }
 
-        emit RiddleSolved(
+    /**
+     * @dev Pays the prize to the caller, or for a team token splits the prize and RON across
+     * the members by share (any member or the owner may trigger it)
+     */
+    function claimPrize(uint256 tokenId) external nonReentrant onlyTokenPlayer(tokenId) {
+        NFTSolveData storage nft = nftData[tokenId];
+        uint256 amount = RiddleSolving.claimPrize(
             tokenId,
-            nft.riddleId,
-            msg.sender,
-            nft.prizeAmount,
-            ronEarned,
-            isFirstSolver,
-            isSpeedSolver
+            nft,
+            riddles[nft.riddleId],
+            riddlePrizeEscrow,
+            _tokenTeam(tokenId),
+            teamRegistry,
+            rdlnToken,
+            ronToken
         );
 
-        // Check if riddle is complete
-        if (riddle.solverCount >= riddle.params.winnerSlots) {
-            riddle.status = RiddleStatus.SOLVED;
-        }
+        totalPrizeEscrow -= amount;
+        globalTotalPrizesDistributed += amount;
+
+        emit MetadataUpdate(tokenId);
     }
 
-    function claimPrize(uint256 tokenId) external nonReentrant onlyTokenOwner(tokenId) {
-        NFTSolveData storage nft = nftData[tokenId];
-        require(nft.solved, "NFT not solved");
-        require(!nft.prizeClaimed, "Prize already claimed");
-        require(nft.prizeAmount > 0, "No prize to claim");
+    // ============ TEAMS ============
 
-        nft.prizeClaimed = true;
-        globalTotalPrizesDistributed += nft.prizeAmount;
+    /**
+     * @dev Whether the account may play the token: its owner, or a member of the token's team
+     */
+    function canPlay(uint256 tokenId, address account) external view returns (bool) {
+        return _canPlay(tokenId, account);
+    }
 
-        require(rdlnToken.transfer(msg.sender, nft.prizeAmount), "Prize transfer failed");
+    function _canPlay(uint256 tokenId, address account) internal view returns (bool) {
+        if (ownerOf(tokenId) == account) return true;
+        uint256 teamId = _tokenTeam(tokenId);
+        return teamId != 0 && _teamOf(nftData[tokenId].riddleId, account) == teamId;
+    }
 
-        emit PrizeClaimed(tokenId, msg.sender, nft.prizeAmount);
+    function _tokenTeam(uint256 tokenId) internal view returns (uint256) {
+        return address(teamRegistry) == address(0) ? 0 : teamRegistry.tokenTeam(tokenId);
     }
 
-    function setResalePrice(uint256 tokenId, uint256 price) external onlyTokenOwner(tokenId) {
-        if (price == 0) {
-            tokenForSale[tokenId] = false;
-            tokenResalePrice[tokenId] = 0;
-        } else {
-            tokenForSale[tokenId] = true;
-            tokenResalePrice[tokenId] = price;
-        }
+    function _teamOf(uint256 riddleId, address account) internal view returns (uint256) {
+        return address(teamRegistry) == address(0) ? 0 : teamRegistry.teamOf(riddleId, account);
     }
 
-    function buyNFT(uint256 tokenId) external payable nonReentrant whenNotPaused {
-        require(tokenForSale[tokenId], "NFT not for sale");
-        require(msg.value >= tokenResalePrice[tokenId], "Insufficient payment");
+    /**
+     * @dev Replaces a riddle's alternate answers before anyone has solved it
+     * @param answerHashes Up to MAX_ACCEPTED_ANSWERS hashAnswer() values
+     * @param merkleRoot Root over larger alternate sets (bytes32(0) = none)
+     */
+    function setAcceptedAnswers(
+        uint256 riddleId,
+        bytes32[] calldata answerHashes,
+        bytes32 merkleRoot
+    ) external validRiddle(riddleId) {
+        RiddleData storage riddle = riddles[riddleId];
+        require(msg.sender == riddle.creator || hasRole(ADMIN_ROLE, msg.sender), "Not riddle creator");
+        RiddleAnswers.setAccepted(riddle, acceptedAnswerHashes, acceptedAnswersRoot, answerHashes, merkleRoot);
+    }
 
-        address seller = ownerOf(tokenId);
-        uint256 salePrice = tokenResalePrice[tokenId];
+    function getAcceptedAnswerHashes(uint256 riddleId) external view returns (bytes32[] memory) {
+        return acceptedAnswerHashes[riddleId];
+    }
 
-        // Calculate commissions
-        uint256 totalCommission = (salePrice * (burnPercent + grandPrizePercent + devOpsPercent)) / 10000;
-        uint256 burnAmount = (salePrice * burnPercent) / 10000;
-        uint256 grandPrizeAmount = (salePrice * grandPrizePercent) / 10000;
-        uint256 devOpsAmount = (salePrice * devOpsPercent) / 10000;
-        uint256 sellerAmount = salePrice - totalCommission;
+    /**
+     * @dev Closes a riddle whose solve window has lapsed; callable by anyone. Prize pool not
+     * allocated to a winner is returned (or rolled over) immediately; winners keep their claim period.
+     * Riddles still waiting for randomness or funding expire too, so neither can hold them open
+     */
+    function expireRiddle(uint256 riddleId) external nonReentrant validRiddle(riddleId) {
+        _returnPrizeFunds(riddleId, RiddleExpiry.expire(riddles[riddleId], claimPeriod));
+    }
 
-        // Update NFT ownership data
-        nftData[tokenId].currentOwner = msg.sender;
+    /**
+     * @dev Returns what is left in a closed riddle's escrow after its claim deadline: unclaimed prizes
+     * and, for solved riddles, the remainder of a pool that did not divide evenly. Callable by anyone
+     */
+    function sweepUnclaimedPrizes(uint256 riddleId) external nonReentrant validRiddle(riddleId) {
+        uint256 unclaimed = riddlePrizeEscrow[riddleId];
+        RiddleExpiry.sweep(riddles[riddleId], unclaimed);
 
-        // Clear sale status
-        tokenForSale[tokenId] = false;
-        tokenResalePrice[tokenId] = 0;
+        _returnPrizeFunds(riddleId, unclaimed);
+    }
 
-        // Transfer NFT
-        _transfer(seller, msg.sender, tokenId);
+    function _returnPrizeFunds(uint256 riddleId, uint256 amount) internal {
+        if (amount == 0) return;
 
-        // Distribute payments
-        payable(seller).transfer(sellerAmount);
-        payable(grandPrizeWallet).transfer(grandPrizeAmount);
-        payable(devOpsWallet).transfer(devOpsAmount);
+        riddlePrizeEscrow[riddleId] -= amount;
+        totalPrizeEscrow -= amount;
 
-        // Handle burn (convert ETH to RDLN via DEX and burn)
-        // Note: In production, this would require DEX integration
-        // For now, send to a burn address or treasury
-        payable(address(0)).transfer(burnAmount);
+        // Rolled-over funds stay in this contract and are added to the next riddle's pool
+        if (rollOverUnusedPrizes) {
+            rolloverPrizePool += amount;
+        } else {
+            require(rdlnToken.transfer(grandPrizeWallet, amount), "Grand Prize transfer failed");
+        }
 
-        // Refund excess payment
-        if (msg.value > salePrice) {
-            payable(msg.sender).transfer(msg.value - salePrice);
+        emit PrizeFundsReturned(riddleId, amount, rollOverUnusedPrizes);
+    }
+
+    // ERC-2981 royalties
+
+    /**
+     * @dev Royalty for a sale of `tokenId`, paid to the token's RoyaltySplitter clone.
+     * The splitter address is deterministic, so royalties can accrue before it is deployed.
+     */
+    function royaltyInfo(
+        uint256 tokenId,
+        uint256 salePrice
+    ) public view override returns (address receiver, uint256 royaltyAmount) {
+        if (royaltySplitterImplementation == address(0)) {
+            return (address(0), 0);
         }
+        return (royaltySplitterFor(tokenId), (salePrice * royaltyBps) / 10000);
+    }
 
-        emit NFTResold(tokenId, seller, msg.sender, salePrice, totalCommission);
-        emit CommissionDistributed(totalCommission, burnAmount, grandPrizeAmount, devOpsAmount);
+    function royaltySplitterFor(uint256 tokenId) public view returns (address) {
+        return RiddleRoyalties.splitterFor(royaltySplitterImplementation, tokenId);
+    }
+
+    /**
+     * @dev Deploys the token's splitter so accrued royalties can be released. Callable by anyone;
+     * the creator/minter split is fixed at deployment time.
+     */
+    function deployRoyaltySplitter(uint256 tokenId) external returns (address) {
+        NFTSolveData storage nft = nftData[tokenId];
+        return RiddleRoyalties.deploySplitter(
+            royaltySplitterImplementation,
+            tokenId,
+            riddles[nft.riddleId].creator,
+            nft.originalMinter,
+            creatorRoyaltyShareBps
+        );
     }
 
     function getCurrentWeek() public view returns (uint256) {
@@ -335,32 +609,8 @@ contract RiddleNFT is
         cost = getCurrentMintCost();
     }
 
-    function _generateRandomParameters(Difficulty difficulty) internal view returns (RiddleParameters memory) {
-        uint256 seed = uint256(keccak256(abi.encodePacked(block.timestamp, block.prevrandao, difficulty)));
-
-        // Randomize mint rate (10-1000)
-        uint256 maxMintRate = 10 + (seed % 991);
-
-        // Randomize prize pool based on difficulty (100K-10M RDLN)
-        uint256 minPrize = difficulty == Difficulty.LEGENDARY ? 5_000_000e18 :
-                          difficulty == Difficulty.HARD ? 1_000_000e18 :
-                          difficulty == Difficulty.MEDIUM ? 500_000e18 : 100_000e18;
-        uint256 maxPrize = difficulty == Difficulty.LEGENDARY ? 10_000_000e18 :
-                          difficulty == Difficulty.HARD ? 5_000_000e18 :
-                          difficulty == Difficulty.MEDIUM ? 2_000_000e18 : 1_000_000e18;
-        uint256 prizePool = minPrize + ((seed >> 8) % (maxPrize - minPrize));
-
-        // Randomize winner slots (1-100)
-        uint256 winnerSlots = 1 + ((seed >> 16) % 100);
-
-        uint256 mintCost = getCurrentMintCost();
-
-        return RiddleParameters({
-            maxMintRate: maxMintRate,
-            prizePool: prizePool,
-            winnerSlots: winnerSlots,
-            mintCost: mintCost
-        });
+    function _generateRandomParameters(Difficulty difficulty, uint256 seed) internal view returns (RiddleParameters memory) {
+        return RiddleRandomness.parameters(difficulty, seed, getCurrentMintCost());
     }
 
     // View functions
@@ -373,7 +623,7 @@ contract RiddleNFT is
     }
 
     function getRemainingNFTs(uint256 riddleId) external view validRiddle(riddleId) returns (uint256) {
-        RiddleData memory riddle = riddles[riddleId];
+        RiddleData storage riddle = riddles[riddleId];
         return riddle.params.maxMintRate - riddle.totalMinted;
     }
 
@@ -387,34 +637,28 @@ contract RiddleNFT is
         bool canAttempt,
         string memory reason
     ) {
-        RiddleData memory riddle = riddles[riddleId];
-
-        if (riddle.status != RiddleStatus.ACTIVE) {
-            return (false, "Riddle not active");
-        }
-
-        if (hasUserSolvedRiddle[riddleId][user]) {
-            return (false, "User already solved this riddle");
-        }
+        return RiddleExpiry.canAttempt(riddles[riddleId], hasUserSolvedRiddle[riddleId][user]);
+    }
 
-        return (true, "");
+    /**
+     * @dev Escrowed RDLN against what the riddle still owes (unclaimed prizes, plus the
+     * unallocated pool while it is active)
+     */
+    function getRiddleSolvency(uint256 riddleId) external view validRiddle(riddleId) returns (
+        uint256 escrowed,
+        uint256 liabilities,
+        bool solvent
+    ) {
+        escrowed = riddlePrizeEscrow[riddleId];
+        liabilities = RiddleExpiry.liabilities(riddles[riddleId]);
+        solvent = escrowed >= liabilities;
     }
 
     function getNextAttemptCost(uint256 tokenId) external view returns (uint256) {
-        NFTSolveData memory nft = nftData[tokenId];
+        NFTSolveData storage nft = nftData[tokenId];
         return (nft.failedAttempts + 1) * 1e18;
     }
 
-    function getResaleInfo(uint256 tokenId) external view returns (
-        bool forSale,
-        uint256 price,
-        address seller
-    ) {
-        forSale = tokenForSale[tokenId];
-        price = tokenResalePrice[tokenId];
-        seller = forSale ? ownerOf(tokenId) : address(0);
-    }
-
     // Statistics
     function getGlobalStats() external view returns (
         uint256 totalRiddles,
@@ -437,12 +681,13 @@ contract RiddleNFT is
         uint256 totalBurned,
         uint256 prizePoolRemaining
     ) {
-        RiddleData memory riddle = riddles[riddleId];
+        RiddleData storage riddle = riddles[riddleId];
         nftsMinted = riddle.totalMinted;
         solved = riddle.solverCount;
         averageSolveTime = 0; // Would need to track solve times
         totalBurned = riddleTotalBurned[riddleId];
-        prizePoolRemaining = riddle.params.prizePool - (riddle.solverCount * (riddle.params.prizePool / riddle.params.winnerSlots));
+        prizePoolRemaining = riddle.params.winnerSlots == 0 ? riddle.params.prizePool :
+            riddle.params.prizePool - (riddle.solverCount * (riddle.params.prizePool / riddle.params.winnerSlots));
     }
 
     // Admin functions
@@ -457,6 +702,99 @@ contract RiddleNFT is
         devOpsPercent = _devOpsPercent;
     }
 
+    function updateExpirySettings(
+        uint256 _defaultSolveWindow,
+        uint256 _claimPeriod
+    ) external onlyRole(ADMIN_ROLE) {
+        require(_defaultSolveWindow > 0 && _claimPeriod > 0, "Invalid window");
+        defaultSolveWindow = _defaultSolveWindow;
+        claimPeriod = _claimPeriod;
+    }
+
+    function setRiddleSolveWindow(uint256 riddleId, uint256 solveWindow) external onlyRole(ADMIN_ROLE) validRiddle(riddleId) {
+        RiddleExpiry.setSolveWindow(riddles[riddleId], solveWindow);
+    }
+
+    function setTeamRegistry(address registry) external onlyRole(ADMIN_ROLE) {
+        require(registry != address(0), "Invalid registry");
+        // Team tokens and pending team prizes are tracked by the registry, so it can only be set once
+        require(address(teamRegistry) == address(0), "Already set");
+        teamRegistry = IRiddleTeams(registry);
+    }
+
+    function setHintMarket(address market) external onlyRole(ADMIN_ROLE) {
+        hintMarket = IRiddleHints(market);
+    }
+
+    function setPrizeVault(address vault) external onlyRole(ADMIN_ROLE) {
+        // address(0) mints new riddle pools from the RDLN prize allocation instead
+        prizeVault = vault;
+    }
+
+    function setRollOverUnusedPrizes(bool rollOver) external onlyRole(ADMIN_ROLE) {
+        rollOverUnusedPrizes = rollOver;
+    }
+
+    function updateCommitRevealWindow(
+        uint256 _revealDelayBlocks,
+        uint256 _commitExpiryBlocks
+    ) external onlyRole(ADMIN_ROLE) {
+        require(_revealDelayBlocks > 0, "Reveal delay required");
+        require(_commitExpiryBlocks > _revealDelayBlocks, "Expiry before reveal delay");
+        revealDelayBlocks = _revealDelayBlocks;
+        commitExpiryBlocks = _commitExpiryBlocks;
+    }
+
+    function updateRoyaltySettings(
+        uint256 _royaltyBps,
+        uint256 _creatorRoyaltyShareBps
+    ) external onlyRole(ADMIN_ROLE) {
+        require(_royaltyBps <= MAX_ROYALTY_BPS, "Royalty too high");
+        require(_creatorRoyaltyShareBps <= 10000, "Share exceeds 100%");
+        royaltyBps = _royaltyBps;
+        creatorRoyaltyShareBps = _creatorRoyaltyShareBps;
+    }
+
+    function setRoyaltySplitterImplementation(address implementation) external onlyRole(ADMIN_ROLE) {
+        require(implementation != address(0), "Invalid implementation");
+        // Splitter addresses derive from the implementation, so it can only be set once
+        require(royaltySplitterImplementation == address(0), "Already set");
+        royaltySplitterImplementation = implementation;
+    }
+
+    function setMetadataRenderer(address renderer) external onlyRole(ADMIN_ROLE) {
+        metadataRenderer = IRiddleMetadataRenderer(renderer);
+        if (nextTokenId > 1) {
+            emit BatchMetadataUpdate(1, nextTokenId - 1);
+        }
+    }
+
+    function addSolveHook(address hook) external onlyRole(ADMIN_ROLE) {
+        RiddleSolving.addSolveHook(solveHooks, hook);
+    }
+
+    function removeSolveHook(address hook) external onlyRole(ADMIN_ROLE) {
+        RiddleSolving.removeSolveHook(solveHooks, hook);
+    }
+
+    function getSolveHooks() external view returns (IRiddleSolveHook[] memory) {
+        return solveHooks;
+    }
+
+    function setRandomnessProvider(address provider) external onlyRole(ADMIN_ROLE) {
+        // address(0) falls back to block-based parameters (local development only)
+        randomnessProvider = IRandomnessProvider(provider);
+    }
+
+    /**
+     * @dev Re-request randomness for a riddle whose fulfilment never arrived or failed
+     */
+    function retryRiddleRandomness(uint256 riddleId) external onlyRole(ADMIN_ROLE) validRiddle(riddleId) {
+        require(riddles[riddleId].status == RiddleStatus.PENDING_RANDOMNESS, "Riddle not pending randomness");
+        require(address(randomnessProvider) != address(0), "No randomness provider");
+        _requestRiddleRandomness(riddleId);
+    }
+
     function setDevOpsWallet(address newWallet) external onlyRole(ADMIN_ROLE) {
         require(newWallet != address(0), "Invalid address");
         devOpsWallet = newWallet;
@@ -483,6 +821,12 @@ contract RiddleNFT is
 
     // Required overrides
     function _update(address to, uint256 tokenId, address auth) internal override(ERC721, ERC721Enumerable) returns (address) {
+        if (_tokenTeam(tokenId) != 0) {
+            NFTSolveData storage nft = nftData[tokenId];
+            RiddleSolving.releaseTeamToken(tokenId, nft, riddles[nft.riddleId].claimDeadline, teamRegistry);
+        }
+        // Tracks every transfer, including marketplace sales
+        nftData[tokenId].currentOwner = to;
         return super._update(to, tokenId, auth);
     }
 
@@ -490,26 +834,19 @@ contract RiddleNFT is
         super._increaseBalance(account, value);
     }
 
-    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC721Enumerable, AccessControl, IERC165) returns (bool) {
-        return super.supportsInterface(interfaceId);
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        if (address(metadataRenderer) == address(0)) {
+            return super.tokenURI(tokenId);
+        }
+
+        NFTSolveData storage nft = nftData[tokenId];
+        return RiddleMetadata.tokenURI(metadataRenderer, tokenId, nft, riddles[nft.riddleId]);
     }
 
-    function _toString(uint256 value) internal pure returns (string memory) {
-        if (value == 0) {
-            return "0";
-        }
-        uint256 temp = value;
-        uint256 digits;
-        while (temp != 0) {
-            digits++;
-            temp /= 10;
-        }
-        bytes memory buffer = new bytes(digits);
-        while (value != 0) {
-            digits -= 1;
-            buffer[digits] = bytes1(uint8(48 + uint256(value % 10)));
-            value /= 10;
-        }
-        return string(buffer);
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC721Enumerable, AccessControl, IERC165) returns (bool) {
+        return interfaceId == type(IERC2981).interfaceId
+            || interfaceId == bytes4(0x49064906) // ERC-4906
+            || super.supportsInterface(interfaceId);
     }
 }
\ No newline at end of file
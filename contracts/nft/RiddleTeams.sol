@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "../interfaces/IRiddleTeams.sol";
+import "../interfaces/IRiddleNFT_v2.sol";
+
+/**
+ * @title RiddleTeams - Team registry for Riddlen Weekly NFTs
+ * @dev A captain registers a team for a riddle with basis-point shares; once every member accepts, the
+ * captain's token is shared with the team. RiddleNFT lets members play the token, marks all of them as
+ * solved and splits the prize and RON by share on claim.
+ * @notice Registered on RiddleNFT with setTeamRegistry. Needs no roles on RiddleNFT
+ */
+contract RiddleTeams is AccessControl, Pausable, IRiddleTeams {
+
+    // ============ CONSTANTS ============
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    uint256 public constant MAX_TEAM_SIZE_LIMIT = 20; // Bounds RiddleNFT's per-member loops
+
+    // ============ STATE VARIABLES ============
+
+    IRiddleNFT public immutable riddleNFT;
+
+    uint256 public maxTeamSize = 5;
+    uint256 public nextTeamId = 1;
+    mapping(uint256 => Team) internal teams;
+    mapping(uint256 => mapping(address => uint256)) public teamOf;       // riddleId => member => teamId (once accepted)
+    mapping(uint256 => mapping(address => bool)) public hasAcceptedTeam; // teamId => member => accepted
+    mapping(uint256 => uint256) public tokenTeam;                        // tokenId => teamId
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(address _riddleNFT, address _admin) {
+        require(_riddleNFT != address(0), "Invalid RiddleNFT address");
+        require(_admin != address(0), "Invalid admin address");
+
+        riddleNFT = IRiddleNFT(_riddleNFT);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(ADMIN_ROLE, _admin);
+    }
+
+    // ============ TEAMS ============
+
+    /**
+     * @dev Registers a team for a riddle. The caller is captain and must be listed first; every
+     * other member has to accept the proposed shares before the team can play.
+     * @param sharesBps Prize / RON share per member in basis points, totalling 10000
+     */
+    function registerTeam(
+        uint256 riddleId,
+        address[] calldata members,
+        uint256[] calldata sharesBps
+    ) external whenNotPaused returns (uint256 teamId) {
+        IRiddleNFT.RiddleData memory riddle = riddleNFT.getRiddle(riddleId);
+        require(riddle.riddleId > 0, "Invalid riddle");
+        require(riddle.status == IRiddleNFT.RiddleStatus.ACTIVE, "Riddle not active");
+        require(block.timestamp < riddle.releaseTime + riddle.solveWindow, "Solve window closed");
+        require(members.length >= 2 && members.length <= maxTeamSize, "Invalid team size");
+        require(members.length == sharesBps.length, "Array length mismatch");
+        require(members[0] == msg.sender, "Captain must be first member");
+        require(teamOf[riddleId][msg.sender] == 0, "Already in a team");
+        require(!riddleNFT.hasUserSolvedRiddle(riddleId, msg.sender), "User already solved this riddle");
+
+        uint256 totalBps;
+        for (uint256 i = 0; i < members.length; i++) {
+            require(members[i] != address(0), "Invalid member");
+            require(sharesBps[i] > 0, "Invalid share");
+            for (uint256 j = 0; j < i; j++) {
+                require(members[j] != members[i], "Duplicate member");
+            }
+            totalBps += sharesBps[i];
+        }
+        require(totalBps == 10000, "Shares must total 100%");
+
+        teamId = nextTeamId++;
+        Team storage team = teams[teamId];
+        team.riddleId = riddleId;
+        team.captain = msg.sender;
+        team.members = members;
+        team.sharesBps = sharesBps;
+        team.acceptedCount = 1;
+
+        hasAcceptedTeam[teamId][msg.sender] = true;
+        teamOf[riddleId][msg.sender] = teamId;
+
+        emit TeamRegistered(teamId, riddleId, msg.sender, members, sharesBps);
+        emit TeamInviteAccepted(teamId, msg.sender);
+    }
+
+    /**
+     * @dev Accepts a team invite and the shares it was registered with
+     */
+    function acceptTeamInvite(uint256 teamId) external whenNotPaused {
+        Team storage team = teams[teamId];
+        require(team.captain != address(0), "Invalid team");
+        require(_isTeamMember(team, msg.sender), "Not invited");
+        require(!hasAcceptedTeam[teamId][msg.sender], "Already accepted");
+        require(teamOf[team.riddleId][msg.sender] == 0, "Already in a team");
+        require(!riddleNFT.hasUserSolvedRiddle(team.riddleId, msg.sender), "User already solved this riddle");
+
+        hasAcceptedTeam[teamId][msg.sender] = true;
+        teamOf[team.riddleId][msg.sender] = teamId;
+        team.acceptedCount++;
+
+        emit TeamInviteAccepted(teamId, msg.sender);
+
+        if (team.acceptedCount == team.members.length) {
+            team.formed = true;
+            emit TeamFormed(teamId, team.riddleId);
+        }
+    }
+
+    /**
+     * @dev Dissolves a team that has no token assigned, releasing members who already accepted
+     */
+    function disbandTeam(uint256 teamId) external {
+        Team storage team = teams[teamId];
+        require(team.captain == msg.sender, "Not team captain");
+        require(team.tokenId == 0, "Team token assigned");
+
+        for (uint256 i = 0; i < team.members.length; i++) {
+            address member = team.members[i];
+            if (hasAcceptedTeam[teamId][member]) {
+                delete teamOf[team.riddleId][member];
+                delete hasAcceptedTeam[teamId][member];
+            }
+        }
+        delete teams[teamId];
+
+        emit TeamDisbanded(teamId);
+    }
+
+    /**
+     * @dev Shares an unsolved NFT with the caller's formed team. The binding is dropped if the
+     * token changes hands before it is solved.
+     */
+    function assignTokenToTeam(uint256 tokenId, uint256 teamId) external whenNotPaused {
+        require(riddleNFT.ownerOf(tokenId) == msg.sender, "Not token owner");
+
+        Team storage team = teams[teamId];
+        IRiddleNFT.NFTSolveData memory nft = riddleNFT.getNFTSolveData(tokenId);
+        require(team.formed, "Team not formed");
+        require(team.tokenId == 0, "Team already has a token");
+        require(nft.riddleId == team.riddleId, "Wrong riddle");
+        require(teamOf[team.riddleId][msg.sender] == teamId, "Not team member");
+        require(!nft.solved, "Already solved");
+
+        tokenTeam[tokenId] = teamId;
+        team.tokenId = tokenId;
+
+        emit TokenAssignedToTeam(tokenId, teamId);
+    }
+
+    function getTeam(uint256 teamId) external view returns (Team memory) {
+        return teams[teamId];
+    }
+
+    function _isTeamMember(Team storage team, address account) internal view returns (bool) {
+        for (uint256 i = 0; i < team.members.length; i++) {
+            if (team.members[i] == account) return true;
+        }
+        return false;
+    }
+
+    // ============ RIDDLE NFT ============
+
+    /**
+     * @dev Called by RiddleNFT when an unsolved team token changes hands, ending team play on it
+     */
+    function releaseToken(uint256 tokenId) external {
+        require(msg.sender == address(riddleNFT), "Only RiddleNFT");
+
+        uint256 teamId = tokenTeam[tokenId];
+        delete tokenTeam[tokenId];
+        teams[teamId].tokenId = 0;
+    }
+
+    // ============ ADMIN FUNCTIONS ============
+
+    function updateMaxTeamSize(uint256 _maxTeamSize) external onlyRole(ADMIN_ROLE) {
+        require(_maxTeamSize >= 2 && _maxTeamSize <= MAX_TEAM_SIZE_LIMIT, "Invalid team size");
+        maxTeamSize = _maxTeamSize;
+    }
+
+    function pause() external onlyRole(ADMIN_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(ADMIN_ROLE) {
+        _unpause();
+    }
+}
@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@chainlink/contracts/src/v0.8/interfaces/VRFCoordinatorV2Interface.sol";
+import "@chainlink/contracts/src/v0.8/vrf/VRFConsumerBaseV2.sol";
+import "../interfaces/IRandomnessProvider.sol";
+
+/**
+ * @title ChainlinkRandomnessProvider - Chainlink VRF v2 backed randomness for riddle contracts
+ * @dev Requests random words from a VRF v2 coordinator on behalf of registered consumers and
+ * forwards the fulfilment to the consumer that asked for it
+ * @notice Grant CONSUMER_ROLE to RiddleNFT / RiddleNFTAdvanced and add this contract as a
+ * consumer of the VRF subscription
+ */
+contract ChainlinkRandomnessProvider is VRFConsumerBaseV2, AccessControl, IRandomnessProvider {
+
+    // ============ CONSTANTS ============
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant CONSUMER_ROLE = keccak256("CONSUMER_ROLE");
+
+    uint32 public constant MAX_NUM_WORDS = 10;
+
+    // ============ STATE VARIABLES ============
+
+    VRFCoordinatorV2Interface public immutable coordinator;
+
+    // VRF request configuration
+    bytes32 public keyHash;
+    uint64 public subscriptionId;
+    uint16 public requestConfirmations;
+    uint32 public callbackGasLimit;
+
+    // requestId => consumer awaiting fulfilment
+    mapping(uint256 => address) public requestConsumer;
+
+    // ============ EVENTS ============
+
+    event RequestConfigUpdated(
+        bytes32 keyHash,
+        uint64 subscriptionId,
+        uint16 requestConfirmations,
+        uint32 callbackGasLimit
+    );
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(
+        address _coordinator,
+        bytes32 _keyHash,
+        uint64 _subscriptionId,
+        uint16 _requestConfirmations,
+        uint32 _callbackGasLimit,
+        address _admin
+    ) VRFConsumerBaseV2(_coordinator) {
+        require(_coordinator != address(0), "Invalid coordinator address");
+        require(_admin != address(0), "Invalid admin address");
+
+        coordinator = VRFCoordinatorV2Interface(_coordinator);
+        keyHash = _keyHash;
+        subscriptionId = _subscriptionId;
+        requestConfirmations = _requestConfirmations;
+        callbackGasLimit = _callbackGasLimit;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(ADMIN_ROLE, _admin);
+    }
+
+    // ============ CORE FUNCTIONS ============
+
+    /**
+     * @dev Request random words for the calling consumer
+     * @param numWords Number of random words to deliver
+     * @return requestId Coordinator request ID passed back on fulfilment
+     */
+    function requestRandomness(uint32 numWords) external onlyRole(CONSUMER_ROLE) returns (uint256 requestId) {
+        require(numWords > 0 && numWords <= MAX_NUM_WORDS, "Invalid word count");
+
+        requestId = coordinator.requestRandomWords(
+            keyHash,
+            subscriptionId,
+            requestConfirmations,
+            callbackGasLimit,
+            numWords
+        );
+        requestConsumer[requestId] = msg.sender;
+
+        emit RandomnessRequested(requestId, msg.sender, numWords);
+    }
+
+    /**
+     * @dev Coordinator callback, forwarded to the requesting consumer
+     */
+    function fulfillRandomWords(uint256 requestId, uint256[] memory randomWords) internal override {
+        address consumer = requestConsumer[requestId];
+        require(consumer != address(0), "Unknown request");
+
+        delete requestConsumer[requestId];
+        IRandomnessConsumer(consumer).fulfillRandomness(requestId, randomWords);
+
+        emit RandomnessFulfilled(requestId, consumer);
+    }
+
+    // ============ ADMIN FUNCTIONS ============
+
+    function updateRequestConfig(
+        bytes32 _keyHash,
+        uint64 _subscriptionId,
+        uint16 _requestConfirmations,
+        uint32 _callbackGasLimit
+    ) external onlyRole(ADMIN_ROLE) {
+        keyHash = _keyHash;
+        subscriptionId = _subscriptionId;
+        requestConfirmations = _requestConfirmations;
+        callbackGasLimit = _callbackGasLimit;
+
+        emit RequestConfigUpdated(_keyHash, _subscriptionId, _requestConfirmations, _callbackGasLimit);
+    }
+}
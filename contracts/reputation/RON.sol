@@ -5,6 +5,7 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "../interfaces/IRON.sol";
+import "./ReputationDecay.sol";
 
 /**
  * @title RON - Riddlen Oracle Network Reputation System
@@ -16,6 +17,9 @@ import "../interfaces/IRON.sol";
  * - Solver (1,000-9,999 RON): Medium riddles + basic oracle validation
  * - Expert (10,000-99,999 RON): Hard riddles + complex oracle validation
  * - Oracle (100,000+ RON): All riddles + elite validation + governance
+ *
+ * Inactive balances can decay with a per-tier half-life; reads include pending decay and
+ * keepers write it through checkUpkeep / performUpkeep
  */
 contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
 
@@ -55,6 +59,8 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
         uint256 maxStreak;          // Maximum streak achieved
         uint256 validationsPerformed; // Oracle validations completed
         uint256 lastActivityTime;  // Timestamp of last activity
+        uint256 decayedAt;          // Timestamp decay was last written
+        bool decayTracked;          // Listed in decayHolders
     }
 
     struct ValidationStats {
@@ -69,6 +75,7 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
     // User reputation data
     mapping(address => UserStats) public userStats;
     mapping(address => ValidationStats) public validationStats;
+    mapping(address => uint256) public contributionScores; // Accepted questions
 
     // Global statistics
     uint256 public totalUsers;
@@ -79,6 +86,11 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
     bool public dynamicRewardsEnabled = true;
     uint256 public maxStreakBonus = 100; // Maximum 100% bonus from streaks
 
+    // Reputation decay: half-life per AccessTier (0 = none) once a user has been inactive for the grace period
+    uint256[4] public decayHalfLives;
+    uint256 public decayGracePeriod;
+    address[] public decayHolders; // Users who reached SOLVER, scanned by checkUpkeep
+
     // ============ EVENTS ============
 
     event GlobalStatsUpdated(
@@ -87,6 +99,8 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
         uint256 totalValidationsPerformed
     );
 
+    event DecayConfigUpdated(uint256[4] halfLives, uint256 gracePeriod);
+
     // ============ ERRORS ============
 
     error NonTransferableToken();
@@ -122,8 +136,10 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
         string calldata reason
     ) external onlyRole(GAME_ROLE) whenNotPaused nonReentrant returns (uint256 ronAwarded) {
         if (user == address(0)) revert InvalidUser();
+        _applyDecay(user);
 
         UserStats storage stats = userStats[user];
+        AccessTier oldTier = _tierOf(stats.totalRON);
 
         // Check if this is a new user
         if (stats.totalRON == 0 && stats.totalAttempts == 0) {
@@ -155,6 +171,7 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
 
         // Update global stats
         totalRONMinted += ronAwarded;
+        _trackDecayHolder(user);
 
         // Check for tier advancement
         AccessTier newTier = getUserTier(user);
@@ -166,11 +183,108 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
             emit BonusApplied(user, baseReward, bonusReward, bonusType);
         }
 
-        emit TierAchieved(user, newTier, stats.totalRON);
+        if (newTier > oldTier) {
+            emit TierAchieved(user, newTier, stats.totalRON);
+        }
 
         return ronAwarded;
     }
 
+    /**
+     * @dev Award a member's share of a team solve
+     * @param user Team member receiving the share
+     * @param difficulty Difficulty level of the solved riddle
+     * @param amount RON share, pre-computed by the game from calculateRONReward
+     * @param reason Description of achievement
+     */
+    function awardTeamRON(
+        address user,
+        RiddleDifficulty difficulty,
+        uint256 amount,
+        string calldata reason
+    ) external onlyRole(GAME_ROLE) whenNotPaused nonReentrant {
+        if (user == address(0)) revert InvalidUser();
+        _applyDecay(user);
+
+        UserStats storage stats = userStats[user];
+        AccessTier oldTier = _tierOf(stats.totalRON);
+
+        if (stats.totalRON == 0 && stats.totalAttempts == 0) {
+            totalUsers++;
+        }
+
+        stats.totalRON += amount;
+        stats.correctAnswers++;
+        stats.currentStreak++;
+        stats.lastActivityTime = block.timestamp;
+
+        if (stats.currentStreak > stats.maxStreak) {
+            stats.maxStreak = stats.currentStreak;
+        }
+
+        totalRONMinted += amount;
+        _trackDecayHolder(user);
+
+        emit RONEarned(user, amount, difficulty, reason);
+
+        AccessTier newTier = _tierOf(stats.totalRON);
+        if (newTier > oldTier) {
+            emit TierAchieved(user, newTier, stats.totalRON);
+        }
+    }
+
+    /**
+     * @dev Award RON outside a solve (e.g. season rewards); does not count as a correct answer
+     * @param user Address of the user
+     * @param amount RON to award
+     * @param reason Reason for the award
+     */
+    function awardBonusRON(
+        address user,
+        uint256 amount,
+        string calldata reason
+    ) external onlyRole(GAME_ROLE) whenNotPaused nonReentrant {
+        if (user == address(0)) revert InvalidUser();
+        _applyDecay(user);
+
+        UserStats storage stats = userStats[user];
+        AccessTier oldTier = _tierOf(stats.totalRON);
+
+        if (stats.totalRON == 0 && stats.totalAttempts == 0) {
+            totalUsers++;
+        }
+
+        stats.totalRON += amount;
+        stats.lastActivityTime = block.timestamp;
+        totalRONMinted += amount;
+        _trackDecayHolder(user);
+
+        emit BonusApplied(user, 0, amount, reason);
+
+        AccessTier newTier = _tierOf(stats.totalRON);
+        if (newTier > oldTier) {
+            emit TierAchieved(user, newTier, stats.totalRON);
+        }
+    }
+
+    /**
+     * @dev Record a question created by the user that passed community validation
+     * @param creator Question creator
+     * @param questionId Question ID in the calling game
+     */
+    function recordQuestionContribution(
+        address creator,
+        uint256 questionId
+    ) external onlyRole(GAME_ROLE) whenNotPaused {
+        if (creator == address(0)) revert InvalidUser();
+        _applyDecay(creator);
+
+        contributionScores[creator]++;
+        userStats[creator].lastActivityTime = block.timestamp;
+
+        emit QuestionContributionRecorded(creator, questionId, contributionScores[creator]);
+    }
+
     /**
      * @dev Update user accuracy stats when they attempt a riddle
      * @param user Address of the user
@@ -181,6 +295,7 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
         bool correct
     ) external onlyRole(GAME_ROLE) whenNotPaused {
         if (user == address(0)) revert InvalidUser();
+        _applyDecay(user);
 
         UserStats storage stats = userStats[user];
         stats.totalAttempts++;
@@ -215,6 +330,7 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
         string calldata validationType
     ) external onlyRole(ORACLE_ROLE) whenNotPaused nonReentrant {
         if (user == address(0)) revert InvalidUser();
+        _applyDecay(user);
 
         AccessTier userTier = getUserTier(user);
         if (userTier == AccessTier.NOVICE) {
@@ -236,6 +352,7 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
 
         totalRONMinted += ronAwarded;
         totalValidationsPerformed++;
+        _trackDecayHolder(user);
 
         emit RONEarned(user, ronAwarded, RiddleDifficulty.MEDIUM, validationType);
         emit GlobalStatsUpdated(totalUsers, totalRONMinted, totalValidationsPerformed);
@@ -247,19 +364,14 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
      * @dev Get user's RON balance (soul-bound, non-transferable)
      */
     function balanceOf(address user) external view returns (uint256) {
-        return userStats[user].totalRON;
+        return _decayedRON(user);
     }
 
     /**
      * @dev Get user's current access tier
      */
     function getUserTier(address user) public view returns (AccessTier) {
-        uint256 ronBalance = userStats[user].totalRON;
-
-        if (ronBalance >= ORACLE_THRESHOLD) return AccessTier.ORACLE;
-        if (ronBalance >= EXPERT_THRESHOLD) return AccessTier.EXPERT;
-        if (ronBalance >= SOLVER_THRESHOLD) return AccessTier.SOLVER;
-        return AccessTier.NOVICE;
+        return _tierOf(_decayedRON(user));
     }
 
     /**
@@ -276,8 +388,8 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
     ) {
         UserStats storage stats = userStats[user];
 
-        totalRON = stats.totalRON;
-        currentTier = getUserTier(user);
+        totalRON = _decayedRON(user);
+        currentTier = _tierOf(totalRON);
         correctAnswers = stats.correctAnswers;
         totalAttempts = stats.totalAttempts;
         accuracyPercentage = stats.totalAttempts > 0 ?
@@ -352,8 +464,8 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
         uint256 ronRequired,
         uint256 ronRemaining
     ) {
-        AccessTier currentTier = getUserTier(user);
-        uint256 currentRON = userStats[user].totalRON;
+        uint256 currentRON = _decayedRON(user);
+        AccessTier currentTier = _tierOf(currentRON);
 
         if (currentTier == AccessTier.ORACLE) {
             return (AccessTier.ORACLE, 0, 0); // Already at max tier
@@ -470,6 +582,118 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
         return "STANDARD";
     }
 
+    /**
+     * @dev Access tier for a RON balance
+     */
+    function _tierOf(uint256 ronBalance) internal pure returns (AccessTier) {
+        if (ronBalance >= ORACLE_THRESHOLD) return AccessTier.ORACLE;
+        if (ronBalance >= EXPERT_THRESHOLD) return AccessTier.EXPERT;
+        if (ronBalance >= SOLVER_THRESHOLD) return AccessTier.SOLVER;
+        return AccessTier.NOVICE;
+    }
+
+    // ============ REPUTATION DECAY ============
+
+    /**
+     * @dev Write pending decay for a batch of users, emitting tier demotions.
+     * Reads already include pending decay, so anyone may call this
+     */
+    function materializeDecay(address[] calldata users) external whenNotPaused {
+        _materializeDecay(users);
+    }
+
+    /**
+     * @dev Chainlink Automation compatibility check. Each block scans a different window
+     * of decayHolders for users whose decay has crossed a tier threshold
+     */
+    function checkUpkeep(bytes calldata /* checkData */)
+        external
+        view
+        returns (bool upkeepNeeded, bytes memory performData)
+    {
+        uint256 holders = decayHolders.length;
+        if (holders == 0 || paused()) return (false, "");
+
+        uint256 scan = holders < ReputationDecay.SCAN_SIZE ? holders : ReputationDecay.SCAN_SIZE;
+        uint256 start = (block.number * ReputationDecay.SCAN_SIZE) % holders;
+        address[] memory due = new address[](scan);
+        uint256 found;
+
+        for (uint256 i = 0; i < scan; i++) {
+            address user = decayHolders[(start + i) % holders];
+            if (getUserTier(user) < _tierOf(userStats[user].totalRON)) {
+                due[found++] = user;
+            }
+        }
+
+        address[] memory users = new address[](found);
+        for (uint256 i = 0; i < found; i++) {
+            users[i] = due[i];
+        }
+        upkeepNeeded = found > 0;
+        performData = abi.encode(users);
+    }
+
+    /**
+     * @dev Automation-compatible materialisation of the users found by checkUpkeep
+     */
+    function performUpkeep(bytes calldata performData) external whenNotPaused {
+        _materializeDecay(abi.decode(performData, (address[])));
+    }
+
+    function _materializeDecay(address[] memory users) internal {
+        require(users.length <= ReputationDecay.MAX_BATCH, "Batch too large");
+        for (uint256 i = 0; i < users.length; i++) {
+            _applyDecay(users[i]);
+        }
+    }
+
+    /**
+     * @dev Write decay accrued since the user's last activity or materialisation
+     */
+    function _applyDecay(address user) internal {
+        UserStats storage stats = userStats[user];
+        uint256 oldRON = stats.totalRON;
+        uint256 newRON = _decayedRON(user);
+
+        if (newRON < oldRON) {
+            stats.totalRON = newRON;
+            stats.decayedAt = block.timestamp;
+
+            emit ReputationDecayed(user, oldRON, newRON);
+
+            AccessTier oldTier = _tierOf(oldRON);
+            AccessTier newTier = _tierOf(newRON);
+            if (newTier < oldTier) {
+                emit TierDemoted(user, oldTier, newTier, newRON);
+            }
+        }
+    }
+
+    /**
+     * @dev List a user for the keeper once they have a tier to lose
+     */
+    function _trackDecayHolder(address user) internal {
+        UserStats storage stats = userStats[user];
+        if (!stats.decayTracked && stats.totalRON >= SOLVER_THRESHOLD) {
+            stats.decayTracked = true;
+            decayHolders.push(user);
+        }
+    }
+
+    /**
+     * @dev Stored RON less decay accrued since the last activity or materialisation
+     */
+    function _decayedRON(address user) internal view returns (uint256) {
+        UserStats storage stats = userStats[user];
+        uint256 ron = stats.totalRON;
+        return ReputationDecay.decay(
+            ron,
+            ReputationDecay.accruedTime(stats.lastActivityTime, stats.decayedAt, decayGracePeriod, block.timestamp),
+            decayHalfLives[uint256(_tierOf(ron))]
+        );
+    }
+
     // ============ ADMIN FUNCTIONS ============
 
     /**
@@ -501,6 +725,21 @@ contract RON is AccessControl, ReentrancyGuard, Pausable, IRON {
         maxStreakBonus = newMax;
     }
 
+    /**
+     * @dev Set per-tier half-lives (indexed by AccessTier, 0 = no decay) and the inactivity grace
+     * period. Also applies to decay not yet materialised
+     */
+    function setDecayConfig(uint256[4] calldata halfLives, uint256 gracePeriod) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < 4; i++) {
+            require(halfLives[i] <= ReputationDecay.MAX_HALF_LIFE, "Half-life too long");
+        }
+        require(gracePeriod <= ReputationDecay.MAX_HALF_LIFE, "Grace period too long");
+
+        decayHalfLives = halfLives;
+        decayGracePeriod = gracePeriod;
+        emit DecayConfigUpdated(halfLives, gracePeriod);
+    }
+
     // ============ SOUL-BOUND TOKEN COMPLIANCE ============
 
     /**
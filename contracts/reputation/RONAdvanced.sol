@@ -7,7 +7,11 @@ import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 import "../interfaces/IRON.sol";
+import "../interfaces/IRONCheckpoints.sol";
+import "../interfaces/IRONSlashing.sol";
+import "./ReputationDecay.sol";
 
 /**
  * @title RONAdvanced - Riddlen Oracle Network with Merit-Based Governance
@@ -19,6 +23,7 @@ import "../interfaces/IRON.sol";
  * - Multi-dimensional reputation scoring with accuracy and recency factors
  * - Sybil resistance through progressive difficulty and behavioral analysis
  * - Reputation decay mechanisms for active participation incentives
+ * - Appealable reputation slashing for confirmed cheating and bad oracle answers
  * - Quality assurance through multi-tier validation system
  * - Cross-validation requirements for tier advancement
  * - Anti-gaming mechanisms and democratic safeguards
@@ -36,8 +41,12 @@ contract RONAdvanced is
     ReentrancyGuardUpgradeable,
     PausableUpgradeable,
     UUPSUpgradeable,
-    IRON
+    IRON,
+    IRONCheckpoints,
+    IRONSlashing
 {
+    using Checkpoints for Checkpoints.Trace208;
+
     // ============ CONSTANTS ============
 
     bytes32 public constant GAME_ROLE = keccak256("GAME_ROLE");
@@ -47,6 +56,7 @@ contract RONAdvanced is
     bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
     bytes32 public constant BRIDGE_ROLE = keccak256("BRIDGE_ROLE");
     bytes32 public constant VALIDATOR_ROLE = keccak256("VALIDATOR_ROLE");
+    bytes32 public constant SLASHER_ROLE = keccak256("SLASHER_ROLE");
 
     // Governance Tiers (Merit-Based)
     uint256 public constant OBSERVER_THRESHOLD = 0;      // Observer: 0-999 RON
@@ -62,6 +72,7 @@ contract RONAdvanced is
     // Quality Assurance Constants
     uint256 public constant MIN_CROSS_VALIDATORS = 3;
     uint256 public constant CONSENSUS_THRESHOLD = 67; // 67% agreement required
+    uint256 public constant BAD_ORACLE_SLASH = 500; // RON slashed from validators who answered against consensus
     uint256 public constant ACCURACY_TRACKING_WINDOW = 100; // Last 100 answers
 
     // Sybil Resistance
@@ -69,6 +80,9 @@ contract RONAdvanced is
     uint256 public constant MAX_DAILY_SOLVES = 50; // Rate limiting
     uint256 public constant PROGRESSIVE_DIFFICULTY_FACTOR = 110; // 10% increase per tier
 
+    // Slashing
+    uint256 public constant MAX_APPEAL_WINDOW = 90 days;
+
     // ============ CUSTOM ERRORS ============
 
     error SoulBoundTokenTransfer();
@@ -145,6 +159,26 @@ contract RONAdvanced is
         COMMUNITY_STANDARDS   // RON-controlled: Validator certification
     }
 
+    /**
+     * @dev A slash against a user. Appeals must be filed before appealDeadline and are resolved by an admin
+     */
+    struct SlashRecord {
+        uint128 amount;
+        uint64 slashedAt;
+        uint64 appealDeadline;
+        address slasher;
+        SlashReason reasonCode;
+        SlashStatus status;
+        bytes32 evidenceHash; // Hash of the off-chain evidence (e.g. anti-cheat report or cross-validation query)
+    }
+
+    enum SlashStatus {
+        ACTIVE,    // Applied, appeal window may still be open
+        APPEALED,  // Awaiting resolution
+        UPHELD,    // Appeal rejected
+        REVERSED   // Appeal accepted and RON restored
+    }
+
     enum GovernanceTier {
         OBSERVER,     // 0-999 RON: View proposals, no voting
         PARTICIPANT,  // 1K-9.9K RON: Basic voting on operational decisions
@@ -154,7 +188,7 @@ contract RONAdvanced is
 
     // ============ STATE VARIABLES ============
 
-    mapping(address => AdvancedUserStats) public userStats;
+    mapping(address => AdvancedUserStats) internal _userStats;
 
     // Governance system
     mapping(uint256 => GovernanceProposal) public proposals;
@@ -166,6 +200,9 @@ contract RONAdvanced is
     // Quality assurance
     mapping(bytes32 => address[]) public crossValidators; // Query hash => validators
     mapping(bytes32 => mapping(address => bool)) public validatorConsensus;
+    mapping(bytes32 => mapping(address => bool)) public crossValidationAnswered;
+    mapping(bytes32 => uint256) public crossValidationAnswers;
+    mapping(bytes32 => bool) public crossValidationSettled;
     mapping(address => uint256[]) public recentAccuracy; // Last N solve accuracies
 
     // Sybil resistance
@@ -182,8 +219,25 @@ contract RONAdvanced is
     mapping(address => bool) public emergencyPausers;
     uint256 public minorityProtectionThreshold; // Minimum % needed for veto
 
+    // RON history on the ERC-6372 clock, for snapshot-based voting and airdrops
+    mapping(address => Checkpoints.Trace208) private _ronCheckpoints;
+    Checkpoints.Trace208 private _totalRONCheckpoints;
+    mapping(uint256 => uint256) public proposalSnapshots; // Voting weight uses RON held at this timepoint (0 = created before checkpoints)
+
+    // Reputation decay: half-life per AccessTier (0 = none) once a user has been inactive for the grace period
+    uint256[4] public decayHalfLives;
+    uint256 public decayGracePeriod;
+    address[] public decayHolders; // Users who reached PARTICIPANT, scanned by checkUpkeep
+    mapping(address => uint256) public decayedAt;
+    mapping(address => bool) public decayTracked;
+
+    // Reputation slashing
+    mapping(address => SlashRecord[]) private _slashHistory;
+    uint256 public appealWindow;
+    uint256 public totalRONSlashed; // Net of reversed slashes
+
     // Storage gap for upgradeability
-    uint256[50] private __gap;
+    uint256[33] private __gap;
 
     // ============ EVENTS ============
 
@@ -234,6 +288,8 @@ contract RONAdvanced is
         bool actionTaken
     );
 
+    event DecayConfigUpdated(uint256[4] halfLives, uint256 gracePeriod);
+
     event ReputationDecayApplied(
         address indexed user,
         uint256 oldRON,
@@ -241,6 +297,21 @@ contract RONAdvanced is
         uint256 daysSinceActivity
     );
 
+    event RONSlashed(
+        address indexed user,
+        uint256 indexed slashId,
+        uint256 amount,
+        SlashReason reasonCode,
+        bytes32 evidenceHash,
+        uint256 appealDeadline
+    );
+
+    event SlashAppealed(address indexed user, uint256 indexed slashId, bytes32 appealEvidenceHash);
+
+    event SlashAppealResolved(address indexed user, uint256 indexed slashId, bool upheld, uint256 restoredRON);
+
+    event AppealWindowUpdated(uint256 oldWindow, uint256 newWindow);
+
     event TierAdvancement(
         address indexed user,
         GovernanceTier oldTier,
@@ -299,7 +370,7 @@ contract RONAdvanced is
     }
 
     modifier recentlyActive(address user) {
-        uint256 daysSinceActivity = (block.timestamp - userStats[user].lastActivityTime) / 1 days;
+        uint256 daysSinceActivity = (block.timestamp - _userStats[user].lastActivityTime) / 1 days;
         if (daysSinceActivity > minActivityThreshold) {
             revert ReputationDecayExceeded(user, daysSinceActivity);
         }
@@ -336,10 +407,19 @@ contract RONAdvanced is
         minActivityThreshold = _minActivityThreshold;
         maxReputationPerDay = 10000; // 10K RON per day circuit breaker
         minorityProtectionThreshold = 33; // 33% can block proposals
+        decayGracePeriod = DECAY_PERIOD;
+        appealWindow = 7 days;
 
         proposalCounter = 1;
     }
 
+    /**
+     * @dev Sets the slash appeal window on proxies initialized before slashing was added
+     */
+    function initializeV2() external reinitializer(2) onlyRole(UPGRADER_ROLE) {
+        appealWindow = 7 days;
+    }
+
     // ============ MERIT-BASED GOVERNANCE SYSTEM ============
 
     /**
@@ -347,12 +427,14 @@ contract RONAdvanced is
      * Formula: Governance Weight = (Base RON × Accuracy Multiplier × Recency Factor × Contribution Bonus)
      */
     function calculateGovernanceWeight(address user) public returns (uint256) {
-        AdvancedUserStats storage stats = userStats[user];
-
-        if (stats.totalRON == 0) return 0;
+        return _calculateGovernanceWeight(user, _decayedRON(user));
+    }
 
-        // Base RON Score
-        uint256 baseRON = stats.totalRON;
+    /**
+     * @dev Governance weight for a base RON score, either current or read at a proposal's snapshot
+     */
+    function _calculateGovernanceWeight(address user, uint256 baseRON) internal returns (uint256) {
+        if (baseRON == 0) return 0;
 
         // Accuracy Multiplier (0.7x - 1.3x based on recent performance)
         uint256 accuracyMultiplier = calculateAccuracyMultiplier(user);
@@ -382,8 +464,7 @@ contract RONAdvanced is
      * @dev Calculate user's governance tier based on RON and quality metrics
      */
     function calculateGovernanceTier(address user) public view returns (GovernanceTier) {
-        AdvancedUserStats storage stats = userStats[user];
-        uint256 totalRON = stats.totalRON;
+        uint256 totalRON = _decayedRON(user);
         uint256 accuracy = calculateAccuracy(user);
 
         // Must meet quality threshold for higher tiers
@@ -415,8 +496,9 @@ contract RONAdvanced is
         proposal.votingStart = block.timestamp;
         proposal.votingEnd = block.timestamp + votingPeriod;
         proposal.proposalType = proposalType;
+        proposalSnapshots[proposalId] = clock() - 1; // Fixed before any RON can be earned in this block
 
-        userStats[msg.sender].proposalsCreated += 1;
+        _userStats[msg.sender].proposalsCreated += 1;
 
         emit GovernanceProposalCreated(
             proposalId,
@@ -444,7 +526,14 @@ contract RONAdvanced is
         require(block.timestamp <= proposal.votingEnd, "Voting ended");
         require(!hasVoted[proposalId][msg.sender], "Already voted");
 
-        uint256 votingWeight = calculateGovernanceWeight(msg.sender);
+        // RON earned after the snapshot does not count towards this proposal, and RON decayed since does not either
+        uint256 snapshot = proposalSnapshots[proposalId];
+        uint256 baseRON = _decayedRON(msg.sender);
+        if (snapshot != 0) {
+            uint256 snapshotRON = getPastRON(msg.sender, snapshot);
+            if (snapshotRON < baseRON) baseRON = snapshotRON;
+        }
+        uint256 votingWeight = _calculateGovernanceWeight(msg.sender, baseRON);
         require(votingWeight > 0, "No voting weight");
 
         hasVoted[proposalId][msg.sender] = true;
@@ -457,7 +546,7 @@ contract RONAdvanced is
             proposal.noVotes += votingWeight;
         }
 
-        userStats[msg.sender].votesParticipated += 1;
+        _userStats[msg.sender].votesParticipated += 1;
 
         emit GovernanceVoteCast(msg.sender, proposalId, support, votingWeight, reason);
     }
@@ -509,7 +598,7 @@ contract RONAdvanced is
      * @dev Advanced Sybil resistance checking based on best practices guide
      */
     function _checkSybilResistance(address user) internal {
-        AdvancedUserStats storage stats = userStats[user];
+        AdvancedUserStats storage stats = _userStats[user];
 
         // Rate limiting: Max daily solves
         if (block.timestamp / 1 days == stats.lastSolveTime / 1 days) {
@@ -554,55 +643,313 @@ contract RONAdvanced is
     }
 
     /**
-     * @dev Validators provide consensus on query results
+     * @dev Validators provide consensus on query results. Once CONSENSUS_THRESHOLD of the assigned
+     * validators agree either way, the round settles and validators who answered the other way are
+     * slashed BAD_ORACLE_SLASH RON
      */
     function provideCrossValidation(
         bytes32 queryHash,
         bool consensus
     ) external {
         require(_isValidatorForQuery(queryHash, msg.sender), "Not assigned validator");
-        require(!validatorConsensus[queryHash][msg.sender], "Already provided consensus");
+        require(!crossValidationAnswered[queryHash][msg.sender], "Already provided consensus");
+        require(!crossValidationSettled[queryHash], "Cross-validation settled");
 
+        crossValidationAnswered[queryHash][msg.sender] = true;
         validatorConsensus[queryHash][msg.sender] = consensus;
-        userStats[msg.sender].crossValidationsGiven += 1;
+        uint256 answers = ++crossValidationAnswers[queryHash];
+        _userStats[msg.sender].crossValidationsGiven += 1;
 
         // Check if consensus reached
-        uint256 consensusCount = _countConsensus(queryHash);
+        uint256 approvals = _countConsensus(queryHash);
         uint256 totalValidators = crossValidators[queryHash].length;
-        uint256 consensusPercentage = (consensusCount * 100) / totalValidators;
 
-        if (consensusPercentage >= CONSENSUS_THRESHOLD) {
-            emit CrossValidationCompleted(queryHash, msg.sender, consensus, totalValidators);
+        if (approvals * 100 >= CONSENSUS_THRESHOLD * totalValidators) {
+            _settleCrossValidation(queryHash, true, totalValidators);
+        } else if ((answers - approvals) * 100 >= CONSENSUS_THRESHOLD * totalValidators) {
+            _settleCrossValidation(queryHash, false, totalValidators);
+        }
+    }
+
+    function _settleCrossValidation(bytes32 queryHash, bool outcome, uint256 totalValidators) internal {
+        crossValidationSettled[queryHash] = true;
+        emit CrossValidationCompleted(queryHash, msg.sender, outcome, totalValidators);
+
+        address[] storage validators = crossValidators[queryHash];
+        for (uint256 i = 0; i < validators.length; i++) {
+            address validator = validators[i];
+            if (crossValidationAnswered[queryHash][validator] && validatorConsensus[queryHash][validator] != outcome) {
+                _slashRON(validator, BAD_ORACLE_SLASH, SlashReason.BAD_ORACLE_ANSWER, queryHash, address(this));
+            }
         }
     }
 
     // ============ REPUTATION DECAY SYSTEM ============
 
     /**
-     * @dev Apply reputation decay for inactive users
+     * @dev Write pending decay for an inactive user. Reads already include it, so anyone may call this
      */
     function applyReputationDecay(address user) external {
-        AdvancedUserStats storage stats = userStats[user];
-        uint256 daysSinceActivity = (block.timestamp - stats.lastActivityTime) / 1 days;
+        _applyDecay(user);
+    }
 
-        if (daysSinceActivity > DECAY_PERIOD / 1 days) {
-            uint256 oldRON = stats.totalRON;
-            uint256 decayFactor = daysSinceActivity / (DECAY_PERIOD / 1 days);
-            uint256 decayAmount = (oldRON * decayFactor * 10) / 100; // 10% per period
+    /**
+     * @dev Write pending decay for a batch of users, emitting tier demotions
+     */
+    function materializeDecay(address[] calldata users) external whenNotPaused {
+        _materializeDecay(users);
+    }
+
+    /**
+     * @dev Chainlink Automation compatibility check. Each block scans a different window
+     * of decayHolders for users whose decay has crossed a tier threshold
+     */
+    function checkUpkeep(bytes calldata /* checkData */)
+        external
+        view
+        returns (bool upkeepNeeded, bytes memory performData)
+    {
+        uint256 holders = decayHolders.length;
+        if (holders == 0 || paused()) return (false, "");
+
+        uint256 scan = holders < ReputationDecay.SCAN_SIZE ? holders : ReputationDecay.SCAN_SIZE;
+        uint256 start = (block.number * ReputationDecay.SCAN_SIZE) % holders;
+        address[] memory due = new address[](scan);
+        uint256 found;
+
+        for (uint256 i = 0; i < scan; i++) {
+            address user = decayHolders[(start + i) % holders];
+            if (_ronTier(_decayedRON(user)) < _ronTier(_userStats[user].totalRON)) {
+                due[found++] = user;
+            }
+        }
+
+        address[] memory users = new address[](found);
+        for (uint256 i = 0; i < found; i++) {
+            users[i] = due[i];
+        }
+        upkeepNeeded = found > 0;
+        performData = abi.encode(users);
+    }
+
+    /**
+     * @dev Automation-compatible materialisation of the users found by checkUpkeep
+     */
+    function performUpkeep(bytes calldata performData) external whenNotPaused {
+        _materializeDecay(abi.decode(performData, (address[])));
+    }
+
+    /**
+     * @dev Per-tier half-lives (indexed by AccessTier, 0 = no decay) and the inactivity grace period.
+     * Also applies to decay not yet materialised
+     */
+    function setDecayConfig(uint256[4] calldata halfLives, uint256 gracePeriod) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < 4; i++) {
+            require(halfLives[i] <= ReputationDecay.MAX_HALF_LIFE, "Half-life too long");
+        }
+        require(gracePeriod <= ReputationDecay.MAX_HALF_LIFE, "Grace period too long");
+
+        decayHalfLives = halfLives;
+        decayGracePeriod = gracePeriod;
+        emit DecayConfigUpdated(halfLives, gracePeriod);
+    }
+
+    function _materializeDecay(address[] memory users) internal {
+        require(users.length <= ReputationDecay.MAX_BATCH, "Batch too large");
+        for (uint256 i = 0; i < users.length; i++) {
+            _applyDecay(users[i]);
+        }
+    }
+
+    function _applyDecay(address user) internal {
+        AdvancedUserStats storage stats = _userStats[user];
+        uint256 oldRON = stats.totalRON;
+        uint256 newRON = _decayedRON(user);
 
-            stats.totalRON = oldRON > decayAmount ? uint128(oldRON - decayAmount) : 0;
+        if (newRON < oldRON) {
+            stats.totalRON = uint128(newRON);
+            decayedAt[user] = block.timestamp;
+            _checkpointRON(user, oldRON);
 
-            emit ReputationDecayApplied(user, oldRON, stats.totalRON, daysSinceActivity);
+            emit ReputationDecayApplied(user, oldRON, newRON, (block.timestamp - stats.lastActivityTime) / 1 days);
+            _recalculateTiers(user, oldRON);
+        }
+
+        // Picks up holders from before decay existed
+        _trackDecayHolder(user);
+    }
+
+    /**
+     * @dev Lists users for the keeper once they have a tier to lose
+     */
+    function _trackDecayHolder(address user) internal {
+        if (!decayTracked[user] && _userStats[user].totalRON >= PARTICIPANT_THRESHOLD) {
+            decayTracked[user] = true;
+            decayHolders.push(user);
+        }
+    }
+
+    /**
+     * @dev Stored RON less decay accrued since the last activity or materialisation
+     */
+    function _decayedRON(address user) internal view returns (uint256) {
+        AdvancedUserStats storage stats = _userStats[user];
+        uint256 ron = stats.totalRON;
+        return ReputationDecay.decay(
+            ron,
+            ReputationDecay.accruedTime(stats.lastActivityTime, decayedAt[user], decayGracePeriod, block.timestamp),
+            decayHalfLives[uint256(_ronTier(ron))]
+        );
+    }
 
-            // Update governance tier
+    /**
+     * @dev Reports an access tier demotion and refreshes the governance tier after RON is removed or restored
+     */
+    function _recalculateTiers(address user, uint256 oldRON) internal {
+        uint256 newRON = _userStats[user].totalRON;
+        AccessTier oldTier = _ronTier(oldRON);
+        AccessTier newTier = _ronTier(newRON);
+        if (newTier < oldTier) {
+            emit TierDemoted(user, oldTier, newTier, newRON);
+        }
+        _updateGovernanceTier(user);
+    }
+
+    /**
+     * @dev Access tier by RON alone; the governance tier also requires accuracy
+     */
+    function _ronTier(uint256 ron) internal pure returns (AccessTier) {
+        if (ron >= SENATOR_THRESHOLD) return AccessTier.ORACLE;
+        if (ron >= DELEGATE_THRESHOLD) return AccessTier.EXPERT;
+        if (ron >= PARTICIPANT_THRESHOLD) return AccessTier.SOLVER;
+        return AccessTier.NOVICE;
+    }
+
+    // ============ REPUTATION SLASHING ============
+
+    /**
+     * @dev Remove RON from a user for confirmed cheating or bad oracle answers. Pending decay is applied
+     * first and the slash is capped at the remaining balance
+     * @param evidenceHash Hash of the off-chain evidence, kept in the user's slash history
+     * @return slashId Index in the user's slash history
+     */
+    function slashRON(
+        address user,
+        uint256 amount,
+        SlashReason reasonCode,
+        bytes32 evidenceHash
+    ) external override onlyRole(SLASHER_ROLE) whenNotPaused returns (uint256 slashId) {
+        require(amount > 0, "Invalid slash amount");
+        slashId = _slashRON(user, amount, reasonCode, evidenceHash, msg.sender);
+        require(slashId != type(uint256).max, "Nothing to slash");
+    }
+
+    /**
+     * @dev Applies a slash and records it; returns type(uint256).max without a record when the user
+     * has no RON left. Slashes settled by this contract record itself as the slasher
+     */
+    function _slashRON(
+        address user,
+        uint256 amount,
+        SlashReason reasonCode,
+        bytes32 evidenceHash,
+        address slasher
+    ) internal returns (uint256 slashId) {
+        _applyDecay(user);
+
+        AdvancedUserStats storage stats = _userStats[user];
+        uint256 oldRON = stats.totalRON;
+        uint256 slashed = amount < oldRON ? amount : oldRON;
+        if (slashed == 0) return type(uint256).max;
+
+        stats.totalRON = uint128(oldRON - slashed);
+        totalRONSlashed += slashed;
+        _checkpointRON(user, oldRON);
+
+        uint256 appealDeadline = block.timestamp + appealWindow;
+        slashId = _slashHistory[user].length;
+        _slashHistory[user].push(SlashRecord({
+            amount: uint128(slashed),
+            slashedAt: uint64(block.timestamp),
+            appealDeadline: uint64(appealDeadline),
+            slasher: slasher,
+            reasonCode: reasonCode,
+            status: SlashStatus.ACTIVE,
+            evidenceHash: evidenceHash
+        }));
+
+        emit RONSlashed(user, slashId, slashed, reasonCode, evidenceHash, appealDeadline);
+        _recalculateTiers(user, oldRON);
+    }
+
+    /**
+     * @dev Appeal one of the caller's slashes within the appeal window
+     */
+    function appealSlash(uint256 slashId, bytes32 appealEvidenceHash) external {
+        require(slashId < _slashHistory[msg.sender].length, "Unknown slash");
+        SlashRecord storage record = _slashHistory[msg.sender][slashId];
+        require(record.status == SlashStatus.ACTIVE, "Slash not appealable");
+        require(block.timestamp <= record.appealDeadline, "Appeal window closed");
+
+        record.status = SlashStatus.APPEALED;
+        emit SlashAppealed(msg.sender, slashId, appealEvidenceHash);
+    }
+
+    /**
+     * @dev Resolve an appeal. Reversed slashes restore the slashed RON; admins rather than slashers
+     * decide so no one reviews their own slash
+     */
+    function resolveSlashAppeal(address user, uint256 slashId, bool upheld) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(slashId < _slashHistory[user].length, "Unknown slash");
+        SlashRecord storage record = _slashHistory[user][slashId];
+        require(record.status == SlashStatus.APPEALED, "Slash not under appeal");
+
+        uint256 restored;
+        if (upheld) {
+            record.status = SlashStatus.UPHELD;
+        } else {
+            record.status = SlashStatus.REVERSED;
+            restored = record.amount;
+
+            _applyDecay(user);
+            AdvancedUserStats storage stats = _userStats[user];
+            uint256 oldRON = stats.totalRON;
+            stats.totalRON += uint128(restored);
+            totalRONSlashed -= restored;
+            _checkpointRON(user, oldRON);
+            _trackDecayHolder(user);
             _updateGovernanceTier(user);
         }
+
+        emit SlashAppealResolved(user, slashId, upheld, restored);
+    }
+
+    /**
+     * @dev Time users have to appeal new slashes
+     */
+    function setAppealWindow(uint256 newWindow) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newWindow <= MAX_APPEAL_WINDOW, "Appeal window too long");
+        emit AppealWindowUpdated(appealWindow, newWindow);
+        appealWindow = newWindow;
+    }
+
+    function getSlashCount(address user) external view returns (uint256) {
+        return _slashHistory[user].length;
+    }
+
+    function getSlashRecord(address user, uint256 slashId) external view returns (SlashRecord memory) {
+        require(slashId < _slashHistory[user].length, "Unknown slash");
+        return _slashHistory[user][slashId];
+    }
+
+    function getSlashHistory(address user) external view returns (SlashRecord[] memory) {
+        return _slashHistory[user];
     }
 
     // ============ ENHANCED METRICS CALCULATION ============
 
     function calculateAccuracy(address user) public view returns (uint256) {
-        AdvancedUserStats storage stats = userStats[user];
+        AdvancedUserStats storage stats = _userStats[user];
         if (stats.totalAttempts == 0) return 100; // Default to 100% for new users
         return (stats.correctAnswers * 100) / stats.totalAttempts;
     }
@@ -618,7 +965,7 @@ contract RONAdvanced is
     }
 
     function calculateRecencyFactor(address user) public view returns (uint256) {
-        AdvancedUserStats storage stats = userStats[user];
+        AdvancedUserStats storage stats = _userStats[user];
         uint256 daysSinceActivity = (block.timestamp - stats.lastActivityTime) / 1 days;
 
         if (daysSinceActivity == 0) return 100; // 1.0x for today
@@ -628,7 +975,7 @@ contract RONAdvanced is
     }
 
     function calculateContributionBonus(address user) public view returns (uint256) {
-        AdvancedUserStats storage stats = userStats[user];
+        AdvancedUserStats storage stats = _userStats[user];
 
         uint256 bonus = 100; // Base 1.0x
 
@@ -664,7 +1011,7 @@ contract RONAdvanced is
     }
 
     function _updateGovernanceTier(address user) internal {
-        AdvancedUserStats storage stats = userStats[user];
+        AdvancedUserStats storage stats = _userStats[user];
         GovernanceTier oldTier = GovernanceTier(stats.governanceTier);
         GovernanceTier newTier = calculateGovernanceTier(user);
 
@@ -711,24 +1058,39 @@ contract RONAdvanced is
         bool isSpeedSolver,
         string calldata reason
     ) external override onlyRole(GAME_ROLE) sybilResistant(user) returns (uint256) {
-        return _awardRONInternal(user, difficulty, isFirstSolver, isSpeedSolver, reason);
+        uint256 ronAmount = _calculateRONReward(user, difficulty, isFirstSolver, isSpeedSolver);
+        return _awardRONInternal(user, isFirstSolver, isSpeedSolver, reason, ronAmount);
+    }
+
+    /**
+     * @dev Award a member's share of a team solve (amount pre-computed by the game)
+     */
+    function awardTeamRON(
+        address user,
+        RiddleDifficulty,
+        uint256 amount,
+        string calldata reason
+    ) external override onlyRole(GAME_ROLE) sybilResistant(user) {
+        _awardRONInternal(user, false, false, reason, amount);
     }
 
     function _awardRONInternal(
         address user,
-        RiddleDifficulty difficulty,
         bool isFirstSolver,
         bool isSpeedSolver,
-        string memory reason
+        string memory reason,
+        uint256 ronAmount
     ) internal returns (uint256) {
         // Implementation similar to RONUpgradeable but with enhanced tracking
-        uint256 ronAmount = _calculateRONReward(user, difficulty, isFirstSolver, isSpeedSolver);
-
-        AdvancedUserStats storage stats = userStats[user];
+        _applyDecay(user);
+        AdvancedUserStats storage stats = _userStats[user];
+        uint256 oldRON = stats.totalRON;
         stats.totalRON += uint128(ronAmount);
         stats.correctAnswers += 1;
         stats.totalAttempts += 1;
         stats.lastActivityTime = uint32(block.timestamp);
+        _checkpointRON(user, oldRON);
+        _trackDecayHolder(user);
 
         if (isFirstSolver || isSpeedSolver) {
             stats.currentStreak += 1;
@@ -770,7 +1132,8 @@ contract RONAdvanced is
 
         for (uint256 i = 0; i < users.length; i++) {
             // Call internal implementation directly to avoid access control issues
-            _awardRONInternal(users[i], difficulties[i], isFirstSolvers[i], isSpeedSolvers[i], reasons[i]);
+            uint256 ronAmount = _calculateRONReward(users[i], difficulties[i], isFirstSolvers[i], isSpeedSolvers[i]);
+            _awardRONInternal(users[i], isFirstSolvers[i], isSpeedSolvers[i], reasons[i], ronAmount);
         }
     }
 
@@ -779,17 +1142,49 @@ contract RONAdvanced is
         uint256 baseAmount,
         string calldata validationType
     ) external override onlyRole(ORACLE_ROLE) {
-        AdvancedUserStats storage stats = userStats[user];
+        _applyDecay(user);
+        AdvancedUserStats storage stats = _userStats[user];
+        uint256 oldRON = stats.totalRON;
         stats.totalRON += uint128(baseAmount);
         stats.validationsPerformed += 1;
         stats.contributionScore += 1; // Bonus for validation work
         stats.lastActivityTime = uint32(block.timestamp);
+        _checkpointRON(user, oldRON);
+        _trackDecayHolder(user);
 
         _updateGovernanceTier(user);
     }
 
+    function awardBonusRON(
+        address user,
+        uint256 amount,
+        string calldata reason
+    ) external override onlyRole(GAME_ROLE) {
+        _applyDecay(user);
+        AdvancedUserStats storage stats = _userStats[user];
+        uint256 oldRON = stats.totalRON;
+        stats.totalRON += uint128(amount);
+        stats.lastActivityTime = uint32(block.timestamp);
+        _checkpointRON(user, oldRON);
+        _trackDecayHolder(user);
+
+        _updateGovernanceTier(user);
+
+        emit BonusApplied(user, 0, amount, reason);
+    }
+
+    function recordQuestionContribution(address creator, uint256 questionId) external override onlyRole(GAME_ROLE) {
+        _applyDecay(creator);
+        AdvancedUserStats storage stats = _userStats[creator];
+        stats.contributionScore += 1; // Counts towards the governance contribution bonus
+        stats.lastActivityTime = uint32(block.timestamp);
+
+        emit QuestionContributionRecorded(creator, questionId, stats.contributionScore);
+    }
+
     function updateAccuracy(address user, bool correct) external override onlyRole(GAME_ROLE) {
-        AdvancedUserStats storage stats = userStats[user];
+        _applyDecay(user);
+        AdvancedUserStats storage stats = _userStats[user];
         stats.totalAttempts += 1;
 
         if (correct) {
@@ -803,7 +1198,15 @@ contract RONAdvanced is
 
     // Implement remaining interface functions...
     function balanceOf(address user) external view override returns (uint256) {
-        return userStats[user].totalRON;
+        return _decayedRON(user);
+    }
+
+    /**
+     * @dev Stored stats, before pending decay. Returned as one struct: a generated getter for its 20 fields
+     * runs out of stack under via-IR, which cannot move variables to memory around Checkpoints' assembly
+     */
+    function userStats(address user) external view returns (AdvancedUserStats memory) {
+        return _userStats[user];
     }
 
     function getUserStats(address user) external view override returns (
@@ -815,9 +1218,9 @@ contract RONAdvanced is
         uint256 currentStreak,
         uint256 maxStreak
     ) {
-        AdvancedUserStats storage stats = userStats[user];
+        AdvancedUserStats storage stats = _userStats[user];
         return (
-            stats.totalRON,
+            _decayedRON(user),
             this.getUserTier(user),
             stats.correctAnswers,
             stats.totalAttempts,
@@ -917,6 +1320,61 @@ contract RONAdvanced is
         return 100;
     }
 
+    // ============ CHECKPOINTS ============
+
+    /**
+     * @dev Same timestamp clock as RDLN
+     */
+    function clock() public view override returns (uint48) {
+        return uint48(block.timestamp);
+    }
+
+    function CLOCK_MODE() public pure override returns (string memory) {
+        return "mode=timestamp";
+    }
+
+    /**
+     * @dev RON held by `user` at the end of `timepoint`, which must be in the past
+     */
+    function getPastRON(address user, uint256 timepoint) public view override returns (uint256) {
+        uint48 currentTimepoint = clock();
+        if (timepoint >= currentTimepoint) revert ERC5805FutureLookup(timepoint, currentTimepoint);
+        return _ronCheckpoints[user].upperLookupRecent(uint48(timepoint));
+    }
+
+    /**
+     * @dev Total RON held across users at the end of `timepoint`, which must be in the past. Decay is
+     * subtracted; only RON recorded since this contract kept checkpoints is counted
+     */
+    function getPastTotalRON(uint256 timepoint) external view override returns (uint256) {
+        uint48 currentTimepoint = clock();
+        if (timepoint >= currentTimepoint) revert ERC5805FutureLookup(timepoint, currentTimepoint);
+        return _totalRONCheckpoints.upperLookupRecent(uint48(timepoint));
+    }
+
+    /**
+     * @dev Checkpoints a change of the user's RON from `oldRON` to their current total. Balances held from
+     * before this contract kept checkpoints are seeded at timepoint 0, so earlier lookups still return them
+     */
+    function _checkpointRON(address user, uint256 oldRON) internal {
+        Checkpoints.Trace208 storage userCheckpoints = _ronCheckpoints[user];
+        uint256 newRON = _userStats[user].totalRON;
+        if (userCheckpoints.length() == 0 && oldRON > 0) {
+            userCheckpoints.push(0, uint208(oldRON));
+        }
+        userCheckpoints.push(clock(), uint208(newRON));
+
+        uint256 totalRON = _totalRONCheckpoints.latest();
+        if (newRON >= oldRON) {
+            totalRON += newRON - oldRON;
+        } else {
+            // Decay and slashing can remove RON earned before the total was checkpointed
+            uint256 decayed = oldRON - newRON;
+            totalRON = decayed < totalRON ? totalRON - decayed : 0;
+        }
+        _totalRONCheckpoints.push(clock(), uint208(totalRON));
+    }
+
     // ============ SOUL-BOUND TOKEN PROPERTIES ============
 
     function transfer(address, uint256) external pure returns (bool) {
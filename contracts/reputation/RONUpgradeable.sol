@@ -6,8 +6,14 @@ import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol
 import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 import "../interfaces/IRON.sol";
+import "../interfaces/IRONCheckpoints.sol";
+import "./ReputationDecay.sol";
 
 /**
  * @title RONUpgradeable - Riddlen Oracle Network Reputation System (Upgradeable)
@@ -22,6 +28,9 @@ import "../interfaces/IRON.sol";
  * - Compliance hooks for regulatory future-proofing
  * - Enhanced analytics and event logging
  * - Cross-chain bridge preparation
+ * - EIP-712 award vouchers redeemable by players
+ * - Merkle-root distributions claimed by their recipients
+ * - Lazy half-life reputation decay with keeper-driven materialisation
  * - Comprehensive error handling
  *
  * Access Tiers:
@@ -36,8 +45,12 @@ contract RONUpgradeable is
     ReentrancyGuardUpgradeable,
     PausableUpgradeable,
     UUPSUpgradeable,
-    IRON
+    EIP712Upgradeable,
+    IRON,
+    IRONCheckpoints
 {
+    using Checkpoints for Checkpoints.Trace208;
+
     // ============ CONSTANTS ============
 
     bytes32 public constant GAME_ROLE = keccak256("GAME_ROLE");
@@ -46,6 +59,11 @@ contract RONUpgradeable is
     bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
     bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
     bytes32 public constant BRIDGE_ROLE = keccak256("BRIDGE_ROLE");
+    bytes32 public constant VOUCHER_SIGNER_ROLE = keccak256("VOUCHER_SIGNER_ROLE");
+
+    bytes32 public constant RON_AWARD_TYPEHASH = keccak256(
+        "RONAward(address user,uint8 difficulty,uint256 amount,string reason,uint256 nonce,uint256 deadline)"
+    );
 
     // Tier thresholds
     uint256 public constant SOLVER_THRESHOLD = 1_000;
@@ -87,6 +105,15 @@ contract RONUpgradeable is
     error ArrayLengthMismatch();
     error InvalidDifficulty(uint8 difficulty);
     error RateLimitExceeded(address user, uint256 cooldownRemaining);
+    error VoucherExpired(uint256 deadline);
+    error VoucherNonceUsed(address signer, uint256 nonce);
+    error InvalidVoucherSigner(address signer);
+    error VoucherCapExceeded(address signer, uint256 attempted, uint256 cap);
+    error DistributionNotFound(uint256 epoch);
+    error DistributionAlreadyClaimed(uint256 epoch, uint256 index);
+    error InvalidDistributionProof();
+    error DistributionExhausted(uint256 epoch, uint256 attempted, uint256 totalAmount);
+    error InvalidDecayConfig();
 
     // ============ OPTIMIZED STRUCTS ============
 
@@ -103,6 +130,8 @@ contract RONUpgradeable is
         uint32 lastActivityTime;   // Slot 3: First part
         uint32 totalAttempts;      // Slot 3: Second part (partial)
         uint32 tier;               // Slot 3: Remaining space
+        uint32 decayedAt;          // Slot 3: Last decay materialisation
+        bool decayTracked;         // Slot 3: Listed in decayHolders
         // Total: 3 storage slots vs original 7 slots (57% gas savings)
     }
 
@@ -116,6 +145,29 @@ contract RONUpgradeable is
         // Total: 3 storage slots vs original 5 slots (40% gas savings)
     }
 
+    /**
+     * @dev Off-chain award signed by a VOUCHER_SIGNER_ROLE holder (EIP-712 `RONAward`).
+     * `amount` of 0 pays the standard reward for `difficulty`; nonces are per signer and unordered
+     */
+    struct RONAward {
+        address user;
+        uint8 difficulty;
+        uint256 amount;
+        string reason;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /**
+     * @dev One epoch of a retroactive award. Leaves are
+     * keccak256(keccak256(abi.encode(index, user, amount, reason))), paired in sorted order
+     */
+    struct RONDistribution {
+        bytes32 merkleRoot;
+        uint128 totalAmount;
+        uint128 claimedAmount;
+    }
+
     // ============ STATE VARIABLES ============
 
     mapping(address => UserStatsOptimized) public userStats;
@@ -139,8 +191,30 @@ contract RONUpgradeable is
     mapping(address => mapping(string => uint256)) public userMetrics;
     mapping(string => uint256) public systemMetrics;
 
+    // Accepted questions per creator
+    mapping(address => uint256) public contributionScores;
+
+    // RON history on the ERC-6372 clock, for snapshot-based voting and airdrops
+    mapping(address => Checkpoints.Trace208) private _ronCheckpoints;
+    Checkpoints.Trace208 private _totalRONCheckpoints;
+
+    // Award vouchers: used or cancelled nonces, and RON each signer may still issue
+    mapping(address => mapping(uint256 => bool)) public voucherNonceUsed;
+    mapping(address => uint256) public voucherSignerCaps;
+    mapping(address => uint256) public voucherSignerAwarded;
+
+    // Merkle distributions by epoch (1-based), with claimed leaves as bitmaps
+    mapping(uint256 => RONDistribution) public ronDistributions;
+    uint256 public ronDistributionCount;
+    mapping(uint256 => mapping(uint256 => uint256)) private _distributionClaimedBitmap;
+
+    // Reputation decay: half-life per AccessTier (0 = none) once a user has been inactive for the grace period
+    uint256[4] public decayHalfLives;
+    uint256 public decayGracePeriod;
+    address[] public decayHolders; // Users who reached SOLVER, scanned by checkUpkeep
+
     // Upgrade storage gap
-    uint256[50] private __gap;
+    uint256[35] private __gap;
 
     // ============ EVENTS ============
 
@@ -203,6 +277,28 @@ contract RONUpgradeable is
         uint256 gasUsed
     );
 
+    event RONVoucherRedeemed(
+        address indexed signer,
+        address indexed user,
+        uint256 indexed nonce,
+        uint256 amount
+    );
+
+    event RONVoucherCancelled(address indexed signer, uint256 indexed nonce);
+
+    event VoucherSignerCapUpdated(address indexed signer, uint256 cap);
+
+    event DecayConfigUpdated(uint256[4] halfLives, uint256 gracePeriod);
+
+    event RONDistributionPublished(uint256 indexed epoch, bytes32 merkleRoot, uint256 totalAmount);
+
+    event DistributedRONClaimed(
+        uint256 indexed epoch,
+        uint256 indexed index,
+        address indexed user,
+        uint256 amount
+    );
+
     event RateLimitUpdated(
         uint256 oldCooldown,
         uint256 newCooldown,
@@ -270,6 +366,7 @@ contract RONUpgradeable is
         __ReentrancyGuard_init();
         __Pausable_init();
         __UUPSUpgradeable_init();
+        __EIP712_init("Riddlen Oracle Network", "1");
 
         // Grant roles
         _grantRole(DEFAULT_ADMIN_ROLE, _admin);
@@ -286,6 +383,13 @@ contract RONUpgradeable is
         systemMetrics["deploymentTime"] = block.timestamp;
     }
 
+    /**
+     * @dev Sets the EIP-712 domain on proxies deployed before award vouchers existed
+     */
+    function initializeVouchers() external reinitializer(2) onlyRole(UPGRADER_ROLE) {
+        __EIP712_init("Riddlen Oracle Network", "1");
+    }
+
     // ============ CORE RON FUNCTIONALITY ============
 
     /**
@@ -311,6 +415,26 @@ contract RONUpgradeable is
         return _awardRONInternal(user, difficulty, isFirstSolver, isSpeedSolver, reason, ronAmount);
     }
 
+    /**
+     * @dev Award a member's share of a team solve. Not rate limited: one team claim
+     * pays every member in the same transaction.
+     */
+    function awardTeamRON(
+        address user,
+        RiddleDifficulty difficulty,
+        uint256 amount,
+        string calldata reason
+    )
+        external
+        override
+        onlyRole(GAME_ROLE)
+        whenNotPaused
+        nonReentrant
+        onlyCompliant(user)
+    {
+        _awardRONInternal(user, difficulty, false, false, reason, amount);
+    }
+
     /**
      * @dev Internal RON awarding with circuit breaker protection
      */
@@ -322,6 +446,7 @@ contract RONUpgradeable is
         string memory reason,
         uint256 ronAmount
     ) internal ronLimits(ronAmount) returns (uint256) {
+        _applyDecay(user);
         UserStatsOptimized storage stats = userStats[user];
 
         // Update user statistics (gas-optimized)
@@ -345,6 +470,8 @@ contract RONUpgradeable is
         globalStats.totalRONMinted += uint128(ronAmount);
         globalStats.totalRiddlesSolved += 1;
         globalStats.lastUpdateTime = uint32(block.timestamp);
+        _checkpointRON(user, stats.totalRON - ronAmount);
+        _trackDecayHolder(user);
 
         // If new user, increment counter
         if (stats.correctAnswers == 1) {
@@ -463,6 +590,145 @@ contract RONUpgradeable is
         emit BatchOperationExecuted(msg.sender, 1, batchSize, gasUsed);
     }
 
+    // ============ SIGNED VOUCHERS ============
+
+    /**
+     * @dev Redeem a signed RONAward. Anyone may submit it, but RON always goes to `award.user`.
+     * Not rate limited, so several event vouchers can be redeemed back to back; the signer must
+     * still hold VOUCHER_SIGNER_ROLE and stay within its cap, and the usual award limits apply
+     */
+    function redeemRONVoucher(RONAward calldata award, bytes calldata signature)
+        external
+        whenNotPaused
+        nonReentrant
+        onlyCompliant(award.user)
+        returns (uint256 ronAmount)
+    {
+        if (block.timestamp > award.deadline) revert VoucherExpired(award.deadline);
+        if (award.difficulty > uint8(RiddleDifficulty.LEGENDARY)) revert InvalidDifficulty(award.difficulty);
+
+        address signer = ECDSA.recover(_hashTypedDataV4(_hashRONAward(award)), signature);
+        if (!hasRole(VOUCHER_SIGNER_ROLE, signer)) revert InvalidVoucherSigner(signer);
+        if (voucherNonceUsed[signer][award.nonce]) revert VoucherNonceUsed(signer, award.nonce);
+        voucherNonceUsed[signer][award.nonce] = true;
+
+        RiddleDifficulty difficulty = RiddleDifficulty(award.difficulty);
+        ronAmount = award.amount > 0
+            ? award.amount
+            : _calculateRONReward(award.user, difficulty, false, false);
+
+        uint256 awarded = voucherSignerAwarded[signer] + ronAmount;
+        if (awarded > voucherSignerCaps[signer]) {
+            revert VoucherCapExceeded(signer, awarded, voucherSignerCaps[signer]);
+        }
+        voucherSignerAwarded[signer] = awarded;
+
+        _awardRONInternal(award.user, difficulty, false, false, award.reason, ronAmount);
+        emit RONVoucherRedeemed(signer, award.user, award.nonce, ronAmount);
+    }
+
+    /**
+     * @dev Revoke an outstanding voucher by burning its nonce. Revoking a signer's role
+     * invalidates all of its vouchers at once
+     */
+    function cancelRONVoucher(uint256 nonce) external onlyRole(VOUCHER_SIGNER_ROLE) {
+        if (voucherNonceUsed[msg.sender][nonce]) revert VoucherNonceUsed(msg.sender, nonce);
+        voucherNonceUsed[msg.sender][nonce] = true;
+        emit RONVoucherCancelled(msg.sender, nonce);
+    }
+
+    /**
+     * @dev Total RON a signer's vouchers may award, counting what it has already awarded
+     */
+    function setVoucherSignerCap(address signer, uint256 cap)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        voucherSignerCaps[signer] = cap;
+        emit VoucherSignerCapUpdated(signer, cap);
+    }
+
+    /**
+     * @dev EIP-712 digest a signer signs for `award`
+     */
+    function hashRONAward(RONAward calldata award) external view returns (bytes32) {
+        return _hashTypedDataV4(_hashRONAward(award));
+    }
+
+    function _hashRONAward(RONAward calldata award) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            RON_AWARD_TYPEHASH,
+            award.user,
+            award.difficulty,
+            award.amount,
+            keccak256(bytes(award.reason)),
+            award.nonce,
+            award.deadline
+        ));
+    }
+
+    // ============ MERKLE DISTRIBUTIONS ============
+
+    /**
+     * @dev Publish a Merkle root of (index, user, amount, reason) entries as a new epoch.
+     * `totalAmount` bounds what the epoch can pay out, in case the tree is wrong
+     */
+    function publishRONDistribution(bytes32 merkleRoot, uint256 totalAmount)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+        returns (uint256 epoch)
+    {
+        epoch = ++ronDistributionCount;
+        ronDistributions[epoch] = RONDistribution({
+            merkleRoot: merkleRoot,
+            totalAmount: uint128(totalAmount),
+            claimedAmount: 0
+        });
+
+        emit RONDistributionPublished(epoch, merkleRoot, totalAmount);
+    }
+
+    /**
+     * @dev Claim the caller's entry of a distribution. Paid as bonus RON without counting as a solve.
+     * The epoch's published total is its limit: claims are exempt from the single-award and daily
+     * mint limits, so large entries stay claimable and claims do not use up game awards' daily budget
+     */
+    function claimDistributedRON(
+        uint256 epoch,
+        uint256 index,
+        uint256 amount,
+        string calldata reason,
+        bytes32[] calldata proof
+    )
+        external
+        whenNotPaused
+        nonReentrant
+        onlyCompliant(msg.sender)
+    {
+        RONDistribution storage distribution = ronDistributions[epoch];
+        if (distribution.merkleRoot == bytes32(0)) revert DistributionNotFound(epoch);
+        if (isDistributionClaimed(epoch, index)) revert DistributionAlreadyClaimed(epoch, index);
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(index, msg.sender, amount, reason))));
+        if (!MerkleProof.verifyCalldata(proof, distribution.merkleRoot, leaf)) {
+            revert InvalidDistributionProof();
+        }
+
+        uint256 claimed = distribution.claimedAmount + amount;
+        if (claimed > distribution.totalAmount) {
+            revert DistributionExhausted(epoch, claimed, distribution.totalAmount);
+        }
+        distribution.claimedAmount = uint128(claimed);
+        _distributionClaimedBitmap[epoch][index >> 8] |= 1 << (index & 0xff);
+
+        _awardBonusRONInternal(msg.sender, amount, reason);
+        emit DistributedRONClaimed(epoch, index, msg.sender, amount);
+    }
+
+    function isDistributionClaimed(uint256 epoch, uint256 index) public view returns (bool) {
+        return _distributionClaimedBitmap[epoch][index >> 8] & (1 << (index & 0xff)) != 0;
+    }
+
     // ============ VALIDATION FUNCTIONALITY ============
 
     /**
@@ -489,6 +755,7 @@ contract RONUpgradeable is
         uint256 ronAmount,
         string memory validationType
     ) internal {
+        _applyDecay(validator);
         UserStatsOptimized storage stats = userStats[validator];
 
         stats.totalRON += uint128(ronAmount);
@@ -497,6 +764,8 @@ contract RONUpgradeable is
 
         globalStats.totalRONMinted += uint128(ronAmount);
         globalStats.totalValidations += 1;
+        _checkpointRON(validator, stats.totalRON - ronAmount);
+        _trackDecayHolder(validator);
 
         emit ValidationRONEarned(validator, ronAmount, validationType, block.timestamp);
 
@@ -507,7 +776,7 @@ contract RONUpgradeable is
     // ============ TIER AND ACCESS FUNCTIONS ============
 
     function getUserTier(address user) external view override returns (AccessTier) {
-        return AccessTier(userStats[user].tier);
+        return _currentTier(user);
     }
 
     function hasRiddleAccess(address user, RiddleDifficulty difficulty)
@@ -515,7 +784,7 @@ contract RONUpgradeable is
         view
         returns (bool)
     {
-        AccessTier tier = AccessTier(userStats[user].tier);
+        AccessTier tier = _currentTier(user);
 
         if (difficulty == RiddleDifficulty.EASY) return true;
         if (difficulty == RiddleDifficulty.MEDIUM) return tier >= AccessTier.SOLVER;
@@ -526,7 +795,7 @@ contract RONUpgradeable is
     }
 
     function hasOracleAccess(address user) external view returns (bool) {
-        return AccessTier(userStats[user].tier) >= AccessTier.SOLVER;
+        return _currentTier(user) >= AccessTier.SOLVER;
     }
 
     // ============ COMPLIANCE SYSTEM ============
@@ -567,7 +836,7 @@ contract RONUpgradeable is
             revert("Chain not supported");
         }
 
-        uint256 userRON = userStats[user].totalRON;
+        uint256 userRON = _decayedRON(user);
         bytes32 syncHash = keccak256(abi.encodePacked(
             user, userRON, targetChain, block.timestamp
         ));
@@ -671,7 +940,7 @@ contract RONUpgradeable is
     // ============ VIEW FUNCTIONS ============
 
     function balanceOf(address user) external view override returns (uint256) {
-        return userStats[user].totalRON;
+        return _decayedRON(user);
     }
 
     function getUserStats(address user)
@@ -693,9 +962,11 @@ contract RONUpgradeable is
             ? (stats.correctAnswers * 100) / stats.totalAttempts
             : 0;
 
+        totalRON = _decayedRON(user);
+
         return (
-            stats.totalRON,
-            AccessTier(stats.tier),
+            totalRON,
+            _calculateUserTier(totalRON),
             stats.correctAnswers,
             stats.totalAttempts,
             accuracy,
@@ -710,7 +981,7 @@ contract RONUpgradeable is
         bool canAccessHard,
         bool canAccessLegendary
     ) {
-        AccessTier tier = AccessTier(userStats[user].tier);
+        AccessTier tier = _currentTier(user);
 
         return (
             true, // Everyone can access easy
@@ -726,7 +997,7 @@ contract RONUpgradeable is
         bool canValidateElite,
         bool canParticipateGovernance
     ) {
-        AccessTier tier = AccessTier(userStats[user].tier);
+        AccessTier tier = _currentTier(user);
 
         return (
             tier >= AccessTier.SOLVER,
@@ -785,8 +1056,8 @@ contract RONUpgradeable is
             uint256 ronRemaining
         )
     {
-        AccessTier currentTier = AccessTier(userStats[user].tier);
-        uint256 currentRON = userStats[user].totalRON;
+        uint256 currentRON = _decayedRON(user);
+        AccessTier currentTier = _calculateUserTier(currentRON);
 
         if (currentTier == AccessTier.NOVICE) {
             nextTier = AccessTier.SOLVER;
@@ -826,6 +1097,7 @@ contract RONUpgradeable is
         address user,
         bool correct
     ) external override onlyRole(GAME_ROLE) {
+        _applyDecay(user);
         UserStatsOptimized storage stats = userStats[user];
         stats.totalAttempts += 1;
 
@@ -839,6 +1111,241 @@ contract RONUpgradeable is
         stats.lastActivityTime = uint32(block.timestamp);
     }
 
+    function awardBonusRON(
+        address user,
+        uint256 amount,
+        string calldata reason
+    )
+        external
+        override
+        onlyRole(GAME_ROLE)
+        whenNotPaused
+        nonReentrant
+        onlyCompliant(user)
+        ronLimits(amount)
+    {
+        _awardBonusRONInternal(user, amount, reason);
+    }
+
+    function _awardBonusRONInternal(
+        address user,
+        uint256 amount,
+        string memory reason
+    ) internal {
+        _applyDecay(user);
+        UserStatsOptimized storage stats = userStats[user];
+        stats.totalRON += uint128(amount);
+        stats.lastActivityTime = uint32(block.timestamp);
+        stats.tier = uint32(_calculateUserTier(stats.totalRON));
+
+        globalStats.totalRONMinted += uint128(amount);
+        globalStats.lastUpdateTime = uint32(block.timestamp);
+        _checkpointRON(user, stats.totalRON - amount);
+        _trackDecayHolder(user);
+
+        emit BonusApplied(user, 0, amount, reason);
+    }
+
+    function recordQuestionContribution(
+        address creator,
+        uint256 questionId
+    ) external override onlyRole(GAME_ROLE) whenNotPaused onlyCompliant(creator) {
+        _applyDecay(creator);
+        uint256 score = ++contributionScores[creator];
+        userStats[creator].lastActivityTime = uint32(block.timestamp);
+
+        emit QuestionContributionRecorded(creator, questionId, score);
+    }
+
+    // ============ CHECKPOINTS ============
+
+    /**
+     * @dev Same timestamp clock as RDLN
+     */
+    function clock() public view override returns (uint48) {
+        return uint48(block.timestamp);
+    }
+
+    function CLOCK_MODE() public pure override returns (string memory) {
+        return "mode=timestamp";
+    }
+
+    /**
+     * @dev RON held by `user` at the end of `timepoint`, which must be in the past
+     */
+    function getPastRON(address user, uint256 timepoint) public view override returns (uint256) {
+        uint48 currentTimepoint = clock();
+        if (timepoint >= currentTimepoint) revert ERC5805FutureLookup(timepoint, currentTimepoint);
+        return _ronCheckpoints[user].upperLookupRecent(uint48(timepoint));
+    }
+
+    /**
+     * @dev Total RON issued at the end of `timepoint`, which must be in the past
+     */
+    function getPastTotalRON(uint256 timepoint) external view override returns (uint256) {
+        uint48 currentTimepoint = clock();
+        if (timepoint >= currentTimepoint) revert ERC5805FutureLookup(timepoint, currentTimepoint);
+        return _totalRONCheckpoints.upperLookupRecent(uint48(timepoint));
+    }
+
+    /**
+     * @dev Checkpoints a change of the user's RON from `oldRON` to their current total, and the global
+     * total by the same amount. Balances held from before this contract kept checkpoints are seeded at
+     * timepoint 0, so earlier lookups still return them
+     */
+    function _checkpointRON(address user, uint256 oldRON) internal {
+        Checkpoints.Trace208 storage userCheckpoints = _ronCheckpoints[user];
+        uint256 newRON = userStats[user].totalRON;
+        if (userCheckpoints.length() == 0 && oldRON > 0) {
+            userCheckpoints.push(0, uint208(oldRON));
+        }
+        userCheckpoints.push(clock(), uint208(newRON));
+
+        uint256 totalRON;
+        if (_totalRONCheckpoints.length() == 0) {
+            // Minted RON is all still held before any decay has been checkpointed
+            totalRON = globalStats.totalRONMinted - (newRON > oldRON ? newRON - oldRON : 0);
+            if (totalRON > 0) _totalRONCheckpoints.push(0, uint208(totalRON));
+        } else {
+            totalRON = _totalRONCheckpoints.latest();
+        }
+
+        if (newRON >= oldRON) {
+            totalRON += newRON - oldRON;
+        } else {
+            uint256 decayed = oldRON - newRON;
+            totalRON = decayed < totalRON ? totalRON - decayed : 0;
+        }
+        _totalRONCheckpoints.push(clock(), uint208(totalRON));
+    }
+
+    // ============ REPUTATION DECAY ============
+
+    /**
+     * @dev Per-tier half-lives (indexed by AccessTier, 0 = no decay) and the inactivity grace period.
+     * Applies to decay not yet materialised as well
+     */
+    function setDecayConfig(uint256[4] calldata halfLives, uint256 gracePeriod)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        for (uint256 i = 0; i < 4; i++) {
+            if (halfLives[i] > ReputationDecay.MAX_HALF_LIFE) revert InvalidDecayConfig();
+        }
+        if (gracePeriod > ReputationDecay.MAX_HALF_LIFE) revert InvalidDecayConfig();
+
+        decayHalfLives = halfLives;
+        decayGracePeriod = gracePeriod;
+        emit DecayConfigUpdated(halfLives, gracePeriod);
+    }
+
+    /**
+     * @dev Write pending decay for `users`, emitting demotions. Reads already include it, so anyone may call this
+     */
+    function materializeDecay(address[] calldata users) external whenNotPaused {
+        _materializeDecay(users);
+    }
+
+    /**
+     * @dev Chainlink Automation compatibility check. Each block scans a different window of
+     * decayHolders for users whose decay has crossed a tier threshold
+     */
+    function checkUpkeep(bytes calldata /* checkData */)
+        external
+        view
+        returns (bool upkeepNeeded, bytes memory performData)
+    {
+        uint256 holders = decayHolders.length;
+        if (holders == 0 || paused()) return (false, "");
+
+        uint256 scan = holders < ReputationDecay.SCAN_SIZE ? holders : ReputationDecay.SCAN_SIZE;
+        uint256 start = (block.number * ReputationDecay.SCAN_SIZE) % holders;
+        address[] memory due = new address[](scan);
+        uint256 found;
+
+        for (uint256 i = 0; i < scan; i++) {
+            address user = decayHolders[(start + i) % holders];
+            if (_currentTier(user) < _calculateUserTier(userStats[user].totalRON)) {
+                due[found++] = user;
+            }
+        }
+
+        address[] memory users = new address[](found);
+        for (uint256 i = 0; i < found; i++) {
+            users[i] = due[i];
+        }
+        upkeepNeeded = found > 0;
+        performData = abi.encode(users);
+    }
+
+    /**
+     * @dev Automation-compatible materialisation of the users found by checkUpkeep
+     */
+    function performUpkeep(bytes calldata performData) external whenNotPaused {
+        _materializeDecay(abi.decode(performData, (address[])));
+    }
+
+    function _materializeDecay(address[] memory users) internal {
+        if (users.length > ReputationDecay.MAX_BATCH) {
+            revert BatchSizeExceeded(users.length, ReputationDecay.MAX_BATCH);
+        }
+        for (uint256 i = 0; i < users.length; i++) {
+            _applyDecay(users[i]);
+        }
+    }
+
+    /**
+     * @dev Writes decay accrued since the user's last activity or materialisation
+     */
+    function _applyDecay(address user) internal {
+        UserStatsOptimized storage stats = userStats[user];
+        uint256 oldRON = stats.totalRON;
+        uint256 newRON = _decayedRON(user);
+
+        if (newRON < oldRON) {
+            AccessTier oldTier = _calculateUserTier(oldRON);
+            AccessTier newTier = _calculateUserTier(newRON);
+
+            stats.totalRON = uint128(newRON);
+            stats.tier = uint32(newTier);
+            stats.decayedAt = uint32(block.timestamp);
+            _checkpointRON(user, oldRON);
+
+            emit ReputationDecayed(user, oldRON, newRON);
+            if (newTier < oldTier) {
+                emit TierDemoted(user, oldTier, newTier, newRON);
+            }
+        }
+
+        // Picks up holders from before decay existed
+        _trackDecayHolder(user);
+    }
+
+    /**
+     * @dev Lists users for the keeper once they have a tier to lose
+     */
+    function _trackDecayHolder(address user) internal {
+        UserStatsOptimized storage stats = userStats[user];
+        if (!stats.decayTracked && stats.totalRON >= SOLVER_THRESHOLD) {
+            stats.decayTracked = true;
+            decayHolders.push(user);
+        }
+    }
+
+    function _decayedRON(address user) internal view returns (uint256) {
+        UserStatsOptimized storage stats = userStats[user];
+        uint256 ron = stats.totalRON;
+        return ReputationDecay.decay(
+            ron,
+            ReputationDecay.accruedTime(stats.lastActivityTime, stats.decayedAt, decayGracePeriod, block.timestamp),
+            decayHalfLives[uint256(_calculateUserTier(ron))]
+        );
+    }
+
+    function _currentTier(address user) internal view returns (AccessTier) {
+        return _calculateUserTier(_decayedRON(user));
+    }
+
     // ============ SOUL-BOUND TOKEN PROPERTIES ============
 
     function transfer(address, uint256) external pure returns (bool) {
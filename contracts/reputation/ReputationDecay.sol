@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title ReputationDecay - Half-life decay shared by the RON contracts
+ * @dev Balances halve every `halfLife` seconds of inactivity and fall linearly between halvings,
+ * so decay can be computed on read and only written ("materialised") when convenient
+ */
+library ReputationDecay {
+    // Holders scanned per checkUpkeep call, and users materialised per batch
+    uint256 internal constant SCAN_SIZE = 100;
+    uint256 internal constant MAX_BATCH = 100;
+
+    // Upper bound on configurable half-lives; 0 disables decay for a tier
+    uint256 internal constant MAX_HALF_LIFE = 10 * 365 days;
+
+    /**
+     * @dev `ron` after `elapsed` seconds of decay at `halfLife` (0 = no decay)
+     */
+    function decay(uint256 ron, uint256 elapsed, uint256 halfLife) internal pure returns (uint256) {
+        if (halfLife == 0 || elapsed == 0 || ron == 0) return ron;
+
+        uint256 halvings = elapsed / halfLife;
+        if (halvings >= 256) return 0;
+
+        ron >>= halvings;
+        return ron - (ron * (elapsed % halfLife)) / (2 * halfLife);
+    }
+
+    /**
+     * @dev Seconds of decay accrued by `timestamp`: inactivity beyond the grace period,
+     * counted from the last materialisation if that is later
+     */
+    function accruedTime(
+        uint256 lastActivityTime,
+        uint256 decayedAt,
+        uint256 gracePeriod,
+        uint256 timestamp
+    ) internal pure returns (uint256) {
+        uint256 from = lastActivityTime + gracePeriod;
+        if (decayedAt > from) from = decayedAt;
+        return timestamp > from ? timestamp - from : 0;
+    }
+}
@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+
+/**
+ * @title RoyaltySplitter - Per-token ERC-2981 royalty receiver
+ * @dev Deployed as a deterministic clone per token by the riddle NFT contracts. Royalties paid
+ * by marketplaces (native or ERC-20) accumulate here and are split between the riddle creator
+ * and the token's original minter. Each payee is released independently, so a payee that
+ * cannot receive funds never blocks the other one. Anyone can trigger a payee's release.
+ */
+contract RoyaltySplitter is Initializable {
+    using SafeERC20 for IERC20;
+
+    address public creator;
+    address public minter;
+    uint256 public creatorShareBps; // Creator's share of everything received (10000 = 100%)
+
+    uint256 public totalNativeReleased;
+    mapping(address => uint256) public nativeReleased;
+    mapping(address => uint256) public totalERC20Released;
+    mapping(address => mapping(address => uint256)) public erc20Released;
+
+    event RoyaltyReleased(
+        address indexed token, // address(0) for native currency
+        address indexed payee,
+        uint256 amount
+    );
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        address _creator,
+        address _minter,
+        uint256 _creatorShareBps
+    ) external initializer {
+        require(_creator != address(0), "Invalid creator address");
+        require(_minter != address(0), "Invalid minter address");
+        require(_creatorShareBps <= 10000, "Share exceeds 100%");
+
+        creator = _creator;
+        minter = _minter;
+        creatorShareBps = _creatorShareBps;
+    }
+
+    receive() external payable {}
+
+    /**
+     * @dev Amount of an ERC-20 token currently owed to a payee
+     */
+    function releasable(IERC20 token, address account) public view returns (uint256) {
+        uint256 totalReceived = token.balanceOf(address(this)) + totalERC20Released[address(token)];
+        return _pendingPayment(account, totalReceived, erc20Released[address(token)][account]);
+    }
+
+    /**
+     * @dev Amount of native currency currently owed to a payee
+     */
+    function releasableNative(address account) public view returns (uint256) {
+        uint256 totalReceived = address(this).balance + totalNativeReleased;
+        return _pendingPayment(account, totalReceived, nativeReleased[account]);
+    }
+
+    /**
+     * @dev Pay a payee their accrued share of an ERC-20 token
+     * @param token Token to release
+     * @param account Creator or minter
+     */
+    function release(IERC20 token, address account) external {
+        uint256 payment = releasable(token, account);
+        require(payment > 0, "Nothing to release");
+
+        erc20Released[address(token)][account] += payment;
+        totalERC20Released[address(token)] += payment;
+
+        token.safeTransfer(account, payment);
+
+        emit RoyaltyReleased(address(token), account, payment);
+    }
+
+    /**
+     * @dev Pay a payee their accrued share of native currency
+     * @param account Creator or minter
+     */
+    function releaseNative(address payable account) external {
+        uint256 payment = releasableNative(account);
+        require(payment > 0, "Nothing to release");
+
+        nativeReleased[account] += payment;
+        totalNativeReleased += payment;
+
+        (bool paid, ) = account.call{value: payment}("");
+        require(paid, "Payment failed");
+
+        emit RoyaltyReleased(address(0), account, payment);
+    }
+
+    function _pendingPayment(
+        address account,
+        uint256 totalReceived,
+        uint256 alreadyReleased
+    ) private view returns (uint256) {
+        require(account == creator || account == minter, "Not a payee");
+
+        uint256 creatorTotal = (totalReceived * creatorShareBps) / 10000;
+        uint256 entitled = account == creator ? creatorTotal : totalReceived - creatorTotal;
+        // Creator and minter may be the same address, in which case it is owed everything
+        if (creator == minter) entitled = totalReceived;
+
+        return entitled - alreadyReleased;
+    }
+}
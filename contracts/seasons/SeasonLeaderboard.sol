@@ -0,0 +1,360 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../interfaces/IRON.sol";
+import "../interfaces/IRiddleSolveHook.sol";
+
+/**
+ * @title SeasonLeaderboard - Seasonal points, top-N rankings and end-of-season rewards
+ * @dev Riddle NFT contracts report winning solves through IRiddleSolveHook; each solve scores points
+ * by difficulty with speed and first-solver bonuses. When a season ends, its RDLN reward pool and
+ * bonus RON are split across the final leaderboard in proportion to points, and each player claims their
+ * share with claimSeasonReward so one failing RON award cannot block the season from closing. RON shares
+ * are capped at MAX_RON_REWARD and the excess rolls into the next season
+ * @notice Grant GAME_ROLE to RiddleNFT_v2 / RiddleNFTAdvanced and add this contract as one of their solve hooks.
+ * Distributing bonus RON requires GAME_ROLE on the RON contract
+ */
+contract SeasonLeaderboard is AccessControl, ReentrancyGuard, IRiddleSolveHook {
+    using SafeERC20 for IERC20;
+
+    // ============ CONSTANTS ============
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant GAME_ROLE = keccak256("GAME_ROLE");
+
+    uint256 public constant MAX_LEADERBOARD_SIZE = 100; // Bounds the ranking and allocation loops
+    uint256 public constant MAX_RON_REWARD = 50_000;    // RON per ranked player; matches RON's single-award limit
+
+    // Bonuses as a percentage of the difficulty's base points
+    uint256 public constant SPEED_BONUS_PERCENT = 50;
+    uint256 public constant FIRST_SOLVER_BONUS_PERCENT = 100;
+
+    // ============ STRUCTS ============
+
+    struct Season {
+        uint256 startTime;
+        uint256 endTime;
+        uint256 rewardPool;       // RDLN held for the final leaderboard
+        uint256 bonusRON;         // RON awarded across the final leaderboard
+        uint256 leaderboardSize;  // Players ranked (and rewarded)
+        uint256 totalPoints;
+        uint256 totalSolves;
+        bool closed;
+    }
+
+    struct Reward {
+        uint256 rdlnAmount; // RDLN still owed
+        uint256 ronAmount;  // RON still owed
+    }
+
+    // ============ STATE VARIABLES ============
+
+    IERC20 public immutable rdlnToken;
+    IRON public immutable ronToken;
+
+    uint256 public currentSeasonId; // 0 = no season started yet
+    uint256 public rolloverPool;    // Unallocated rewards carried into the next season
+    uint256 public rolloverRON;     // Bonus RON above the per-player cap, carried into the next season
+
+    mapping(uint256 => Season) public seasons;
+    mapping(uint256 => mapping(address => uint256)) public seasonPoints;
+    mapping(uint256 => address[]) internal leaderboards; // Sorted by points, highest first; ties keep the earlier player
+    mapping(uint256 => mapping(address => Reward)) public seasonRewards; // Allocated at close, cleared as claimed
+
+    // ============ EVENTS ============
+
+    event SeasonStarted(
+        uint256 indexed seasonId,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 rewardPool,
+        uint256 bonusRON,
+        uint256 leaderboardSize
+    );
+
+    event SeasonFunded(uint256 indexed seasonId, address indexed funder, uint256 amount);
+
+    event SeasonPointsAwarded(
+        uint256 indexed seasonId,
+        address indexed player,
+        address indexed game,
+        uint256 riddleId,
+        uint256 points,
+        uint256 totalPoints
+    );
+
+    event SeasonRewardAllocated(
+        uint256 indexed seasonId,
+        address indexed player,
+        uint256 rank,
+        uint256 rdlnAmount,
+        uint256 ronAmount
+    );
+
+    event SeasonRewardClaimed(uint256 indexed seasonId, address indexed player, uint256 rdlnAmount, uint256 ronAmount);
+
+    event SeasonRONDeferred(uint256 indexed seasonId, address indexed player, uint256 ronAmount);
+
+    event SeasonClosed(uint256 indexed seasonId, uint256 rankedPlayers, uint256 rewardPool, uint256 rolledOver);
+
+    event SeasonRONRolledOver(uint256 indexed seasonId, uint256 ronAmount);
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(address _rdlnToken, address _ronToken, address _admin) {
+        require(_rdlnToken != address(0), "Invalid RDLN address");
+        require(_ronToken != address(0), "Invalid RON address");
+        require(_admin != address(0), "Invalid admin address");
+
+        rdlnToken = IERC20(_rdlnToken);
+        ronToken = IRON(_ronToken);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(ADMIN_ROLE, _admin);
+    }
+
+    // ============ SEASONS ============
+
+    /**
+     * @dev Start the next season now; the caller funds `rewardPool` RDLN, on top of any rollover. Rolled-over
+     * bonus RON is added to `bonusRON`
+     * @param duration Season length in seconds
+     * @param rewardPool RDLN transferred from the caller into the season's pool
+     * @param bonusRON RON split across the final leaderboard, at most MAX_RON_REWARD times `leaderboardSize`
+     * @param leaderboardSize Number of players ranked and rewarded
+     */
+    function startSeason(
+        uint256 duration,
+        uint256 rewardPool,
+        uint256 bonusRON,
+        uint256 leaderboardSize
+    ) external onlyRole(ADMIN_ROLE) nonReentrant returns (uint256 seasonId) {
+        require(currentSeasonId == 0 || seasons[currentSeasonId].closed, "Season in progress");
+        require(duration > 0, "Invalid duration");
+        require(leaderboardSize > 0 && leaderboardSize <= MAX_LEADERBOARD_SIZE, "Invalid leaderboard size");
+        require(bonusRON <= MAX_RON_REWARD * leaderboardSize, "Bonus RON too large");
+
+        if (rewardPool > 0) {
+            rdlnToken.safeTransferFrom(msg.sender, address(this), rewardPool);
+        }
+
+        seasonId = ++currentSeasonId;
+        Season storage season = seasons[seasonId];
+        season.startTime = block.timestamp;
+        season.endTime = block.timestamp + duration;
+        season.rewardPool = rewardPool + rolloverPool;
+        season.bonusRON = bonusRON + rolloverRON;
+        season.leaderboardSize = leaderboardSize;
+        rolloverPool = 0;
+        rolloverRON = 0;
+
+        emit SeasonStarted(seasonId, season.startTime, season.endTime, season.rewardPool, season.bonusRON, leaderboardSize);
+    }
+
+    /**
+     * @dev Add RDLN to an open season's reward pool
+     */
+    function fundSeason(uint256 seasonId, uint256 amount) external nonReentrant {
+        require(seasonId > 0 && seasonId <= currentSeasonId, "Season does not exist");
+        require(!seasons[seasonId].closed, "Season already closed");
+        require(amount > 0, "Invalid amount");
+
+        rdlnToken.safeTransferFrom(msg.sender, address(this), amount);
+        seasons[seasonId].rewardPool += amount;
+
+        emit SeasonFunded(seasonId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Close an ended season and allocate its rewards to the leaderboard; callable by anyone.
+     * Players collect their share with claimSeasonReward. A season nobody scored in rolls its pool into the next one
+     */
+    function closeSeason(uint256 seasonId) external nonReentrant {
+        require(seasonId > 0 && seasonId <= currentSeasonId, "Season does not exist");
+        Season storage season = seasons[seasonId];
+        require(!season.closed, "Season already closed");
+        require(block.timestamp > season.endTime, "Season not ended");
+
+        season.closed = true;
+
+        address[] storage board = leaderboards[seasonId];
+        uint256 remainingPoints;
+        for (uint256 i = 0; i < board.length; i++) {
+            remainingPoints += seasonPoints[seasonId][board[i]];
+        }
+
+        if (remainingPoints == 0) {
+            rolloverPool += season.rewardPool;
+            emit SeasonClosed(seasonId, 0, season.rewardPool, season.rewardPool);
+            return;
+        }
+
+        // Proportional split; the last ranked player takes the rounding remainder
+        uint256 remainingRDLN = season.rewardPool;
+        uint256 remainingRON = season.bonusRON;
+        uint256 excessRON;
+        for (uint256 i = 0; i < board.length; i++) {
+            address player = board[i];
+            uint256 points = seasonPoints[seasonId][player];
+
+            uint256 rdlnAmount = (remainingRDLN * points) / remainingPoints;
+            uint256 ronAmount = (remainingRON * points) / remainingPoints;
+            remainingRDLN -= rdlnAmount;
+            remainingRON -= ronAmount;
+            remainingPoints -= points;
+
+            if (ronAmount > MAX_RON_REWARD) {
+                excessRON += ronAmount - MAX_RON_REWARD;
+                ronAmount = MAX_RON_REWARD;
+            }
+
+            seasonRewards[seasonId][player] = Reward(rdlnAmount, ronAmount);
+
+            emit SeasonRewardAllocated(seasonId, player, i + 1, rdlnAmount, ronAmount);
+        }
+
+        if (excessRON > 0) {
+            rolloverRON += excessRON;
+            emit SeasonRONRolledOver(seasonId, excessRON);
+        }
+
+        emit SeasonClosed(seasonId, board.length, season.rewardPool, 0);
+    }
+
+    /**
+     * @dev Collect the caller's reward from a closed season. RDLN and RON are paid in full. If RON rejects
+     * the award (paused, compliance, daily limit) the RON stays owed and can be claimed again later
+     */
+    function claimSeasonReward(uint256 seasonId) external nonReentrant {
+        Reward storage reward = seasonRewards[seasonId][msg.sender];
+        uint256 rdlnAmount = reward.rdlnAmount;
+        uint256 ronAmount = reward.ronAmount;
+        require(rdlnAmount > 0 || ronAmount > 0, "Nothing to claim");
+
+        if (rdlnAmount > 0) {
+            reward.rdlnAmount = 0;
+            rdlnToken.safeTransfer(msg.sender, rdlnAmount);
+        }
+
+        if (ronAmount > 0) {
+            reward.ronAmount = 0;
+            try ronToken.awardBonusRON(msg.sender, ronAmount, "Season reward") {
+            } catch {
+                reward.ronAmount = ronAmount;
+                emit SeasonRONDeferred(seasonId, msg.sender, ronAmount);
+                ronAmount = 0;
+            }
+        }
+
+        emit SeasonRewardClaimed(seasonId, msg.sender, rdlnAmount, ronAmount);
+    }
+
+    // ============ SOLVE HOOK ============
+
+    /**
+     * @dev Scores a winning solve in the running season; solves outside a season score nothing
+     */
+    function onRiddleSolved(
+        address solver,
+        uint256 riddleId,
+        uint8 difficulty,
+        bool isFirstSolver,
+        bool isSpeedSolver
+    ) external override onlyRole(GAME_ROLE) {
+        uint256 seasonId = currentSeasonId;
+        Season storage season = seasons[seasonId];
+        if (seasonId == 0 || season.closed || block.timestamp > season.endTime) return;
+
+        uint256 points = calculatePoints(difficulty, isFirstSolver, isSpeedSolver);
+        uint256 totalPoints = seasonPoints[seasonId][solver] + points;
+        seasonPoints[seasonId][solver] = totalPoints;
+        season.totalPoints += points;
+        season.totalSolves++;
+
+        _updateLeaderboard(seasonId, solver, totalPoints);
+
+        emit SeasonPointsAwarded(seasonId, solver, msg.sender, riddleId, points, totalPoints);
+    }
+
+    /**
+     * @dev Moves the player up the sorted leaderboard, entering it if there is room or they outscore
+     * the last ranked player
+     */
+    function _updateLeaderboard(uint256 seasonId, address player, uint256 points) internal {
+        address[] storage board = leaderboards[seasonId];
+
+        uint256 index = board.length;
+        for (uint256 i = 0; i < board.length; i++) {
+            if (board[i] == player) {
+                index = i;
+                break;
+            }
+        }
+
+        if (index == board.length) {
+            if (board.length < seasons[seasonId].leaderboardSize) {
+                board.push(player);
+            } else if (points > seasonPoints[seasonId][board[index - 1]]) {
+                index--;
+                board[index] = player;
+            } else {
+                return;
+            }
+        }
+
+        while (index > 0 && seasonPoints[seasonId][board[index - 1]] < points) {
+            board[index] = board[index - 1];
+            board[index - 1] = player;
+            index--;
+        }
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    /**
+     * @dev Points for one solve: 10 / 25 / 50 / 100 by difficulty, +50% for speed, +100% for first solver
+     */
+    function calculatePoints(uint8 difficulty, bool isFirstSolver, bool isSpeedSolver) public pure returns (uint256) {
+        uint256 basePoints;
+        if (difficulty == 0) basePoints = 10;
+        else if (difficulty == 1) basePoints = 25;
+        else if (difficulty == 2) basePoints = 50;
+        else basePoints = 100;
+
+        uint256 points = basePoints;
+        if (isSpeedSolver) points += (basePoints * SPEED_BONUS_PERCENT) / 100;
+        if (isFirstSolver) points += (basePoints * FIRST_SOLVER_BONUS_PERCENT) / 100;
+        return points;
+    }
+
+    /**
+     * @dev Ranked players and their points, highest first
+     */
+    function getLeaderboard(uint256 seasonId) external view returns (address[] memory players, uint256[] memory points) {
+        players = leaderboards[seasonId];
+        points = new uint256[](players.length);
+        for (uint256 i = 0; i < players.length; i++) {
+            points[i] = seasonPoints[seasonId][players[i]];
+        }
+    }
+
+    /**
+     * @dev 1-based leaderboard position, or 0 if the player is not ranked
+     */
+    function getRank(uint256 seasonId, address player) external view returns (uint256) {
+        address[] storage board = leaderboards[seasonId];
+        for (uint256 i = 0; i < board.length; i++) {
+            if (board[i] == player) return i + 1;
+        }
+        return 0;
+    }
+
+    function isSeasonActive() external view returns (bool) {
+        Season storage season = seasons[currentSeasonId];
+        return currentSeasonId > 0 && !season.closed && block.timestamp <= season.endTime;
+    }
+}
@@ -5,6 +5,7 @@ require("hardhat-contract-sizer");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
 require("dotenv").config();
+require("./tasks/riddles");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -43,6 +44,8 @@ module.exports = {
     hardhat: {
       chainId: 31337,
       allowUnlimitedContractSize: true, // Allow oversized contracts for testing
+      // Fork a live network for dry runs (FORK_URL=... npx hardhat riddle:release --dry-run ...)
+      ...(process.env.FORK_URL ? { forking: { url: process.env.FORK_URL } } : {}),
     },
     localhost: {
       url: "http://127.0.0.1:8545",
@@ -115,7 +115,9 @@ async function main() {
     // Grant RON game permissions
     await ron.grantRole(GAME_ROLE, await riddleNFT.getAddress());
     await ron.grantRole(ORACLE_ROLE, deployer.address); // Admin as oracle for testing
+    await ron.grantRole(ORACLE_ROLE, await riddleNFT.getAddress()); // Question validation rewards
     console.log("✅ Granted GAME_ROLE to RiddleNFT");
+    console.log("✅ Granted ORACLE_ROLE to RiddleNFT");
     console.log("✅ Granted ORACLE_ROLE to deployer");
 
     // Grant NFT game master permissions
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { deployLibraries } = require("./utils/libraries");
 
 async function main() {
   console.log("🧩 Deploying Riddlen Weekly NFT System...");
@@ -39,8 +40,14 @@ async function main() {
     console.log("   Set RON_ADDRESS environment variable or update config.");
   }
 
+  // Deploy the libraries RiddleNFT links against
+  const libraries = await deployLibraries(ethers, "RiddleNFT");
+  for (const [name, address] of Object.entries(libraries)) {
+    console.log(`✅ ${name} library deployed to:`, address);
+  }
+
   // Deploy RiddleNFT contract
-  const RiddleNFT = await ethers.getContractFactory("RiddleNFT");
+  const RiddleNFT = await ethers.getContractFactory("RiddleNFT", { libraries });
   const riddleNFT = await RiddleNFT.deploy(
     config.rdlnToken,
     config.ronToken,
@@ -54,6 +61,33 @@ async function main() {
 
   console.log("✅ Riddlen Weekly NFT System deployed to:", riddleNFTAddress);
 
+  // Deploy the secondary market (listings settle through RiddleNFT's commission rates and wallets)
+  const RiddleMarketplace = await ethers.getContractFactory("RiddleMarketplace");
+  const marketplace = await RiddleMarketplace.deploy(riddleNFTAddress, config.rdlnToken, config.admin);
+
+  await marketplace.waitForDeployment();
+  const marketplaceAddress = await marketplace.getAddress();
+
+  console.log("✅ Riddle Marketplace deployed to:", marketplaceAddress);
+
+  // Deploy the hint marketplace (registered on RiddleNFT by the admin, see next steps)
+  const RiddleHints = await ethers.getContractFactory("RiddleHints");
+  const hints = await RiddleHints.deploy(riddleNFTAddress, config.rdlnToken, config.admin);
+
+  await hints.waitForDeployment();
+  const hintsAddress = await hints.getAddress();
+
+  console.log("✅ Riddle Hints deployed to:", hintsAddress);
+
+  // Deploy the team registry (registered on RiddleNFT by the admin, see next steps)
+  const RiddleTeams = await ethers.getContractFactory("RiddleTeams");
+  const teams = await RiddleTeams.deploy(riddleNFTAddress, config.admin);
+
+  await teams.waitForDeployment();
+  const teamsAddress = await teams.getAddress();
+
+  console.log("✅ Riddle Teams deployed to:", teamsAddress);
+
   // Verify initial state
   console.log("\n📊 Verifying deployment...");
   console.log("- Current Week:", await riddleNFT.getCurrentWeek());
@@ -103,6 +137,10 @@ async function main() {
     network: hre.network.name,
     chainId: hre.network.config.chainId,
     contractAddress: riddleNFTAddress,
+    marketplaceAddress,
+    hintsAddress,
+    teamsAddress,
+    libraries,
     deployer: deployer.address,
     deploymentTime: new Date().toISOString(),
     blockNumber: await ethers.provider.getBlockNumber(),
@@ -126,14 +164,22 @@ async function main() {
   console.log("\n📋 Next Steps:");
   console.log("1. Grant necessary roles to related contracts if needed:");
   console.log(`   await riddleNFT.grantRole("${ADMIN_ROLE}", additionalAdminAddress)`);
-  console.log("2. Ensure RDLN contract has approved this contract for prize distributions:");
-  console.log(`   await rdln.approve("${riddleNFTAddress}", amount)`);
-  console.log("3. Release first weekly riddle:");
+  console.log("2. Fund riddle prize escrows, either by granting MINTER_ROLE on RDLN (pools minted from the prize allocation):");
+  console.log(`   await rdln.grantRole(await rdln.MINTER_ROLE(), "${riddleNFTAddress}")`);
+  console.log("   or by setting an approved prize vault:");
+  console.log(`   await riddleNFT.setPrizeVault(vaultAddress)`);
+  console.log("3. Register the hint marketplace and team registry:");
+  console.log(`   await riddleNFT.setHintMarket("${hintsAddress}")`);
+  console.log(`   await riddleNFT.setTeamRegistry("${teamsAddress}")`);
+  console.log("4. Enable native-currency listings on the marketplace:");
+  console.log(`   await marketplace.setBurnSwapAdapter(adapterAddress)`);
+  console.log("5. Release first weekly riddle:");
   console.log(`   await riddleNFT.releaseWeeklyRiddle("Mathematics", 0, answerHash, ipfsHash)`);
+  console.log(`   (answerHash = hashAnswer(answer) from scripts/utils/answers.js, or riddleNFT.hashAnswer(answer))`);
 
   // Integration requirements
   console.log("\n🔗 Integration Requirements:");
-  console.log("- RDLN Token must approve this contract to transfer tokens for prizes");
+  console.log("- Each riddle's prize pool is escrowed at release; release reverts if it cannot be funded");
   console.log("- RON Token must grant GAME_ROLE to this contract for awarding reputation");
   console.log("- This contract must have access to 700M RDLN from the prize allocation");
 
@@ -148,16 +194,27 @@ async function main() {
   // Verification instructions
   if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
     console.log("\n🔍 To verify the contract, run:");
+    for (const address of Object.values(libraries)) {
+      console.log(`npx hardhat verify --network ${hre.network.name} ${address}`);
+    }
     console.log(`npx hardhat verify --network ${hre.network.name} ${riddleNFTAddress} \\`);
     console.log(`  "${config.rdlnToken}" \\`);
     console.log(`  "${config.ronToken}" \\`);
     console.log(`  "${config.liquidityWallet}" \\`);
     console.log(`  "${config.devOpsWallet}" \\`);
     console.log(`  "${config.admin}"`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${marketplaceAddress} \\`);
+    console.log(`  "${riddleNFTAddress}" "${config.rdlnToken}" "${config.admin}"`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${hintsAddress} \\`);
+    console.log(`  "${riddleNFTAddress}" "${config.rdlnToken}" "${config.admin}"`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${teamsAddress} "${riddleNFTAddress}" "${config.admin}"`);
   }
 
   return {
     riddleNFT,
+    marketplace,
+    hints,
+    teams,
     address: riddleNFTAddress,
     deploymentInfo
   };
@@ -0,0 +1,100 @@
+const { ethers } = require("ethers");
+
+/**
+ * Answer hashing helpers matching RiddleNFT_v2.normalizeAnswer / hashAnswer.
+ *
+ * Creators use these to produce the riddle's answerHash and its accepted alternates
+ * (a short list, or a Merkle root for larger sets), and players use getAnswerProof
+ * when revealing an answer that is only accepted through the Merkle root.
+ *
+ * Usage: node scripts/utils/answers.js "Echo" "An echo" "The echo"
+ */
+
+// ASCII whitespace recognised on-chain: space, \t, \n, \v, \f, \r
+const WHITESPACE = /[ \t\n\v\f\r]+/g;
+
+// ASCII lowercase, trim and collapse whitespace runs; non-ASCII characters are left untouched
+function normalizeAnswer(answer) {
+  return answer
+    .replace(/[A-Z]/g, (c) => c.toLowerCase())
+    .replace(WHITESPACE, " ")
+    .replace(/^ | $/g, "");
+}
+
+function hashAnswer(answer) {
+  return ethers.keccak256(ethers.toUtf8Bytes(normalizeAnswer(answer)));
+}
+
+// Leaves are hashed once more so a 64-byte answer can never pass as an inner node
+function answerLeaf(answerHash) {
+  return ethers.keccak256(answerHash);
+}
+
+// Sorted-pair hashing, as verified by OpenZeppelin MerkleProof
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Builds the Merkle tree over a set of accepted answers
+ * @param {string[]} answers Plain-text answers (normalized and de-duplicated here)
+ * @returns {{ root: string, answerHashes: string[], layers: string[][] }}
+ */
+function buildAnswerTree(answers) {
+  if (answers.length === 0) throw new Error("No answers");
+
+  const answerHashes = [...new Set(answers.map(hashAnswer))];
+  const leaves = answerHashes.map(answerLeaf).sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const level = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      // An odd node out is promoted unchanged
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    layers.push(next);
+  }
+
+  return { root: layers[layers.length - 1][0], answerHashes, layers };
+}
+
+/**
+ * Proof for revealAnswerWithProof
+ * @param {{ layers: string[][] }} tree Result of buildAnswerTree
+ * @param {string} answer Plain-text answer being revealed
+ */
+function getAnswerProof(tree, answer) {
+  const leaf = answerLeaf(hashAnswer(answer));
+  let index = tree.layers[0].indexOf(leaf);
+  if (index === -1) throw new Error("Answer not in tree");
+
+  const proof = [];
+  for (let level = 0; level < tree.layers.length - 1; level++) {
+    const nodes = tree.layers[level];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < nodes.length) proof.push(nodes[sibling]);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+module.exports = { normalizeAnswer, hashAnswer, answerLeaf, buildAnswerTree, getAnswerProof };
+
+if (require.main === module) {
+  const answers = process.argv.slice(2);
+  if (answers.length === 0) {
+    console.error('Usage: node scripts/utils/answers.js "<answer>" ["<alternate>" ...]');
+    process.exit(1);
+  }
+
+  for (const answer of answers) {
+    console.log(`${JSON.stringify(normalizeAnswer(answer))}: ${hashAnswer(answer)}`);
+  }
+  if (answers.length > 1) {
+    console.log(`Merkle root: ${buildAnswerTree(answers).root}`);
+  }
+}
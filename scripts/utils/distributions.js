@@ -0,0 +1,153 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Merkle trees for RONUpgradeable distributions (publishRONDistribution / claimDistributedRON).
+ *
+ * Admins build a tree from a CSV of `user,amount,reason` rows, publish its root and total,
+ * and hand each player their entries; players claim with the index, amount, reason and proof.
+ * Rows keep their CSV order as indexes, so a player listed twice gets two claims.
+ *
+ * The published total is the epoch's only cap: claims are exempt from RONUpgradeable's
+ * MAX_SINGLE_RON_AWARD (50,000 per award) and MAX_DAILY_RON_MINT, so entries of any size can be
+ * claimed and a large drop does not block game awards. Check the total before publishing.
+ *
+ * Usage: node scripts/utils/distributions.js <entries.csv> [output.json]
+ */
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// Leaves are hashed twice so a leaf can never pass as an inner node, matching the contract
+function distributionLeaf({ index, user, amount, reason }) {
+  return ethers.keccak256(
+    ethers.keccak256(coder.encode(["uint256", "address", "uint256", "string"], [index, user, amount, reason]))
+  );
+}
+
+// Sorted-pair hashing, as verified by OpenZeppelin MerkleProof
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+// Splits one CSV line; quoted fields may contain commas, with quotes inside them doubled
+function splitCSVLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') field += line[i++];
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parses `user,amount,reason` rows (amounts in whole RON). A header row is optional
+ */
+function parseDistributionCSV(csv) {
+  const rows = csv.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (rows.length > 0 && /^\s*user\s*,/i.test(rows[0])) rows.shift();
+
+  return rows.map((line, row) => {
+    const [user, amount, reason = "", ...extra] = splitCSVLine(line);
+    if (extra.length > 0) throw new Error(`Row ${row + 1}: quote reasons that contain commas`);
+    if (!ethers.isAddress(user)) throw new Error(`Row ${row + 1}: invalid address ${user}`);
+    if (!/^\d+$/.test(amount) || BigInt(amount) === 0n) throw new Error(`Row ${row + 1}: invalid amount ${amount}`);
+
+    return { user: ethers.getAddress(user), amount: BigInt(amount), reason };
+  });
+}
+
+/**
+ * Builds the distribution tree
+ * @param {{ user: string, amount: bigint|number, reason: string }[]} entries Indexed in the order given
+ * @returns {{ root: string, totalAmount: bigint, entries: object[], layers: string[][] }}
+ */
+function buildDistributionTree(entries) {
+  if (entries.length === 0) throw new Error("No entries");
+
+  const indexed = entries.map((entry, index) => ({ ...entry, index, amount: BigInt(entry.amount) }));
+  const leaves = indexed.map(distributionLeaf).sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const level = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      // An odd node out is promoted unchanged
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    layers.push(next);
+  }
+
+  const totalAmount = indexed.reduce((sum, entry) => sum + entry.amount, 0n);
+  return { root: layers[layers.length - 1][0], totalAmount, entries: indexed, layers };
+}
+
+/**
+ * Proof for claimDistributedRON
+ * @param {{ layers: string[][] }} tree Result of buildDistributionTree
+ * @param {{ index: number, user: string, amount: bigint, reason: string }} entry One of tree.entries
+ */
+function getDistributionProof(tree, entry) {
+  let index = tree.layers[0].indexOf(distributionLeaf(entry));
+  if (index === -1) throw new Error("Entry not in tree");
+
+  const proof = [];
+  for (let level = 0; level < tree.layers.length - 1; level++) {
+    const nodes = tree.layers[level];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < nodes.length) proof.push(nodes[sibling]);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+module.exports = {
+  distributionLeaf,
+  parseDistributionCSV,
+  buildDistributionTree,
+  getDistributionProof,
+};
+
+if (require.main === module) {
+  const [input, output] = process.argv.slice(2);
+  if (!input) {
+    console.error("Usage: node scripts/utils/distributions.js <entries.csv> [output.json]");
+    process.exit(1);
+  }
+
+  const tree = buildDistributionTree(parseDistributionCSV(fs.readFileSync(input, "utf8")));
+  const claims = {};
+  for (const entry of tree.entries) {
+    (claims[entry.user] ??= []).push({
+      index: entry.index,
+      amount: entry.amount.toString(),
+      reason: entry.reason,
+      proof: getDistributionProof(tree, entry),
+    });
+  }
+
+  const result = JSON.stringify({ merkleRoot: tree.root, totalAmount: tree.totalAmount.toString(), claims }, null, 2);
+  if (output) {
+    fs.writeFileSync(output, result);
+    console.log(`Merkle root: ${tree.root}`);
+    console.log(`Total: ${tree.totalAmount} RON across ${tree.entries.length} entries -> ${output}`);
+  } else {
+    console.log(result);
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Linked libraries the larger contracts delegate to, so each stays under the 24 KiB
+ * contract size limit. A contract factory can only be created once every library it
+ * uses has been deployed and linked in.
+ *
+ * Usage (tests, scripts, tasks):
+ *   const RiddleNFT = await getLinkedContractFactory(hre.ethers, "RiddleNFT");
+ */
+
+const LINKED_LIBRARIES = {
+  RiddleNFT: ["RiddleAnswers", "RiddleCommitReveal", "RiddleEscrow", "RiddleExpiry", "RiddleMetadata", "RiddleRandomness", "RiddleRoyalties", "RiddleSolving"],
+};
+
+/**
+ * Deploys the libraries `contractName` links against
+ * @returns {Promise<Object<string, string>>} Library name => deployed address
+ */
+async function deployLibraries(ethers, contractName) {
+  const libraries = {};
+  for (const name of LINKED_LIBRARIES[contractName] || []) {
+    const library = await ethers.deployContract(name);
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+/**
+ * ethers.getContractFactory with freshly deployed libraries linked in
+ * @param {import("ethers").Signer} [signer] Deployer (defaults to the first account)
+ */
+async function getLinkedContractFactory(ethers, contractName, signer) {
+  const libraries = await deployLibraries(ethers, contractName);
+  return ethers.getContractFactory(contractName, { signer, libraries });
+}
+
+module.exports = {
+  LINKED_LIBRARIES,
+  deployLibraries,
+  getLinkedContractFactory,
+};
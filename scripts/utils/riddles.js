@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { normalizeAnswer, hashAnswer, buildAnswerTree } = require("./answers");
+
+/**
+ * Riddle authoring helpers used by the riddle:release / riddle:schedule tasks.
+ *
+ * A riddle file is JSON:
+ * {
+ *   "week": 42,                        // Target week (required by riddle:schedule)
+ *   "category": "Wordplay",
+ *   "difficulty": "MEDIUM",            // EASY | MEDIUM | HARD | LEGENDARY (or 0-3)
+ *   "question": "I speak without a mouth...",
+ *   "answer": "echo",                  // Never leaves this machine; only its hash is published
+ *   "alternates": ["an echo"],         // Optional extra accepted answers
+ *   "hints": ["ipfs://..."],           // Optional, sold in order through the hint marketplace
+ *   "metadata": {}                     // Optional extra public content
+ * }
+ */
+
+const DIFFICULTIES = ["EASY", "MEDIUM", "HARD", "LEGENDARY"];
+const MAX_ACCEPTED_ANSWERS = 10;   // RiddleNFT_v2.MAX_ACCEPTED_ANSWERS; larger sets go in a Merkle root
+const MAX_IPFS_BLOCK = 256 * 1024; // Content must fit one block for the locally computed CID to match
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * CIDv1 (raw codec, sha2-256) of a single-block file, as produced by
+ * `ipfs add --cid-version=1 --raw-leaves <file>`
+ * @param {Uint8Array} content
+ */
+function computeCID(content) {
+  if (content.length > MAX_IPFS_BLOCK) throw new Error("Riddle content exceeds a single IPFS block");
+  const digest = ethers.getBytes(ethers.sha256(content));
+  // <cid version 1><raw codec 0x55><sha2-256 0x12><length 32><digest>
+  const cid = Uint8Array.from([0x01, 0x55, 0x12, 0x20, ...digest]);
+  return "b" + base32(cid);
+}
+
+function parseDifficulty(value) {
+  if (Number.isInteger(value) && value >= 0 && value < DIFFICULTIES.length) return value;
+  const index = typeof value === "string" ? DIFFICULTIES.indexOf(value.toUpperCase()) : -1;
+  if (index === -1) throw new Error(`Invalid difficulty "${value}" (expected ${DIFFICULTIES.join(", ")})`);
+  return index;
+}
+
+function requireString(riddle, field) {
+  if (typeof riddle[field] !== "string" || riddle[field].trim() === "") {
+    throw new Error(`Missing "${field}"`);
+  }
+}
+
+function requireStringArray(riddle, field) {
+  if (riddle[field] === undefined) return [];
+  if (!Array.isArray(riddle[field]) || riddle[field].some((item) => typeof item !== "string" || item.trim() === "")) {
+    throw new Error(`"${field}" must be a list of non-empty strings`);
+  }
+  return riddle[field];
+}
+
+/**
+ * Validates a riddle and derives everything the release needs
+ * @param {object} riddle Parsed riddle JSON
+ * @returns Release parameters, the public IPFS content and its CID
+ */
+function prepareRiddle(riddle) {
+  if (riddle === null || typeof riddle !== "object" || Array.isArray(riddle)) {
+    throw new Error("Riddle must be a JSON object");
+  }
+  requireString(riddle, "category");
+  requireString(riddle, "question");
+  requireString(riddle, "answer");
+  if (riddle.week !== undefined && (!Number.isInteger(riddle.week) || riddle.week < 1)) {
+    throw new Error(`Invalid week "${riddle.week}"`);
+  }
+
+  const difficulty = parseDifficulty(riddle.difficulty);
+  const alternates = requireStringArray(riddle, "alternates");
+  const hints = requireStringArray(riddle, "hints");
+
+  if (alternates.some((answer) => normalizeAnswer(answer) === "")) throw new Error("Empty alternate answer");
+
+  const answerHash = hashAnswer(riddle.answer);
+  const alternateHashes = [...new Set(alternates.map(hashAnswer))].filter((hash) => hash !== answerHash);
+
+  let acceptedAnswerHashes = alternateHashes;
+  let answerTree = null;
+  if (alternateHashes.length > MAX_ACCEPTED_ANSWERS) {
+    answerTree = buildAnswerTree(alternates);
+    acceptedAnswerHashes = [];
+  }
+
+  // Public content pinned to IPFS: never includes the answer, alternates or hints
+  const content = JSON.stringify({
+    category: riddle.category,
+    difficulty: DIFFICULTIES[difficulty],
+    question: riddle.question,
+    metadata: riddle.metadata || {},
+  });
+  const contentBytes = ethers.toUtf8Bytes(content);
+
+  return {
+    week: riddle.week,
+    category: riddle.category,
+    difficulty,
+    answer: riddle.answer,
+    answerHash,
+    acceptedAnswerHashes,
+    merkleRoot: answerTree ? answerTree.root : ethers.ZeroHash,
+    answerTree,
+    hints,
+    content,
+    cid: computeCID(contentBytes),
+  };
+}
+
+function loadRiddleFile(file) {
+  let riddle;
+  try {
+    riddle = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+  try {
+    return { file: path.resolve(file), ...prepareRiddle(riddle) };
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+function readJSON(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : fallback;
+}
+
+function writeJSON(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+module.exports = {
+  DIFFICULTIES,
+  computeCID,
+  prepareRiddle,
+  loadRiddleFile,
+  readJSON,
+  writeJSON,
+};
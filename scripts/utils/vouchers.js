@@ -0,0 +1,86 @@
+const { ethers } = require("ethers");
+
+/**
+ * EIP-712 RON award vouchers redeemed through RONUpgradeable.redeemRONVoucher.
+ *
+ * A VOUCHER_SIGNER_ROLE holder signs one voucher per award off-chain (puzzle events,
+ * community competitions) and hands it to the player, who submits it themselves.
+ * Nonces are per signer and unordered: any unused value works, so random nonces let
+ * vouchers be issued from several machines without coordination.
+ *
+ * Usage: SIGNER_KEY=0x... node scripts/utils/vouchers.js <ron> <chainId> <user> <difficulty> <amount> "<reason>" [validForSeconds]
+ */
+
+const DOMAIN_NAME = "Riddlen Oracle Network";
+const DOMAIN_VERSION = "1";
+
+const RON_AWARD_TYPES = {
+  RONAward: [
+    { name: "user", type: "address" },
+    { name: "difficulty", type: "uint8" },
+    { name: "amount", type: "uint256" },
+    { name: "reason", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const DIFFICULTIES = { EASY: 0, MEDIUM: 1, HARD: 2, LEGENDARY: 3 };
+
+function voucherDomain(ronAddress, chainId) {
+  return { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId, verifyingContract: ronAddress };
+}
+
+function randomNonce() {
+  return BigInt(ethers.hexlify(ethers.randomBytes(32)));
+}
+
+/**
+ * Signs a RONAward voucher
+ * @param {ethers.Signer} signer Account holding VOUCHER_SIGNER_ROLE
+ * @param {{ address: string, chainId: bigint|number }} ron RON contract the voucher is redeemed on
+ * @param {{ user: string, difficulty?: number|string, amount?: bigint|number, reason: string, nonce?: bigint, deadline: bigint|number }} award
+ *   `amount` of 0 (the default) pays the standard reward for `difficulty`
+ * @returns {Promise<{ award: object, signature: string }>} Arguments for redeemRONVoucher
+ */
+async function signRONAward(signer, ron, award) {
+  const difficulty = typeof award.difficulty === "string"
+    ? DIFFICULTIES[award.difficulty.toUpperCase()]
+    : award.difficulty ?? DIFFICULTIES.EASY;
+  if (difficulty === undefined) throw new Error(`Unknown difficulty: ${award.difficulty}`);
+
+  const value = {
+    user: award.user,
+    difficulty,
+    amount: BigInt(award.amount ?? 0),
+    reason: award.reason,
+    nonce: award.nonce ?? randomNonce(),
+    deadline: BigInt(award.deadline),
+  };
+
+  const signature = await signer.signTypedData(voucherDomain(ron.address, ron.chainId), RON_AWARD_TYPES, value);
+  return { award: value, signature };
+}
+
+module.exports = { RON_AWARD_TYPES, DIFFICULTIES, voucherDomain, signRONAward };
+
+if (require.main === module) {
+  const [ronAddress, chainId, user, difficulty, amount, reason, validFor = "604800"] = process.argv.slice(2);
+  if (!reason || !process.env.SIGNER_KEY) {
+    console.error(
+      'Usage: SIGNER_KEY=0x... node scripts/utils/vouchers.js <ron> <chainId> <user> <difficulty> <amount> "<reason>" [validForSeconds]'
+    );
+    process.exit(1);
+  }
+
+  const deadline = Math.floor(Date.now() / 1000) + Number(validFor);
+  signRONAward(new ethers.Wallet(process.env.SIGNER_KEY), { address: ronAddress, chainId: BigInt(chainId) }, {
+    user,
+    difficulty: isNaN(difficulty) ? difficulty : Number(difficulty),
+    amount,
+    reason,
+    deadline,
+  }).then(({ award, signature }) => {
+    console.log(JSON.stringify({ award, signature }, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2));
+  });
+}
@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { DIFFICULTIES, loadRiddleFile, readJSON, writeJSON } = require("../scripts/utils/riddles");
+
+/**
+ * Riddle authoring tasks for RiddleNFT_v2
+ *
+ *   npx hardhat riddle:release --file riddle.json --nft <address> --network polygon
+ *   npx hardhat riddle:schedule --dir riddles/ --nft <address> --network polygon
+ *
+ * Dry runs execute on the in-process Hardhat network; set FORK_URL to fork the live chain
+ * and pass --from to impersonate the creator:
+ *
+ *   FORK_URL=$POLYGON_RPC_URL npx hardhat riddle:release --file riddle.json --nft <address> --from <creator> --dry-run
+ */
+
+function recordsPath(hre, records) {
+  return records || path.join(hre.config.paths.root, "deployments", `riddles-${hre.network.name}.json`);
+}
+
+async function getCreator(hre, from, dryRun) {
+  if (dryRun && hre.network.name !== "hardhat") {
+    throw new Error("Dry runs execute on the Hardhat network: use --network hardhat (FORK_URL=... to fork)");
+  }
+  if (!from) {
+    const [signer] = await hre.ethers.getSigners();
+    return signer;
+  }
+  if (!dryRun) {
+    throw new Error("--from impersonates an account and is only available with --dry-run");
+  }
+  await hre.network.provider.request({ method: "hardhat_impersonateAccount", params: [from] });
+  await hre.network.provider.request({ method: "hardhat_setBalance", params: [from, "0x56BC75E2D63100000"] }); // 100 ETH
+  return hre.ethers.getSigner(from);
+}
+
+async function getRiddleNFT(hre, nft, signer) {
+  const address = nft || process.env.RIDDLE_NFT_ADDRESS;
+  if (!address) throw new Error("Pass --nft or set RIDDLE_NFT_ADDRESS");
+  return hre.ethers.getContractAt("RiddleNFT", address, signer);
+}
+
+// Hints live on the RiddleHints contract registered with the NFT
+async function getHintMarket(hre, riddleNFT, signer) {
+  const address = await riddleNFT.hintMarket();
+  if (address === hre.ethers.ZeroAddress) throw new Error("RiddleNFT has no hint market set");
+  return hre.ethers.getContractAt("RiddleHints", address, signer);
+}
+
+/**
+ * Checks the prepared riddle against the contract, releases it for the current week and
+ * attaches its alternate answers and hints
+ */
+async function releaseRiddle(hre, riddleNFT, creator, riddle) {
+  const onChainHash = await riddleNFT.hashAnswer(riddle.answer);
+  if (onChainHash !== riddle.answerHash) {
+    throw new Error(`Answer hash mismatch: local ${riddle.answerHash}, contract ${onChainHash}`);
+  }
+  if (!(await riddleNFT.hasRole(await riddleNFT.CREATOR_ROLE(), creator.address))) {
+    throw new Error(`${creator.address} does not have CREATOR_ROLE`);
+  }
+
+  const currentWeek = await riddleNFT.getCurrentWeek();
+  if (riddle.week !== undefined && BigInt(riddle.week) !== currentWeek) {
+    throw new Error(`Riddle is for week ${riddle.week}, current week is ${currentWeek}`);
+  }
+  if ((await riddleNFT.weekToRiddleId(currentWeek)) !== 0n) {
+    throw new Error(`Week ${currentWeek} already has a riddle`);
+  }
+  const hintMarket = riddle.hints.length > 0 ? await getHintMarket(hre, riddleNFT, creator) : null;
+
+  const args = [riddle.category, riddle.difficulty, riddle.answerHash, `ipfs://${riddle.cid}`];
+  await riddleNFT.releaseWeeklyRiddle.staticCall(...args); // Surface reverts before sending
+
+  const receipt = await (await riddleNFT.releaseWeeklyRiddle(...args)).wait();
+  const released = receipt.logs
+    .filter((log) => log.address === riddleNFT.target)
+    .map((log) => riddleNFT.interface.parseLog(log))
+    .find((event) => event && event.name === "WeeklyRiddleReleased");
+  const riddleId = released.args.riddleId;
+
+  if (riddle.acceptedAnswerHashes.length > 0 || riddle.answerTree) {
+    await (await riddleNFT.setAcceptedAnswers(riddleId, riddle.acceptedAnswerHashes, riddle.merkleRoot)).wait();
+  }
+  if (hintMarket) {
+    await (await hintMarket.addRiddleHints(riddleId, riddle.hints)).wait();
+  }
+
+  return {
+    riddleId: riddleId.toString(),
+    week: Number(released.args.weekNumber),
+    file: riddle.file,
+    category: riddle.category,
+    difficulty: DIFFICULTIES[riddle.difficulty],
+    answerHash: riddle.answerHash,
+    acceptedAnswerHashes: riddle.acceptedAnswerHashes,
+    merkleRoot: riddle.merkleRoot,
+    answerTreeLayers: riddle.answerTree ? riddle.answerTree.layers : undefined,
+    hints: riddle.hints.length,
+    cid: riddle.cid,
+    txHash: receipt.hash,
+    releasedAt: new Date().toISOString(),
+  };
+}
+
+function saveRelease(hre, records, release) {
+  const file = recordsPath(hre, records);
+  const releases = readJSON(file, []);
+  releases.push(release);
+  writeJSON(file, releases);
+  return file;
+}
+
+function logPrepared(riddle) {
+  console.log(`📄 ${path.relative(process.cwd(), riddle.file)}`);
+  console.log(`   ${riddle.category} / ${DIFFICULTIES[riddle.difficulty]}`);
+  console.log(`   Answer hash: ${riddle.answerHash}`);
+  console.log(`   Alternates: ${riddle.answerTree ? `Merkle root ${riddle.merkleRoot}` : riddle.acceptedAnswerHashes.length}`);
+  console.log(`   Content CID: ${riddle.cid} (pin with: ipfs add --cid-version=1 --raw-leaves)`);
+}
+
+// Public content written next to the records so it can be pinned byte-for-byte
+function saveContent(hre, records, riddle) {
+  const file = path.join(path.dirname(recordsPath(hre, records)), "riddle-content", `${riddle.cid}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, riddle.content);
+  return file;
+}
+
+task("riddle:release", "Validate a riddle JSON file and release it as this week's riddle")
+  .addParam("file", "Riddle JSON file")
+  .addOptionalParam("nft", "RiddleNFT_v2 address (defaults to RIDDLE_NFT_ADDRESS)")
+  .addOptionalParam("from", "Creator to impersonate during a dry run")
+  .addOptionalParam("records", "Release records file (defaults to deployments/riddles-<network>.json)")
+  .addFlag("dryRun", "Execute on the Hardhat network (or a FORK_URL fork) without recording")
+  .setAction(async ({ file, nft, from, records, dryRun }, hre) => {
+    const riddle = loadRiddleFile(file);
+    logPrepared(riddle);
+
+    const creator = await getCreator(hre, from, dryRun);
+    const riddleNFT = await getRiddleNFT(hre, nft, creator);
+    const release = await releaseRiddle(hre, riddleNFT, creator, riddle);
+
+    console.log(`✅ ${dryRun ? "Dry run released" : "Released"} riddle ${release.riddleId} for week ${release.week}`);
+    if (!dryRun) {
+      console.log(`💾 Recorded in ${saveRelease(hre, records, release)}`);
+      console.log(`💾 Content for pinning: ${saveContent(hre, records, riddle)}`);
+    }
+    return release;
+  });
+
+task("riddle:schedule", "Queue riddles for upcoming weeks from a directory and release the one due this week")
+  .addParam("dir", "Directory of riddle JSON files, each with a \"week\"")
+  .addOptionalParam("nft", "RiddleNFT_v2 address (defaults to RIDDLE_NFT_ADDRESS)")
+  .addOptionalParam("from", "Creator to impersonate during a dry run")
+  .addOptionalParam("records", "Release records file (defaults to deployments/riddles-<network>.json)")
+  .addFlag("dryRun", "Execute on the Hardhat network (or a FORK_URL fork) without recording")
+  .setAction(async ({ dir, nft, from, records, dryRun }, hre) => {
+    const files = fs.readdirSync(dir).filter((name) => name.endsWith(".json")).sort();
+    if (files.length === 0) throw new Error(`No riddle files in ${dir}`);
+
+    // Validate everything up front so one bad file does not leave a half-released schedule
+    const riddles = files.map((name) => loadRiddleFile(path.join(dir, name)));
+    const weeks = new Map();
+    for (const riddle of riddles) {
+      if (riddle.week === undefined) throw new Error(`${riddle.file}: Missing "week"`);
+      if (weeks.has(riddle.week)) {
+        throw new Error(`${riddle.file}: Week ${riddle.week} already scheduled by ${weeks.get(riddle.week).file}`);
+      }
+      weeks.set(riddle.week, riddle);
+    }
+    riddles.sort((a, b) => a.week - b.week);
+
+    const creator = await getCreator(hre, from, dryRun);
+    const riddleNFT = await getRiddleNFT(hre, nft, creator);
+    const currentWeek = Number(await riddleNFT.getCurrentWeek());
+
+    const queue = [];
+    let due = null;
+    for (const riddle of riddles) {
+      let status = "queued";
+      if ((await riddleNFT.weekToRiddleId(riddle.week)) !== 0n) {
+        status = "released";
+      } else if (riddle.week === currentWeek) {
+        status = "due";
+        due = riddle;
+      } else if (riddle.week < currentWeek) {
+        status = "missed";
+      }
+      queue.push({ week: riddle.week, file: riddle.file, answerHash: riddle.answerHash, cid: riddle.cid, status });
+      console.log(`   Week ${riddle.week}: ${path.basename(riddle.file)} (${status})`);
+    }
+
+    let release = null;
+    if (due) {
+      logPrepared(due);
+      release = await releaseRiddle(hre, riddleNFT, creator, due);
+      queue.find((entry) => entry.week === due.week).status = "released";
+      console.log(`✅ ${dryRun ? "Dry run released" : "Released"} riddle ${release.riddleId} for week ${release.week}`);
+    } else {
+      console.log(`ℹ️  Nothing due for week ${currentWeek}`);
+    }
+
+    if (!dryRun) {
+      if (release) {
+        saveRelease(hre, records, release);
+        saveContent(hre, records, due);
+      }
+      const scheduleFile = path.join(path.dirname(recordsPath(hre, records)), `riddle-schedule-${hre.network.name}.json`);
+      writeJSON(scheduleFile, { updatedAt: new Date().toISOString(), currentWeek, queue });
+      console.log(`💾 Schedule written to ${scheduleFile}`);
+    }
+    return { currentWeek, queue, release };
+  });
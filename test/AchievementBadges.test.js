@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("AchievementBadges", function () {
+  // Badge IDs and milestones defined by the constructor
+  const FIRST_SOLVE = 1;
+  const FIRST_SOLVER = 2;
+  const ON_A_ROLL = 3;
+  const SOLVER_TIER = 4;
+  const LEGEND = 7;
+  const Milestone = { MANUAL: 0, SOLVES: 1, FIRST_SOLVES: 2, LEGENDARY_SOLVES: 3, STREAK: 4, TIER: 5 };
+
+  async function deployFixture() {
+    const [admin, game, player1, player2, outsider] = await ethers.getSigners();
+
+    const RON = await ethers.getContractFactory("RON");
+    const ron = await RON.deploy(admin.address);
+    await ron.grantRole(await ron.GAME_ROLE(), admin.address);
+
+    const AchievementBadges = await ethers.getContractFactory("AchievementBadges");
+    const badges = await AchievementBadges.deploy(await ron.getAddress(), admin.address);
+    await badges.grantRole(await badges.GAME_ROLE(), game.address);
+
+    // Reports a solve as a game contract would
+    const solve = (player, difficulty = 0, first = false) =>
+      badges.connect(game).onRiddleSolved(player.address, 1, difficulty, first, false);
+
+    return { ron, badges, admin, game, player1, player2, outsider, solve };
+  }
+
+  function decodeURI(uri) {
+    return JSON.parse(Buffer.from(uri.replace("data:application/json;base64,", ""), "base64").toString());
+  }
+
+  describe("Milestones", function () {
+    it("Should award solve, first-solver and legendary badges once each", async function () {
+      const { badges, player1, solve } = await loadFixture(deployFixture);
+
+      await expect(solve(player1))
+        .to.emit(badges, "BadgeAwarded").withArgs(player1.address, FIRST_SOLVE, Milestone.SOLVES);
+      await expect(solve(player1, 3, true))
+        .to.emit(badges, "BadgeAwarded").withArgs(player1.address, FIRST_SOLVER, Milestone.FIRST_SOLVES)
+        .and.to.emit(badges, "BadgeAwarded").withArgs(player1.address, LEGEND, Milestone.LEGENDARY_SOLVES);
+      await expect(solve(player1, 3, true)).to.not.emit(badges, "BadgeAwarded");
+
+      expect(await badges.getBadgesOf(player1.address)).to.deep.equal([1n, 2n, 7n]);
+      expect(await badges.balanceOf(player1.address, FIRST_SOLVE)).to.equal(1);
+      expect((await badges.badges(FIRST_SOLVE)).holders).to.equal(1);
+
+      const progress = await badges.playerProgress(player1.address);
+      expect(progress.solves).to.equal(3);
+      expect(progress.firstSolves).to.equal(2);
+      expect(progress.legendarySolves).to.equal(2);
+    });
+
+    it("Should award streak and tier badges from RON, on solves or when synced", async function () {
+      const { ron, badges, player1, outsider, solve } = await loadFixture(deployFixture);
+
+      for (let i = 0; i < 5; i++) {
+        await ron.awardRON(player1.address, 0, false, false, "Correct answer");
+      }
+      await expect(solve(player1))
+        .to.emit(badges, "BadgeAwarded").withArgs(player1.address, ON_A_ROLL, Milestone.STREAK);
+      expect(await badges.balanceOf(player1.address, SOLVER_TIER)).to.equal(0);
+
+      // Reputation earned outside a solve is picked up by anyone calling syncBadges
+      await ron.awardBonusRON(player1.address, 1000, "Season reward");
+      await expect(badges.connect(outsider).syncBadges(player1.address))
+        .to.emit(badges, "BadgeAwarded").withArgs(player1.address, SOLVER_TIER, Milestone.TIER);
+      await expect(badges.syncBadges(player1.address)).to.not.emit(badges, "BadgeAwarded");
+    });
+
+    it("Should only accept solves from games", async function () {
+      const { badges, outsider } = await loadFixture(deployFixture);
+
+      await expect(badges.connect(outsider).onRiddleSolved(outsider.address, 1, 3, true, true))
+        .to.be.revertedWithCustomError(badges, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Badge registry", function () {
+    it("Should let admins add badges that players earn as they qualify", async function () {
+      const { badges, player1, player2, outsider, solve } = await loadFixture(deployFixture);
+
+      await solve(player1);
+      await expect(badges.connect(outsider).defineBadge("Regular", "Solved 2 riddles.", "#123abc", Milestone.SOLVES, 2))
+        .to.be.revertedWithCustomError(badges, "AccessControlUnauthorizedAccount");
+      await expect(badges.defineBadge("Regular", "Solved 2 riddles.", "#123abc", Milestone.SOLVES, 2))
+        .to.emit(badges, "BadgeDefined").withArgs(8, "Regular", Milestone.SOLVES, 2);
+      expect(await badges.getMilestoneBadges(Milestone.SOLVES)).to.deep.equal([1n, 8n]);
+
+      await expect(solve(player1)).to.emit(badges, "BadgeAwarded").withArgs(player1.address, 8, Milestone.SOLVES);
+
+      // Retired badges stop being awarded but stay with their holders
+      await expect(badges.setBadgeActive(8, false)).to.emit(badges, "BadgeActiveUpdated").withArgs(8, false);
+      await solve(player2);
+      await solve(player2);
+      expect(await badges.balanceOf(player2.address, 8)).to.equal(0);
+      expect(await badges.balanceOf(player1.address, 8)).to.equal(1);
+    });
+
+    it("Should validate badge definitions", async function () {
+      const { badges } = await loadFixture(deployFixture);
+
+      await expect(badges.defineBadge("", "", "#ffffff", Milestone.SOLVES, 1)).to.be.revertedWith("Invalid badge name");
+      await expect(badges.defineBadge('Say "hi"', "", "#ffffff", Milestone.SOLVES, 1)).to.be.revertedWith("Invalid badge text");
+      await expect(badges.defineBadge("Hi", "<b>", "#ffffff", Milestone.SOLVES, 1)).to.be.revertedWith("Invalid badge text");
+      await expect(badges.defineBadge("Hi", "", "white", Milestone.SOLVES, 1)).to.be.revertedWith("Invalid badge color");
+      await expect(badges.defineBadge("Hi", "", "#ffffzz", Milestone.SOLVES, 1)).to.be.revertedWith("Invalid badge color");
+      await expect(badges.defineBadge("Hi", "", "#ffffff", Milestone.SOLVES, 0)).to.be.revertedWith("Invalid threshold");
+      await expect(badges.defineBadge("Hi", "", "#ffffff", Milestone.TIER, 4)).to.be.revertedWith("Invalid threshold");
+      await expect(badges.updateBadge(99, "Hi", "", "#ffffff")).to.be.revertedWith("Badge does not exist");
+    });
+
+    it("Should render on-chain metadata and emit URI on updates", async function () {
+      const { badges } = await loadFixture(deployFixture);
+
+      const metadata = decodeURI(await badges.uri(LEGEND));
+      expect(metadata.name).to.equal("Legend");
+      expect(metadata.image).to.match(/^data:image\/svg\+xml;base64,/);
+      expect(metadata.attributes).to.deep.include({ trait_type: "Milestone", value: "Legendary Solves" });
+
+      await expect(badges.updateBadge(LEGEND, "Mythic", "Solved a legendary riddle.", "#000000"))
+        .to.emit(badges, "URI");
+      expect(decodeURI(await badges.uri(LEGEND)).name).to.equal("Mythic");
+      await expect(badges.uri(0)).to.be.revertedWith("Badge does not exist");
+    });
+  });
+
+  describe("Manual badges and transfers", function () {
+    it("Should let issuers award manual badges only", async function () {
+      const { badges, player1, outsider } = await loadFixture(deployFixture);
+      await badges.defineBadge("Beta Tester", "Played the beta.", "#6e7681", Milestone.MANUAL, 0);
+
+      await expect(badges.connect(outsider).awardBadge(player1.address, 8))
+        .to.be.revertedWithCustomError(badges, "AccessControlUnauthorizedAccount");
+      await expect(badges.awardBadge(player1.address, FIRST_SOLVE)).to.be.revertedWith("Badge is awarded automatically");
+      await expect(badges.awardBadge(player1.address, 8))
+        .to.emit(badges, "BadgeAwarded").withArgs(player1.address, 8, Milestone.MANUAL);
+      await expect(badges.awardBadge(player1.address, 8)).to.be.revertedWith("Badge already awarded");
+    });
+
+    it("Should be soulbound", async function () {
+      const { badges, player1, player2, solve } = await loadFixture(deployFixture);
+      await solve(player1);
+
+      expect(await badges.supportsInterface("0xd9b67a26")).to.be.true; // ERC-1155
+      await expect(
+        badges.connect(player1).safeTransferFrom(player1.address, player2.address, FIRST_SOLVE, 1, "0x")
+      ).to.be.revertedWith("Badges are soulbound");
+      await expect(badges.connect(player1).setApprovalForAll(player2.address, true))
+        .to.be.revertedWith("Badges are soulbound");
+    });
+  });
+});
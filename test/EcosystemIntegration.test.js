@@ -1,7 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { upgrades } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("Riddlen Ecosystem Integration Tests", function () {
     // Comprehensive test fixture for full ecosystem
@@ -83,6 +84,7 @@ describe("Riddlen Ecosystem Integration Tests", function () {
         await ron.grantRole(GAME_ROLE, gameContract.address);
         await ron.grantRole(GAME_ROLE, await riddleNFT.getAddress());
         await ron.grantRole(ORACLE_ROLE, oracle.address);
+        await ron.grantRole(ORACLE_ROLE, await riddleNFT.getAddress()); // Question validation rewards
 
         await riddleNFT.grantRole(GAME_MASTER_ROLE, gameContract.address);
         await riddleNFT.grantRole(QUESTION_VALIDATOR_ROLE, validator1.address);
@@ -325,6 +327,1303 @@ describe("Riddlen Ecosystem Integration Tests", function () {
         });
     });
 
+    describe("Verifiable Randomness Integration", function () {
+        it("Should keep sessions pending until VRF fulfilment", async function () {
+            const { riddleNFT, owner, gameContract } = await loadFixture(deployRiddlenEcosystemFixture);
+
+            const Coordinator = await ethers.getContractFactory("MockVRFCoordinatorV2");
+            const coordinator = await Coordinator.deploy();
+            const Provider = await ethers.getContractFactory("ChainlinkRandomnessProvider");
+            const provider = await Provider.deploy(
+                await coordinator.getAddress(), ethers.id("test-key-hash"), 1, 3, 500000, owner.address
+            );
+
+            await provider.grantRole(await provider.CONSUMER_ROLE(), await riddleNFT.getAddress());
+            await riddleNFT.setRandomnessProvider(await provider.getAddress());
+
+            const tx = await riddleNFT.connect(gameContract).createRiddleSession(
+                "VRF Session", "Parameters from VRF", "Testing", 0, [], 1800
+            );
+            const receipt = await tx.wait();
+            const requested = receipt.logs.find(
+                log => log.fragment && log.fragment.name === 'SessionRandomnessRequested'
+            );
+            const sessionId = requested.args[0];
+            const requestId = requested.args[1];
+
+            let session = await riddleNFT.getRiddleSession(sessionId);
+            expect(session.state).to.equal(5); // PENDING_RANDOMNESS
+            expect(session.maxMints).to.equal(0);
+
+            await expect(
+                riddleNFT.connect(gameContract).startRiddleSession(sessionId)
+            ).to.be.revertedWith("Session already started");
+
+            await expect(coordinator.fulfillRandomWords(requestId))
+                .to.emit(riddleNFT, "ParametersRandomized");
+
+            session = await riddleNFT.getRiddleSession(sessionId);
+            expect(session.state).to.equal(0); // INACTIVE
+            expect(session.maxMints).to.be.gte(10);
+            expect(session.maxMints).to.be.lte(1000);
+            expect(session.winnerSlots).to.be.gte(1);
+            expect(session.prizePool).to.be.gte(await riddleNFT.MIN_PRIZE_POOL());
+
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            session = await riddleNFT.getRiddleSession(sessionId);
+            expect(session.state).to.equal(1); // ACTIVE
+        });
+
+        it("Should keep fulfilled parameters while the prize escrow cannot be funded", async function () {
+            const { rdln, riddleNFT, owner, gameContract, treasuryWallet } = await loadFixture(deployRiddlenEcosystemFixture);
+
+            const Coordinator = await ethers.getContractFactory("MockVRFCoordinatorV2");
+            const coordinator = await Coordinator.deploy();
+            const Provider = await ethers.getContractFactory("ChainlinkRandomnessProvider");
+            const provider = await Provider.deploy(
+                await coordinator.getAddress(), ethers.id("test-key-hash"), 1, 3, 500000, owner.address
+            );
+            await provider.grantRole(await provider.CONSUMER_ROLE(), await riddleNFT.getAddress());
+            await riddleNFT.setRandomnessProvider(await provider.getAddress());
+            await riddleNFT.setPrizeVault(treasuryWallet.address); // Not approved yet
+
+            const receipt = await (await riddleNFT.connect(gameContract).createRiddleSession(
+                "VRF Session", "Funded later", "Testing", 0, [], 1800
+            )).wait();
+            const requested = receipt.logs.find(
+                log => log.fragment && log.fragment.name === 'SessionRandomnessRequested'
+            );
+            const [sessionId, requestId] = requested.args;
+
+            await expect(coordinator.fulfillRandomWords(requestId))
+                .to.emit(riddleNFT, "SessionFundingPending").withArgs(sessionId, requestId)
+                .and.to.emit(coordinator, "RandomWordsFulfilled").withArgs(requestId, true);
+
+            let session = await riddleNFT.getRiddleSession(sessionId);
+            expect(session.state).to.equal(6); // PENDING_FUNDING
+            expect(session.winnerSlots).to.be.gte(1);
+            expect(await riddleNFT.sessionPrizeEscrow(sessionId)).to.equal(0);
+            await expect(
+                riddleNFT.connect(gameContract).startRiddleSession(sessionId)
+            ).to.be.revertedWith("Session already started");
+            await expect(riddleNFT.fundSessionPrizePool(sessionId)).to.be.revertedWith("Insufficient prize funding");
+
+            await rdln.mintPrizePool(treasuryWallet.address, ethers.parseEther("20000000"));
+            await rdln.connect(treasuryWallet).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+            await expect(riddleNFT.fundSessionPrizePool(sessionId)).to.emit(riddleNFT, "PrizeEscrowFunded");
+
+            session = await riddleNFT.getRiddleSession(sessionId);
+            expect(session.state).to.equal(0); // INACTIVE
+            await expect(riddleNFT.fundSessionPrizePool(sessionId)).to.be.revertedWith("Session not pending funding");
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+        });
+    });
+
+    describe("Royalty Integration", function () {
+        it("Should route ERC-2981 royalties to the session creator and original minter", async function () {
+            const { rdln, riddleNFT, gameContract, user1 } = await loadFixture(deployRiddlenEcosystemFixture);
+
+            expect(await riddleNFT.supportsInterface("0x2a55205a")).to.be.true; // IERC2981
+
+            const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+            const splitterImpl = await Splitter.deploy();
+            await riddleNFT.setRoyaltySplitterImplementation(await splitterImpl.getAddress());
+
+            const tx = await riddleNFT.connect(gameContract).createRiddleSession(
+                "Royalty Session", "Creator earns royalties", "Testing", 0, [], 1800
+            );
+            const receipt = await tx.wait();
+            const sessionId = receipt.logs.find(
+                log => log.fragment && log.fragment.name === 'RiddleSessionCreated'
+            ).args[0];
+            expect(await riddleNFT.sessionCreators(sessionId)).to.equal(gameContract.address);
+
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            await rdln.grantRole(await rdln.GAME_ROLE(), await riddleNFT.getAddress());
+            await rdln.connect(user1).approve(await riddleNFT.getAddress(), await riddleNFT.getCurrentMintCost());
+            const mintTx = await riddleNFT.connect(user1).mintRiddleAccess(sessionId);
+            const mintReceipt = await mintTx.wait();
+            const tokenId = mintReceipt.logs.find(
+                log => log.fragment && log.fragment.name === 'RiddleAccessMinted'
+            ).args[1];
+
+            const splitter = await riddleNFT.royaltySplitterFor(tokenId);
+            const [receiver, royalty] = await riddleNFT.royaltyInfo(tokenId, ethers.parseEther("100"));
+            expect(receiver).to.equal(splitter);
+            expect(royalty).to.equal(ethers.parseEther("5"));
+
+            await expect(riddleNFT.deployRoyaltySplitter(tokenId))
+                .to.emit(riddleNFT, "RoyaltySplitterDeployed")
+                .withArgs(tokenId, splitter, gameContract.address, user1.address);
+        });
+    });
+
+    describe("On-chain Metadata Integration", function () {
+        it("Should render session NFT metadata through the swappable renderer", async function () {
+            const { rdln, riddleNFT, gameContract, user1 } = await loadFixture(deployRiddlenEcosystemFixture);
+
+            expect(await riddleNFT.supportsInterface("0x49064906")).to.be.true; // IERC4906
+
+            const tx = await riddleNFT.connect(gameContract).createRiddleSession(
+                "Metadata Session", "Rendered on-chain", "Testing", 0, [], 1800
+            );
+            const receipt = await tx.wait();
+            const sessionId = receipt.logs.find(
+                log => log.fragment && log.fragment.name === 'RiddleSessionCreated'
+            ).args[0];
+
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            await rdln.grantRole(await rdln.GAME_ROLE(), await riddleNFT.getAddress());
+            await rdln.connect(user1).approve(await riddleNFT.getAddress(), await riddleNFT.getCurrentMintCost());
+            const mintTx = await riddleNFT.connect(user1).mintRiddleAccess(sessionId);
+            const mintReceipt = await mintTx.wait();
+            const tokenId = mintReceipt.logs.find(
+                log => log.fragment && log.fragment.name === 'RiddleAccessMinted'
+            ).args[1];
+
+            const Renderer = await ethers.getContractFactory("RiddleMetadataRenderer");
+            const renderer = await Renderer.deploy();
+            await expect(riddleNFT.setMetadataRenderer(await renderer.getAddress()))
+                .to.emit(riddleNFT, "BatchMetadataUpdate")
+                .withArgs(1, 1);
+
+            const uri = await riddleNFT.tokenURI(tokenId);
+            const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+            const traits = Object.fromEntries(metadata.attributes.map(a => [a.trait_type, a.value]));
+
+            expect(metadata.name).to.equal(`Riddlen Achievement #${tokenId}`);
+            expect(traits["Session"]).to.equal(Number(sessionId));
+            expect(traits["Category"]).to.equal("Testing");
+            expect(traits["Difficulty"]).to.equal("Easy");
+            expect(traits["Status"]).to.equal("UNSOLVED");
+        });
+    });
+
+    describe("Prize Escrow Integration", function () {
+        it("Should fund session prize pools into escrow at creation", async function () {
+            const { rdln, riddleNFT, gameContract } = await loadFixture(deployRiddlenEcosystemFixture);
+
+            const balanceBefore = await rdln.balanceOf(await riddleNFT.getAddress());
+            const tx = await riddleNFT.connect(gameContract).createRiddleSession(
+                "Escrow Session", "Backed prize pool", "Testing", 0, [], 1800
+            );
+            const receipt = await tx.wait();
+            const funded = receipt.logs.find(
+                log => log.fragment && log.fragment.name === 'PrizeEscrowFunded'
+            );
+            const sessionId = funded.args[0];
+
+            const session = await riddleNFT.getRiddleSession(sessionId);
+            const maxPayout = session.prizePool + (session.prizePool / session.winnerSlots) / 2n;
+            expect(funded.args[1]).to.equal(maxPayout);
+            expect(await riddleNFT.sessionPrizeEscrow(sessionId)).to.equal(maxPayout);
+            expect(await rdln.balanceOf(await riddleNFT.getAddress())).to.equal(balanceBefore + maxPayout);
+
+            const solvency = await riddleNFT.getRiddleSolvency(sessionId);
+            expect(solvency.liabilities).to.equal(maxPayout);
+            expect(solvency.solvent).to.be.true;
+        });
+
+        it("Should revert session creation when the prize vault cannot cover it", async function () {
+            const { rdln, riddleNFT, gameContract, treasuryWallet } = await loadFixture(deployRiddlenEcosystemFixture);
+
+            await riddleNFT.setPrizeVault(treasuryWallet.address);
+            await expect(
+                riddleNFT.connect(gameContract).createRiddleSession(
+                    "Unfunded Session", "No approval", "Testing", 0, [], 1800
+                )
+            ).to.be.revertedWith("Insufficient prize funding");
+
+            await rdln.mintPrizePool(treasuryWallet.address, ethers.parseEther("20000000"));
+            await rdln.connect(treasuryWallet).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+            await expect(
+                riddleNFT.connect(gameContract).createRiddleSession(
+                    "Funded Session", "Vault approved", "Testing", 0, [], 1800
+                )
+            ).to.emit(riddleNFT, "PrizeEscrowFunded");
+        });
+    });
+
+    // VRF words chosen for their EASY session parameters: 0 → 10 mints / 18 slots,
+    // 1 → 11 mints / 60 slots, 83 → 93 mints / 1 slot
+    const SOLD_OUT_SEED = 0;
+    const OPEN_SEED = 1;
+    const SINGLE_WINNER_SEED = 83;
+    const ANSWER = ethers.keccak256(ethers.toUtf8Bytes("sphinx"));
+
+    // Routes session parameters through a mock VRF coordinator so tests can pick them
+    async function useMockRandomness({ riddleNFT, owner }) {
+        const Coordinator = await ethers.getContractFactory("MockVRFCoordinatorV2");
+        const coordinator = await Coordinator.deploy();
+        const Provider = await ethers.getContractFactory("ChainlinkRandomnessProvider");
+        const provider = await Provider.deploy(
+            await coordinator.getAddress(), ethers.id("test-key-hash"), 1, 3, 500000, owner.address
+        );
+        await provider.grantRole(await provider.CONSUMER_ROLE(), await riddleNFT.getAddress());
+        await riddleNFT.setRandomnessProvider(await provider.getAddress());
+        return coordinator;
+    }
+
+    // Ecosystem with VRF-driven sessions, one validated EASY question and funded extra players
+    async function deployLifecycleFixture() {
+        const ecosystem = await deployRiddlenEcosystemFixture();
+        const { rdln, riddleNFT, owner, user1, validator1, validator2 } = ecosystem;
+
+        const coordinator = await useMockRandomness(ecosystem);
+        await rdln.grantRole(await rdln.GAME_ROLE(), await riddleNFT.getAddress());
+
+        // One validated EASY question (ID 1)
+        await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("1"));
+        await riddleNFT.connect(user1).submitQuestion("Who asks the riddle?", 1, ANSWER, [], 0);
+        await riddleNFT.grantRole(await riddleNFT.QUESTION_VALIDATOR_ROLE(), owner.address);
+        for (const validator of [validator1, validator2, owner]) {
+            await riddleNFT.connect(validator).validateQuestion(1, true);
+        }
+
+        const players = (await ethers.getSigners()).slice(12, 19);
+        for (const player of players) {
+            await rdln.mintAirdrop(player.address, ethers.parseEther("10000"));
+        }
+
+        return { ...ecosystem, coordinator, players };
+    }
+
+    async function createSession(ctx, seed, duration = 1800) {
+        const tx = await ctx.riddleNFT.connect(ctx.gameContract).createRiddleSession(
+            "Lifecycle Session", "State transitions", "Testing", 0, [1], duration
+        );
+        const requested = (await tx.wait()).logs.find(
+            log => log.fragment && log.fragment.name === 'SessionRandomnessRequested'
+        );
+        const [sessionId, requestId] = requested.args;
+        if (seed !== undefined) {
+            await ctx.coordinator.fulfillRandomWordsWithOverride(requestId, [seed]);
+        }
+        return { sessionId, requestId };
+    }
+
+    async function mintAccess(ctx, player, sessionId) {
+        const { currentMintCost } = await ctx.riddleNFT.riddleSessions(sessionId);
+        await ctx.rdln.connect(player).approve(await ctx.riddleNFT.getAddress(), currentMintCost);
+        const receipt = await (await ctx.riddleNFT.connect(player).mintRiddleAccess(sessionId)).wait();
+        return receipt.logs.find(log => log.fragment && log.fragment.name === 'RiddleAccessMinted').args[1];
+    }
+
+    async function sellOut(ctx, sessionId) {
+        const tokenIds = [];
+        for (const player of [ctx.user1, ctx.user2, ctx.user3, ...ctx.players]) {
+            tokenIds.push(await mintAccess(ctx, player, sessionId));
+        }
+        return tokenIds;
+    }
+
+    async function state(ctx, sessionId) {
+        return (await ctx.riddleNFT.getRiddleSession(sessionId)).state;
+    }
+
+    describe("Session Lifecycle", function () {
+        it("Should move from pending randomness through sold out to completed at the deadline", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { rdln, riddleNFT, coordinator, gameContract, user1, user2, grandPrizeWallet } = ctx;
+
+            const { sessionId, requestId } = await createSession(ctx);
+            expect(await state(ctx, sessionId)).to.equal(5); // PENDING_RANDOMNESS
+
+            await coordinator.fulfillRandomWordsWithOverride(requestId, [SOLD_OUT_SEED]);
+            expect(await state(ctx, sessionId)).to.equal(0); // INACTIVE
+
+            const startTx = await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            const startTime = BigInt((await ethers.provider.getBlock((await startTx.wait()).blockNumber)).timestamp);
+            await expect(startTx).to.emit(riddleNFT, "RiddleSessionStarted")
+                .withArgs(sessionId, startTime, startTime + 1800n);
+            expect((await riddleNFT.riddleSessions(sessionId)).endTime).to.equal(startTime + 1800n);
+            expect(await state(ctx, sessionId)).to.equal(1); // ACTIVE
+
+            const tokenIds = await sellOut(ctx, sessionId);
+            expect(tokenIds).to.have.length(10);
+            expect(await state(ctx, sessionId)).to.equal(2); // IN_PROGRESS
+            await expect(riddleNFT.connect(ctx.owner).mintRiddleAccess(sessionId)).to.be.revertedWith("Session not active");
+
+            // Selling out does not close the session: both solvers win while slots remain
+            expect((await riddleNFT.getRiddleSession(sessionId)).winnerSlots).to.be.gt(2);
+            await time.increase(30);
+            await expect(riddleNFT.connect(user1).submitAnswer(sessionId, 0, ANSWER))
+                .to.not.emit(riddleNFT, "PrizeEscrowReleased");
+            await riddleNFT.connect(user2).submitAnswer(sessionId, 0, ANSWER);
+            expect(await state(ctx, sessionId)).to.equal(2); // IN_PROGRESS
+
+            const prize1 = (await riddleNFT.getParticipantData(tokenIds[0])).prizeAmount;
+            const prize2 = (await riddleNFT.getParticipantData(tokenIds[1])).prizeAmount;
+            expect(prize1).to.be.gt(prize2);
+            expect(prize2).to.be.gt(0);
+
+            // Finalizing after the deadline releases the unallocated escrow
+            await time.increase(1801);
+            const escrow = await riddleNFT.sessionPrizeEscrow(sessionId);
+            const grandPrizeBefore = await rdln.balanceOf(grandPrizeWallet.address);
+            await expect(riddleNFT.finalizeSession(sessionId))
+                .to.emit(riddleNFT, "SessionFinalized").withArgs(sessionId, 2, escrow - prize1 - prize2);
+            expect(await state(ctx, sessionId)).to.equal(3); // COMPLETED
+            expect(await riddleNFT.sessionPrizeEscrow(sessionId)).to.equal(prize1 + prize2);
+            expect(await rdln.balanceOf(grandPrizeWallet.address))
+                .to.equal(grandPrizeBefore + escrow - prize1 - prize2);
+
+            const solvency = await riddleNFT.getRiddleSolvency(sessionId);
+            expect(solvency.liabilities).to.equal(prize1 + prize2);
+            expect(solvency.solvent).to.be.true;
+
+            await expect(riddleNFT.connect(user1).claimPrize(tokenIds[0]))
+                .to.changeTokenBalance(rdln, user1, prize1);
+            await expect(riddleNFT.connect(user2).claimPrize(tokenIds[1]))
+                .to.changeTokenBalance(rdln, user2, prize2);
+        });
+
+        it("Should complete an active session when its winner slots fill", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { riddleNFT, gameContract, user1, user2 } = ctx;
+
+            const { sessionId } = await createSession(ctx, SINGLE_WINNER_SEED);
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            await mintAccess(ctx, user1, sessionId);
+            await mintAccess(ctx, user2, sessionId);
+
+            await time.increase(30);
+            await riddleNFT.connect(user1).submitAnswer(sessionId, 0, ANSWER);
+            expect(await state(ctx, sessionId)).to.equal(3); // COMPLETED
+
+            await expect(
+                riddleNFT.connect(user2).submitAnswer(sessionId, 0, ANSWER)
+            ).to.be.revertedWith("Invalid session state");
+            await expect(riddleNFT.finalizeSession(sessionId)).to.be.revertedWith("Session not running");
+            await expect(riddleNFT.emergencyPauseSession(sessionId)).to.be.revertedWith("Session already closed");
+        });
+
+        it("Should finalize expired sessions and return the unused prize pool", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { rdln, riddleNFT, gameContract, user1, user2, user3, grandPrizeWallet } = ctx;
+
+            // ACTIVE → COMPLETED with one winner
+            const { sessionId } = await createSession(ctx, OPEN_SEED);
+            await expect(riddleNFT.finalizeSession(sessionId)).to.be.revertedWith("Session not running");
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+
+            const winnerToken = await mintAccess(ctx, user1, sessionId);
+            await mintAccess(ctx, user2, sessionId);
+            await time.increase(30);
+            await riddleNFT.connect(user1).submitAnswer(sessionId, 0, ANSWER);
+            expect(await state(ctx, sessionId)).to.equal(1); // Still ACTIVE, slots remain
+
+            await expect(riddleNFT.finalizeSession(sessionId)).to.be.revertedWith("Session not expired");
+
+            const { endTime } = await riddleNFT.riddleSessions(sessionId);
+            await time.increaseTo(endTime + 1n);
+            await rdln.connect(user3).approve(await riddleNFT.getAddress(), await riddleNFT.getCurrentMintCost());
+            await expect(riddleNFT.connect(user3).mintRiddleAccess(sessionId)).to.be.revertedWith("Session expired");
+            await expect(
+                riddleNFT.connect(user2).submitAnswer(sessionId, 0, ANSWER)
+            ).to.be.revertedWith("Session expired");
+
+            const prize = (await riddleNFT.getParticipantData(winnerToken)).prizeAmount;
+            const released = (await riddleNFT.sessionPrizeEscrow(sessionId)) - prize;
+            const grandPrizeBefore = await rdln.balanceOf(grandPrizeWallet.address);
+
+            await expect(riddleNFT.connect(user3).finalizeSession(sessionId))
+                .to.emit(riddleNFT, "SessionFinalized").withArgs(sessionId, 1, released)
+                .and.to.emit(riddleNFT, "PrizeEscrowReleased").withArgs(sessionId, grandPrizeWallet.address, released);
+            expect(await state(ctx, sessionId)).to.equal(3); // COMPLETED
+            expect(await rdln.balanceOf(grandPrizeWallet.address)).to.equal(grandPrizeBefore + released);
+            expect(await riddleNFT.totalPrizeEscrow()).to.equal(prize);
+
+            await riddleNFT.connect(user1).claimPrize(winnerToken);
+            expect(await riddleNFT.sessionPrizeEscrow(sessionId)).to.equal(0);
+            await expect(riddleNFT.finalizeSession(sessionId)).to.be.revertedWith("Session not running");
+
+            // IN_PROGRESS → COMPLETED with no winners releases the whole escrow
+            const soldOut = (await createSession(ctx, SOLD_OUT_SEED)).sessionId;
+            await riddleNFT.connect(gameContract).startRiddleSession(soldOut);
+            await time.increase(30);
+            await sellOut(ctx, soldOut);
+            expect(await state(ctx, soldOut)).to.equal(2); // IN_PROGRESS
+
+            const escrow = await riddleNFT.sessionPrizeEscrow(soldOut);
+            await time.increase(1801);
+            await expect(riddleNFT.finalizeSession(soldOut))
+                .to.emit(riddleNFT, "SessionFinalized").withArgs(soldOut, 0, escrow);
+            expect(await state(ctx, soldOut)).to.equal(3); // COMPLETED
+            expect(await riddleNFT.sessionPrizeEscrow(soldOut)).to.equal(0);
+        });
+
+        it("Should refund access holders of emergency stopped sessions", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { rdln, riddleNFT, gameContract, user1, user2, user3 } = ctx;
+
+            // ACTIVE → EMERGENCY_STOPPED after one winner
+            const { sessionId } = await createSession(ctx, OPEN_SEED);
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            const winnerToken = await mintAccess(ctx, user1, sessionId);
+            const tokenId = await mintAccess(ctx, user2, sessionId);
+            await time.increase(30);
+            await riddleNFT.connect(user1).submitAnswer(sessionId, 0, ANSWER);
+
+            const mintCost = await riddleNFT.accessMintCost(tokenId);
+            expect(mintCost).to.equal(await riddleNFT.getCurrentMintCost());
+            expect(await riddleNFT.sessionMintPayments(sessionId)).to.equal(mintCost * 2n);
+            await expect(riddleNFT.connect(user2).claimRefund(tokenId)).to.be.revertedWith("Session not stopped");
+
+            await expect(
+                riddleNFT.connect(gameContract).emergencyPauseSession(sessionId)
+            ).to.be.revertedWithCustomError(riddleNFT, "AccessControlUnauthorizedAccount");
+
+            const prize = (await riddleNFT.getParticipantData(winnerToken)).prizeAmount;
+            const released = (await riddleNFT.sessionPrizeEscrow(sessionId)) - prize;
+            await expect(riddleNFT.emergencyPauseSession(sessionId))
+                .to.emit(riddleNFT, "SessionEmergencyStopped").withArgs(sessionId, 1, released);
+            expect(await state(ctx, sessionId)).to.equal(4); // EMERGENCY_STOPPED
+
+            await expect(riddleNFT.connect(user3).mintRiddleAccess(sessionId)).to.be.revertedWith("Session not active");
+            await expect(riddleNFT.finalizeSession(sessionId)).to.be.revertedWith("Session not running");
+            await expect(riddleNFT.emergencyPauseSession(sessionId)).to.be.revertedWith("Session already closed");
+
+            // The refund follows the token; winners claim their prize instead
+            await riddleNFT.connect(user2).transferFrom(user2.address, user3.address, tokenId);
+            await expect(riddleNFT.connect(user2).claimRefund(tokenId)).to.be.revertedWith("Not token owner");
+            const refundTx = riddleNFT.connect(user3).claimRefund(tokenId);
+            await expect(refundTx)
+                .to.emit(riddleNFT, "AccessRefunded").withArgs(sessionId, tokenId, user3.address, mintCost);
+            await expect(refundTx).to.changeTokenBalances(rdln, [riddleNFT, user3], [-mintCost, mintCost]);
+            await expect(riddleNFT.connect(user3).claimRefund(tokenId)).to.be.revertedWith("Already refunded");
+
+            await expect(riddleNFT.connect(user1).claimRefund(winnerToken)).to.be.revertedWith("Prize allocated");
+            await expect(riddleNFT.connect(user1).claimPrize(winnerToken)).to.changeTokenBalance(rdln, user1, prize);
+
+            // IN_PROGRESS → EMERGENCY_STOPPED
+            const soldOut = (await createSession(ctx, SOLD_OUT_SEED)).sessionId;
+            await riddleNFT.connect(gameContract).startRiddleSession(soldOut);
+            await time.increase(30);
+            const tokenIds = await sellOut(ctx, soldOut);
+            await expect(riddleNFT.emergencyPauseSession(soldOut))
+                .to.emit(riddleNFT, "SessionEmergencyStopped").withArgs(soldOut, 2, anyValue);
+            await riddleNFT.connect(ctx.players[0]).claimRefund(tokenIds[3]);
+            expect(await riddleNFT.sessionMintPayments(soldOut)).to.equal(mintCost * 9n);
+        });
+
+        it("Should emergency stop sessions before they start", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { rdln, riddleNFT, coordinator, gameContract, grandPrizeWallet } = ctx;
+
+            await expect(riddleNFT.emergencyPauseSession(99)).to.be.revertedWith("Session does not exist");
+
+            // PENDING_RANDOMNESS → EMERGENCY_STOPPED: a late fulfilment is rejected
+            const pending = await createSession(ctx);
+            await expect(riddleNFT.emergencyPauseSession(pending.sessionId))
+                .to.emit(riddleNFT, "SessionEmergencyStopped").withArgs(pending.sessionId, 5, 0);
+            await expect(coordinator.fulfillRandomWordsWithOverride(pending.requestId, [OPEN_SEED]))
+                .to.emit(coordinator, "RandomWordsFulfilled").withArgs(pending.requestId, false);
+            expect(await state(ctx, pending.sessionId)).to.equal(4);
+
+            // INACTIVE → EMERGENCY_STOPPED releases the whole escrow
+            const { sessionId } = await createSession(ctx, OPEN_SEED);
+            const escrow = await riddleNFT.sessionPrizeEscrow(sessionId);
+            await expect(riddleNFT.emergencyPauseSession(sessionId))
+                .to.changeTokenBalances(rdln, [riddleNFT, grandPrizeWallet], [-escrow, escrow]);
+            expect(await state(ctx, sessionId)).to.equal(4);
+            expect(await riddleNFT.totalPrizeEscrow()).to.equal(0);
+
+            await expect(
+                riddleNFT.connect(gameContract).startRiddleSession(sessionId)
+            ).to.be.revertedWith("Session already started");
+        });
+    });
+
+    describe("Access Token Transfers", function () {
+        it("Should hand the participant slot to the new holder during a session", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { riddleNFT, gameContract, user1, user2, user3 } = ctx;
+
+            const { sessionId } = await createSession(ctx, OPEN_SEED);
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            const tokenId = await mintAccess(ctx, user1, sessionId);
+            const otherToken = await mintAccess(ctx, user2, sessionId);
+            expect(await riddleNFT.sessionTokenOf(sessionId, user1.address)).to.equal(tokenId);
+
+            await expect(riddleNFT.connect(user1).transferFrom(user1.address, user3.address, tokenId))
+                .to.emit(riddleNFT, "ParticipantTransferred").withArgs(sessionId, tokenId, user1.address, user3.address);
+            expect(await riddleNFT.sessionTokenOf(sessionId, user1.address)).to.equal(0);
+            expect(await riddleNFT.sessionTokenOf(sessionId, user3.address)).to.equal(tokenId);
+
+            await expect(
+                riddleNFT.connect(user2).transferFrom(user2.address, user3.address, otherToken)
+            ).to.be.revertedWith("Recipient already participating");
+
+            await time.increase(30);
+            await expect(riddleNFT.connect(user1).submitAnswer(sessionId, 0, ANSWER)).to.be.revertedWith("Not a participant");
+            await riddleNFT.connect(user3).submitAnswer(sessionId, 0, ANSWER);
+
+            const participant = await riddleNFT.getParticipantData(tokenId);
+            expect(participant.user).to.equal(user3.address);
+            expect(participant.successful).to.be.true;
+
+            // The seller may buy back in with a new token
+            const newToken = await mintAccess(ctx, user1, sessionId);
+            expect(await riddleNFT.sessionTokenOf(sessionId, user1.address)).to.equal(newToken);
+        });
+
+        it("Should block access token transfers during a session when locked", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { riddleNFT, gameContract, user1, user2 } = ctx;
+
+            await expect(
+                riddleNFT.connect(user1).setAccessTransfersLocked(true)
+            ).to.be.revertedWithCustomError(riddleNFT, "AccessControlUnauthorizedAccount");
+            await expect(riddleNFT.setAccessTransfersLocked(true))
+                .to.emit(riddleNFT, "AccessTransfersLockUpdated").withArgs(true);
+
+            const { sessionId } = await createSession(ctx, OPEN_SEED);
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            const tokenId = await mintAccess(ctx, user1, sessionId);
+
+            await expect(
+                riddleNFT.connect(user1).transferFrom(user1.address, user2.address, tokenId)
+            ).to.be.revertedWith("Access token locked during session");
+
+            // Once the session closes the token is an ordinary collectible
+            await riddleNFT.emergencyPauseSession(sessionId);
+            await expect(riddleNFT.connect(user1).transferFrom(user1.address, user2.address, tokenId))
+                .to.not.emit(riddleNFT, "ParticipantTransferred");
+            expect(await riddleNFT.ownerOf(tokenId)).to.equal(user2.address);
+        });
+    });
+
+    describe("Question Progress", function () {
+        const ANSWERS = ["first", "second", "third"].map(answer => ethers.keccak256(ethers.toUtf8Bytes(answer)));
+
+        async function deployProgressFixture() {
+            const ecosystem = await deployRiddlenEcosystemFixture();
+            const { rdln, riddleNFT, owner, user1, validator1, validator2 } = ecosystem;
+
+            await rdln.grantRole(await rdln.GAME_ROLE(), await riddleNFT.getAddress());
+            await riddleNFT.grantRole(await riddleNFT.QUESTION_VALIDATOR_ROLE(), owner.address);
+
+            // Three validated EASY questions (IDs 1-3)
+            await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("6"));
+            for (let i = 0; i < ANSWERS.length; i++) {
+                await riddleNFT.connect(user1).submitQuestion(`Question ${i + 1}`, 1, ANSWERS[i], [], 0);
+                for (const validator of [validator1, validator2, owner]) {
+                    await riddleNFT.connect(validator).validateQuestion(i + 1, true);
+                }
+            }
+
+            const coordinator = await useMockRandomness(ecosystem);
+            const tx = await riddleNFT.connect(ecosystem.gameContract).createRiddleSession(
+                "Three Questions", "Solve them all", "Testing", 0, [1, 2, 3], 1800
+            );
+            const [sessionId, requestId] = (await tx.wait()).logs.find(
+                log => log.fragment && log.fragment.name === 'SessionRandomnessRequested'
+            ).args;
+            await coordinator.fulfillRandomWordsWithOverride(requestId, [OPEN_SEED]);
+
+            return { ...ecosystem, sessionId };
+        }
+
+        async function joinSession(ctx, player) {
+            const { rdln, riddleNFT, sessionId } = ctx;
+            await rdln.connect(player).approve(await riddleNFT.getAddress(), await riddleNFT.getCurrentMintCost());
+            const receipt = await (await riddleNFT.connect(player).mintRiddleAccess(sessionId)).wait();
+            return receipt.logs.find(log => log.fragment && log.fragment.name === 'RiddleAccessMinted').args[1];
+        }
+
+        async function answer(ctx, player, questionIndex, answerHash) {
+            await time.increase(30);
+            return ctx.riddleNFT.connect(player).submitAnswer(ctx.sessionId, questionIndex, answerHash);
+        }
+
+        it("Should require every question before completing the session", async function () {
+            const ctx = await loadFixture(deployProgressFixture);
+            const { rdln, riddleNFT, gameContract, sessionId, user1 } = ctx;
+
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            const tokenId = await joinSession(ctx, user1);
+
+            // Solving the last question first no longer completes the riddle
+            await expect(answer(ctx, user1, 2, ANSWERS[2]))
+                .to.emit(riddleNFT, "QuestionSolved").withArgs(sessionId, tokenId, 2, 1);
+            let progress = await riddleNFT.getParticipantProgress(tokenId);
+            expect(progress.solvedBitmap).to.equal(0b100);
+            expect(progress.solvedCount).to.equal(1);
+            expect(progress.totalQuestions).to.equal(3);
+            expect(progress.nextQuestion).to.equal(0);
+            expect(progress.progressBps).to.equal(3333);
+            expect(progress.mode).to.equal(0); // ALL_REQUIRED
+            expect(progress.completed).to.be.false;
+
+            await expect(answer(ctx, user1, 2, ANSWERS[2])).to.be.revertedWith("Question already solved");
+
+            // A wrong answer is burned but leaves progress untouched
+            await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("10"));
+            await answer(ctx, user1, 0, ANSWERS[1]);
+            expect((await riddleNFT.getParticipantProgress(tokenId)).solvedBitmap).to.equal(0b100);
+
+            await answer(ctx, user1, 0, ANSWERS[0]);
+            progress = await riddleNFT.getParticipantProgress(tokenId);
+            expect(progress.nextQuestion).to.equal(1);
+            expect(progress.progressBps).to.equal(6666);
+
+            await answer(ctx, user1, 1, ANSWERS[1]);
+            progress = await riddleNFT.getParticipantProgress(tokenId);
+            expect(progress.solvedBitmap).to.equal(0b111);
+            expect(progress.nextQuestion).to.equal(3);
+            expect(progress.progressBps).to.equal(10000);
+            expect(progress.completed).to.be.true;
+            expect((await riddleNFT.getParticipantData(tokenId)).successful).to.be.true;
+
+            // Four attempts, three of them correct
+            const Renderer = await ethers.getContractFactory("RiddleMetadataRenderer");
+            await riddleNFT.setMetadataRenderer(await (await Renderer.deploy()).getAddress());
+            const uri = await riddleNFT.tokenURI(tokenId);
+            const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+            const traits = Object.fromEntries(metadata.attributes.map(a => [a.trait_type, a.value]));
+            expect(traits["Failed Attempts"]).to.equal(1);
+        });
+
+        it("Should enforce question order in ordered sessions and keep partial progress", async function () {
+            const ctx = await loadFixture(deployProgressFixture);
+            const { riddleNFT, gameContract, sessionId, user1, user2 } = ctx;
+
+            await expect(
+                riddleNFT.connect(user1).setSessionProgressMode(sessionId, 1)
+            ).to.be.revertedWithCustomError(riddleNFT, "AccessControlUnauthorizedAccount");
+            await expect(riddleNFT.connect(gameContract).setSessionProgressMode(99, 1))
+                .to.be.revertedWith("Session does not exist");
+            await expect(riddleNFT.connect(gameContract).setSessionProgressMode(sessionId, 1))
+                .to.emit(riddleNFT, "SessionProgressModeSet").withArgs(sessionId, 1);
+
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            await expect(riddleNFT.connect(gameContract).setSessionProgressMode(sessionId, 0))
+                .to.be.revertedWith("Session already started");
+
+            const tokenId = await joinSession(ctx, user1);
+            const partialToken = await joinSession(ctx, user2);
+
+            await expect(answer(ctx, user1, 1, ANSWERS[1])).to.be.revertedWith("Answer questions in order");
+            await answer(ctx, user1, 0, ANSWERS[0]);
+            await expect(answer(ctx, user1, 2, ANSWERS[2])).to.be.revertedWith("Answer questions in order");
+            await answer(ctx, user1, 1, ANSWERS[1]);
+            await answer(ctx, user1, 2, ANSWERS[2]);
+            expect((await riddleNFT.getParticipantProgress(tokenId)).completed).to.be.true;
+
+            // A participant who stops part-way keeps their score once the session closes
+            await answer(ctx, user2, 0, ANSWERS[0]);
+            const { endTime } = await riddleNFT.riddleSessions(sessionId);
+            await time.increaseTo(endTime + 1n);
+            await riddleNFT.finalizeSession(sessionId);
+
+            const progress = await riddleNFT.getParticipantProgress(partialToken);
+            expect(progress.solvedCount).to.equal(1);
+            expect(progress.nextQuestion).to.equal(1);
+            expect(progress.progressBps).to.equal(3333);
+            expect(progress.mode).to.equal(1); // ORDERED
+            expect(progress.completed).to.be.false;
+
+            await expect(riddleNFT.getParticipantProgress(999)).to.be.revertedWith("Token not found");
+            await expect(riddleNFT.awardPartialCredit(partialToken)).to.be.revertedWith("No partial credit");
+        });
+
+        it("Should award RON for the share of questions solved in partial-credit sessions", async function () {
+            const ctx = await loadFixture(deployProgressFixture);
+            const { ron, riddleNFT, gameContract, sessionId, user1, user2 } = ctx;
+
+            await riddleNFT.connect(gameContract).setSessionProgressMode(sessionId, 2); // PARTIAL_CREDIT
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            const partialToken = await joinSession(ctx, user1);
+            const idleToken = await joinSession(ctx, user2);
+
+            await answer(ctx, user1, 2, ANSWERS[2]);
+            await answer(ctx, user1, 0, ANSWERS[0]);
+            await expect(riddleNFT.awardPartialCredit(partialToken)).to.be.revertedWith("Session not completed");
+
+            const { endTime } = await riddleNFT.riddleSessions(sessionId);
+            await time.increaseTo(endTime + 1n);
+            await riddleNFT.finalizeSession(sessionId);
+
+            const [baseReward] = await ron.calculateRONReward(0, false, false, 0);
+            const credit = (baseReward * 2n) / 3n;
+            const ronBefore = await ron.balanceOf(user1.address);
+            await expect(riddleNFT.connect(user2).awardPartialCredit(partialToken))
+                .to.emit(riddleNFT, "PartialCreditAwarded").withArgs(sessionId, partialToken, user1.address, 2, credit);
+            expect(await ron.balanceOf(user1.address)).to.equal(ronBefore + credit);
+
+            await expect(riddleNFT.awardPartialCredit(partialToken)).to.be.revertedWith("Partial credit awarded");
+            await expect(riddleNFT.awardPartialCredit(idleToken)).to.be.revertedWith("No questions solved");
+        });
+    });
+
+    describe("Question Bounties", function () {
+        async function deployBountyFixture() {
+            const ecosystem = await deployRiddlenEcosystemFixture();
+            const { rdln, riddleNFT, owner, user1 } = ecosystem;
+
+            await riddleNFT.grantRole(await riddleNFT.QUESTION_VALIDATOR_ROLE(), owner.address);
+            await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("1"));
+            await riddleNFT.connect(user1).submitQuestion("Who asks the riddle?", 1, ANSWER, [], 0);
+
+            return ecosystem;
+        }
+
+        async function voteAll(ctx, approved) {
+            const { riddleNFT, owner, validator1, validator2 } = ctx;
+            await riddleNFT.connect(validator1).validateQuestion(1, approved);
+            await riddleNFT.connect(validator2).validateQuestion(1, approved);
+            return riddleNFT.connect(owner).validateQuestion(1, approved);
+        }
+
+        it("Should return the deposit and record a RON contribution for accepted questions", async function () {
+            const ctx = await loadFixture(deployBountyFixture);
+            const { ron, riddleNFT, user1 } = ctx;
+            const deposit = ethers.parseEther("1");
+
+            expect(await riddleNFT.questionFees(1)).to.equal(deposit);
+
+            const tx = voteAll(ctx, true);
+            await expect(tx).to.emit(riddleNFT, "QuestionAccepted").withArgs(1, user1.address, deposit);
+            await expect(tx).to.emit(ron, "QuestionContributionRecorded").withArgs(user1.address, 1, 1);
+
+            expect(await riddleNFT.questionFees(1)).to.equal(0);
+            expect(await riddleNFT.creatorEarnings(user1.address)).to.equal(deposit);
+            expect((await ron.userStats(user1.address)).contributionScore).to.equal(1);
+
+            await expect(riddleNFT.connect(user1).claimCreatorEarnings())
+                .to.emit(riddleNFT, "CreatorEarningsClaimed").withArgs(user1.address, deposit);
+            await expect(riddleNFT.connect(user1).claimCreatorEarnings()).to.be.revertedWith("No earnings to claim");
+        });
+
+        it("Should send rejected question fees through the burn protocol", async function () {
+            const ctx = await loadFixture(deployBountyFixture);
+            const { rdln, riddleNFT, user1, grandPrizeWallet, devOpsWallet } = ctx;
+            const fee = ethers.parseEther("1");
+
+            const supplyBefore = await rdln.totalSupply();
+            const tx = voteAll(ctx, false);
+            await expect(tx).to.emit(riddleNFT, "QuestionRejected").withArgs(1, user1.address, fee);
+            await expect(tx).to.emit(riddleNFT, "BurnDistribution").withArgs(fee, fee / 2n, fee / 4n, fee / 4n);
+            await expect(tx).to.changeTokenBalances(
+                rdln, [riddleNFT, grandPrizeWallet, devOpsWallet], [-fee, fee / 4n, fee / 4n]
+            );
+
+            expect(await rdln.totalSupply()).to.equal(supplyBefore - fee / 2n);
+            expect((await riddleNFT.questions(1)).active).to.be.false;
+            expect(await riddleNFT.creatorEarnings(user1.address)).to.equal(0);
+        });
+
+        it("Should share mint revenue with question creators when a session closes", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { rdln, riddleNFT, gameContract, user1, user2, user3 } = ctx;
+            const deposit = ethers.parseEther("1");
+            expect(await riddleNFT.creatorEarnings(user1.address)).to.equal(deposit);
+            const usedBefore = (await riddleNFT.getQuestionData(1)).timesUsed;
+
+            // Emergency-stopped sessions refund their holders instead
+            const { sessionId: stopped } = await createSession(ctx, OPEN_SEED);
+            await riddleNFT.connect(gameContract).startRiddleSession(stopped);
+            await mintAccess(ctx, user2, stopped);
+            await riddleNFT.emergencyPauseSession(stopped);
+            await time.increase(30);
+            expect(await riddleNFT.creatorEarnings(user1.address)).to.equal(deposit);
+
+            const { sessionId } = await createSession(ctx, OPEN_SEED);
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            const mintCost = await riddleNFT.getCurrentMintCost();
+            await mintAccess(ctx, user2, sessionId);
+            await mintAccess(ctx, user3, sessionId);
+            expect((await riddleNFT.getQuestionData(1)).timesUsed).to.equal(usedBefore + 2n);
+
+            const { endTime } = await riddleNFT.riddleSessions(sessionId);
+            await time.increaseTo(endTime + 1n);
+            const share = (mintCost * 2n * 1000n) / 10000n;
+            await expect(riddleNFT.finalizeSession(sessionId))
+                .to.emit(riddleNFT, "CreatorRevenueAccrued").withArgs(sessionId, 1, user1.address, share);
+            expect(await riddleNFT.sessionMintPayments(sessionId)).to.equal(mintCost * 2n - share);
+
+            await expect(riddleNFT.connect(user1).claimCreatorEarnings())
+                .to.changeTokenBalances(rdln, [user1, riddleNFT], [deposit + share, -(deposit + share)]);
+            expect(await riddleNFT.creatorEarnings(user1.address)).to.equal(0);
+        });
+
+        it("Should let admins bound the creator revenue share", async function () {
+            const { riddleNFT, user1 } = await loadFixture(deployBountyFixture);
+
+            expect(await riddleNFT.creatorRevenueShareBps()).to.equal(1000);
+            await expect(riddleNFT.connect(user1).updateCreatorRevenueShare(2000))
+                .to.be.revertedWithCustomError(riddleNFT, "AccessControlUnauthorizedAccount");
+            await expect(riddleNFT.updateCreatorRevenueShare(5001)).to.be.revertedWith("Share too high");
+            await expect(riddleNFT.updateCreatorRevenueShare(2500))
+                .to.emit(riddleNFT, "CreatorRevenueShareUpdated").withArgs(2500);
+            expect(await riddleNFT.creatorRevenueShareBps()).to.equal(2500);
+        });
+    });
+
+    describe("Stake-Weighted Validation", function () {
+        const STAKE = ethers.parseEther("100");
+
+        // Question 1 by user1; validators with weight 3, 1 and 1, and an unstaked player without the role
+        async function deployStakingFixture() {
+            const ecosystem = await deployRiddlenEcosystemFixture();
+            const { rdln, riddleNFT, user1 } = ecosystem;
+
+            await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("1"));
+            await riddleNFT.connect(user1).submitQuestion("Who asks the riddle?", 1, ANSWER, [], 0);
+
+            const [heavy, light, swing, unstaked] = (await ethers.getSigners()).slice(12, 16);
+            for (const [validator, stake] of [[heavy, STAKE * 3n], [light, STAKE], [swing, STAKE], [unstaked, 0n]]) {
+                await rdln.mintAirdrop(validator.address, ethers.parseEther("10000"));
+                await rdln.connect(validator).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+                if (stake > 0n) {
+                    await riddleNFT.grantRole(await riddleNFT.QUESTION_VALIDATOR_ROLE(), validator.address);
+                    await riddleNFT.connect(validator).stakeAsValidator(stake);
+                }
+            }
+
+            return { ...ecosystem, heavy, light, swing, unstaked };
+        }
+
+        it("Should reach consensus by weight, slash dissenters and reward the majority", async function () {
+            const { ron, riddleNFT, user1, validator1, heavy, light, swing, unstaked } =
+                await loadFixture(deployStakingFixture);
+
+            expect(await riddleNFT.getValidatorWeight(heavy.address)).to.equal(3);
+            expect(await riddleNFT.getValidatorWeight(validator1.address)).to.equal(1); // Role holder
+            await expect(riddleNFT.connect(unstaked).validateQuestion(1, true))
+                .to.be.revertedWith("Not an eligible validator");
+            await expect(riddleNFT.connect(user1).validateQuestion(1, true))
+                .to.be.revertedWith("Cannot validate own question");
+
+            await riddleNFT.connect(heavy).validateQuestion(1, true);
+            await riddleNFT.connect(light).validateQuestion(1, false);
+            await expect(riddleNFT.connect(light).validateQuestion(1, false)).to.be.revertedWith("Already validated");
+            await expect(riddleNFT.connect(light).unstakeValidator(STAKE))
+                .to.be.revertedWith("Stake locked by open votes");
+
+            // Two of three heads is below the 67% threshold, but 4 of 5 weight is not
+            const penalty = STAKE / 10n;
+            const tx = riddleNFT.connect(swing).validateQuestion(1, true);
+            await expect(tx).to.emit(riddleNFT, "QuestionAccepted");
+            await expect(tx).to.emit(riddleNFT, "ValidatorSlashed").withArgs(1, light.address, penalty);
+            await expect(tx).to.emit(riddleNFT, "ValidatorRewarded")
+                .withArgs(1, heavy.address, (penalty * 3n) / 4n, 75);
+            await expect(tx).to.emit(riddleNFT, "ValidatorRewarded")
+                .withArgs(1, swing.address, penalty / 4n, 25);
+
+            expect(await riddleNFT.validatorStakes(heavy.address)).to.equal(STAKE * 3n + (penalty * 3n) / 4n);
+            expect(await riddleNFT.validatorStakes(swing.address)).to.equal(STAKE + penalty / 4n);
+            expect(await riddleNFT.validatorStakes(light.address)).to.equal(STAKE - penalty);
+            expect((await ron.userStats(heavy.address)).totalRON).to.equal(75);
+            expect((await ron.userStats(light.address)).totalRON).to.equal(0);
+            expect(await riddleNFT.getQuestionValidators(1)).to.deep.equal([heavy.address, light.address, swing.address]);
+
+            await expect(riddleNFT.connect(validator1).validateQuestion(1, true))
+                .to.be.revertedWith("Question already validated");
+            await expect(riddleNFT.connect(light).unstakeValidator(STAKE - penalty))
+                .to.emit(riddleNFT, "ValidatorUnstaked").withArgs(light.address, STAKE - penalty, 0);
+        });
+
+        it("Should wait for the weight quorum and slash the stake recorded at vote time", async function () {
+            const { riddleNFT, user1, validator1, heavy, light, swing } = await loadFixture(deployStakingFixture);
+
+            await expect(riddleNFT.connect(user1).updateValidationQuorum(6))
+                .to.be.revertedWithCustomError(riddleNFT, "AccessControlUnauthorizedAccount");
+            await expect(riddleNFT.updateValidationQuorum(0)).to.be.revertedWith("Invalid quorum");
+            await expect(riddleNFT.updateValidationQuorum(6))
+                .to.emit(riddleNFT, "ValidationQuorumUpdated").withArgs(6);
+
+            await riddleNFT.connect(heavy).validateQuestion(1, true);
+            await riddleNFT.connect(light).validateQuestion(1, false);
+            await riddleNFT.connect(light).stakeAsValidator(STAKE * 4n);
+
+            // Three validators but only 5 of the 6 weight required
+            await expect(riddleNFT.connect(swing).validateQuestion(1, true)).to.not.emit(riddleNFT, "QuestionAccepted");
+
+            const penalty = STAKE / 10n;
+            await expect(riddleNFT.connect(validator1).validateQuestion(1, true))
+                .to.emit(riddleNFT, "ValidatorSlashed").withArgs(1, light.address, penalty);
+            expect(await riddleNFT.validatorStakes(light.address)).to.equal(STAKE * 5n - penalty);
+        });
+
+        it("Should expire questions that reach no consensus and return the deposit", async function () {
+            const { riddleNFT, user1, validator1, validator2 } = await loadFixture(deployStakingFixture);
+
+            await riddleNFT.connect(validator1).validateQuestion(1, true);
+            await expect(riddleNFT.finalizeQuestionValidation(1)).to.be.revertedWith("Validation still open");
+
+            await time.increase(7 * 24 * 60 * 60 + 1);
+            await expect(riddleNFT.connect(validator2).validateQuestion(1, true))
+                .to.be.revertedWith("Validation period ended");
+
+            await expect(riddleNFT.finalizeQuestionValidation(1))
+                .to.emit(riddleNFT, "QuestionValidationExpired").withArgs(1, ethers.parseEther("1"));
+            expect(await riddleNFT.creatorEarnings(user1.address)).to.equal(ethers.parseEther("1"));
+            expect(await riddleNFT.validatorOpenVotes(validator1.address)).to.equal(0);
+            expect((await riddleNFT.questions(1)).active).to.be.false;
+            await expect(riddleNFT.finalizeQuestionValidation(1)).to.be.revertedWith("Question not pending");
+        });
+
+        it("Should cap stake weight and gate validators by role or RON tier", async function () {
+            const { riddleNFT, user1, heavy, unstaked } = await loadFixture(deployStakingFixture);
+
+            await riddleNFT.connect(heavy).stakeAsValidator(STAKE * 20n);
+            expect(await riddleNFT.getValidatorWeight(heavy.address)).to.equal(10);
+
+            // Stake alone does not make a validator
+            await riddleNFT.connect(unstaked).stakeAsValidator(STAKE * 2n);
+            expect(await riddleNFT.getValidatorWeight(unstaked.address)).to.equal(0);
+
+            const week = 7 * 24 * 60 * 60;
+            await expect(riddleNFT.connect(user1).updateValidationSettings(STAKE, 1000, week, 0))
+                .to.be.revertedWithCustomError(riddleNFT, "AccessControlUnauthorizedAccount");
+            await expect(riddleNFT.updateValidationSettings(STAKE, 5001, week, 0)).to.be.revertedWith("Slash too high");
+            await expect(riddleNFT.updateValidationSettings(0, 1000, week, 0)).to.be.revertedWith("Invalid minimum stake");
+
+            // Opening validation to every RON tier
+            await expect(riddleNFT.updateValidationSettings(STAKE, 1000, week, 0))
+                .to.emit(riddleNFT, "ValidationSettingsUpdated").withArgs(STAKE, 1000, week, 0);
+            expect(await riddleNFT.getValidatorWeight(unstaked.address)).to.equal(2);
+            await riddleNFT.connect(unstaked).validateQuestion(1, true);
+        });
+    });
+
+    describe("Dynamic Difficulty", function () {
+        // Closes a session on OPEN_SEED parameters with `solvers` of `minters` answering correctly
+        async function playSession(ctx, minters, solvers) {
+            const { sessionId } = await createSession(ctx, OPEN_SEED);
+            await ctx.riddleNFT.connect(ctx.gameContract).startRiddleSession(sessionId);
+            for (const player of minters) {
+                await mintAccess(ctx, player, sessionId);
+            }
+            await time.increase(30);
+            for (const player of solvers) {
+                await ctx.riddleNFT.connect(player).submitAnswer(sessionId, 0, ANSWER);
+            }
+            const { endTime } = await ctx.riddleNFT.riddleSessions(sessionId);
+            await time.increaseTo(endTime + 1n);
+            await ctx.riddleNFT.finalizeSession(sessionId);
+        }
+
+        async function nextSession(ctx) {
+            const { sessionId, requestId } = await createSession(ctx);
+            const tx = ctx.coordinator.fulfillRandomWordsWithOverride(requestId, [OPEN_SEED]);
+            return { sessionId, tx, receipt: await (await tx).wait() };
+        }
+
+        function rawPrizePool(ctx, receipt) {
+            const log = receipt.logs
+                .filter(log => log.address === ctx.riddleNFT.target)
+                .map(log => ctx.riddleNFT.interface.parseLog(log))
+                .find(event => event && event.name === "ParametersRandomized");
+            return log.args.prizePool;
+        }
+
+        it("Should tighten sessions that were solved more often than the target", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { riddleNFT, user1, user2, user3 } = ctx;
+            const baseCost = await riddleNFT.getCurrentMintCost();
+
+            await playSession(ctx, [user1, user2], [user1]);
+            const [rate, sampled] = await riddleNFT.getRecentSolveRate();
+            expect(rate).to.equal(5000);
+            expect(sampled).to.equal(1);
+
+            // 20% target / 50% realised = 0.4x, clamped to the 0.5x lower bound
+            const { sessionId, tx, receipt } = await nextSession(ctx);
+            const prizePool = rawPrizePool(ctx, receipt) / 2n;
+            await expect(tx).to.emit(riddleNFT, "SessionDifficultyAdjusted")
+                .withArgs(sessionId, 5000, 2000, 5000, 30, prizePool, baseCost * 2n);
+
+            const session = await riddleNFT.riddleSessions(sessionId);
+            expect(session.winnerSlots).to.equal(30);
+            expect(session.prizePool).to.equal(prizePool);
+            expect(session.currentMintCost).to.equal(baseCost * 2n);
+
+            await riddleNFT.connect(ctx.gameContract).startRiddleSession(sessionId);
+            const tokenId = await mintAccess(ctx, user3, sessionId);
+            expect(await riddleNFT.accessMintCost(tokenId)).to.equal(baseCost * 2n);
+        });
+
+        it("Should loosen sessions that nobody solved, within bounds", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { riddleNFT, user1, user2 } = ctx;
+            const baseCost = await riddleNFT.getCurrentMintCost();
+
+            await playSession(ctx, [user1, user2], []);
+            let { sessionId, tx } = await nextSession(ctx);
+            await expect(tx).to.emit(riddleNFT, "SessionDifficultyAdjusted")
+                .withArgs(sessionId, 0, 2000, 20000, 100, anyValue, baseCost / 2n); // 120 slots capped at EASY's 100
+
+            await expect(riddleNFT.connect(user1).setDifficultyAdjustmentBounds(10000, 10000))
+                .to.be.revertedWithCustomError(riddleNFT, "AccessControlUnauthorizedAccount");
+            await expect(riddleNFT.setDifficultyAdjustmentBounds(10001, 20000))
+                .to.be.revertedWith("Invalid minimum adjustment");
+            await expect(riddleNFT.setDifficultyAdjustmentBounds(5000, 40001))
+                .to.be.revertedWith("Invalid maximum adjustment");
+            await expect(riddleNFT.setDifficultyAdjustmentBounds(10000, 10000))
+                .to.emit(riddleNFT, "DifficultyAdjustmentBoundsUpdated").withArgs(10000, 10000);
+
+            ({ sessionId } = await nextSession(ctx));
+            const session = await riddleNFT.riddleSessions(sessionId);
+            expect(session.winnerSlots).to.equal(60);
+            expect(session.currentMintCost).to.equal(baseCost);
+
+            await expect(riddleNFT.adjustTargetSolveRate(0)).to.be.revertedWith("Invalid solve rate");
+            await expect(riddleNFT.adjustTargetSolveRate(50))
+                .to.emit(riddleNFT, "DifficultyAdjusted").withArgs(20, 50, 0);
+        });
+    });
+
+    describe("Season Leaderboard", function () {
+        it("Should score winning session solves in the running season", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { rdln, ron, riddleNFT, gameContract, owner, user1, user2 } = ctx;
+
+            const SeasonLeaderboard = await ethers.getContractFactory("SeasonLeaderboard");
+            const leaderboard = await SeasonLeaderboard.deploy(
+                await rdln.getAddress(), await ron.getAddress(), owner.address
+            );
+            await leaderboard.grantRole(await leaderboard.GAME_ROLE(), await riddleNFT.getAddress());
+            await leaderboard.startSeason(7 * 24 * 60 * 60, 0, 0, 10);
+            await riddleNFT.addSolveHook(await leaderboard.getAddress());
+
+            const { sessionId } = await createSession(ctx, OPEN_SEED);
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+            await mintAccess(ctx, user1, sessionId);
+            await mintAccess(ctx, user2, sessionId);
+            await time.increase(30);
+
+            // EASY (10) + first solver (10); sessions have no speed bonus
+            await expect(riddleNFT.connect(user1).submitAnswer(sessionId, 0, ANSWER))
+                .to.emit(leaderboard, "SeasonPointsAwarded")
+                .withArgs(1, user1.address, await riddleNFT.getAddress(), sessionId, 20, 20);
+            await expect(riddleNFT.connect(user2).submitAnswer(sessionId, 0, ANSWER))
+                .to.emit(leaderboard, "SeasonPointsAwarded")
+                .withArgs(1, user2.address, await riddleNFT.getAddress(), sessionId, 10, 10);
+
+            const [players] = await leaderboard.getLeaderboard(1);
+            expect(players).to.deep.equal([user1.address, user2.address]);
+        });
+    });
+
+    describe("RON Checkpoints", function () {
+        it("Should weight proposal votes by RON held at the proposal snapshot", async function () {
+            const { ron, gameContract, user1, user2 } = await loadFixture(deployRiddlenEcosystemFixture);
+
+            await ron.connect(gameContract).awardBonusRON(user1.address, 100000, "Senator");
+            await ron.connect(gameContract).awardBonusRON(user2.address, 2000, "Participant");
+
+            const createTx = await ron.connect(user1).createProposal("Snapshot voting", "Vote with past RON", 0);
+            const created = BigInt((await ethers.provider.getBlock((await createTx.wait()).blockNumber)).timestamp);
+            expect(await ron.proposalSnapshots(1)).to.equal(created - 1n);
+            expect(await ron.getPastRON(user2.address, created - 1n)).to.equal(2000);
+            expect(await ron.getPastTotalRON(created - 1n)).to.equal(102000);
+
+            // RON earned after the snapshot does not add voting weight
+            await ron.connect(gameContract).awardBonusRON(user2.address, 50000, "Late farming");
+            await expect(ron.connect(user2).vote(1, true, "Snapshot"))
+                .to.emit(ron, "GovernanceVoteCast").withArgs(user2.address, 1, true, 2600, "Snapshot"); // 2000 x 1.3 accuracy
+
+            expect(await ron.CLOCK_MODE()).to.equal("mode=timestamp");
+            const now = await ron.clock();
+            await expect(ron.getPastTotalRON(now + 10n)).to.be.revertedWithCustomError(ron, "ERC5805FutureLookup");
+        });
+    });
+
+    describe("Reputation Decay", function () {
+        it("Should cap votes at decayed RON and demote inactive participants through upkeep", async function () {
+            const { ron, owner, gameContract, user1, user2, user3 } = await loadFixture(deployRiddlenEcosystemFixture);
+            const HOUR = 60 * 60;
+
+            // Participants halve every 2 hours from their last activity; senators do not decay
+            expect(await ron.decayGracePeriod()).to.equal(await ron.DECAY_PERIOD());
+            await ron.connect(owner).setDecayConfig([0, 2 * HOUR, 0, 0], 0);
+
+            await ron.connect(gameContract).awardBonusRON(user1.address, 100000, "Senator");
+            await ron.connect(gameContract).awardBonusRON(user2.address, 2000, "Participant");
+            await ron.connect(user1).createProposal("Decay", "Vote with decayed RON", 0);
+
+            // The snapshot still holds 2000, but a quarter of it has decayed by the time of voting
+            await time.increase(HOUR);
+            await ron.connect(user2).vote(1, true, "Decayed");
+            expect(await ron.voteWeights(1, user2.address)).to.be.closeTo(1950, 5); // ~1500 x 1.3 accuracy
+
+            await time.increase(2 * HOUR);
+            expect(await ron.balanceOf(user2.address)).to.be.closeTo(750, 5);
+            const [upkeepNeeded, performData] = await ron.checkUpkeep("0x");
+            expect(upkeepNeeded).to.be.true;
+            await expect(ron.connect(user3).performUpkeep(performData))
+                .to.emit(ron, "ReputationDecayApplied")
+                .and.to.emit(ron, "TierDemoted")
+                .withArgs(user2.address, 1, 0, anyValue);
+
+            const decayed = (await ron.userStats(user2.address)).totalRON;
+            const demotedAt = await time.latest();
+            await time.increase(1);
+            expect(await ron.getPastTotalRON(demotedAt)).to.equal(100000n + decayed);
+        });
+    });
+
+    describe("Reputation Slashing", function () {
+        const BAD_ORACLE_ANSWER = 1;
+        const evidence = ethers.id("cross-validation round 7");
+
+        it("Should slash RON with tier and total adjustments and keep a slash history", async function () {
+            const { ron, owner, gameContract, oracle, user1, user2 } = await loadFixture(deployRiddlenEcosystemFixture);
+            await ron.grantRole(await ron.SLASHER_ROLE(), oracle.address);
+            await ron.connect(gameContract).awardBonusRON(user1.address, 100000, "Senator");
+            await ron.connect(gameContract).awardBonusRON(user2.address, 2000, "Participant");
+
+            await expect(ron.connect(user1).slashRON(user2.address, 1500, BAD_ORACLE_ANSWER, evidence))
+                .to.be.revertedWithCustomError(ron, "AccessControlUnauthorizedAccount");
+
+            const tx = ron.connect(oracle).slashRON(user2.address, 1500, BAD_ORACLE_ANSWER, evidence);
+            await expect(tx)
+                .to.emit(ron, "RONSlashed").withArgs(user2.address, 0, 1500, BAD_ORACLE_ANSWER, evidence, anyValue)
+                .and.to.emit(ron, "TierDemoted").withArgs(user2.address, 1, 0, 500);
+            const slashedAt = await time.latest();
+
+            expect(await ron.balanceOf(user2.address)).to.equal(500);
+            expect(await ron.calculateGovernanceTier(user2.address)).to.equal(0); // OBSERVER
+            expect(await ron.totalRONSlashed()).to.equal(1500);
+
+            const record = await ron.getSlashRecord(user2.address, 0);
+            expect(record.amount).to.equal(1500);
+            expect(record.slasher).to.equal(oracle.address);
+            expect(record.reasonCode).to.equal(BAD_ORACLE_ANSWER);
+            expect(record.evidenceHash).to.equal(evidence);
+            expect(record.appealDeadline).to.equal(BigInt(slashedAt) + (await ron.appealWindow()));
+
+            // Slashes are capped at the remaining balance
+            await ron.connect(oracle).slashRON(user2.address, 10000, 0, ethers.ZeroHash);
+            const history = await ron.getSlashHistory(user2.address);
+            expect(history.map((slash) => slash.amount)).to.deep.equal([1500n, 500n]);
+            expect(await ron.balanceOf(user2.address)).to.equal(0);
+            await expect(ron.connect(oracle).slashRON(user2.address, 1, 0, ethers.ZeroHash))
+                .to.be.revertedWith("Nothing to slash");
+
+            await time.increase(1);
+            expect(await ron.getPastRON(user2.address, slashedAt)).to.equal(500);
+            expect(await ron.getPastTotalRON(await time.latest() - 1)).to.equal(100000);
+
+            await expect(ron.setAppealWindow(91 * 24 * 60 * 60)).to.be.revertedWith("Appeal window too long");
+            await expect(ron.connect(owner).setAppealWindow(0))
+                .to.emit(ron, "AppealWindowUpdated").withArgs(7 * 24 * 60 * 60, 0);
+        });
+
+        it("Should restore RON for accepted appeals filed within the appeal window", async function () {
+            const { ron, gameContract, oracle, user1, user2 } = await loadFixture(deployRiddlenEcosystemFixture);
+            await ron.grantRole(await ron.SLASHER_ROLE(), oracle.address);
+            await ron.connect(gameContract).awardBonusRON(user2.address, 2000, "Participant");
+            await ron.connect(oracle).slashRON(user2.address, 1500, BAD_ORACLE_ANSWER, evidence);
+            await ron.connect(oracle).slashRON(user2.address, 100, BAD_ORACLE_ANSWER, evidence);
+
+            const appealEvidence = ethers.id("validator logs");
+            await expect(ron.connect(user2).appealSlash(0, appealEvidence))
+                .to.emit(ron, "SlashAppealed").withArgs(user2.address, 0, appealEvidence);
+            await expect(ron.connect(user2).appealSlash(0, appealEvidence)).to.be.revertedWith("Slash not appealable");
+            await expect(ron.connect(user1).appealSlash(0, appealEvidence)).to.be.revertedWith("Unknown slash");
+
+            // Only admins resolve, and only appealed slashes
+            await expect(ron.connect(oracle).resolveSlashAppeal(user2.address, 0, false))
+                .to.be.revertedWithCustomError(ron, "AccessControlUnauthorizedAccount");
+            await expect(ron.resolveSlashAppeal(user2.address, 1, false)).to.be.revertedWith("Slash not under appeal");
+
+            await expect(ron.resolveSlashAppeal(user2.address, 0, false))
+                .to.emit(ron, "SlashAppealResolved").withArgs(user2.address, 0, false, 1500);
+            expect(await ron.balanceOf(user2.address)).to.equal(1900);
+            expect(await ron.totalRONSlashed()).to.equal(100);
+            expect((await ron.getSlashRecord(user2.address, 0)).status).to.equal(3); // REVERSED
+
+            await ron.connect(user2).appealSlash(1, appealEvidence);
+            await expect(ron.resolveSlashAppeal(user2.address, 1, true))
+                .to.emit(ron, "SlashAppealResolved").withArgs(user2.address, 1, true, 0);
+            expect(await ron.balanceOf(user2.address)).to.equal(1900);
+            expect((await ron.getSlashRecord(user2.address, 1)).status).to.equal(2); // UPHELD
+
+            await ron.connect(oracle).slashRON(user2.address, 100, BAD_ORACLE_ANSWER, evidence);
+            await time.increase(7 * 24 * 60 * 60 + 1);
+            await expect(ron.connect(user2).appealSlash(2, appealEvidence)).to.be.revertedWith("Appeal window closed");
+        });
+
+        it("Should slash validators who answered against a settled cross-validation round", async function () {
+            const { ron, gameContract, oracle, user1, user2, user3, validator1 } =
+                await loadFixture(deployRiddlenEcosystemFixture);
+            const validators = [user1, user2, user3, validator1];
+            for (const validator of validators) {
+                await ron.connect(gameContract).awardBonusRON(validator.address, 2000, "Oracle");
+            }
+            await ron.connect(oracle).requestCrossValidation(evidence, validators.map((v) => v.address));
+
+            await ron.connect(user1).provideCrossValidation(evidence, true);
+            await ron.connect(user2).provideCrossValidation(evidence, false);
+            await expect(ron.connect(user2).provideCrossValidation(evidence, true))
+                .to.be.revertedWith("Already provided consensus");
+            await ron.connect(user3).provideCrossValidation(evidence, true);
+
+            // Three of four is past the 67% threshold
+            const tx = ron.connect(validator1).provideCrossValidation(evidence, true);
+            await expect(tx).to.emit(ron, "CrossValidationCompleted").withArgs(evidence, validator1.address, true, 4);
+            await expect(tx).to.emit(ron, "RONSlashed")
+                .withArgs(user2.address, 0, 500, BAD_ORACLE_ANSWER, evidence, anyValue);
+            expect(await ron.balanceOf(user2.address)).to.equal(1500);
+            expect(await ron.balanceOf(user1.address)).to.equal(2000);
+            expect((await ron.getSlashRecord(user2.address, 0)).slasher).to.equal(await ron.getAddress());
+        });
+
+        it("Should block flagged players and leave slashing to an explicit slasher", async function () {
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { ron, rdln, riddleNFT, gameContract, oracle, players } = ctx;
+            const cheater = players[0];
+            await ron.grantRole(await ron.SLASHER_ROLE(), oracle.address);
+            await ron.connect(gameContract).awardBonusRON(cheater.address, 5000, "Farmed");
+
+            const { sessionId } = await createSession(ctx, OPEN_SEED, 24 * 60 * 60);
+            await riddleNFT.connect(gameContract).startRiddleSession(sessionId);
+
+            // Keep every action inside one fingerprint day
+            const day = 24 * 60 * 60;
+            await time.increaseTo(Math.floor((await time.latest()) / day + 1) * day + 1);
+            expect(await riddleNFT.suspiciousActivityScores(cheater.address)).to.equal(0);
+            const tokenId = await mintAccess(ctx, cheater, sessionId);
+            await rdln.connect(cheater).approve(await riddleNFT.getAddress(), ethers.MaxUint256); // Failed-attempt burns
+            const wrong = ethers.id("wrong");
+            for (let i = 0; i < 4; i++) {
+                await time.increase(30);
+                await riddleNFT.connect(cheater).submitAnswer(sessionId, 0, wrong);
+            }
+
+            // The fifth repeat is flagged and reverts; the heuristic alone never slashes
+            await time.increase(30);
+            await expect(riddleNFT.connect(cheater).submitAnswer(sessionId, 0, wrong))
+                .to.be.revertedWith("Suspicious activity detected");
+            expect((await riddleNFT.participantData(tokenId)).attemptCount).to.equal(4);
+            expect(await ron.balanceOf(cheater.address)).to.equal(5000);
+            expect(await ron.getSlashCount(cheater.address)).to.equal(0);
+
+            // Confirmed cheating is slashed by a SLASHER_ROLE holder with evidence
+            const CHEATING = 0;
+            const cheatEvidence = ethers.id("anti-cheat review: shared device");
+            await expect(ron.connect(oracle).slashRON(cheater.address, 1000, CHEATING, cheatEvidence))
+                .to.emit(ron, "RONSlashed").withArgs(cheater.address, 0, 1000, CHEATING, cheatEvidence, anyValue);
+            expect(await ron.balanceOf(cheater.address)).to.equal(4000);
+        });
+
+        it("Should set the appeal window when upgrading an older proxy", async function () {
+            const { ron, user1 } = await loadFixture(deployRiddlenEcosystemFixture);
+            await ron.setAppealWindow(0); // Stand-in for a proxy initialized before slashing
+            await expect(ron.connect(user1).initializeV2())
+                .to.be.revertedWithCustomError(ron, "AccessControlUnauthorizedAccount");
+
+            const RONAdvanced = await ethers.getContractFactory("RONAdvanced");
+            const upgraded = await upgrades.upgradeProxy(await ron.getAddress(), RONAdvanced, { call: "initializeV2" });
+            expect(await upgraded.appealWindow()).to.equal(7 * 24 * 60 * 60);
+            await expect(upgraded.initializeV2()).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+        });
+    });
+
     describe("Economic Integration: Burn Mechanisms", function () {
         it("Should properly distribute burns across the ecosystem", async function () {
             const {
@@ -417,6 +1716,28 @@ describe("Riddlen Ecosystem Integration Tests", function () {
 
             console.log("✅ Contract upgrade compatibility verified");
         });
+
+        it("Should set the new NFT defaults once when upgrading an older proxy", async function () {
+            const { riddleNFT, user1 } = await loadFixture(deployRiddlenEcosystemFixture);
+
+            // Stand-ins for settings an older implementation never wrote
+            await riddleNFT.setDifficultyAdjustmentBounds(10000, 10000);
+            await riddleNFT.updateCreatorRevenueShare(0);
+            await expect(riddleNFT.connect(user1).initializeV2())
+                .to.be.revertedWithCustomError(riddleNFT, "AccessControlUnauthorizedAccount");
+
+            const RiddleNFTAdvanced = await ethers.getContractFactory("RiddleNFTAdvanced");
+            const upgraded = await upgrades.upgradeProxy(
+                await riddleNFT.getAddress(), RiddleNFTAdvanced, { call: "initializeV2" }
+            );
+
+            expect(await upgraded.minDifficultyAdjustmentBps()).to.equal(5000);
+            expect(await upgraded.maxDifficultyAdjustmentBps()).to.equal(20000);
+            expect(await upgraded.creatorRevenueShareBps()).to.equal(1000);
+            expect(await upgraded.royaltyBps()).to.equal(500);
+            expect(await upgraded.validationTimeout()).to.equal(7 * 24 * 60 * 60);
+            await expect(upgraded.initializeV2()).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+        });
     });
 
     describe("Performance and Gas Optimization", function () {
@@ -471,6 +1792,48 @@ describe("Riddlen Ecosystem Integration Tests", function () {
 
             expect(gasEstimate).to.be.lt(500000); // Should be less than 500k gas
         });
+
+        it("Should keep answer gas flat as thousands of access tokens are minted", async function () {
+            this.timeout(600000);
+            const ctx = await loadFixture(deployLifecycleFixture);
+            const { rdln, riddleNFT, gameContract, user2, user3 } = ctx;
+            const WEEK = 7 * 24 * 60 * 60;
+
+            // 1000-mint sessions (VRF word 990) so a thousand players mint two tokens each
+            const { sessionId } = await createSession(ctx, OPEN_SEED, WEEK);
+            const bulkSessions = [
+                (await createSession(ctx, 990, WEEK)).sessionId,
+                (await createSession(ctx, 990, WEEK)).sessionId
+            ];
+            for (const id of [sessionId, ...bulkSessions]) {
+                await riddleNFT.connect(gameContract).startRiddleSession(id);
+            }
+
+            // Fresh players on both sides (the fixture's question creator already has RON stats)
+            await mintAccess(ctx, user3, sessionId);
+            await time.increase(30);
+            const gasBefore = await riddleNFT.connect(user3).submitAnswer.estimateGas(sessionId, 0, ANSWER);
+
+            const mintCost = await riddleNFT.getCurrentMintCost();
+            for (let i = 0; i < 1000; i++) {
+                const player = await ethers.getImpersonatedSigner(ethers.toBeHex(0x10000 + i, 20));
+                await ethers.provider.send("hardhat_setBalance", [player.address, "0x56BC75E2D63100000"]);
+                await rdln.mintAirdrop(player.address, mintCost * 4n);
+                await rdln.connect(player).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+                await riddleNFT.connect(player).mintRiddleAccess(bulkSessions[0]);
+                await time.increase(30);
+                await riddleNFT.connect(player).mintRiddleAccess(bulkSessions[1]);
+            }
+            expect(await riddleNFT.totalSupply()).to.equal(2001);
+
+            // The newest token answers for the same gas as the first
+            await mintAccess(ctx, user2, sessionId);
+            await time.increase(30);
+            const gasAfter = await riddleNFT.connect(user2).submitAnswer.estimateGas(sessionId, 0, ANSWER);
+            console.log(`submitAnswer gas: ${gasBefore} with 1 token, ${gasAfter} with 2002 tokens`);
+
+            expect(gasAfter).to.be.lte(gasBefore + 5000n);
+        });
     });
 
     describe("Comprehensive Error Handling", function () {
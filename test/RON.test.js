@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("RON Reputation System", function () {
   let ron;
@@ -135,6 +136,20 @@ describe("RON Reputation System", function () {
 
       expect(await ron.balanceOf(user1.address)).to.equal(5500); // Average of 1000-10000
     });
+
+    it("Should award a fixed team share", async function () {
+      await expect(
+        ron.connect(user1).awardTeamRON(user1.address, 1, 45, "Team solved riddle 1")
+      ).to.be.reverted;
+
+      await ron.connect(gameContract).awardTeamRON(user1.address, 1, 45, "Team solved riddle 1");
+      await ron.connect(gameContract).awardTeamRON(user2.address, 1, 30, "Team solved riddle 1");
+
+      expect(await ron.balanceOf(user1.address)).to.equal(45);
+      expect(await ron.balanceOf(user2.address)).to.equal(30);
+      expect(await ron.totalRONMinted()).to.equal(75);
+      expect(await ron.totalUsers()).to.equal(2);
+    });
   });
 
   describe("Access Tiers", function () {
@@ -143,6 +158,17 @@ describe("RON Reputation System", function () {
       expect(tier).to.equal(0); // NOVICE
     });
 
+    it("Should only emit TierAchieved on promotion", async function () {
+      await expect(ron.connect(gameContract).awardBonusRON(user1.address, 500, "Event prize"))
+        .to.not.emit(ron, "TierAchieved");
+      await expect(ron.connect(gameContract).awardBonusRON(user1.address, 600, "Event prize"))
+        .to.emit(ron, "TierAchieved").withArgs(user1.address, 1, 1100); // SOLVER
+      await expect(ron.connect(gameContract).awardTeamRON(user1.address, 1, 45, "Team solved riddle 1"))
+        .to.not.emit(ron, "TierAchieved");
+      await expect(ron.connect(gameContract).awardRON(user1.address, 0, false, false, "Solved riddle"))
+        .to.not.emit(ron, "TierAchieved");
+    });
+
     it("Should promote to SOLVER tier at 1000 RON", async function () {
       // Award exactly enough to reach SOLVER tier (1000 RON)
       // EASY riddles give 17 RON each, so we need 59 easy riddles
@@ -265,6 +291,27 @@ describe("RON Reputation System", function () {
     });
   });
 
+  describe("Question Contributions", function () {
+    it("Should count accepted questions per creator", async function () {
+      await expect(ron.connect(gameContract).recordQuestionContribution(user1.address, 7))
+        .to.emit(ron, "QuestionContributionRecorded")
+        .withArgs(user1.address, 7, 1);
+      await ron.connect(gameContract).recordQuestionContribution(user1.address, 8);
+
+      expect(await ron.contributionScores(user1.address)).to.equal(2);
+      expect(await ron.contributionScores(user2.address)).to.equal(0);
+    });
+
+    it("Should only allow GAME_ROLE to record contributions", async function () {
+      await expect(
+        ron.connect(user1).recordQuestionContribution(user1.address, 1)
+      ).to.be.reverted;
+      await expect(
+        ron.connect(gameContract).recordQuestionContribution(ethers.ZeroAddress, 1)
+      ).to.be.revertedWithCustomError(ron, "InvalidUser");
+    });
+  });
+
   describe("Oracle Validation", function () {
     beforeEach(async function () {
       // Give user1 SOLVER tier (1000+ RON)
@@ -325,6 +372,40 @@ describe("RON Reputation System", function () {
     });
   });
 
+  describe("Reputation Decay", function () {
+    const DAY = 24 * 60 * 60;
+    const HALF_LIVES = [0, 30 * DAY, 60 * DAY, 90 * DAY]; // NOVICE, SOLVER, EXPERT, ORACLE
+
+    it("Should decay inactive balances on read and demote when materialised", async function () {
+      await ron.setDecayConfig(HALF_LIVES, 7 * DAY);
+      await ron.connect(gameContract).awardBonusRON(user1.address, 1500, "Event prize");
+
+      await time.increase(7 * DAY);
+      expect(await ron.balanceOf(user1.address)).to.equal(1500);
+
+      await time.increase(30 * DAY);
+      expect(await ron.balanceOf(user1.address)).to.be.closeTo(750, 1);
+      expect(await ron.getUserTier(user1.address)).to.equal(0); // NOVICE
+
+      const [upkeepNeeded, performData] = await ron.checkUpkeep("0x");
+      expect(upkeepNeeded).to.be.true;
+      await expect(ron.connect(user2).performUpkeep(performData))
+        .to.emit(ron, "TierDemoted")
+        .withArgs(user1.address, 1, 0, (totalRON) => totalRON < 1000n);
+
+      const stats = await ron.userStats(user1.address);
+      expect(stats.totalRON).to.be.closeTo(750, 1);
+    });
+
+    it("Should only allow admin to configure decay within bounds", async function () {
+      await expect(ron.connect(user1).setDecayConfig(HALF_LIVES, 7 * DAY)).to.be.reverted;
+      await expect(ron.setDecayConfig([0, 0, 0, 11 * 365 * DAY], 7 * DAY))
+        .to.be.revertedWith("Half-life too long");
+      await expect(ron.setDecayConfig(HALF_LIVES, 11 * 365 * DAY))
+        .to.be.revertedWith("Grace period too long");
+    });
+  });
+
   describe("Soul-bound Token Properties", function () {
     it("Should prevent transfers", async function () {
       await expect(ron.transfer(user2.address, 100))
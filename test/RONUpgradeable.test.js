@@ -1,7 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { upgrades } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signRONAward, RON_AWARD_TYPES } = require("../scripts/utils/vouchers");
+const { parseDistributionCSV, buildDistributionTree, getDistributionProof } = require("../scripts/utils/distributions");
 
 describe("RONUpgradeable", function () {
     // Test fixture for consistent setup
@@ -232,6 +234,191 @@ describe("RONUpgradeable", function () {
         });
     });
 
+    describe("Award Vouchers", function () {
+        // The oracle account doubles as an event signer with a 5,000 RON budget
+        async function deployVoucherFixture() {
+            const fixture = await deployRONUpgradeableFixture();
+            const { ron, owner, oracle } = fixture;
+
+            await ron.grantRole(await ron.VOUCHER_SIGNER_ROLE(), oracle.address);
+            await ron.connect(owner).setVoucherSignerCap(oracle.address, 5000);
+
+            const target = { address: await ron.getAddress(), chainId: (await ethers.provider.getNetwork()).chainId };
+            const sign = async (award, signer = oracle) =>
+                signRONAward(signer, target, { deadline: (await time.latest()) + 3600, ...award });
+
+            return { ...fixture, sign };
+        }
+
+        it("Should let players redeem signed awards themselves", async function () {
+            const { ron, oracle, user1, sign } = await loadFixture(deployVoucherFixture);
+
+            const { award, signature } = await sign({ user: user1.address, amount: 1500, reason: "Puzzle hunt", nonce: 7n });
+            expect(await ron.hashRONAward(award)).to.equal(
+                ethers.TypedDataEncoder.hash(
+                    { name: "Riddlen Oracle Network", version: "1", chainId: 31337, verifyingContract: await ron.getAddress() },
+                    RON_AWARD_TYPES,
+                    award
+                )
+            );
+
+            await expect(ron.connect(user1).redeemRONVoucher(award, signature))
+                .to.emit(ron, "RONVoucherRedeemed").withArgs(oracle.address, user1.address, 7, 1500);
+            expect(await ron.balanceOf(user1.address)).to.equal(1500);
+            expect(await ron.getUserTier(user1.address)).to.equal(1); // SOLVER
+            expect(await ron.voucherSignerAwarded(oracle.address)).to.equal(1500);
+
+            // Without an amount the voucher pays the standard reward for its difficulty
+            const standard = await sign({ user: user1.address, difficulty: "HARD", reason: "Weekly contest" });
+            await ron.connect(user1).redeemRONVoucher(standard.award, standard.signature);
+            expect(await ron.balanceOf(user1.address)).to.be.within(1700, 2000);
+        });
+
+        it("Should reject expired, replayed and tampered vouchers", async function () {
+            const { ron, oracle, user1, user2, sign } = await loadFixture(deployVoucherFixture);
+
+            const expired = await sign({ user: user1.address, amount: 100, reason: "Late", deadline: (await time.latest()) - 1 });
+            await expect(ron.connect(user1).redeemRONVoucher(expired.award, expired.signature))
+                .to.be.revertedWithCustomError(ron, "VoucherExpired");
+
+            const { award, signature } = await sign({ user: user1.address, amount: 100, reason: "Once", nonce: 1n });
+            await ron.connect(user1).redeemRONVoucher(award, signature);
+            await expect(ron.connect(user1).redeemRONVoucher(award, signature))
+                .to.be.revertedWithCustomError(ron, "VoucherNonceUsed").withArgs(oracle.address, 1);
+
+            // Editing a field recovers a different, unauthorised signer
+            await expect(ron.connect(user2).redeemRONVoucher({ ...award, user: user2.address }, signature))
+                .to.be.revertedWithCustomError(ron, "InvalidVoucherSigner");
+        });
+
+        it("Should enforce signer caps and revocation", async function () {
+            const { ron, owner, oracle, user1, user2, sign } = await loadFixture(deployVoucherFixture);
+
+            const overCap = await sign({ user: user1.address, amount: 5001, reason: "Too generous" });
+            await expect(ron.connect(user1).redeemRONVoucher(overCap.award, overCap.signature))
+                .to.be.revertedWithCustomError(ron, "VoucherCapExceeded").withArgs(oracle.address, 5001, 5000);
+
+            // Signers can cancel single vouchers before they are redeemed
+            const cancelled = await sign({ user: user1.address, amount: 100, reason: "Withdrawn", nonce: 2n });
+            await expect(ron.connect(oracle).cancelRONVoucher(2))
+                .to.emit(ron, "RONVoucherCancelled").withArgs(oracle.address, 2);
+            await expect(ron.connect(user1).redeemRONVoucher(cancelled.award, cancelled.signature))
+                .to.be.revertedWithCustomError(ron, "VoucherNonceUsed");
+
+            // Vouchers from accounts without the role are worthless, as are a signer's after revocation
+            const forged = await sign({ user: user2.address, amount: 100, reason: "Forged" }, user2);
+            await expect(ron.connect(user2).redeemRONVoucher(forged.award, forged.signature))
+                .to.be.revertedWithCustomError(ron, "InvalidVoucherSigner").withArgs(user2.address);
+
+            const outstanding = await sign({ user: user1.address, amount: 100, reason: "Outstanding" });
+            await ron.connect(owner).revokeRole(await ron.VOUCHER_SIGNER_ROLE(), oracle.address);
+            await expect(ron.connect(user1).redeemRONVoucher(outstanding.award, outstanding.signature))
+                .to.be.revertedWithCustomError(ron, "InvalidVoucherSigner").withArgs(oracle.address);
+        });
+    });
+
+    describe("Merkle Distributions", function () {
+        async function deployDistributionFixture() {
+            const fixture = await deployRONUpgradeableFixture();
+            const { ron, owner, user1, user2, user3 } = fixture;
+
+            const tree = buildDistributionTree(parseDistributionCSV([
+                "user,amount,reason",
+                `${user1.address},1500,Season 1 retro`,
+                `${user2.address},200,"Season 1, top 100"`,
+                `${user1.address},50,Beta tester`,
+                `${user3.address},25,Season 1 retro`
+            ].join("\n")));
+            await ron.connect(owner).publishRONDistribution(tree.root, tree.totalAmount);
+
+            const claim = (signer, entry, proof = getDistributionProof(tree, entry)) =>
+                ron.connect(signer).claimDistributedRON(1, entry.index, entry.amount, entry.reason, proof);
+
+            return { ...fixture, tree, claim };
+        }
+
+        it("Should let players claim each of their entries once", async function () {
+            const { ron, user1, user2, tree, claim } = await loadFixture(deployDistributionFixture);
+            const [retro, top100, beta] = tree.entries;
+
+            expect(await ron.ronDistributions(1)).to.deep.equal([tree.root, 1775n, 0n]);
+            await expect(claim(user1, retro))
+                .to.emit(ron, "DistributedRONClaimed").withArgs(1, 0, user1.address, 1500)
+                .and.to.emit(ron, "BonusApplied").withArgs(user1.address, 0, 1500, "Season 1 retro");
+            await claim(user1, beta);
+            await claim(user2, top100);
+
+            expect(await ron.balanceOf(user1.address)).to.equal(1550);
+            expect(await ron.getUserTier(user1.address)).to.equal(1); // SOLVER
+            expect(await ron.balanceOf(user2.address)).to.equal(200);
+            expect((await ron.getUserStats(user1.address))[2]).to.equal(0); // not counted as solves
+            expect(await ron.isDistributionClaimed(1, 0)).to.be.true;
+            expect(await ron.isDistributionClaimed(1, 3)).to.be.false;
+            expect((await ron.ronDistributions(1)).claimedAmount).to.equal(1750);
+
+            await expect(claim(user1, retro))
+                .to.be.revertedWithCustomError(ron, "DistributionAlreadyClaimed").withArgs(1, 0);
+        });
+
+        it("Should reject claims that are not in the tree", async function () {
+            const { ron, user1, user2, tree, claim } = await loadFixture(deployDistributionFixture);
+            const [retro] = tree.entries;
+
+            // Another player's entry, an inflated amount and an unpublished epoch
+            await expect(claim(user2, retro)).to.be.revertedWithCustomError(ron, "InvalidDistributionProof");
+            await expect(claim(user1, { ...retro, amount: 15000n }, getDistributionProof(tree, retro)))
+                .to.be.revertedWithCustomError(ron, "InvalidDistributionProof");
+            await expect(ron.connect(user1).claimDistributedRON(2, 0, 1500, "Season 1 retro", []))
+                .to.be.revertedWithCustomError(ron, "DistributionNotFound").withArgs(2);
+        });
+
+        it("Should cap epochs at their published total and restrict publishing to admins", async function () {
+            const { ron, owner, user1, user3, tree, claim } = await loadFixture(deployDistributionFixture);
+
+            await expect(ron.connect(user1).publishRONDistribution(tree.root, tree.totalAmount))
+                .to.be.revertedWithCustomError(ron, "AccessControlUnauthorizedAccount");
+
+            // A second epoch reusing the tree but funding less than it lists
+            await expect(ron.connect(owner).publishRONDistribution(tree.root, 1520))
+                .to.emit(ron, "RONDistributionPublished").withArgs(2, tree.root, 1520);
+            const [retro, , , small] = tree.entries;
+            const proof = (entry) => getDistributionProof(tree, entry);
+
+            await ron.connect(user1).claimDistributedRON(2, retro.index, retro.amount, retro.reason, proof(retro));
+            await expect(ron.connect(user3).claimDistributedRON(2, small.index, small.amount, small.reason, proof(small)))
+                .to.be.revertedWithCustomError(ron, "DistributionExhausted").withArgs(2, 1525, 1520);
+
+            // Epochs are independent
+            await expect(claim(user3, small)).to.emit(ron, "DistributedRONClaimed");
+        });
+
+        it("Should pay entries outside the single-award and daily mint limits", async function () {
+            const { ron, owner, gameContract, user1, user2, user3 } = await loadFixture(deployDistributionFixture);
+
+            const tree = buildDistributionTree([
+                { user: user1.address, amount: 60000n, reason: "Season 1 champion" },
+                { user: user2.address, amount: 1000000n, reason: "Season 1 pool" }
+            ]);
+            await ron.connect(owner).publishRONDistribution(tree.root, tree.totalAmount);
+            for (const [signer, entry] of [[user1, tree.entries[0]], [user2, tree.entries[1]]]) {
+                await ron.connect(signer).claimDistributedRON(
+                    2, entry.index, entry.amount, entry.reason, getDistributionProof(tree, entry)
+                );
+            }
+
+            expect(await ron.balanceOf(user1.address)).to.equal(60000);
+            expect(await ron.balanceOf(user2.address)).to.equal(1000000);
+            const today = BigInt(await time.latest()) / 86400n;
+            expect(await ron.dailyRONMinted(today)).to.equal(0);
+
+            // Game awards keep their own limits and daily budget
+            await expect(ron.connect(gameContract).awardBonusRON(user3.address, 60000, "Too large"))
+                .to.be.revertedWithCustomError(ron, "SingleAwardLimitExceeded");
+            await ron.connect(gameContract).awardBonusRON(user3.address, 100, "Event prize");
+            expect(await ron.dailyRONMinted(today)).to.equal(100);
+        });
+    });
+
     describe("Tier System", function () {
         it("Should start users in NOVICE tier", async function () {
             const { ron, user1 } = await loadFixture(deployRONUpgradeableFixture);
@@ -460,6 +647,116 @@ describe("RONUpgradeable", function () {
         });
     });
 
+    describe("Checkpoints", function () {
+        it("Should report past RON balances and totals on the timestamp clock", async function () {
+            const { ron, oracle, user1, user2 } = await loadFixture(deployRONUpgradeableFixture);
+            expect(await ron.CLOCK_MODE()).to.equal("mode=timestamp");
+
+            await ron.connect(oracle).awardValidationRON(user1.address, 100, "Oracle validation");
+            const first = await time.latest();
+            await time.increase(60);
+            await ron.connect(oracle).awardValidationRON(user2.address, 50, "Oracle validation");
+            const second = await time.latest();
+            await time.increase(60);
+            await ron.connect(oracle).awardValidationRON(user1.address, 25, "Oracle validation");
+            const third = await time.latest();
+            await time.increase(60);
+
+            expect(await ron.getPastRON(user1.address, first - 1)).to.equal(0);
+            expect(await ron.getPastRON(user1.address, first)).to.equal(100);
+            expect(await ron.getPastRON(user1.address, third - 1)).to.equal(100);
+            expect(await ron.getPastRON(user1.address, third)).to.equal(125);
+            expect(await ron.getPastRON(user2.address, second)).to.equal(50);
+            expect(await ron.getPastTotalRON(second)).to.equal(150);
+            expect(await ron.getPastTotalRON(third)).to.equal(175);
+        });
+
+        it("Should reject lookups that are not in the past", async function () {
+            const { ron, user1 } = await loadFixture(deployRONUpgradeableFixture);
+            const now = await ron.clock();
+
+            await expect(ron.getPastRON(user1.address, now + 1n))
+                .to.be.revertedWithCustomError(ron, "ERC5805FutureLookup");
+            await expect(ron.getPastTotalRON(now + 1n))
+                .to.be.revertedWithCustomError(ron, "ERC5805FutureLookup");
+        });
+    });
+
+    describe("Reputation Decay", function () {
+        const DAY = 24 * 60 * 60;
+        const HALF_LIVES = [0, 30 * DAY, 60 * DAY, 90 * DAY]; // NOVICE, SOLVER, EXPERT, ORACLE
+
+        it("Should decay balances on read by tier half-life once the grace period ends", async function () {
+            const { ron, owner, oracle, user1 } = await loadFixture(deployRONUpgradeableFixture);
+
+            await expect(ron.connect(owner).setDecayConfig(HALF_LIVES, 7 * DAY))
+                .to.emit(ron, "DecayConfigUpdated")
+                .withArgs(HALF_LIVES, 7 * DAY);
+
+            await ron.connect(oracle).awardValidationRON(user1.address, 4000, "Oracle validation");
+            const awardedAt = await time.latest();
+
+            await time.increaseTo(awardedAt + 7 * DAY);
+            expect(await ron.balanceOf(user1.address)).to.equal(4000);
+
+            await time.increaseTo(awardedAt + 37 * DAY);
+            expect(await ron.balanceOf(user1.address)).to.be.closeTo(2000, 1);
+            expect((await ron.getUserStats(user1.address)).totalRON).to.be.closeTo(2000, 1);
+            expect(await ron.getUserTier(user1.address)).to.equal(1); // Still SOLVER
+
+            // Nothing is written until the decay is materialised
+            expect(await ron.getPastRON(user1.address, awardedAt)).to.equal(4000);
+        });
+
+        it("Should materialise demotions through keeper upkeep and settle decay before new awards", async function () {
+            const { ron, owner, oracle, user1, user2 } = await loadFixture(deployRONUpgradeableFixture);
+            await ron.connect(owner).setDecayConfig(HALF_LIVES, 7 * DAY);
+
+            await ron.connect(oracle).awardValidationRON(user1.address, 1500, "Oracle validation");
+            await ron.connect(oracle).awardValidationRON(user2.address, 500, "Oracle validation");
+            expect(await ron.decayHolders(0)).to.equal(user1.address); // NOVICE balances are not tracked
+
+            let [upkeepNeeded] = await ron.checkUpkeep("0x");
+            expect(upkeepNeeded).to.be.false;
+
+            await time.increase(37 * DAY);
+            let performData;
+            [upkeepNeeded, performData] = await ron.checkUpkeep("0x");
+            expect(upkeepNeeded).to.be.true;
+            expect(ethers.AbiCoder.defaultAbiCoder().decode(["address[]"], performData)[0]).to.deep.equal([user1.address]);
+
+            await expect(ron.performUpkeep(performData))
+                .to.emit(ron, "ReputationDecayed")
+                .and.to.emit(ron, "TierDemoted")
+                .withArgs(user1.address, 1, 0, (totalRON) => totalRON < 1000n);
+
+            const decayed = (await ron.userStats(user1.address)).totalRON;
+            expect(decayed).to.be.closeTo(750, 1);
+            const demotedAt = await time.latest();
+            await time.increase(1);
+            expect(await ron.getPastTotalRON(demotedAt - 1)).to.equal(2000);
+            expect(await ron.getPastTotalRON(demotedAt)).to.equal(500n + decayed);
+            [upkeepNeeded] = await ron.checkUpkeep("0x");
+            expect(upkeepNeeded).to.be.false;
+
+            // Decay already written is not applied again, and new activity restarts the grace period
+            await ron.connect(oracle).awardValidationRON(user1.address, 100, "Oracle validation");
+            await time.increase(7 * DAY);
+            expect(await ron.balanceOf(user1.address)).to.equal(decayed + 100n);
+        });
+
+        it("Should restrict decay configuration to admins within bounds", async function () {
+            const { ron, owner, user1 } = await loadFixture(deployRONUpgradeableFixture);
+
+            await expect(ron.connect(user1).setDecayConfig(HALF_LIVES, 7 * DAY))
+                .to.be.revertedWithCustomError(ron, "AccessControlUnauthorizedAccount");
+            await expect(ron.connect(owner).setDecayConfig([0, 0, 0, 11 * 365 * DAY], 7 * DAY))
+                .to.be.revertedWithCustomError(ron, "InvalidDecayConfig");
+            await expect(ron.connect(owner).setDecayConfig(HALF_LIVES, 11 * 365 * DAY))
+                .to.be.revertedWithCustomError(ron, "InvalidDecayConfig");
+        });
+    });
+
     describe("Soul-bound Token Properties", function () {
         it("Should prevent transfers", async function () {
             const { ron, user1, user2 } = await loadFixture(deployRONUpgradeableFixture);
@@ -603,8 +900,9 @@ describe("RONUpgradeable", function () {
             );
             const receipt = await tx.wait();
 
-            // Gas usage should be reasonable (this is a sanity check)
-            expect(receipt.gasUsed).to.be.lt(200000); // Less than 200k gas for award
+            // Gas usage should be reasonable (this is a sanity check). A first award
+            // also opens the user and total RON checkpoint histories
+            expect(receipt.gasUsed).to.be.lt(300000); // Less than 300k gas for award
         });
     });
 });
\ No newline at end of file
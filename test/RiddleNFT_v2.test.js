@@ -1,14 +1,26 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { time, mine, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { normalizeAnswer, hashAnswer, buildAnswerTree, getAnswerProof } = require("../scripts/utils/answers");
+const { getLinkedContractFactory } = require("../scripts/utils/libraries");
 
 describe("RiddleNFT Weekly System", function () {
+  // Commit an answer, wait out the reveal delay and reveal it
+  async function commitAndReveal(riddleNFT, user, tokenId, answer) {
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = await riddleNFT.computeCommitment(tokenId, user.address, answer, salt);
+    await riddleNFT.connect(user).commitAnswer(tokenId, commitment);
+    await mine(Number(await riddleNFT.revealDelayBlocks()));
+    return riddleNFT.connect(user).revealAnswer(tokenId, answer, salt);
+  }
+
   async function deploySystemFixture() {
     const [owner, admin, user1, user2, liquidity, devOps, creator] = await ethers.getSigners();
 
     // Deploy RDLN token
     const RDLN = await ethers.getContractFactory("RDLN");
-    const rdln = await RDLN.deploy(admin.address, admin.address, liquidity.address, devOps.address);
+    const rdln = await RDLN.deploy(admin.address, admin.address, liquidity.address, devOps.address, liquidity.address);
     await rdln.waitForDeployment();
 
     // Deploy RON reputation system
@@ -17,7 +29,7 @@ describe("RiddleNFT Weekly System", function () {
     await ron.waitForDeployment();
 
     // Deploy RiddleNFT system
-    const RiddleNFT = await ethers.getContractFactory("RiddleNFT");
+    const RiddleNFT = await getLinkedContractFactory(ethers, "RiddleNFT");
     const riddleNFT = await RiddleNFT.deploy(
       await rdln.getAddress(),
       await ron.getAddress(),
@@ -27,6 +39,31 @@ describe("RiddleNFT Weekly System", function () {
     );
     await riddleNFT.waitForDeployment();
 
+    // Secondary market; sellers approve it on the NFT before listing
+    const Marketplace = await ethers.getContractFactory("RiddleMarketplace");
+    const marketplace = await Marketplace.deploy(
+      await riddleNFT.getAddress(),
+      await rdln.getAddress(),
+      admin.address
+    );
+    await marketplace.waitForDeployment();
+
+    // Hint marketplace; the NFT reads hints bought per token on solve
+    const Hints = await ethers.getContractFactory("RiddleHints");
+    const hints = await Hints.deploy(
+      await riddleNFT.getAddress(),
+      await rdln.getAddress(),
+      admin.address
+    );
+    await hints.waitForDeployment();
+    await riddleNFT.connect(admin).setHintMarket(await hints.getAddress());
+
+    // Team registry; teammates play a shared token and split its prize on claim
+    const Teams = await ethers.getContractFactory("RiddleTeams");
+    const teams = await Teams.deploy(await riddleNFT.getAddress(), admin.address);
+    await teams.waitForDeployment();
+    await riddleNFT.connect(admin).setTeamRegistry(await teams.getAddress());
+
     // Setup roles
     const GAME_ROLE = await ron.GAME_ROLE();
     await ron.connect(admin).grantRole(GAME_ROLE, await riddleNFT.getAddress());
@@ -34,24 +71,62 @@ describe("RiddleNFT Weekly System", function () {
     const BURNER_ROLE = await rdln.BURNER_ROLE();
     await rdln.connect(admin).grantRole(BURNER_ROLE, await riddleNFT.getAddress());
 
+    const RDLN_GAME_ROLE = await rdln.GAME_ROLE();
+    await rdln.connect(admin).grantRole(RDLN_GAME_ROLE, await riddleNFT.getAddress());
+
     const CREATOR_ROLE = await riddleNFT.CREATOR_ROLE();
     await riddleNFT.connect(admin).grantRole(CREATOR_ROLE, creator.address);
 
-    // Mint prize pool allocation for the NFT contract
-    const prizeAllocation = ethers.parseEther("700000000"); // 700M RDLN
-    await rdln.connect(admin).mintPrizePool(await riddleNFT.getAddress(), prizeAllocation);
+    // Riddle prize pools are escrowed at release by minting from the prize allocation
+    const MINTER_ROLE = await rdln.MINTER_ROLE();
+    await rdln.connect(admin).grantRole(MINTER_ROLE, await riddleNFT.getAddress());
 
     const testAmount = ethers.parseEther("10000"); // 10K RDLN for testing
     await rdln.connect(admin).transfer(user1.address, testAmount);
     await rdln.connect(admin).transfer(user2.address, testAmount);
 
     return {
-      rdln, ron, riddleNFT,
+      rdln, ron, riddleNFT, marketplace, hints, teams,
       owner, admin, user1, user2, liquidity, devOps, creator,
       GAME_ROLE, CREATOR_ROLE, BURNER_ROLE
     };
   }
 
+  async function deployRandomnessFixture() {
+    const base = await deploySystemFixture();
+    const { riddleNFT, admin } = base;
+
+    const Coordinator = await ethers.getContractFactory("MockVRFCoordinatorV2");
+    const coordinator = await Coordinator.deploy();
+    await coordinator.waitForDeployment();
+
+    const Provider = await ethers.getContractFactory("ChainlinkRandomnessProvider");
+    const provider = await Provider.deploy(
+      await coordinator.getAddress(),
+      ethers.id("test-key-hash"),
+      1,      // subscriptionId
+      3,      // requestConfirmations
+      500000, // callbackGasLimit
+      admin.address
+    );
+    await provider.waitForDeployment();
+
+    await provider.connect(admin).grantRole(await provider.CONSUMER_ROLE(), await riddleNFT.getAddress());
+    await riddleNFT.connect(admin).setRandomnessProvider(await provider.getAddress());
+
+    return { ...base, coordinator, provider };
+  }
+
+  // Release a riddle and fulfil its randomness with a fixed word: winnerSlots = 1 + ((word >> 16) % 100)
+  async function releaseWithWord(riddleNFT, coordinator, creator, answerHash, word) {
+    const tx = await riddleNFT.connect(creator).releaseWeeklyRiddle("Test", 0, answerHash, "test");
+    const receipt = await tx.wait();
+    const riddleId = receipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased").args[0];
+    const requestId = receipt.logs.find(log => log.fragment?.name === "RiddleRandomnessRequested").args[1];
+    await coordinator.fulfillRandomWordsWithOverride(requestId, [word]);
+    return riddleId;
+  }
+
   describe("Deployment", function () {
     it("Should deploy with correct configuration", async function () {
       const { riddleNFT, rdln, ron, admin, liquidity, devOps } = await loadFixture(deploySystemFixture);
@@ -149,6 +224,174 @@ describe("RiddleNFT Weekly System", function () {
     });
   });
 
+  describe("Verifiable Randomness", function () {
+    async function releasePendingRiddle(riddleNFT, creator) {
+      const tx = await riddleNFT.connect(creator).releaseWeeklyRiddle(
+        "Test", 2, ethers.keccak256(ethers.toUtf8Bytes("42")), "test"
+      );
+      const receipt = await tx.wait();
+      const released = receipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased");
+      const requested = receipt.logs.find(log => log.fragment?.name === "RiddleRandomnessRequested");
+      return { riddleId: released.args[0], requestId: requested.args[1] };
+    }
+
+    it("Should hold released riddles in PENDING_RANDOMNESS", async function () {
+      const { riddleNFT, rdln, user1, creator } = await loadFixture(deployRandomnessFixture);
+
+      const { riddleId } = await releasePendingRiddle(riddleNFT, creator);
+      const riddle = await riddleNFT.getRiddle(riddleId);
+
+      expect(riddle.status).to.equal(3); // PENDING_RANDOMNESS
+      expect(riddle.params.maxMintRate).to.equal(0);
+      expect(riddle.params.winnerSlots).to.equal(0);
+
+      await rdln.connect(user1).approve(await riddleNFT.getAddress(), await riddleNFT.getCurrentMintCost());
+      await expect(
+        riddleNFT.connect(user1).mintRiddleNFT(riddleId)
+      ).to.be.revertedWith("Riddle not active");
+    });
+
+    it("Should finalize parameters from the fulfilled random word", async function () {
+      const { riddleNFT, rdln, coordinator, user1, creator } = await loadFixture(deployRandomnessFixture);
+
+      const { riddleId, requestId } = await releasePendingRiddle(riddleNFT, creator);
+
+      const word = 123456789n;
+      await expect(coordinator.fulfillRandomWordsWithOverride(requestId, [word]))
+        .to.emit(riddleNFT, "RiddleParametersFinalized");
+
+      const riddle = await riddleNFT.getRiddle(riddleId);
+      expect(riddle.status).to.equal(0); // ACTIVE
+      expect(riddle.params.maxMintRate).to.equal(10n + (word % 991n));
+      expect(riddle.params.winnerSlots).to.equal(1n + ((word >> 16n) % 100n));
+      expect(riddle.params.prizePool).to.be.gte(ethers.parseEther("1000000"));
+      expect(riddle.params.prizePool).to.be.lt(ethers.parseEther("5000000"));
+
+      await rdln.connect(user1).approve(await riddleNFT.getAddress(), await riddleNFT.getCurrentMintCost());
+      await expect(riddleNFT.connect(user1).mintRiddleNFT(riddleId))
+        .to.emit(riddleNFT, "RiddleNFTMinted");
+    });
+
+    it("Should only accept fulfilment from the randomness provider", async function () {
+      const { riddleNFT, provider, creator, user1 } = await loadFixture(deployRandomnessFixture);
+
+      const { requestId } = await releasePendingRiddle(riddleNFT, creator);
+
+      await expect(
+        riddleNFT.connect(user1).fulfillRandomness(requestId, [1])
+      ).to.be.revertedWith("Only randomness provider");
+
+      await expect(
+        provider.connect(user1).requestRandomness(1)
+      ).to.be.reverted;
+    });
+
+    it("Should allow admin to retry a stalled randomness request", async function () {
+      const { riddleNFT, coordinator, admin, creator } = await loadFixture(deployRandomnessFixture);
+
+      const { riddleId, requestId } = await releasePendingRiddle(riddleNFT, creator);
+
+      const retryTx = await riddleNFT.connect(admin).retryRiddleRandomness(riddleId);
+      const retryReceipt = await retryTx.wait();
+      const retried = retryReceipt.logs.find(log => log.fragment?.name === "RiddleRandomnessRequested");
+      const retryRequestId = retried.args[1];
+      expect(retryRequestId).to.not.equal(requestId);
+
+      await coordinator.fulfillRandomWords(retryRequestId);
+      expect((await riddleNFT.getRiddle(riddleId)).status).to.equal(0);
+
+      // The stale request can no longer change the riddle
+      const paramsBefore = (await riddleNFT.getRiddle(riddleId)).params;
+      await expect(coordinator.fulfillRandomWords(requestId))
+        .to.emit(coordinator, "RandomWordsFulfilled").withArgs(requestId, false);
+      expect((await riddleNFT.getRiddle(riddleId)).params.prizePool).to.equal(paramsBefore.prizePool);
+
+      await expect(
+        riddleNFT.connect(admin).retryRiddleRandomness(riddleId)
+      ).to.be.revertedWith("Riddle not pending randomness");
+    });
+
+    it("Should keep the random word when the prize pool cannot be funded yet", async function () {
+      const { riddleNFT, rdln, coordinator, admin, liquidity, creator } = await loadFixture(deployRandomnessFixture);
+
+      const { riddleId, requestId } = await releasePendingRiddle(riddleNFT, creator);
+      await rdln.connect(admin).mintPrizePool(liquidity.address, ethers.parseEther("20000000"));
+      await riddleNFT.connect(admin).setPrizeVault(liquidity.address); // No allowance yet
+
+      const word = 123456789n;
+      await expect(coordinator.fulfillRandomWordsWithOverride(requestId, [word]))
+        .to.emit(riddleNFT, "RiddleFundingPending").withArgs(riddleId, requestId)
+        .and.to.emit(coordinator, "RandomWordsFulfilled").withArgs(requestId, true);
+
+      expect((await riddleNFT.getRiddle(riddleId)).status).to.equal(4); // PENDING_FUNDING
+      expect(await riddleNFT.riddleRandomWords(riddleId)).to.equal(word);
+      await expect(
+        riddleNFT.connect(admin).retryRiddleRandomness(riddleId)
+      ).to.be.revertedWith("Riddle not pending randomness");
+      await expect(
+        riddleNFT.connect(admin).fundRiddlePrizePool(riddleId)
+      ).to.be.revertedWith("Insufficient prize funding");
+
+      await rdln.connect(liquidity).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+      await expect(riddleNFT.connect(admin).fundRiddlePrizePool(riddleId))
+        .to.emit(riddleNFT, "RiddleParametersFinalized");
+
+      const riddle = await riddleNFT.getRiddle(riddleId);
+      expect(riddle.status).to.equal(0); // ACTIVE
+      expect(riddle.params.winnerSlots).to.equal(1n + ((word >> 16n) % 100n));
+      expect(await riddleNFT.riddlePrizeEscrow(riddleId)).to.equal(riddle.params.prizePool);
+      await expect(
+        riddleNFT.connect(admin).fundRiddlePrizePool(riddleId)
+      ).to.be.revertedWith("Riddle not pending funding");
+    });
+
+    it("Should expire riddles whose randomness never arrives", async function () {
+      const { riddleNFT, coordinator, creator } = await loadFixture(deployRandomnessFixture);
+
+      const { riddleId, requestId } = await releasePendingRiddle(riddleNFT, creator);
+      await expect(riddleNFT.expireRiddle(riddleId)).to.be.revertedWith("Solve window open");
+
+      await time.increase(await riddleNFT.defaultSolveWindow());
+      await expect(riddleNFT.expireRiddle(riddleId))
+        .to.emit(riddleNFT, "RiddleExpired").withArgs(riddleId, 0);
+      expect((await riddleNFT.getRiddle(riddleId)).status).to.equal(2); // EXPIRED
+
+      // A late fulfilment no longer opens it
+      await expect(coordinator.fulfillRandomWords(requestId))
+        .to.emit(coordinator, "RandomWordsFulfilled").withArgs(requestId, false);
+    });
+
+    it("Should sweep the undivided remainder of a solved riddle's pool", async function () {
+      const { riddleNFT, rdln, coordinator, user1, user2, creator } = await loadFixture(deployRandomnessFixture);
+
+      // Two winner slots and an odd prize pool (1,000,000 RDLN + 257 wei)
+      const { riddleId, requestId } = await releasePendingRiddle(riddleNFT, creator);
+      await coordinator.fulfillRandomWordsWithOverride(requestId, [(1n << 16n) + (1n << 8n)]);
+      const { params } = await riddleNFT.getRiddle(riddleId);
+      expect(params.winnerSlots).to.equal(2);
+      expect(params.prizePool % 2n).to.equal(1n);
+
+      const tokenIds = [];
+      for (const user of [user1, user2]) {
+        await rdln.connect(user).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+        const receipt = await (await riddleNFT.connect(user).mintRiddleNFT(riddleId)).wait();
+        const tokenId = receipt.logs.find(log => log.fragment?.name === "RiddleNFTMinted").args[0];
+        await commitAndReveal(riddleNFT, user, tokenId, "42");
+        tokenIds.push(tokenId);
+      }
+      expect((await riddleNFT.getRiddle(riddleId)).status).to.equal(1); // SOLVED
+
+      await riddleNFT.connect(user1).claimPrize(tokenIds[0]);
+      await riddleNFT.connect(user2).claimPrize(tokenIds[1]);
+      expect(await riddleNFT.riddlePrizeEscrow(riddleId)).to.equal(1);
+
+      await time.increase((await riddleNFT.claimPeriod()) + 1n);
+      await expect(riddleNFT.sweepUnclaimedPrizes(riddleId))
+        .to.emit(riddleNFT, "UnclaimedPrizesSwept").withArgs(riddleId, 1);
+      expect(await riddleNFT.riddlePrizeEscrow(riddleId)).to.equal(0);
+    });
+  });
+
   describe("NFT Minting", function () {
     async function createTestRiddle(riddleNFT, creator) {
       const tx = await riddleNFT.connect(creator).releaseWeeklyRiddle(
@@ -238,14 +481,14 @@ describe("RiddleNFT Weekly System", function () {
 
       // First attempt (should cost 1 RDLN)
       await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("1"));
-      await riddleNFT.connect(user1).attemptSolution(tokenId, "wrong answer");
+      await commitAndReveal(riddleNFT, user1, tokenId, "wrong answer");
 
       let nftData = await riddleNFT.getNFTSolveData(tokenId);
       expect(nftData.failedAttempts).to.equal(1);
 
       // Second attempt (should cost 2 RDLN)
       await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("2"));
-      await riddleNFT.connect(user1).attemptSolution(tokenId, "still wrong");
+      await commitAndReveal(riddleNFT, user1, tokenId, "still wrong");
 
       nftData = await riddleNFT.getNFTSolveData(tokenId);
       expect(nftData.failedAttempts).to.equal(2);
@@ -259,7 +502,7 @@ describe("RiddleNFT Weekly System", function () {
       // First attempt with correct answer
       await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("1"));
 
-      const tx = await riddleNFT.connect(user1).attemptSolution(tokenId, "42");
+      const tx = await commitAndReveal(riddleNFT, user1, tokenId, "42");
       const receipt = await tx.wait();
 
       const solvedEvent = receipt.logs.find(log => log.fragment?.name === "RiddleSolved");
@@ -271,6 +514,42 @@ describe("RiddleNFT Weekly System", function () {
       expect(nftData.prizeAmount).to.be.gt(0);
     });
 
+    it("Should report solves to every registered solve hook", async function () {
+      const { riddleNFT, rdln, ron, admin, user1, creator } = await loadFixture(deploySystemFixture);
+
+      const SeasonLeaderboard = await ethers.getContractFactory("SeasonLeaderboard");
+      const leaderboard = await SeasonLeaderboard.deploy(await rdln.getAddress(), await ron.getAddress(), admin.address);
+      await leaderboard.connect(admin).grantRole(await leaderboard.GAME_ROLE(), await riddleNFT.getAddress());
+      await leaderboard.connect(admin).startSeason(7 * 24 * 60 * 60, 0, 0, 10);
+
+      const AchievementBadges = await ethers.getContractFactory("AchievementBadges");
+      const badges = await AchievementBadges.deploy(await ron.getAddress(), admin.address);
+      await badges.connect(admin).grantRole(await badges.GAME_ROLE(), await riddleNFT.getAddress());
+
+      await expect(riddleNFT.connect(user1).addSolveHook(await leaderboard.getAddress()))
+        .to.be.revertedWithCustomError(riddleNFT, "AccessControlUnauthorizedAccount");
+      await riddleNFT.connect(admin).addSolveHook(await leaderboard.getAddress());
+      await riddleNFT.connect(admin).addSolveHook(await badges.getAddress());
+      await expect(riddleNFT.connect(admin).addSolveHook(await badges.getAddress())).to.be.revertedWith("Hook already added");
+      expect(await riddleNFT.getSolveHooks()).to.deep.equal([await leaderboard.getAddress(), await badges.getAddress()]);
+
+      const { tokenId, riddleId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("1"));
+
+      // EASY (10) + speed (5) + first solver (10)
+      const tx = commitAndReveal(riddleNFT, user1, tokenId, "42");
+      await expect(tx)
+        .to.emit(leaderboard, "SeasonPointsAwarded")
+        .withArgs(1, user1.address, await riddleNFT.getAddress(), riddleId, 25, 25);
+      await expect(tx).to.emit(badges, "BadgeAwarded").withArgs(user1.address, 2, 2); // First Solver
+      expect(await leaderboard.getRank(1, user1.address)).to.equal(1);
+      expect(await badges.getBadgesOf(user1.address)).to.deep.equal([1n, 2n]);
+
+      await riddleNFT.connect(admin).removeSolveHook(await leaderboard.getAddress());
+      expect(await riddleNFT.getSolveHooks()).to.deep.equal([await badges.getAddress()]);
+      await expect(riddleNFT.connect(admin).removeSolveHook(await leaderboard.getAddress())).to.be.revertedWith("Hook not found");
+    });
+
     it("Should prevent duplicate solutions from same user", async function () {
       const { riddleNFT, rdln, user1, creator } = await loadFixture(deploySystemFixture);
 
@@ -278,7 +557,7 @@ describe("RiddleNFT Weekly System", function () {
 
       // Solve the riddle
       await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("1"));
-      await riddleNFT.connect(user1).attemptSolution(tokenId, "42");
+      await commitAndReveal(riddleNFT, user1, tokenId, "42");
 
       // Try to solve again with another NFT
       const mintCost = await riddleNFT.getCurrentMintCost();
@@ -290,11 +569,193 @@ describe("RiddleNFT Weekly System", function () {
 
       await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("1"));
       await expect(
-        riddleNFT.connect(user1).attemptSolution(tokenId2, "42")
+        commitAndReveal(riddleNFT, user1, tokenId2, "42")
       ).to.be.revertedWith("User already solved this riddle");
     });
   });
 
+  describe("Commit-Reveal Answers", function () {
+    async function createTestNFT(riddleNFT, rdln, user, creator, riddleId) {
+      if (riddleId === undefined) {
+        riddleId = await createTestRiddle(riddleNFT, creator);
+      }
+
+      const mintCost = await riddleNFT.getCurrentMintCost();
+      await rdln.connect(user).approve(await riddleNFT.getAddress(), mintCost);
+
+      const tx = await riddleNFT.connect(user).mintRiddleNFT(riddleId);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "RiddleNFTMinted");
+
+      return { tokenId: event.args[0], riddleId };
+    }
+
+    async function createTestRiddle(riddleNFT, creator) {
+      const tx = await riddleNFT.connect(creator).releaseWeeklyRiddle(
+        "Test", 0, ethers.keccak256(ethers.toUtf8Bytes("42")), "test"
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased");
+      return event.args[0];
+    }
+
+    it("Should record commitments without revealing the answer", async function () {
+      const { riddleNFT, rdln, user1, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId, riddleId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      const salt = ethers.id("salt");
+      const commitment = await riddleNFT.computeCommitment(tokenId, user1.address, "42", salt);
+
+      expect(commitment).to.equal(ethers.solidityPackedKeccak256(
+        ["uint256", "address", "string", "bytes32"],
+        [tokenId, user1.address, "42", salt]
+      ));
+
+      await expect(riddleNFT.connect(user1).commitAnswer(tokenId, commitment))
+        .to.emit(riddleNFT, "AnswerCommitted");
+
+      const stored = await riddleNFT.answerCommitments(tokenId);
+      expect(stored.commitment).to.equal(commitment);
+      expect(stored.committer).to.equal(user1.address);
+
+      // Committing burns nothing; the attempt is only charged on reveal
+      const nftData = await riddleNFT.getNFTSolveData(tokenId);
+      expect(nftData.failedAttempts).to.equal(0);
+      expect(nftData.riddleId).to.equal(riddleId);
+    });
+
+    it("Should prevent front-running a revealed answer", async function () {
+      const { riddleNFT, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId, riddleId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      const { tokenId: attackerToken } = await createTestNFT(riddleNFT, rdln, user2, creator, riddleId);
+
+      const salt = ethers.id("user1-salt");
+      const commitment = await riddleNFT.computeCommitment(tokenId, user1.address, "42", salt);
+      await riddleNFT.connect(user1).commitAnswer(tokenId, commitment);
+      await mine(Number(await riddleNFT.revealDelayBlocks()));
+
+      // Attacker copies the answer and salt from the pending reveal without a commitment
+      await expect(
+        riddleNFT.connect(user2).revealAnswer(attackerToken, "42", salt)
+      ).to.be.revertedWith("No commitment");
+
+      // Copying the victim's commitment hash does not help either
+      await riddleNFT.connect(user2).commitAnswer(attackerToken, commitment);
+      await mine(Number(await riddleNFT.revealDelayBlocks()));
+      await expect(
+        riddleNFT.connect(user2).revealAnswer(attackerToken, "42", salt)
+      ).to.be.revertedWith("Commitment mismatch");
+
+      await expect(riddleNFT.connect(user1).revealAnswer(tokenId, "42", salt))
+        .to.emit(riddleNFT, "RiddleSolved");
+
+      const nftData = await riddleNFT.getNFTSolveData(tokenId);
+      expect(nftData.solved).to.equal(true);
+      expect(nftData.wasFirstSolver).to.equal(true);
+    });
+
+    it("Should enforce the minimum reveal delay", async function () {
+      const { riddleNFT, rdln, user1, admin, creator } = await loadFixture(deploySystemFixture);
+
+      await riddleNFT.connect(admin).updateCommitRevealWindow(5, 100);
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+
+      const salt = ethers.id("salt");
+      const commitment = await riddleNFT.computeCommitment(tokenId, user1.address, "42", salt);
+      await riddleNFT.connect(user1).commitAnswer(tokenId, commitment);
+
+      await expect(
+        riddleNFT.connect(user1).revealAnswer(tokenId, "42", salt)
+      ).to.be.revertedWith("Reveal too early");
+
+      await mine(4);
+      await expect(riddleNFT.connect(user1).revealAnswer(tokenId, "42", salt))
+        .to.emit(riddleNFT, "RiddleSolved");
+    });
+
+    it("Should reject expired commitments and allow a fresh commit", async function () {
+      const { riddleNFT, rdln, user1, admin, creator } = await loadFixture(deploySystemFixture);
+
+      await riddleNFT.connect(admin).updateCommitRevealWindow(1, 10);
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+
+      const salt = ethers.id("salt");
+      const commitment = await riddleNFT.computeCommitment(tokenId, user1.address, "wrong", salt);
+      await riddleNFT.connect(user1).commitAnswer(tokenId, commitment);
+
+      // A pending commitment cannot be replaced by its owner
+      await expect(
+        riddleNFT.connect(user1).commitAnswer(tokenId, commitment)
+      ).to.be.revertedWith("Pending commitment");
+
+      await mine(11);
+      await expect(
+        riddleNFT.connect(user1).revealAnswer(tokenId, "wrong", salt)
+      ).to.be.revertedWith("Commitment expired");
+
+      // Expired commit burned nothing
+      expect((await riddleNFT.getNFTSolveData(tokenId)).failedAttempts).to.equal(0);
+
+      await commitAndReveal(riddleNFT, user1, tokenId, "wrong");
+      expect((await riddleNFT.getNFTSolveData(tokenId)).failedAttempts).to.equal(1);
+    });
+
+    it("Should reject reveals by non-owners after a resale", async function () {
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+
+      const salt = ethers.id("seller-salt");
+      const commitment = await riddleNFT.computeCommitment(tokenId, user1.address, "42", salt);
+      await riddleNFT.connect(user1).commitAnswer(tokenId, commitment);
+
+      const resalePrice = ethers.parseEther("1");
+      await riddleNFT.connect(user1).setApprovalForAll(await marketplace.getAddress(), true);
+      await marketplace.connect(user1).setResalePrice(tokenId, resalePrice);
+      await rdln.connect(user2).approve(await marketplace.getAddress(), resalePrice);
+      await marketplace.connect(user2).buyNFT(tokenId);
+      await mine(Number(await riddleNFT.revealDelayBlocks()));
+
+      // Seller no longer owns the NFT
+      await expect(
+        riddleNFT.connect(user1).revealAnswer(tokenId, "42", salt)
+      ).to.be.revertedWith("Not token owner");
+
+      // Buyer cannot reveal the seller's commitment
+      await expect(
+        riddleNFT.connect(user2).revealAnswer(tokenId, "42", salt)
+      ).to.be.revertedWith("Not committer");
+
+      // Buyer replaces the stale commitment with their own
+      await expect(commitAndReveal(riddleNFT, user2, tokenId, "42"))
+        .to.emit(riddleNFT, "RiddleSolved");
+
+      const nftData = await riddleNFT.getNFTSolveData(tokenId);
+      expect(nftData.solver).to.equal(user2.address);
+    });
+
+    it("Should validate commit-reveal window updates", async function () {
+      const { riddleNFT, admin, user1 } = await loadFixture(deploySystemFixture);
+
+      await expect(
+        riddleNFT.connect(admin).updateCommitRevealWindow(0, 10)
+      ).to.be.revertedWith("Reveal delay required");
+
+      await expect(
+        riddleNFT.connect(admin).updateCommitRevealWindow(10, 10)
+      ).to.be.revertedWith("Expiry before reveal delay");
+
+      await expect(
+        riddleNFT.connect(user1).updateCommitRevealWindow(2, 100)
+      ).to.be.reverted;
+
+      await riddleNFT.connect(admin).updateCommitRevealWindow(3, 600);
+      expect(await riddleNFT.revealDelayBlocks()).to.equal(3);
+      expect(await riddleNFT.commitExpiryBlocks()).to.equal(600);
+    });
+  });
+
   describe("Prize System", function () {
     it("Should allow prize claims for solved NFTs", async function () {
       const { riddleNFT, rdln, user1, creator } = await loadFixture(deploySystemFixture);
@@ -302,7 +763,7 @@ describe("RiddleNFT Weekly System", function () {
       // Create test NFT and solve it
       const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
       await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("1"));
-      await riddleNFT.connect(user1).attemptSolution(tokenId, "42");
+      await commitAndReveal(riddleNFT, user1, tokenId, "42");
 
       const initialBalance = await rdln.balanceOf(user1.address);
 
@@ -339,49 +800,61 @@ describe("RiddleNFT Weekly System", function () {
   });
 
   describe("Resale System", function () {
+    // Approve the marketplace and list the token for RDLN (or native currency)
+    async function listToken(riddleNFT, marketplace, seller, tokenId, price, native = false) {
+      await riddleNFT.connect(seller).setApprovalForAll(await marketplace.getAddress(), true);
+      if (native) {
+        await marketplace.connect(seller).setNativeResalePrice(tokenId, price);
+      } else {
+        await marketplace.connect(seller).setResalePrice(tokenId, price);
+      }
+    }
+
     it("Should handle NFT resales with commissions", async function () {
-      const { riddleNFT, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
 
       const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
 
       // Set resale price
       const resalePrice = ethers.parseEther("10");
-      await riddleNFT.connect(user1).setResalePrice(tokenId, resalePrice);
+      await listToken(riddleNFT, marketplace, user1, tokenId, resalePrice);
 
-      const resaleInfo = await riddleNFT.getResaleInfo(tokenId);
+      const resaleInfo = await marketplace.getResaleInfo(tokenId);
       expect(resaleInfo.forSale).to.equal(true);
       expect(resaleInfo.price).to.equal(resalePrice);
       expect(resaleInfo.seller).to.equal(user1.address);
 
-      // Buy NFT
-      await riddleNFT.connect(user2).buyNFT(tokenId, { value: resalePrice });
+      // Buy NFT with RDLN
+      await rdln.connect(user2).approve(await marketplace.getAddress(), resalePrice);
+      await marketplace.connect(user2).buyNFT(tokenId);
 
       expect(await riddleNFT.ownerOf(tokenId)).to.equal(user2.address);
 
       const nftData = await riddleNFT.getNFTSolveData(tokenId);
       expect(nftData.currentOwner).to.equal(user2.address);
 
-      const finalResaleInfo = await riddleNFT.getResaleInfo(tokenId);
+      const finalResaleInfo = await marketplace.getResaleInfo(tokenId);
       expect(finalResaleInfo.forSale).to.equal(false);
     });
 
     it("Should track failed attempts across resales", async function () {
-      const { riddleNFT, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
 
       const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
 
       // Make failed attempts
       await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("3"));
-      await riddleNFT.connect(user1).attemptSolution(tokenId, "wrong1");
-      await riddleNFT.connect(user1).attemptSolution(tokenId, "wrong2");
+      await commitAndReveal(riddleNFT, user1, tokenId, "wrong1");
+      await commitAndReveal(riddleNFT, user1, tokenId, "wrong2");
 
       let nftData = await riddleNFT.getNFTSolveData(tokenId);
       expect(nftData.failedAttempts).to.equal(2);
 
       // Resell NFT
       const resalePrice = ethers.parseEther("5");
-      await riddleNFT.connect(user1).setResalePrice(tokenId, resalePrice);
-      await riddleNFT.connect(user2).buyNFT(tokenId, { value: resalePrice });
+      await listToken(riddleNFT, marketplace, user1, tokenId, resalePrice);
+      await rdln.connect(user2).approve(await marketplace.getAddress(), resalePrice);
+      await marketplace.connect(user2).buyNFT(tokenId);
 
       // Check attempts persisted
       nftData = await riddleNFT.getNFTSolveData(tokenId);
@@ -394,6 +867,158 @@ describe("RiddleNFT Weekly System", function () {
       expect(nextCost).to.equal(ethers.parseEther("3"));
     });
 
+    it("Should require marketplace approval to list", async function () {
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+
+      await expect(
+        marketplace.connect(user1).setResalePrice(tokenId, ethers.parseEther("1"))
+      ).to.be.revertedWith("Marketplace not approved");
+      await expect(
+        marketplace.connect(user2).setResalePrice(tokenId, ethers.parseEther("1"))
+      ).to.be.revertedWith("Not token owner");
+
+      // Approving just this token is enough
+      await riddleNFT.connect(user1).approve(await marketplace.getAddress(), tokenId);
+      await marketplace.connect(user1).setResalePrice(tokenId, ethers.parseEther("1"));
+      expect((await marketplace.getResaleInfo(tokenId)).forSale).to.equal(true);
+
+      // A zero price delists
+      await marketplace.connect(user1).setResalePrice(tokenId, 0);
+      expect((await marketplace.getResaleInfo(tokenId)).forSale).to.equal(false);
+    });
+
+    it("Should lapse a listing once the seller no longer holds the token", async function () {
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      const resalePrice = ethers.parseEther("1");
+      await listToken(riddleNFT, marketplace, user1, tokenId, resalePrice);
+
+      // The new holder has approved the marketplace too, but never listed the token
+      await riddleNFT.connect(user1).transferFrom(user1.address, user2.address, tokenId);
+      await riddleNFT.connect(user2).setApprovalForAll(await marketplace.getAddress(), true);
+
+      expect((await marketplace.getResaleInfo(tokenId)).forSale).to.equal(false);
+      await rdln.connect(user1).approve(await marketplace.getAddress(), resalePrice);
+      await expect(marketplace.connect(user1).buyNFT(tokenId)).to.be.revertedWith("NFT not for sale");
+    });
+
+    it("Should burn the RDLN burn share and pay commissions in RDLN", async function () {
+      const { riddleNFT, marketplace, rdln, user1, user2, liquidity, devOps, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+
+      const resalePrice = ethers.parseEther("100");
+      await listToken(riddleNFT, marketplace, user1, tokenId, resalePrice);
+      await rdln.connect(user2).approve(await marketplace.getAddress(), resalePrice);
+
+      const supplyBefore = await rdln.totalSupply();
+      const sellerBefore = await rdln.balanceOf(user1.address);
+      const grandPrizeBefore = await rdln.balanceOf(liquidity.address);
+      const devOpsBefore = await rdln.balanceOf(devOps.address);
+
+      await expect(marketplace.connect(user2).buyNFT(tokenId))
+        .to.emit(marketplace, "CommissionDistributed")
+        .withArgs(resalePrice, ethers.parseEther("50"), ethers.parseEther("25"), ethers.parseEther("25"));
+
+      expect(await rdln.totalSupply()).to.equal(supplyBefore - ethers.parseEther("50"));
+      expect(await rdln.balanceOf(liquidity.address)).to.equal(grandPrizeBefore + ethers.parseEther("25"));
+      expect(await rdln.balanceOf(devOps.address)).to.equal(devOpsBefore + ethers.parseEther("25"));
+      expect(await rdln.balanceOf(user1.address)).to.equal(sellerBefore);
+      expect(await rdln.balanceOf(await marketplace.getAddress())).to.equal(0);
+      expect(await marketplace.totalBurned()).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should pay the seller their share after commissions", async function () {
+      const { riddleNFT, marketplace, rdln, admin, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      await riddleNFT.connect(admin).updateCommissionRates(1000, 500, 500);
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+
+      const resalePrice = ethers.parseEther("100");
+      await listToken(riddleNFT, marketplace, user1, tokenId, resalePrice);
+      await rdln.connect(user2).approve(await marketplace.getAddress(), resalePrice);
+
+      const sellerBefore = await rdln.balanceOf(user1.address);
+      await marketplace.connect(user2).buyNFT(tokenId);
+
+      expect(await rdln.balanceOf(user1.address)).to.equal(sellerBefore + ethers.parseEther("80"));
+    });
+
+    it("Should route the native burn share through the swap adapter", async function () {
+      const { riddleNFT, marketplace, rdln, admin, user1, user2, liquidity, devOps, creator } = await loadFixture(deploySystemFixture);
+
+      // 1 native = 1000 RDLN
+      const Adapter = await ethers.getContractFactory("MockSwapAdapter");
+      const adapter = await Adapter.deploy(await rdln.getAddress(), ethers.parseEther("1000"));
+      await rdln.connect(admin).transfer(await adapter.getAddress(), ethers.parseEther("10000"));
+      await marketplace.connect(admin).setBurnSwapAdapter(await adapter.getAddress());
+
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      const resalePrice = ethers.parseEther("2");
+      await listToken(riddleNFT, marketplace, user1, tokenId, resalePrice, true);
+
+      await expect(
+        marketplace.connect(user2).buyNFT(tokenId)
+      ).to.be.revertedWith("Listed in native currency");
+
+      await expect(
+        marketplace.connect(user2).buyNFTWithNative(tokenId, ethers.parseEther("1001"), { value: resalePrice })
+      ).to.be.revertedWith("Insufficient output amount");
+
+      const supplyBefore = await rdln.totalSupply();
+      const grandPrizeBefore = await ethers.provider.getBalance(liquidity.address);
+      const devOpsBefore = await ethers.provider.getBalance(devOps.address);
+
+      await expect(
+        marketplace.connect(user2).buyNFTWithNative(tokenId, ethers.parseEther("1000"), { value: resalePrice })
+      ).to.emit(marketplace, "NativeBurnSwapped")
+        .withArgs(tokenId, ethers.parseEther("1"), ethers.parseEther("1000"));
+
+      expect(await riddleNFT.ownerOf(tokenId)).to.equal(user2.address);
+      expect(await rdln.totalSupply()).to.equal(supplyBefore - ethers.parseEther("1000"));
+      expect(await ethers.provider.getBalance(liquidity.address)).to.equal(grandPrizeBefore + ethers.parseEther("0.5"));
+      expect(await ethers.provider.getBalance(devOps.address)).to.equal(devOpsBefore + ethers.parseEther("0.5"));
+      expect(await ethers.provider.getBalance(await marketplace.getAddress())).to.equal(0);
+    });
+
+    it("Should refund native overpayment to the buyer", async function () {
+      const { riddleNFT, marketplace, rdln, admin, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const Adapter = await ethers.getContractFactory("MockSwapAdapter");
+      const adapter = await Adapter.deploy(await rdln.getAddress(), ethers.parseEther("1000"));
+      await rdln.connect(admin).transfer(await adapter.getAddress(), ethers.parseEther("10000"));
+      await marketplace.connect(admin).setBurnSwapAdapter(await adapter.getAddress());
+
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      const resalePrice = ethers.parseEther("2");
+      await listToken(riddleNFT, marketplace, user1, tokenId, resalePrice, true);
+
+      await expect(
+        marketplace.connect(user2).buyNFTWithNative(tokenId, 0, { value: resalePrice + ethers.parseEther("1") })
+      ).to.changeEtherBalance(user2, -resalePrice);
+      expect(await ethers.provider.getBalance(await marketplace.getAddress())).to.equal(0);
+    });
+
+    it("Should reject native purchases without a swap adapter", async function () {
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      const resalePrice = ethers.parseEther("1");
+
+      await listToken(riddleNFT, marketplace, user1, tokenId, resalePrice, true);
+      await expect(
+        marketplace.connect(user2).buyNFTWithNative(tokenId, 0, { value: resalePrice })
+      ).to.be.revertedWith("Swap adapter not set");
+
+      await marketplace.connect(user1).setResalePrice(tokenId, resalePrice);
+      await expect(
+        marketplace.connect(user2).buyNFTWithNative(tokenId, 0, { value: resalePrice })
+      ).to.be.revertedWith("Listed in RDLN");
+    });
+
     async function createTestNFT(riddleNFT, rdln, user, creator) {
       const riddleId = await createTestRiddle(riddleNFT, creator);
 
@@ -417,6 +1042,995 @@ describe("RiddleNFT Weekly System", function () {
     }
   });
 
+  describe("Auctions and Offers", function () {
+    async function createTestNFT(riddleNFT, rdln, user, creator, riddleId) {
+      if (riddleId === undefined) {
+        riddleId = await createTestRiddle(riddleNFT, creator);
+      }
+
+      const mintCost = await riddleNFT.getCurrentMintCost();
+      await rdln.connect(user).approve(await riddleNFT.getAddress(), mintCost);
+
+      const tx = await riddleNFT.connect(user).mintRiddleNFT(riddleId);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "RiddleNFTMinted");
+
+      return { tokenId: event.args[0], riddleId };
+    }
+
+    async function createTestRiddle(riddleNFT, creator) {
+      const tx = await riddleNFT.connect(creator).releaseWeeklyRiddle(
+        "Test", 0, ethers.keccak256(ethers.toUtf8Bytes("42")), "test"
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased");
+      return event.args[0];
+    }
+
+    // Lets the marketplace escrow each user's RDLN and move their tokens
+    async function approveMarketplace(rdln, riddleNFT, marketplace, ...users) {
+      for (const user of users) {
+        await rdln.connect(user).approve(await marketplace.getAddress(), ethers.MaxUint256);
+        await riddleNFT.connect(user).setApprovalForAll(await marketplace.getAddress(), true);
+      }
+    }
+
+    it("Should run an English auction with reserve and bid increments", async function () {
+      const { riddleNFT, marketplace, rdln, owner, admin, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      await rdln.connect(admin).transfer(owner.address, ethers.parseEther("1000"));
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      await approveMarketplace(rdln, riddleNFT, marketplace, user1, user2, owner);
+
+      await expect(marketplace.connect(user1).createAuction(tokenId, ethers.parseEther("100"), 3600))
+        .to.emit(marketplace, "AuctionCreated");
+      expect(await riddleNFT.ownerOf(tokenId)).to.equal(await marketplace.getAddress());
+
+      await expect(
+        marketplace.connect(user2).placeBid(tokenId, ethers.parseEther("99"))
+      ).to.be.revertedWith("Bid below reserve");
+
+      await marketplace.connect(user2).placeBid(tokenId, ethers.parseEther("100"));
+
+      await expect(
+        marketplace.connect(owner).placeBid(tokenId, ethers.parseEther("104"))
+      ).to.be.revertedWith("Bid increment too low");
+
+      const user2Before = await rdln.balanceOf(user2.address);
+      await marketplace.connect(owner).placeBid(tokenId, ethers.parseEther("105"));
+      expect(await rdln.balanceOf(user2.address)).to.equal(user2Before + ethers.parseEther("100"));
+
+      await expect(marketplace.settleAuction(tokenId)).to.be.revertedWith("Auction not ended");
+
+      await time.increase(3600);
+      const sellerBefore = await rdln.balanceOf(user1.address);
+      const supplyBefore = await rdln.totalSupply();
+
+      await expect(marketplace.connect(user2).settleAuction(tokenId))
+        .to.emit(marketplace, "CommissionDistributed")
+        .withArgs(ethers.parseEther("105"), ethers.parseEther("52.5"), ethers.parseEther("26.25"), ethers.parseEther("26.25"));
+
+      expect(await riddleNFT.ownerOf(tokenId)).to.equal(owner.address);
+      expect((await riddleNFT.getNFTSolveData(tokenId)).currentOwner).to.equal(owner.address);
+      expect(await rdln.balanceOf(user1.address)).to.equal(sellerBefore);
+      expect(await rdln.totalSupply()).to.equal(supplyBefore - ethers.parseEther("52.5"));
+    });
+
+    it("Should extend auctions on late bids", async function () {
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      await approveMarketplace(rdln, riddleNFT, marketplace, user1, user2);
+
+      await marketplace.connect(user1).createAuction(tokenId, ethers.parseEther("10"), 3600);
+      const { endTime } = await marketplace.auctions(tokenId);
+
+      // Bid two minutes before the end
+      await time.increaseTo(endTime - 120n);
+      await expect(marketplace.connect(user2).placeBid(tokenId, ethers.parseEther("10")))
+        .to.emit(marketplace, "AuctionExtended");
+
+      const extended = await marketplace.auctions(tokenId);
+      const window = await marketplace.auctionExtensionWindow();
+      expect(extended.endTime).to.equal(BigInt(await time.latest()) + window);
+
+      await time.increaseTo(endTime);
+      await expect(marketplace.settleAuction(tokenId)).to.be.revertedWith("Auction not ended");
+    });
+
+    it("Should return unsold tokens and allow cancelling before bids", async function () {
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId, riddleId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      const { tokenId: tokenId2 } = await createTestNFT(riddleNFT, rdln, user1, creator, riddleId);
+      await approveMarketplace(rdln, riddleNFT, marketplace, user1, user2);
+
+      await marketplace.connect(user1).createAuction(tokenId, ethers.parseEther("10"), 3600);
+      await time.increase(3600);
+      await marketplace.settleAuction(tokenId);
+      expect(await riddleNFT.ownerOf(tokenId)).to.equal(user1.address);
+
+      await marketplace.connect(user1).createAuction(tokenId2, ethers.parseEther("10"), 3600);
+      await expect(
+        marketplace.connect(user2).cancelAuction(tokenId2)
+      ).to.be.revertedWith("Not auction seller");
+
+      await marketplace.connect(user2).placeBid(tokenId2, ethers.parseEther("10"));
+      await expect(
+        marketplace.connect(user1).cancelAuction(tokenId2)
+      ).to.be.revertedWith("Auction has bids");
+
+      await marketplace.connect(user1).createAuction(tokenId, ethers.parseEther("10"), 3600);
+      await expect(marketplace.connect(user1).cancelAuction(tokenId))
+        .to.emit(marketplace, "AuctionCancelled");
+      expect(await riddleNFT.ownerOf(tokenId)).to.equal(user1.address);
+    });
+
+    it("Should accept per-token offers with burn protocol commissions", async function () {
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      await approveMarketplace(rdln, riddleNFT, marketplace, user1, user2);
+
+      await marketplace.connect(user2).makeOffer(tokenId, ethers.parseEther("20"), 86400);
+
+      // Replacing the offer refunds the previous escrow
+      const user2Before = await rdln.balanceOf(user2.address);
+      await marketplace.connect(user2).makeOffer(tokenId, ethers.parseEther("40"), 86400);
+      expect(await rdln.balanceOf(user2.address)).to.equal(user2Before - ethers.parseEther("20"));
+
+      const sellerBefore = await rdln.balanceOf(user1.address);
+      await expect(marketplace.connect(user1).acceptOffer(tokenId, user2.address))
+        .to.emit(marketplace, "OfferAccepted")
+        .withArgs(tokenId, user1.address, user2.address, ethers.parseEther("40"));
+
+      expect(await riddleNFT.ownerOf(tokenId)).to.equal(user2.address);
+      expect(await rdln.balanceOf(user1.address)).to.equal(sellerBefore);
+
+      await expect(
+        marketplace.connect(user2).cancelOffer(tokenId)
+      ).to.be.revertedWith("No offer");
+    });
+
+    it("Should refund cancelled offers and reject expired ones", async function () {
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      await approveMarketplace(rdln, riddleNFT, marketplace, user1, user2);
+
+      const user2Before = await rdln.balanceOf(user2.address);
+      await marketplace.connect(user2).makeOffer(tokenId, ethers.parseEther("20"), 3600);
+      await marketplace.connect(user2).cancelOffer(tokenId);
+      expect(await rdln.balanceOf(user2.address)).to.equal(user2Before);
+
+      await marketplace.connect(user2).makeOffer(tokenId, ethers.parseEther("20"), 3600);
+      await time.increase(3601);
+      await expect(
+        marketplace.connect(user1).acceptOffer(tokenId, user2.address)
+      ).to.be.revertedWith("Offer expired");
+
+      await expect(
+        marketplace.connect(user1).makeOffer(tokenId, ethers.parseEther("1"), 3600)
+      ).to.be.revertedWith("Cannot offer on own token");
+    });
+
+    it("Should let any holder accept a collection-wide offer once", async function () {
+      const { riddleNFT, marketplace, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const { tokenId, riddleId } = await createTestNFT(riddleNFT, rdln, user1, creator);
+      const { tokenId: tokenId2 } = await createTestNFT(riddleNFT, rdln, user1, creator, riddleId);
+      await approveMarketplace(rdln, riddleNFT, marketplace, user1, user2);
+
+      const collectionOffer = await marketplace.COLLECTION_OFFER();
+      await marketplace.connect(user2).makeOffer(collectionOffer, ethers.parseEther("30"), 86400);
+
+      await expect(
+        marketplace.connect(user1).acceptOffer(tokenId, user2.address)
+      ).to.be.revertedWith("No offer");
+
+      await marketplace.connect(user1).acceptCollectionOffer(tokenId2, user2.address);
+      expect(await riddleNFT.ownerOf(tokenId2)).to.equal(user2.address);
+
+      await expect(
+        marketplace.connect(user1).acceptCollectionOffer(tokenId, user2.address)
+      ).to.be.revertedWith("No offer");
+    });
+  });
+
+  describe("Answer Normalization", function () {
+    async function releaseRiddle(riddleNFT, creator, answer) {
+      const tx = await riddleNFT.connect(creator).releaseWeeklyRiddle("Test", 0, hashAnswer(answer), "test");
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased").args[0];
+    }
+
+    async function mintTestNFT(riddleNFT, rdln, user, riddleId) {
+      await rdln.connect(user).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+      const tx = await riddleNFT.connect(user).mintRiddleNFT(riddleId);
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "RiddleNFTMinted").args[0];
+    }
+
+    it("Should normalize answers the same way on-chain and in the JS helper", async function () {
+      const { riddleNFT } = await loadFixture(deploySystemFixture);
+
+      const inputs = ["Echo", "echo ", "  An\tECHO \n", "A   B  C", "Ünïcode Stays", "", "   "];
+      for (const input of inputs) {
+        expect(await riddleNFT.normalizeAnswer(input)).to.equal(normalizeAnswer(input));
+        expect(await riddleNFT.hashAnswer(input)).to.equal(hashAnswer(input));
+      }
+      expect(normalizeAnswer("  An\tECHO \n")).to.equal("an echo");
+    });
+
+    it("Should accept casing and whitespace variants of the answer", async function () {
+      const { riddleNFT, rdln, user1, creator } = await loadFixture(deploySystemFixture);
+
+      const riddleId = await releaseRiddle(riddleNFT, creator, "echo");
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, riddleId);
+
+      await expect(commitAndReveal(riddleNFT, user1, tokenId, "  ECHO "))
+        .to.emit(riddleNFT, "RiddleSolved");
+    });
+
+    it("Should accept listed alternate answers", async function () {
+      const { riddleNFT, rdln, coordinator, user1, user2, creator } = await loadFixture(deployRandomnessFixture);
+
+      // Ten winner slots, so the riddle stays open for user2 after user1 solves it
+      const riddleId = await releaseWithWord(riddleNFT, coordinator, creator, hashAnswer("echo"), 9n << 16n);
+      const alternates = [hashAnswer("an echo"), hashAnswer("the echo")];
+
+      await expect(
+        riddleNFT.connect(user1).setAcceptedAnswers(riddleId, alternates, ethers.ZeroHash)
+      ).to.be.revertedWith("Not riddle creator");
+      await expect(
+        riddleNFT.connect(creator).setAcceptedAnswers(riddleId, Array(11).fill(alternates[0]), ethers.ZeroHash)
+      ).to.be.revertedWith("Too many answers");
+
+      await expect(riddleNFT.connect(creator).setAcceptedAnswers(riddleId, alternates, ethers.ZeroHash))
+        .to.emit(riddleNFT, "AcceptedAnswersUpdated").withArgs(riddleId, 2, ethers.ZeroHash);
+      expect(await riddleNFT.getAcceptedAnswerHashes(riddleId)).to.deep.equal(alternates);
+
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, riddleId);
+      await expect(commitAndReveal(riddleNFT, user1, tokenId, "An Echo"))
+        .to.emit(riddleNFT, "RiddleSolved");
+
+      // Alternates are frozen once the riddle has a solver
+      await expect(
+        riddleNFT.connect(creator).setAcceptedAnswers(riddleId, [], ethers.ZeroHash)
+      ).to.be.revertedWith("Riddle already solved");
+
+      const tokenId2 = await mintTestNFT(riddleNFT, rdln, user2, riddleId);
+      await expect(commitAndReveal(riddleNFT, user2, tokenId2, "an echo chamber"))
+        .to.emit(riddleNFT, "AttemptMade").withArgs(tokenId2, riddleId, user2.address, 1, anyValue, false);
+    });
+
+    it("Should accept alternates proven against a Merkle root", async function () {
+      const { riddleNFT, rdln, user1, creator } = await loadFixture(deploySystemFixture);
+
+      const riddleId = await releaseRiddle(riddleNFT, creator, "echo");
+      const tree = buildAnswerTree(["an echo", "the echo", "echoes", "reverberation", "Sound Reflection"]);
+      await riddleNFT.connect(creator).setAcceptedAnswers(riddleId, [], tree.root);
+      expect(await riddleNFT.acceptedAnswersRoot(riddleId)).to.equal(tree.root);
+
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, riddleId);
+
+      async function revealWithProof(answer, proof) {
+        const salt = ethers.hexlify(ethers.randomBytes(32));
+        await riddleNFT.connect(user1).commitAnswer(tokenId, await riddleNFT.computeCommitment(tokenId, user1.address, answer, salt));
+        await mine(Number(await riddleNFT.revealDelayBlocks()));
+        return riddleNFT.connect(user1).revealAnswerWithProof(tokenId, answer, salt, proof);
+      }
+
+      // A proof for a different answer does not verify
+      await expect(revealWithProof("Reverberation", getAnswerProof(tree, "echoes")))
+        .to.emit(riddleNFT, "AttemptMade").withArgs(tokenId, riddleId, user1.address, 1, anyValue, false);
+
+      await expect(revealWithProof(" sound  REFLECTION", getAnswerProof(tree, "sound reflection")))
+        .to.emit(riddleNFT, "RiddleSolved");
+    });
+  });
+
+  describe("Hint Marketplace", function () {
+    const answerHash = ethers.keccak256(ethers.toUtf8Bytes("42"));
+
+    async function releaseRiddle(riddleNFT, creator, difficulty = 0) {
+      const tx = await riddleNFT.connect(creator).releaseWeeklyRiddle("Test", difficulty, answerHash, "test");
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased").args[0];
+    }
+
+    // Mints a token and approves RDLN for both minting and hint purchases
+    async function mintTestNFT(riddleNFT, hints, rdln, user, riddleId) {
+      await rdln.connect(user).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+      await rdln.connect(user).approve(await hints.getAddress(), ethers.MaxUint256);
+      const tx = await riddleNFT.connect(user).mintRiddleNFT(riddleId);
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "RiddleNFTMinted").args[0];
+    }
+
+    it("Should sell hints in order at escalating prices", async function () {
+      const { riddleNFT, hints, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      const riddleId = await releaseRiddle(riddleNFT, creator);
+      await expect(hints.connect(creator).addRiddleHints(riddleId, ["ipfs://hint-1", "ipfs://hint-2"]))
+        .to.emit(hints, "HintsAdded").withArgs(riddleId, 2);
+      await hints.connect(creator).addRiddleHints(riddleId, ["ipfs://hint-3"]);
+      expect(await hints.getHintCount(riddleId)).to.equal(3);
+
+      await expect(
+        hints.connect(user1).addRiddleHints(riddleId, ["ipfs://spam"])
+      ).to.be.revertedWith("Not riddle creator");
+
+      const tokenId = await mintTestNFT(riddleNFT, hints, rdln, user1, riddleId);
+      const basePrice = await hints.hintBasePrice();
+
+      await expect(hints.connect(user1).getPurchasedHint(tokenId, 0)).to.be.revertedWith("Hint not purchased");
+      await expect(hints.connect(user2).purchaseHint(tokenId)).to.be.revertedWith("Not token owner");
+
+      for (let i = 0; i < 3; i++) {
+        expect(await hints.getHintPrice(tokenId)).to.equal(basePrice * BigInt(i + 1));
+        await expect(hints.connect(user1).purchaseHint(tokenId))
+          .to.emit(hints, "HintPurchased")
+          .withArgs(tokenId, riddleId, user1.address, i, basePrice * BigInt(i + 1));
+        expect(await hints.getPurchasedHint(tokenId, i)).to.equal(`ipfs://hint-${i + 1}`);
+      }
+
+      await expect(hints.connect(user1).purchaseHint(tokenId)).to.be.revertedWith("No hints remaining");
+      expect(await hints.hintsPurchased(tokenId)).to.equal(3);
+    });
+
+    it("Should split hint proceeds by the burn protocol", async function () {
+      const { riddleNFT, hints, rdln, user1, liquidity, devOps, creator } = await loadFixture(deploySystemFixture);
+
+      const riddleId = await releaseRiddle(riddleNFT, creator);
+      await hints.connect(creator).addRiddleHints(riddleId, ["ipfs://hint-1"]);
+      const tokenId = await mintTestNFT(riddleNFT, hints, rdln, user1, riddleId);
+
+      const supplyBefore = await rdln.totalSupply();
+      const grandPrizeBefore = await rdln.balanceOf(liquidity.address);
+      const devOpsBefore = await rdln.balanceOf(devOps.address);
+
+      await hints.connect(user1).purchaseHint(tokenId);
+
+      expect(await rdln.totalSupply()).to.equal(supplyBefore - ethers.parseEther("5"));
+      expect(await rdln.balanceOf(liquidity.address)).to.equal(grandPrizeBefore + ethers.parseEther("2.5"));
+      expect(await rdln.balanceOf(devOps.address)).to.equal(devOpsBefore + ethers.parseEther("2.5"));
+      expect(await rdln.balanceOf(await hints.getAddress())).to.equal(0);
+      expect(await hints.totalBurned()).to.equal(ethers.parseEther("5"));
+    });
+
+    it("Should reduce RON bonuses for solvers who bought hints", async function () {
+      const { riddleNFT, hints, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+
+      // Week 1: first, speedy solver without hints
+      const riddleId1 = await releaseRiddle(riddleNFT, creator);
+      const tokenId1 = await mintTestNFT(riddleNFT, hints, rdln, user1, riddleId1);
+      await commitAndReveal(riddleNFT, user1, tokenId1, "42");
+      const ronWithoutHints = (await riddleNFT.getNFTSolveData(tokenId1)).ronEarned;
+
+      // Week 2: first, speedy solver of a same-difficulty riddle after buying two hints
+      await time.increase(7 * 24 * 60 * 60);
+      const riddleId2 = await releaseRiddle(riddleNFT, creator);
+      await hints.connect(creator).addRiddleHints(riddleId2, ["ipfs://hint-1", "ipfs://hint-2"]);
+      const tokenId2 = await mintTestNFT(riddleNFT, hints, rdln, user2, riddleId2);
+      await hints.connect(user2).purchaseHint(tokenId2);
+      await hints.connect(user2).purchaseHint(tokenId2);
+      await commitAndReveal(riddleNFT, user2, tokenId2, "42");
+
+      const solveData = await riddleNFT.getNFTSolveData(tokenId2);
+      expect(solveData.wasFirstSolver).to.be.true;
+      expect(solveData.wasSpeedSolver).to.be.true;
+      expect(solveData.ronEarned).to.be.lt(ronWithoutHints);
+
+      await expect(hints.connect(user2).purchaseHint(tokenId2)).to.be.revertedWith("Already solved");
+    });
+  });
+
+  describe("Team Solving", function () {
+    async function releaseRiddle(riddleNFT, creator) {
+      const tx = await riddleNFT.connect(creator).releaseWeeklyRiddle(
+        "Test", 0, ethers.keccak256(ethers.toUtf8Bytes("42")), "test"
+      );
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased").args[0];
+    }
+
+    async function mintTestNFT(riddleNFT, rdln, user, riddleId) {
+      await rdln.connect(user).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+      const tx = await riddleNFT.connect(user).mintRiddleNFT(riddleId);
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "RiddleNFTMinted").args[0];
+    }
+
+    // user1 captains a two-member team with user2 (60/40) and shares a fresh token with it
+    async function formTeamWithToken(riddleNFT, teams, rdln, user1, user2, riddleId) {
+      await teams.connect(user1).registerTeam(riddleId, [user1.address, user2.address], [6000, 4000]);
+      const teamId = (await teams.nextTeamId()) - 1n;
+      await teams.connect(user2).acceptTeamInvite(teamId);
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, riddleId);
+      await teams.connect(user1).assignTokenToTeam(tokenId, teamId);
+      return { teamId, tokenId };
+    }
+
+    it("Should form a team once every member accepts the agreed shares", async function () {
+      const { riddleNFT, teams, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+      const riddleId = await releaseRiddle(riddleNFT, creator);
+      const members = [user1.address, user2.address];
+
+      await expect(
+        teams.connect(user1).registerTeam(riddleId, members, [6000, 3000])
+      ).to.be.revertedWith("Shares must total 100%");
+      await expect(
+        teams.connect(user2).registerTeam(riddleId, members, [6000, 4000])
+      ).to.be.revertedWith("Captain must be first member");
+      await expect(
+        teams.connect(user1).registerTeam(riddleId, [user1.address, user1.address], [5000, 5000])
+      ).to.be.revertedWith("Duplicate member");
+      await expect(
+        teams.connect(user1).registerTeam(riddleId, [user1.address], [10000])
+      ).to.be.revertedWith("Invalid team size");
+
+      await expect(teams.connect(user1).registerTeam(riddleId, members, [6000, 4000]))
+        .to.emit(teams, "TeamRegistered").withArgs(1, riddleId, user1.address, members, [6000, 4000]);
+
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, riddleId);
+      await expect(teams.connect(user1).assignTokenToTeam(tokenId, 1)).to.be.revertedWith("Team not formed");
+      await expect(teams.connect(creator).acceptTeamInvite(1)).to.be.revertedWith("Not invited");
+
+      await expect(teams.connect(user2).acceptTeamInvite(1))
+        .to.emit(teams, "TeamFormed").withArgs(1, riddleId);
+      await expect(teams.connect(user2).acceptTeamInvite(1)).to.be.revertedWith("Already accepted");
+
+      await expect(teams.connect(user1).assignTokenToTeam(tokenId, 1))
+        .to.emit(teams, "TokenAssignedToTeam").withArgs(tokenId, 1);
+
+      const team = await teams.getTeam(1);
+      expect(team.formed).to.be.true;
+      expect(team.tokenId).to.equal(tokenId);
+      expect(await teams.teamOf(riddleId, user2.address)).to.equal(1);
+      await expect(teams.connect(user1).disbandTeam(1)).to.be.revertedWith("Team token assigned");
+    });
+
+    it("Should let teammates solve the shared token and split prize and RON by share", async function () {
+      const { riddleNFT, teams, rdln, ron, user1, user2, creator } = await loadFixture(deploySystemFixture);
+      const riddleId = await releaseRiddle(riddleNFT, creator);
+      const { teamId, tokenId } = await formTeamWithToken(riddleNFT, teams, rdln, user1, user2, riddleId);
+
+      // user2 does not own the token but plays it for the team
+      await commitAndReveal(riddleNFT, user2, tokenId, "42");
+
+      const solveData = await riddleNFT.getNFTSolveData(tokenId);
+      expect(solveData.solved).to.be.true;
+      expect(await riddleNFT.hasUserSolvedRiddle(riddleId, user1.address)).to.be.true;
+      expect(await riddleNFT.hasUserSolvedRiddle(riddleId, user2.address)).to.be.true;
+      expect(await ron.balanceOf(user2.address)).to.equal(0); // Deferred to the claim
+
+      await expect(
+        riddleNFT.connect(user1).transferFrom(user1.address, creator.address, tokenId)
+      ).to.be.revertedWith("Team prize unclaimed");
+
+      const prize = solveData.prizeAmount;
+      const ronTotal = solveData.ronEarned;
+      const user1Before = await rdln.balanceOf(user1.address);
+      const user2Before = await rdln.balanceOf(user2.address);
+
+      await expect(riddleNFT.connect(user2).claimPrize(tokenId))
+        .to.emit(riddleNFT, "TeamShareClaimed").withArgs(tokenId, teamId, user1.address, prize * 6000n / 10000n, ronTotal * 6000n / 10000n)
+        .and.to.emit(riddleNFT, "TeamShareClaimed").withArgs(tokenId, teamId, user2.address, prize - prize * 6000n / 10000n, ronTotal - ronTotal * 6000n / 10000n)
+        .and.to.emit(riddleNFT, "PrizeClaimed").withArgs(tokenId, user2.address, prize);
+
+      expect(await rdln.balanceOf(user1.address)).to.equal(user1Before + prize * 6000n / 10000n);
+      expect(await rdln.balanceOf(user2.address)).to.equal(user2Before + prize - prize * 6000n / 10000n);
+      expect((await ron.balanceOf(user1.address)) + (await ron.balanceOf(user2.address))).to.equal(ronTotal);
+
+      // Shares paid out, the token trades normally again
+      await riddleNFT.connect(user1).transferFrom(user1.address, creator.address, tokenId);
+      expect(await riddleNFT.ownerOf(tokenId)).to.equal(creator.address);
+    });
+
+    it("Should keep members on the team token and unbind it on transfer", async function () {
+      const { riddleNFT, teams, rdln, user1, user2, creator } = await loadFixture(deploySystemFixture);
+      const riddleId = await releaseRiddle(riddleNFT, creator);
+      const { teamId, tokenId } = await formTeamWithToken(riddleNFT, teams, rdln, user1, user2, riddleId);
+
+      const soloToken = await mintTestNFT(riddleNFT, rdln, user2, riddleId);
+      await expect(
+        riddleNFT.connect(user2).commitAnswer(soloToken, ethers.id("solo"))
+      ).to.be.revertedWith("Team members must use team token");
+
+      // The owner selling or moving an unsolved team token ends team play on it
+      await riddleNFT.connect(user1).transferFrom(user1.address, creator.address, tokenId);
+      expect(await teams.tokenTeam(tokenId)).to.equal(0);
+      expect((await teams.getTeam(teamId)).tokenId).to.equal(0);
+      await expect(
+        riddleNFT.connect(user2).commitAnswer(tokenId, ethers.id("team"))
+      ).to.be.revertedWith("Not token owner");
+
+      await expect(teams.connect(user2).disbandTeam(teamId)).to.be.revertedWith("Not team captain");
+      await expect(teams.connect(user1).disbandTeam(teamId))
+        .to.emit(teams, "TeamDisbanded").withArgs(teamId);
+      expect(await teams.teamOf(riddleId, user2.address)).to.equal(0);
+
+      await riddleNFT.connect(user2).commitAnswer(soloToken, ethers.id("solo"));
+    });
+
+    it("Should fix the team registry once set and only let the NFT release team tokens", async function () {
+      const { riddleNFT, teams, admin, user1 } = await loadFixture(deploySystemFixture);
+
+      await expect(
+        riddleNFT.connect(admin).setTeamRegistry(user1.address)
+      ).to.be.revertedWith("Already set");
+      await expect(teams.connect(user1).releaseToken(1)).to.be.revertedWith("Only RiddleNFT");
+    });
+  });
+
+  describe("Prize Escrow", function () {
+    async function releaseRiddle(riddleNFT, creator) {
+      const tx = await riddleNFT.connect(creator).releaseWeeklyRiddle(
+        "Test", 0, ethers.keccak256(ethers.toUtf8Bytes("42")), "test"
+      );
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased").args[0];
+    }
+
+    it("Should escrow each riddle's prize pool from the prize allocation at release", async function () {
+      const { riddleNFT, rdln, creator } = await loadFixture(deploySystemFixture);
+
+      const balanceBefore = await rdln.balanceOf(await riddleNFT.getAddress());
+      await expect(
+        riddleNFT.connect(creator).releaseWeeklyRiddle("Test", 0, ethers.id("42"), "test")
+      ).to.emit(riddleNFT, "PrizeEscrowFunded");
+
+      const riddleId = await riddleNFT.getWeeklyRiddle(await riddleNFT.getCurrentWeek());
+      const { prizePool } = (await riddleNFT.getRiddle(riddleId)).params;
+
+      expect(await riddleNFT.riddlePrizeEscrow(riddleId)).to.equal(prizePool);
+      expect(await riddleNFT.totalPrizeEscrow()).to.equal(prizePool);
+      expect(await rdln.balanceOf(await riddleNFT.getAddress())).to.equal(balanceBefore + prizePool);
+
+      const solvency = await riddleNFT.getRiddleSolvency(riddleId);
+      expect(solvency.escrowed).to.equal(prizePool);
+      expect(solvency.liabilities).to.equal(prizePool);
+      expect(solvency.solvent).to.be.true;
+    });
+
+    it("Should revert release when the prize pool cannot be funded", async function () {
+      const { riddleNFT, rdln, admin, liquidity, creator } = await loadFixture(deploySystemFixture);
+
+      // Exhaust the prize allocation
+      const { prizePoolRemaining } = await rdln.getRemainingAllocations();
+      await rdln.connect(admin).mintPrizePool(liquidity.address, prizePoolRemaining);
+
+      await expect(releaseRiddle(riddleNFT, creator)).to.be.revertedWith("Insufficient prize funding");
+    });
+
+    it("Should pull prize pools from the prize vault when one is set", async function () {
+      const { riddleNFT, rdln, admin, liquidity, creator } = await loadFixture(deploySystemFixture);
+
+      await rdln.connect(admin).mintPrizePool(liquidity.address, ethers.parseEther("20000000"));
+      await riddleNFT.connect(admin).setPrizeVault(liquidity.address);
+
+      await expect(releaseRiddle(riddleNFT, creator)).to.be.revertedWith("Insufficient prize funding");
+
+      await rdln.connect(liquidity).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+      const vaultBefore = await rdln.balanceOf(liquidity.address);
+      const riddleId = await releaseRiddle(riddleNFT, creator);
+      const { prizePool } = (await riddleNFT.getRiddle(riddleId)).params;
+
+      expect(await rdln.balanceOf(liquidity.address)).to.equal(vaultBefore - prizePool);
+      expect(await riddleNFT.riddlePrizeEscrow(riddleId)).to.equal(prizePool);
+    });
+
+    it("Should pay claims and sweeps out of the riddle's escrow", async function () {
+      const { riddleNFT, rdln, user1, creator } = await loadFixture(deploySystemFixture);
+
+      const riddleId = await releaseRiddle(riddleNFT, creator);
+      const { params } = await riddleNFT.getRiddle(riddleId);
+
+      await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+      const mintTx = await riddleNFT.connect(user1).mintRiddleNFT(riddleId);
+      const tokenId = (await mintTx.wait()).logs.find(log => log.fragment?.name === "RiddleNFTMinted").args[0];
+      await commitAndReveal(riddleNFT, user1, tokenId, "42");
+
+      const prizePerWinner = params.prizePool / params.winnerSlots;
+      await riddleNFT.connect(user1).claimPrize(tokenId);
+      expect(await riddleNFT.riddlePrizeEscrow(riddleId)).to.equal(params.prizePool - prizePerWinner);
+
+      if ((await riddleNFT.getRiddle(riddleId)).status === 0n) {
+        await time.increase(await riddleNFT.defaultSolveWindow());
+        await riddleNFT.expireRiddle(riddleId);
+      }
+
+      const solvency = await riddleNFT.getRiddleSolvency(riddleId);
+      expect(solvency.liabilities).to.equal(0);
+      expect(solvency.solvent).to.be.true;
+    });
+  });
+
+  describe("Riddle Expiry", function () {
+    async function releaseRiddle(riddleNFT, creator) {
+      const tx = await riddleNFT.connect(creator).releaseWeeklyRiddle(
+        "Test", 0, ethers.keccak256(ethers.toUtf8Bytes("42")), "test"
+      );
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased").args[0];
+    }
+
+    async function mintTestNFT(riddleNFT, rdln, user, riddleId) {
+      await rdln.connect(user).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+      const tx = await riddleNFT.connect(user).mintRiddleNFT(riddleId);
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "RiddleNFTMinted").args[0];
+    }
+
+    it("Should close the solve window and return the unallocated pool on expiry", async function () {
+      const { riddleNFT, rdln, user1, liquidity, creator } = await loadFixture(deploySystemFixture);
+
+      const riddleId = await releaseRiddle(riddleNFT, creator);
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, riddleId);
+      const { prizePool } = (await riddleNFT.getRiddle(riddleId)).params;
+
+      await expect(riddleNFT.expireRiddle(riddleId)).to.be.revertedWith("Solve window open");
+
+      await time.increase(await riddleNFT.defaultSolveWindow());
+      await expect(
+        riddleNFT.connect(user1).commitAnswer(tokenId, ethers.id("late"))
+      ).to.be.revertedWith("Solve window closed");
+      await expect(
+        riddleNFT.connect(user1).mintRiddleNFT(riddleId)
+      ).to.be.revertedWith("Solve window closed");
+      expect((await riddleNFT.canAttemptRiddle(user1.address, riddleId)).reason).to.equal("Solve window closed");
+
+      const grandPrizeBefore = await rdln.balanceOf(liquidity.address);
+      await expect(riddleNFT.connect(user1).expireRiddle(riddleId))
+        .to.emit(riddleNFT, "RiddleExpired").withArgs(riddleId, prizePool)
+        .and.to.emit(riddleNFT, "PrizeFundsReturned").withArgs(riddleId, prizePool, false);
+
+      expect((await riddleNFT.getRiddle(riddleId)).status).to.equal(2); // EXPIRED
+      expect(await rdln.balanceOf(liquidity.address)).to.equal(grandPrizeBefore + prizePool);
+      await expect(riddleNFT.expireRiddle(riddleId)).to.be.revertedWith("Riddle not active");
+    });
+
+    it("Should let winners claim until the deadline and sweep what is left", async function () {
+      const { riddleNFT, rdln, coordinator, user1, user2, liquidity, creator } = await loadFixture(deployRandomnessFixture);
+
+      // Ten winner slots leave the riddle open after two solves, so it expires rather than being SOLVED
+      const riddleId = await releaseWithWord(
+        riddleNFT, coordinator, creator, ethers.keccak256(ethers.toUtf8Bytes("42")), 9n << 16n
+      );
+      const { params } = await riddleNFT.getRiddle(riddleId);
+      expect(params.winnerSlots).to.equal(10);
+
+      const tokenId1 = await mintTestNFT(riddleNFT, rdln, user1, riddleId);
+      const tokenId2 = await mintTestNFT(riddleNFT, rdln, user2, riddleId);
+      await commitAndReveal(riddleNFT, user1, tokenId1, "42");
+      await commitAndReveal(riddleNFT, user2, tokenId2, "42");
+
+      const prizePerWinner = params.prizePool / params.winnerSlots;
+      await time.increase(await riddleNFT.defaultSolveWindow());
+      await expect(riddleNFT.expireRiddle(riddleId))
+        .to.emit(riddleNFT, "RiddleExpired")
+        .withArgs(riddleId, params.prizePool - 2n * prizePerWinner);
+
+      await expect(riddleNFT.sweepUnclaimedPrizes(riddleId)).to.be.revertedWith("Claim period open");
+      await riddleNFT.connect(user1).claimPrize(tokenId1);
+
+      await time.increase((await riddleNFT.claimPeriod()) + 1n);
+      await expect(
+        riddleNFT.connect(user2).claimPrize(tokenId2)
+      ).to.be.revertedWith("Claim deadline passed");
+
+      const grandPrizeBefore = await rdln.balanceOf(liquidity.address);
+      await expect(riddleNFT.sweepUnclaimedPrizes(riddleId))
+        .to.emit(riddleNFT, "UnclaimedPrizesSwept").withArgs(riddleId, prizePerWinner);
+      expect(await rdln.balanceOf(liquidity.address)).to.equal(grandPrizeBefore + prizePerWinner);
+      await expect(riddleNFT.sweepUnclaimedPrizes(riddleId)).to.be.revertedWith("Already swept");
+    });
+
+    it("Should roll unused prizes into the next week's riddle", async function () {
+      const { riddleNFT, admin, creator } = await loadFixture(deploySystemFixture);
+
+      await riddleNFT.connect(admin).setRollOverUnusedPrizes(true);
+      const riddleId = await releaseRiddle(riddleNFT, creator);
+      const { prizePool } = (await riddleNFT.getRiddle(riddleId)).params;
+
+      await time.increase(await riddleNFT.defaultSolveWindow());
+      await expect(riddleNFT.expireRiddle(riddleId))
+        .to.emit(riddleNFT, "PrizeFundsReturned").withArgs(riddleId, prizePool, true);
+      expect(await riddleNFT.rolloverPrizePool()).to.equal(prizePool);
+
+      const nextRiddleId = await releaseRiddle(riddleNFT, creator);
+      const nextPool = (await riddleNFT.getRiddle(nextRiddleId)).params.prizePool;
+      expect(nextPool).to.be.gte(prizePool + ethers.parseEther("100000"));
+      expect(await riddleNFT.rolloverPrizePool()).to.equal(0);
+    });
+
+    it("Should allow admins to configure solve windows", async function () {
+      const { riddleNFT, admin, user1, creator } = await loadFixture(deploySystemFixture);
+
+      const riddleId = await releaseRiddle(riddleNFT, creator);
+      await riddleNFT.connect(admin).setRiddleSolveWindow(riddleId, 3600);
+      expect((await riddleNFT.getRiddle(riddleId)).solveWindow).to.equal(3600);
+
+      await time.increase(3600);
+      await riddleNFT.expireRiddle(riddleId);
+      await expect(
+        riddleNFT.connect(admin).setRiddleSolveWindow(riddleId, 7200)
+      ).to.be.revertedWith("Riddle closed");
+
+      await expect(
+        riddleNFT.connect(admin).updateExpirySettings(0, 3600)
+      ).to.be.revertedWith("Invalid window");
+      await expect(
+        riddleNFT.connect(user1).updateExpirySettings(3600, 3600)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Token Metadata", function () {
+    async function deployMetadataFixture() {
+      const fixture = await deploySystemFixture();
+      const Renderer = await ethers.getContractFactory("RiddleMetadataRenderer");
+      const renderer = await Renderer.deploy();
+      await renderer.waitForDeployment();
+      return { ...fixture, renderer };
+    }
+
+    async function mintTestNFT(riddleNFT, rdln, user, creator, category = "Test") {
+      const releaseTx = await riddleNFT.connect(creator).releaseWeeklyRiddle(
+        category, 1, ethers.keccak256(ethers.toUtf8Bytes("42")), "test"
+      );
+      const releaseReceipt = await releaseTx.wait();
+      const riddleId = releaseReceipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased").args[0];
+
+      await rdln.connect(user).approve(await riddleNFT.getAddress(), ethers.MaxUint256);
+      const tx = await riddleNFT.connect(user).mintRiddleNFT(riddleId);
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "RiddleNFTMinted").args[0];
+    }
+
+    function decodeTokenURI(uri) {
+      const prefix = "data:application/json;base64,";
+      expect(uri.startsWith(prefix)).to.be.true;
+      return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString());
+    }
+
+    function trait(metadata, name) {
+      return metadata.attributes.find(attribute => attribute.trait_type === name).value;
+    }
+
+    it("Should advertise ERC-4906 and have no metadata without a renderer", async function () {
+      const { riddleNFT, rdln, user1, creator } = await loadFixture(deployMetadataFixture);
+
+      expect(await riddleNFT.supportsInterface("0x49064906")).to.be.true;
+
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, creator);
+      expect(await riddleNFT.tokenURI(tokenId)).to.equal("");
+      await expect(riddleNFT.tokenURI(999)).to.be.reverted;
+    });
+
+    it("Should render on-chain JSON and SVG for unsolved tokens", async function () {
+      const { riddleNFT, rdln, admin, user1, creator, renderer } = await loadFixture(deployMetadataFixture);
+
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, creator);
+      await expect(riddleNFT.connect(admin).setMetadataRenderer(await renderer.getAddress()))
+        .to.emit(riddleNFT, "BatchMetadataUpdate")
+        .withArgs(1, tokenId);
+
+      const metadata = decodeTokenURI(await riddleNFT.tokenURI(tokenId));
+      expect(metadata.name).to.equal(`Riddlen Weekly #${tokenId}`);
+      expect(trait(metadata, "Week")).to.equal(Number(await riddleNFT.getCurrentWeek()));
+      expect(trait(metadata, "Category")).to.equal("Test");
+      expect(trait(metadata, "Difficulty")).to.equal("Medium");
+      expect(trait(metadata, "Status")).to.equal("UNSOLVED");
+      expect(trait(metadata, "Solver")).to.equal("None");
+      expect(trait(metadata, "Failed Attempts")).to.equal(0);
+
+      const svgPrefix = "data:image/svg+xml;base64,";
+      expect(metadata.image.startsWith(svgPrefix)).to.be.true;
+      const svg = Buffer.from(metadata.image.slice(svgPrefix.length), "base64").toString();
+      expect(svg).to.contain("<svg");
+      expect(svg).to.contain("UNSOLVED");
+    });
+
+    it("Should update metadata when a token is attempted, solved and claimed", async function () {
+      const { riddleNFT, rdln, admin, user1, creator, renderer } = await loadFixture(deployMetadataFixture);
+
+      await riddleNFT.connect(admin).setMetadataRenderer(await renderer.getAddress());
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, creator);
+
+      await expect(commitAndReveal(riddleNFT, user1, tokenId, "wrong"))
+        .to.emit(riddleNFT, "MetadataUpdate").withArgs(tokenId);
+      expect(trait(decodeTokenURI(await riddleNFT.tokenURI(tokenId)), "Failed Attempts")).to.equal(1);
+
+      await expect(commitAndReveal(riddleNFT, user1, tokenId, "42"))
+        .to.emit(riddleNFT, "MetadataUpdate").withArgs(tokenId);
+
+      const { prizeAmount } = await riddleNFT.getNFTSolveData(tokenId);
+      let metadata = decodeTokenURI(await riddleNFT.tokenURI(tokenId));
+      expect(trait(metadata, "Status")).to.equal("SOLVED");
+      expect(trait(metadata, "Solver").toLowerCase()).to.equal(user1.address.toLowerCase());
+      expect(trait(metadata, "Failed Attempts")).to.equal(1);
+      expect(trait(metadata, "Prize (RDLN)")).to.equal(Number(prizeAmount / ethers.parseEther("1")));
+
+      await expect(riddleNFT.connect(user1).claimPrize(tokenId))
+        .to.emit(riddleNFT, "MetadataUpdate").withArgs(tokenId);
+      metadata = decodeTokenURI(await riddleNFT.tokenURI(tokenId));
+      expect(trait(metadata, "Status")).to.equal("PRIZE CLAIMED");
+    });
+
+    it("Should escape creator-supplied text", async function () {
+      const { riddleNFT, rdln, admin, user1, creator, renderer } = await loadFixture(deployMetadataFixture);
+
+      await riddleNFT.connect(admin).setMetadataRenderer(await renderer.getAddress());
+      const category = 'Tricky "quotes" & <tags>\\';
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, creator, category);
+
+      const metadata = decodeTokenURI(await riddleNFT.tokenURI(tokenId));
+      expect(trait(metadata, "Category")).to.equal(category);
+
+      const svg = Buffer.from(metadata.image.split(",")[1], "base64").toString();
+      expect(svg).to.contain("&amp; &lt;tags&gt;");
+    });
+  });
+
+  describe("Royalties", function () {
+    async function deployRoyaltyFixture() {
+      const fixture = await deploySystemFixture();
+      const Splitter = await ethers.getContractFactory("RoyaltySplitter");
+      const splitterImpl = await Splitter.deploy();
+      await splitterImpl.waitForDeployment();
+      return { ...fixture, splitterImpl };
+    }
+
+    async function mintTestNFT(riddleNFT, rdln, user, creator) {
+      const releaseTx = await riddleNFT.connect(creator).releaseWeeklyRiddle(
+        "Test", 0, ethers.keccak256(ethers.toUtf8Bytes("42")), "test"
+      );
+      const releaseReceipt = await releaseTx.wait();
+      const riddleId = releaseReceipt.logs.find(log => log.fragment?.name === "WeeklyRiddleReleased").args[0];
+
+      await rdln.connect(user).approve(await riddleNFT.getAddress(), await riddleNFT.getCurrentMintCost());
+      const tx = await riddleNFT.connect(user).mintRiddleNFT(riddleId);
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.fragment?.name === "RiddleNFTMinted").args[0];
+    }
+
+    it("Should advertise ERC-2981 through supportsInterface", async function () {
+      const { riddleNFT } = await loadFixture(deployRoyaltyFixture);
+
+      expect(await riddleNFT.supportsInterface("0x2a55205a")).to.be.true; // IERC2981
+      expect(await riddleNFT.supportsInterface("0x80ac58cd")).to.be.true; // IERC721
+    });
+
+    it("Should report no royalty until a splitter implementation is set", async function () {
+      const { riddleNFT, rdln, admin, user1, creator, splitterImpl } = await loadFixture(deployRoyaltyFixture);
+
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, creator);
+      const [receiver, amount] = await riddleNFT.royaltyInfo(tokenId, ethers.parseEther("100"));
+      expect(receiver).to.equal(ethers.ZeroAddress);
+      expect(amount).to.equal(0);
+
+      await riddleNFT.connect(admin).setRoyaltySplitterImplementation(await splitterImpl.getAddress());
+      const [splitter, royalty] = await riddleNFT.royaltyInfo(tokenId, ethers.parseEther("100"));
+      expect(splitter).to.equal(await riddleNFT.royaltySplitterFor(tokenId));
+      expect(royalty).to.equal(ethers.parseEther("5"));
+
+      await expect(
+        riddleNFT.connect(admin).setRoyaltySplitterImplementation(await splitterImpl.getAddress())
+      ).to.be.revertedWith("Already set");
+    });
+
+    it("Should pay royalties on marketplace sales and split them between creator and minter", async function () {
+      const { riddleNFT, marketplace, rdln, admin, user1, user2, creator, splitterImpl } = await loadFixture(deployRoyaltyFixture);
+
+      await riddleNFT.connect(admin).setRoyaltySplitterImplementation(await splitterImpl.getAddress());
+      await riddleNFT.connect(admin).updateRoyaltySettings(1000, 6000); // 10%, 60% to creator
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, creator);
+      const splitter = await riddleNFT.royaltySplitterFor(tokenId);
+
+      const resalePrice = ethers.parseEther("100");
+      await riddleNFT.connect(user1).setApprovalForAll(await marketplace.getAddress(), true);
+      await marketplace.connect(user1).setResalePrice(tokenId, resalePrice);
+      await rdln.connect(user2).approve(await marketplace.getAddress(), resalePrice);
+
+      // Royalty comes off the top, commissions apply to the remaining 90 RDLN
+      await expect(marketplace.connect(user2).buyNFT(tokenId))
+        .to.emit(marketplace, "RoyaltyPaid")
+        .withArgs(tokenId, splitter, ethers.parseEther("10"))
+        .and.to.emit(marketplace, "CommissionDistributed")
+        .withArgs(ethers.parseEther("90"), ethers.parseEther("45"), ethers.parseEther("22.5"), ethers.parseEther("22.5"));
+      expect(await rdln.balanceOf(splitter)).to.equal(ethers.parseEther("10"));
+
+      // Royalties accrue at the counterfactual address until the splitter is deployed
+      await expect(riddleNFT.deployRoyaltySplitter(tokenId))
+        .to.emit(riddleNFT, "RoyaltySplitterDeployed")
+        .withArgs(tokenId, splitter, creator.address, user1.address);
+      await expect(riddleNFT.deployRoyaltySplitter(tokenId)).to.be.revertedWith("Splitter already deployed");
+
+      const creatorBefore = await rdln.balanceOf(creator.address);
+      const minterBefore = await rdln.balanceOf(user1.address);
+      const splitterContract = await ethers.getContractAt("RoyaltySplitter", splitter);
+      const rdlnAddress = await rdln.getAddress();
+      expect(await splitterContract.releasable(rdlnAddress, creator.address)).to.equal(ethers.parseEther("6"));
+
+      await expect(splitterContract.release(rdlnAddress, creator.address))
+        .to.emit(splitterContract, "RoyaltyReleased")
+        .withArgs(rdlnAddress, creator.address, ethers.parseEther("6"));
+      expect(await rdln.balanceOf(creator.address)).to.equal(creatorBefore + ethers.parseEther("6"));
+      expect(await rdln.balanceOf(user1.address)).to.equal(minterBefore);
+      await expect(splitterContract.release(rdlnAddress, creator.address)).to.be.revertedWith("Nothing to release");
+
+      await splitterContract.release(rdlnAddress, user1.address);
+      expect(await rdln.balanceOf(user1.address)).to.equal(minterBefore + ethers.parseEther("4"));
+      await expect(splitterContract.release(rdlnAddress, user2.address)).to.be.revertedWith("Not a payee");
+    });
+
+    it("Should pay native royalties to a deployed splitter", async function () {
+      const { riddleNFT, marketplace, rdln, admin, user1, user2, creator, splitterImpl } = await loadFixture(deployRoyaltyFixture);
+
+      const Adapter = await ethers.getContractFactory("MockSwapAdapter");
+      const adapter = await Adapter.deploy(await rdln.getAddress(), ethers.parseEther("1000"));
+      await rdln.connect(admin).transfer(await adapter.getAddress(), ethers.parseEther("10000"));
+      await marketplace.connect(admin).setBurnSwapAdapter(await adapter.getAddress());
+      await riddleNFT.connect(admin).setRoyaltySplitterImplementation(await splitterImpl.getAddress());
+
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, creator);
+      await riddleNFT.deployRoyaltySplitter(tokenId);
+      const splitter = await riddleNFT.royaltySplitterFor(tokenId);
+
+      const resalePrice = ethers.parseEther("2");
+      await riddleNFT.connect(user1).setApprovalForAll(await marketplace.getAddress(), true);
+      await marketplace.connect(user1).setNativeResalePrice(tokenId, resalePrice);
+      await marketplace.connect(user2).buyNFTWithNative(tokenId, 0, { value: resalePrice });
+
+      expect(await ethers.provider.getBalance(splitter)).to.equal(ethers.parseEther("0.1"));
+      expect(await ethers.provider.getBalance(await marketplace.getAddress())).to.equal(0);
+    });
+
+    it("Should release native royalties to each payee independently", async function () {
+      const { riddleNFT, rdln, admin, user1, creator, splitterImpl } = await loadFixture(deployRoyaltyFixture);
+
+      await riddleNFT.connect(admin).setRoyaltySplitterImplementation(await splitterImpl.getAddress());
+      await riddleNFT.connect(admin).updateRoyaltySettings(1000, 6000); // 60% to creator
+      const tokenId = await mintTestNFT(riddleNFT, rdln, user1, creator);
+      await riddleNFT.deployRoyaltySplitter(tokenId);
+      const splitter = await ethers.getContractAt("RoyaltySplitter", await riddleNFT.royaltySplitterFor(tokenId));
+
+      await admin.sendTransaction({ to: await splitter.getAddress(), value: ethers.parseEther("1") });
+
+      // The minter withdraws first; the creator's share stays in the splitter
+      await expect(splitter.releaseNative(user1.address)).to.changeEtherBalances(
+        [user1, splitter],
+        [ethers.parseEther("0.4"), -ethers.parseEther("0.4")]
+      );
+      await expect(splitter.releaseNative(user1.address)).to.be.revertedWith("Nothing to release");
+      expect(await splitter.releasableNative(creator.address)).to.equal(ethers.parseEther("0.6"));
+
+      // Later deposits accrue on top of what is still owed
+      await admin.sendTransaction({ to: await splitter.getAddress(), value: ethers.parseEther("1") });
+      expect(await splitter.releasableNative(user1.address)).to.equal(ethers.parseEther("0.4"));
+      await expect(splitter.releaseNative(creator.address))
+        .to.emit(splitter, "RoyaltyReleased")
+        .withArgs(ethers.ZeroAddress, creator.address, ethers.parseEther("1.2"));
+    });
+
+    it("Should validate royalty settings", async function () {
+      const { riddleNFT, admin, user1 } = await loadFixture(deployRoyaltyFixture);
+
+      await expect(
+        riddleNFT.connect(admin).updateRoyaltySettings(1001, 5000)
+      ).to.be.revertedWith("Royalty too high");
+      await expect(
+        riddleNFT.connect(admin).updateRoyaltySettings(500, 10001)
+      ).to.be.revertedWith("Share exceeds 100%");
+      await expect(
+        riddleNFT.connect(user1).updateRoyaltySettings(500, 5000)
+      ).to.be.reverted;
+      await expect(riddleNFT.deployRoyaltySplitter(1)).to.be.revertedWith("Royalties not enabled");
+    });
+  });
+
   describe("Admin Functions", function () {
     it("Should allow admin to update commission rates", async function () {
       const { riddleNFT, admin } = await loadFixture(deploySystemFixture);
@@ -465,8 +2079,8 @@ describe("RiddleNFT Weekly System", function () {
 
       // Make some attempts
       await rdln.connect(user1).approve(await riddleNFT.getAddress(), ethers.parseEther("3"));
-      await riddleNFT.connect(user1).attemptSolution(tokenId, "wrong");
-      await riddleNFT.connect(user1).attemptSolution(tokenId, "42");
+      await commitAndReveal(riddleNFT, user1, tokenId, "wrong");
+      await commitAndReveal(riddleNFT, user1, tokenId, "42");
 
       const stats = await riddleNFT.getGlobalStats();
       expect(stats.totalRDLNBurned).to.be.gt(0);
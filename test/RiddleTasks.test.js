@@ -0,0 +1,187 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { hashAnswer } = require("../scripts/utils/answers");
+const { computeCID, prepareRiddle } = require("../scripts/utils/riddles");
+const { getLinkedContractFactory } = require("../scripts/utils/libraries");
+
+describe("Riddle Authoring Tasks", function () {
+  const riddle = {
+    category: "Wordplay",
+    difficulty: "MEDIUM",
+    question: "I speak without a mouth and hear without ears. What am I?",
+    answer: "Echo",
+    alternates: ["an echo", "The Echo"],
+    hints: ["ipfs://hint-1"],
+  };
+
+  async function deployFixture() {
+    const [admin, creator, liquidity, devOps] = await ethers.getSigners();
+
+    const RDLN = await ethers.getContractFactory("RDLN");
+    const rdln = await RDLN.deploy(admin.address, admin.address, liquidity.address, devOps.address, liquidity.address);
+    const RON = await ethers.getContractFactory("RON");
+    const ron = await RON.deploy(admin.address);
+
+    const RiddleNFT = await getLinkedContractFactory(ethers, "RiddleNFT");
+    const riddleNFT = await RiddleNFT.deploy(
+      await rdln.getAddress(),
+      await ron.getAddress(),
+      liquidity.address,
+      devOps.address,
+      admin.address
+    );
+
+    const RiddleHints = await ethers.getContractFactory("RiddleHints");
+    const hints = await RiddleHints.deploy(await riddleNFT.getAddress(), await rdln.getAddress(), admin.address);
+
+    await rdln.grantRole(await rdln.MINTER_ROLE(), await riddleNFT.getAddress());
+    await riddleNFT.grantRole(await riddleNFT.CREATOR_ROLE(), creator.address);
+    await riddleNFT.setHintMarket(await hints.getAddress());
+
+    const currentWeek = Number(await riddleNFT.getCurrentWeek());
+
+    return { riddleNFT, hints, admin, creator, currentWeek };
+  }
+
+  // Fresh working directory per test (fixture snapshots do not cover the filesystem)
+  function makeWorkDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "riddles-"));
+    return { dir, records: path.join(dir, "records", "riddles.json") };
+  }
+
+  function writeRiddle(dir, name, contents) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(contents));
+    return file;
+  }
+
+  describe("Riddle files", function () {
+    it("Should compute raw-leaf CIDv1 identifiers", function () {
+      expect(computeCID(ethers.toUtf8Bytes("hello world")))
+        .to.equal("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e");
+    });
+
+    it("Should validate riddles and keep answers out of the public content", function () {
+      const prepared = prepareRiddle(riddle);
+
+      expect(prepared.difficulty).to.equal(1);
+      expect(prepared.answerHash).to.equal(hashAnswer("echo"));
+      expect(prepared.acceptedAnswerHashes).to.deep.equal([hashAnswer("an echo"), hashAnswer("the echo")]);
+      expect(prepared.content).to.not.match(/echo"/i);
+      expect(prepared.cid).to.equal(computeCID(ethers.toUtf8Bytes(prepared.content)));
+
+      expect(() => prepareRiddle({ ...riddle, answer: "  " })).to.throw('Missing "answer"');
+      expect(() => prepareRiddle({ ...riddle, difficulty: "IMPOSSIBLE" })).to.throw("Invalid difficulty");
+      expect(() => prepareRiddle({ ...riddle, hints: ["ok", ""] })).to.throw('"hints" must be a list');
+      expect(() => prepareRiddle({ ...riddle, week: 0 })).to.throw("Invalid week");
+    });
+
+    it("Should move large alternate sets into a Merkle root", function () {
+      const alternates = Array.from({ length: 12 }, (_, i) => `echo ${i}`);
+      const prepared = prepareRiddle({ ...riddle, alternates });
+
+      expect(prepared.acceptedAnswerHashes).to.deep.equal([]);
+      expect(prepared.merkleRoot).to.not.equal(ethers.ZeroHash);
+    });
+  });
+
+  describe("riddle:release", function () {
+    it("Should release the riddle with its alternates and hints and record it", async function () {
+      const { riddleNFT, hints, currentWeek } = await loadFixture(deployFixture);
+      const { dir, records } = makeWorkDir();
+      const file = writeRiddle(dir, "riddle.json", { ...riddle, week: currentWeek });
+
+      const release = await hre.run("riddle:release", { file, nft: await riddleNFT.getAddress(), records });
+
+      expect(release.week).to.equal(currentWeek);
+      expect(await riddleNFT.weekToRiddleId(currentWeek)).to.equal(release.riddleId);
+
+      const onChain = await riddleNFT.getRiddle(release.riddleId);
+      expect(onChain.answerHash).to.equal(hashAnswer("echo"));
+      expect(onChain.ipfsHash).to.equal(`ipfs://${release.cid}`);
+      expect(await riddleNFT.getAcceptedAnswerHashes(release.riddleId)).to.deep.equal(release.acceptedAnswerHashes);
+      expect(release.acceptedAnswerHashes).to.have.length(2);
+      expect(await hints.getHintCount(release.riddleId)).to.equal(1);
+
+      const recorded = JSON.parse(fs.readFileSync(records, "utf8"));
+      expect(recorded).to.have.length(1);
+      expect(recorded[0].riddleId).to.equal(release.riddleId);
+      expect(JSON.stringify(recorded)).to.not.include("Echo");
+      expect(fs.existsSync(path.join(dir, "records", "riddle-content", `${release.cid}.json`))).to.be.true;
+
+      await expect(
+        hre.run("riddle:release", { file, nft: await riddleNFT.getAddress(), records })
+      ).to.be.rejectedWith(`Week ${currentWeek} already has a riddle`);
+    });
+
+    it("Should reject riddles for another week", async function () {
+      const { riddleNFT, currentWeek } = await loadFixture(deployFixture);
+      const { dir, records } = makeWorkDir();
+      const file = writeRiddle(dir, "riddle.json", { ...riddle, week: currentWeek + 1 });
+
+      await expect(
+        hre.run("riddle:release", { file, nft: await riddleNFT.getAddress(), records })
+      ).to.be.rejectedWith(`Riddle is for week ${currentWeek + 1}, current week is ${currentWeek}`);
+    });
+
+    it("Should dry run as an impersonated creator without recording", async function () {
+      const { riddleNFT, creator } = await loadFixture(deployFixture);
+      const { dir, records } = makeWorkDir();
+      const file = writeRiddle(dir, "riddle.json", riddle);
+
+      const release = await hre.run("riddle:release", {
+        file, nft: await riddleNFT.getAddress(), records, from: creator.address, dryRun: true
+      });
+
+      expect((await riddleNFT.getRiddle(release.riddleId)).creator).to.equal(creator.address);
+      expect(fs.existsSync(records)).to.be.false;
+    });
+  });
+
+  describe("riddle:schedule", function () {
+    it("Should queue upcoming weeks and release the riddle due this week", async function () {
+      const { riddleNFT, currentWeek } = await loadFixture(deployFixture);
+      const { dir, records } = makeWorkDir();
+      const riddleDir = path.join(dir, "season");
+      fs.mkdirSync(riddleDir);
+      writeRiddle(riddleDir, "01.json", { ...riddle, week: currentWeek });
+      writeRiddle(riddleDir, "02.json", { ...riddle, answer: "shadow", week: currentWeek + 1 });
+
+      const result = await hre.run("riddle:schedule", { dir: riddleDir, nft: await riddleNFT.getAddress(), records });
+
+      expect(result.queue.map((entry) => entry.status)).to.deep.equal(["released", "queued"]);
+      expect(await riddleNFT.weekToRiddleId(currentWeek)).to.equal(result.release.riddleId);
+
+      const schedule = JSON.parse(fs.readFileSync(path.join(dir, "records", "riddle-schedule-hardhat.json"), "utf8"));
+      expect(schedule.queue[1]).to.include({ week: currentWeek + 1, status: "queued" });
+
+      // Running again is a no-op until next week
+      const rerun = await hre.run("riddle:schedule", { dir: riddleDir, nft: await riddleNFT.getAddress(), records });
+      expect(rerun.release).to.be.null;
+    });
+
+    it("Should refuse schedules with duplicate or missing weeks", async function () {
+      const { riddleNFT, currentWeek } = await loadFixture(deployFixture);
+      const { dir, records } = makeWorkDir();
+      const riddleDir = path.join(dir, "season");
+      fs.mkdirSync(riddleDir);
+      writeRiddle(riddleDir, "01.json", { ...riddle, week: currentWeek });
+      writeRiddle(riddleDir, "02.json", { ...riddle, week: currentWeek });
+
+      await expect(
+        hre.run("riddle:schedule", { dir: riddleDir, nft: await riddleNFT.getAddress(), records })
+      ).to.be.rejectedWith(`Week ${currentWeek} already scheduled`);
+
+      writeRiddle(riddleDir, "02.json", riddle);
+      await expect(
+        hre.run("riddle:schedule", { dir: riddleDir, nft: await riddleNFT.getAddress(), records })
+      ).to.be.rejectedWith('Missing "week"');
+      expect(await riddleNFT.weekToRiddleId(currentWeek)).to.equal(0);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("RiddlenAirdrop", function () {
     let rdlnToken, ronToken, airdrop;
@@ -351,6 +352,33 @@ describe("RiddlenAirdrop", function () {
                     airdrop.connect(user1).claimPhase2()
                 ).to.be.revertedWithCustomError(airdrop, "PhaseNotActive");
             });
+
+            it("Should use RON balances at the Phase 2 snapshot when set", async function () {
+                await ronToken.setBalance(user1.address, 5000);
+                await ronToken.setBalance(user2.address, 500);
+                const snapshot = await time.latest();
+                await time.increase(60);
+
+                await expect(
+                    airdrop.connect(admin).setPhase2Snapshot(snapshot + 3600)
+                ).to.be.revertedWith("Snapshot must be in the past");
+                await expect(airdrop.connect(admin).setPhase2Snapshot(snapshot))
+                    .to.emit(airdrop, "Phase2SnapshotSet")
+                    .withArgs(snapshot);
+
+                // RON earned after the snapshot does not count
+                await ronToken.setBalance(user1.address, 50000);
+                await ronToken.setBalance(user2.address, 50000);
+
+                const status = await airdrop.getPhase2Status(user1.address);
+                expect(status.ronBalance).to.equal(5000);
+                await expect(airdrop.connect(user1).claimPhase2())
+                    .to.emit(airdrop, "Phase2Claimed")
+                    .withArgs(user1.address, 5000, TIER2_REWARD, 2);
+                await expect(
+                    airdrop.connect(user2).claimPhase2()
+                ).to.be.revertedWithCustomError(airdrop, "InsufficientRON");
+            });
         });
 
         describe("Phase 2 Status Checks", function () {
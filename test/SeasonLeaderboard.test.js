@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("SeasonLeaderboard", function () {
+  const WEEK = 7 * 24 * 60 * 60;
+  const POOL = ethers.parseEther("1000");
+
+  async function deployFixture() {
+    const [admin, game, player1, player2, player3, outsider] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const rdln = await MockERC20.deploy("Riddlen Token", "RDLN", ethers.parseEther("1000000"));
+    const RON = await ethers.getContractFactory("RON");
+    const ron = await RON.deploy(admin.address);
+
+    const SeasonLeaderboard = await ethers.getContractFactory("SeasonLeaderboard");
+    const leaderboard = await SeasonLeaderboard.deploy(await rdln.getAddress(), await ron.getAddress(), admin.address);
+
+    await leaderboard.grantRole(await leaderboard.GAME_ROLE(), game.address);
+    await ron.grantRole(await ron.GAME_ROLE(), await leaderboard.getAddress());
+    await rdln.approve(await leaderboard.getAddress(), ethers.MaxUint256);
+
+    // Reports a solve as a game contract would
+    const solve = (player, difficulty, first = false, speed = false) =>
+      leaderboard.connect(game).onRiddleSolved(player.address, 1, difficulty, first, speed);
+
+    return { rdln, ron, leaderboard, admin, game, player1, player2, player3, outsider, solve };
+  }
+
+  describe("Points", function () {
+    it("Should weight points by difficulty, speed and first solver", async function () {
+      const { leaderboard } = await loadFixture(deployFixture);
+
+      expect(await leaderboard.calculatePoints(0, false, false)).to.equal(10);
+      expect(await leaderboard.calculatePoints(1, false, true)).to.equal(37);
+      expect(await leaderboard.calculatePoints(2, true, false)).to.equal(100);
+      expect(await leaderboard.calculatePoints(3, true, true)).to.equal(250);
+    });
+
+    it("Should only score solves reported by games during a season", async function () {
+      const { leaderboard, game, player1, outsider, solve } = await loadFixture(deployFixture);
+
+      await expect(solve(player1, 0)).to.not.emit(leaderboard, "SeasonPointsAwarded");
+      await expect(
+        leaderboard.connect(outsider).onRiddleSolved(outsider.address, 1, 3, true, true)
+      ).to.be.revertedWithCustomError(leaderboard, "AccessControlUnauthorizedAccount");
+
+      await leaderboard.startSeason(WEEK, 0, 0, 10);
+      expect(await leaderboard.isSeasonActive()).to.be.true;
+      await expect(leaderboard.connect(game).onRiddleSolved(player1.address, 7, 1, true, false))
+        .to.emit(leaderboard, "SeasonPointsAwarded")
+        .withArgs(1, player1.address, game.address, 7, 50, 50);
+
+      await time.increase(WEEK + 1);
+      expect(await leaderboard.isSeasonActive()).to.be.false;
+      await expect(solve(player1, 0)).to.not.emit(leaderboard, "SeasonPointsAwarded");
+      expect(await leaderboard.seasonPoints(1, player1.address)).to.equal(50);
+    });
+  });
+
+  describe("Rankings", function () {
+    it("Should keep the top N sorted as points change", async function () {
+      const { leaderboard, player1, player2, player3, solve } = await loadFixture(deployFixture);
+      await leaderboard.startSeason(WEEK, 0, 0, 2);
+
+      await solve(player1, 0); // 10
+      await solve(player2, 1); // 25
+      await solve(player3, 2); // 50, pushes player1 off the board
+      let [players, points] = await leaderboard.getLeaderboard(1);
+      expect(players).to.deep.equal([player3.address, player2.address]);
+      expect(points).to.deep.equal([50n, 25n]);
+      expect(await leaderboard.getRank(1, player1.address)).to.equal(0);
+
+      await solve(player1, 3); // 110, back in at the top
+      [players] = await leaderboard.getLeaderboard(1);
+      expect(players).to.deep.equal([player1.address, player3.address]);
+
+      // Ties keep the player who got there first
+      await solve(player2, 1); // 50
+      expect(await leaderboard.getRank(1, player3.address)).to.equal(2);
+      expect(await leaderboard.getRank(1, player2.address)).to.equal(0);
+    });
+  });
+
+  describe("Season rewards", function () {
+    it("Should split the reward pool and bonus RON by points when the season closes", async function () {
+      const { rdln, ron, leaderboard, player1, player2, player3, solve } = await loadFixture(deployFixture);
+
+      await expect(leaderboard.startSeason(WEEK, POOL, 900, 2))
+        .to.emit(leaderboard, "SeasonStarted");
+      await expect(leaderboard.startSeason(WEEK, 0, 0, 2)).to.be.revertedWith("Season in progress");
+      await expect(leaderboard.fundSeason(1, 0)).to.be.revertedWith("Invalid amount");
+      await expect(leaderboard.fundSeason(1, POOL / 2n))
+        .to.emit(leaderboard, "SeasonFunded")
+        .withArgs(1, await leaderboard.runner.getAddress(), POOL / 2n);
+
+      await solve(player1, 2); // 50
+      await solve(player2, 1); // 25
+      await solve(player3, 0); // 10, unranked
+
+      await expect(leaderboard.closeSeason(1)).to.be.revertedWith("Season not ended");
+      await time.increase(WEEK + 1);
+
+      const pool = (POOL * 3n) / 2n;
+      const tx = leaderboard.closeSeason(1);
+      await expect(tx).to.emit(leaderboard, "SeasonRewardAllocated").withArgs(1, player1.address, 1, pool * 2n / 3n, 600);
+      await expect(tx).to.emit(leaderboard, "SeasonRewardAllocated").withArgs(1, player2.address, 2, pool / 3n, 300);
+      await expect(tx).to.emit(leaderboard, "SeasonClosed").withArgs(1, 2, pool, 0);
+
+      await expect(leaderboard.connect(player1).claimSeasonReward(1))
+        .to.emit(leaderboard, "SeasonRewardClaimed")
+        .withArgs(1, player1.address, pool * 2n / 3n, 600);
+      await leaderboard.connect(player2).claimSeasonReward(1);
+      await expect(leaderboard.connect(player1).claimSeasonReward(1)).to.be.revertedWith("Nothing to claim");
+      await expect(leaderboard.connect(player3).claimSeasonReward(1)).to.be.revertedWith("Nothing to claim");
+
+      expect(await rdln.balanceOf(player1.address)).to.equal(pool * 2n / 3n);
+      expect(await rdln.balanceOf(player3.address)).to.equal(0);
+      expect(await rdln.balanceOf(await leaderboard.getAddress())).to.equal(0);
+      expect((await ron.userStats(player1.address)).totalRON).to.equal(600);
+
+      await expect(leaderboard.closeSeason(1)).to.be.revertedWith("Season already closed");
+      await expect(leaderboard.fundSeason(1, 1)).to.be.revertedWith("Season already closed");
+    });
+
+    it("Should keep RON owed when the award fails and pay it on a later claim", async function () {
+      const { rdln, ron, leaderboard, player1, solve } = await loadFixture(deployFixture);
+      const bonus = 80000n;
+
+      await expect(leaderboard.startSeason(WEEK, POOL, 100001, 2)).to.be.revertedWith("Bonus RON too large");
+      await leaderboard.startSeason(WEEK, POOL, bonus, 2);
+      await solve(player1, 3);
+      await time.increase(WEEK + 1);
+
+      // Closing never touches RON, so a paused RON contract cannot block it
+      await ron.pause();
+      await leaderboard.closeSeason(1);
+
+      await expect(leaderboard.connect(player1).claimSeasonReward(1))
+        .to.emit(leaderboard, "SeasonRONDeferred").withArgs(1, player1.address, 50000)
+        .and.to.emit(leaderboard, "SeasonRewardClaimed").withArgs(1, player1.address, POOL, 0);
+      expect(await rdln.balanceOf(player1.address)).to.equal(POOL);
+
+      await ron.unpause();
+      await expect(leaderboard.connect(player1).claimSeasonReward(1))
+        .to.emit(leaderboard, "SeasonRewardClaimed").withArgs(1, player1.address, 0, 50000);
+      expect((await ron.userStats(player1.address)).totalRON).to.equal(50000);
+      await expect(leaderboard.connect(player1).claimSeasonReward(1)).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should cap each player's bonus RON and roll the excess into the next season", async function () {
+      const { leaderboard, player1, player2, solve } = await loadFixture(deployFixture);
+      const bonus = 100000n;
+
+      await leaderboard.startSeason(WEEK, POOL, bonus, 2);
+      await solve(player1, 3, true, true); // 250 points
+      await solve(player2, 0);             // 10 points
+      await time.increase(WEEK + 1);
+
+      const share1 = (bonus * 250n) / 260n;
+      const share2 = bonus - share1; // Last ranked player takes the rounding remainder
+      const excess = share1 - 50000n;
+      await expect(leaderboard.closeSeason(1))
+        .to.emit(leaderboard, "SeasonRewardAllocated").withArgs(1, player1.address, 1, anyValue, 50000)
+        .and.to.emit(leaderboard, "SeasonRewardAllocated").withArgs(1, player2.address, 2, anyValue, share2)
+        .and.to.emit(leaderboard, "SeasonRONRolledOver").withArgs(1, excess);
+      expect((await leaderboard.seasonRewards(1, player1.address)).ronAmount).to.equal(50000);
+      expect(await leaderboard.rolloverRON()).to.equal(excess);
+
+      await expect(leaderboard.startSeason(WEEK, 0, 1000, 2))
+        .to.emit(leaderboard, "SeasonStarted").withArgs(2, anyValue, anyValue, 0, excess + 1000n, 2);
+      expect((await leaderboard.seasons(2)).bonusRON).to.equal(excess + 1000n);
+      expect(await leaderboard.rolloverRON()).to.equal(0);
+    });
+
+    it("Should roll an unclaimed pool into the next season", async function () {
+      const { leaderboard } = await loadFixture(deployFixture);
+
+      await leaderboard.startSeason(WEEK, POOL, 0, 10);
+      await time.increase(WEEK + 1);
+      await expect(leaderboard.closeSeason(1)).to.emit(leaderboard, "SeasonClosed").withArgs(1, 0, POOL, POOL);
+      expect(await leaderboard.rolloverPool()).to.equal(POOL);
+
+      await leaderboard.startSeason(WEEK, POOL, 0, 10);
+      expect((await leaderboard.seasons(2)).rewardPool).to.equal(POOL * 2n);
+      expect(await leaderboard.rolloverPool()).to.equal(0);
+    });
+
+    it("Should validate season parameters", async function () {
+      const { leaderboard, outsider } = await loadFixture(deployFixture);
+
+      await expect(leaderboard.connect(outsider).startSeason(WEEK, 0, 0, 10))
+        .to.be.revertedWithCustomError(leaderboard, "AccessControlUnauthorizedAccount");
+      await expect(leaderboard.startSeason(0, 0, 0, 10)).to.be.revertedWith("Invalid duration");
+      await expect(leaderboard.startSeason(WEEK, 0, 0, 101)).to.be.revertedWith("Invalid leaderboard size");
+      await expect(leaderboard.closeSeason(1)).to.be.revertedWith("Season does not exist");
+    });
+  });
+});